@@ -12,17 +12,72 @@
 var CONFIG = {
   // Performance Thresholds
   MIN_QUALITY_SCORE: 5, // Minimum acceptable Quality Score
-  MAX_CPA: 50.0, // Maximum acceptable Cost Per Acquisition ($) - Used for Account level check only now
-  MIN_CTR: 0.01, // Minimum acceptable Click-Through Rate (1%) - Used for Account level check only now
+  QS_CPC_ADJUSTMENTS: { 1: 4.0, 2: 1.5, 3: 0.67, 4: 0.25, 5: 0, 6: -0.167, 7: -0.286, 8: -0.375, 9: -0.444, 10: -0.5 }, // CPC premium (+) / discount (-) per QS vs. QS 5 (commonly cited QS-to-CPC curve)
+  QS_CPC_BASELINE_SCORE: 5, // Wasted spend of a low-QS keyword = what it paid above the CPC at this QS
+  MAX_CPA: 50.0, // Maximum acceptable Cost Per Acquisition ($) - Used for Account and Keyword level checks
+  MIN_CTR: 0.01, // Minimum acceptable Click-Through Rate (1%) - Used for Account and Keyword level checks
   MIN_CONVERSION_RATE: 0.01, // Minimum acceptable Conversion Rate (1%) - Used for Account level check only now
   MIN_IMPRESSION_SHARE: 0.6, // Minimum acceptable Impression Share (60%)
   MAX_IMPRESSION_SHARE_LOST_RANK: 0.2, // Maximum acceptable IS Lost (Rank) (20%)
   MAX_IMPRESSION_SHARE_LOST_BUDGET: 0.1, // Maximum acceptable IS Lost (Budget) (10%)
 
+  // Performance Data (GAQL reports)
+  PERFORMANCE_DATE_RANGE: "LAST_30_DAYS", // GAQL date range (e.g., LAST_30_DAYS) or "yyyy-MM-dd,yyyy-MM-dd"
+  KEYWORD_MAX_SPEND_NO_CONVERSIONS: 50.0, // Flag keywords spending more than this with zero conversions
+  KEYWORD_MIN_IMPRESSIONS_FOR_CTR: 100, // Minimum impressions before a keyword's CTR is evaluated
+  MIN_ROAS: 2.0, // Minimum acceptable Return On Ad Spend (conv. value / cost) for campaigns with conversion values
+  CAMPAIGN_MIN_CLICKS_FOR_SCORING: 50, // Minimum clicks before a campaign's performance is scored
+  CAMPAIGN_UNDERPERFORMANCE_FACTOR: 1.5, // Campaign CPA this many times the account average (or ROAS/Conv. Rate this many times below) counts as clearly underperforming
+
+  // Search Terms Mining
+  SEARCH_TERMS_LOOKBACK_DAYS: 30, // Number of days of search term data to analyze
+  SEARCH_TERM_MIN_CONVERSIONS: 1, // Converting terms with at least this many conversions are positive opportunities
+  SEARCH_TERM_EXACT_MIN_CONVERSIONS: 3, // Suggest EXACT (instead of PHRASE) for terms with at least this many conversions
+  SEARCH_TERM_MAX_SPEND_NO_CONVERSIONS: 20.0, // Terms spending more than this with zero conversions are negative opportunities
+  SEARCH_TERMS_MAX_ROWS: 200, // Maximum opportunities listed per type (highest value first)
+
   // Structure Thresholds
   MIN_ADS_PER_ADGROUP: 2, // Minimum number of active ads per ad group
   MAX_KEYWORDS_PER_ADGROUP: 20, // Maximum recommended keywords per ad group (guideline)
 
+  // Responsive Search Ads (RSA) Assets
+  RSA_MIN_HEADLINES: 8, // Flag RSAs with fewer headlines (max 15)
+  RSA_MIN_DESCRIPTIONS: 3, // Flag RSAs with fewer descriptions (max 4)
+  RSA_MAX_PINNED_HEADLINES: 3, // Flag RSAs with more pinned headlines (pinning limits combinations)
+  RSA_MAX_PINNED_DESCRIPTIONS: 1, // Flag RSAs with more pinned descriptions
+  RSA_NEAR_DUPLICATE_SIMILARITY: 0.8, // Word overlap (0-1) at which two assets count as near-duplicates
+
+  // Ad Copy Linting (RSA headlines and descriptions)
+  BRAND_DICTIONARY: [], // Brand, product and other proper terms that are always spelled correctly (e.g., ["Acme", "SuperWidget"])
+  SPELLING_USE_BUNDLED_DICTIONARY: true, // Flag words one letter away from a word in the bundled English dictionary (e.g., "delivry" -> "delivery"); turn off for non-English ads
+  SPELLING_LOCALE: "en_US", // "en_US" or "en_GB": regional spellings accepted by the bundled dictionary (the other region's are suggested as near-misses, e.g. "colour" -> "color")
+  SPELLING_DICTIONARY_SOURCE: "", // Optional URL or Drive file ID of a fuller plain-text wordlist (one word per line) used instead of the bundled dictionary for near-miss checks
+  SPELLING_WORDLIST_URL: "", // Optional URL of a plain-text wordlist (one word per line) for strict checking: words in neither it nor the bundled dictionary are flagged
+  AD_ALLOWED_UPPERCASE_WORDS: ["USA", "UK", "EU", "FAQ", "SEO", "PPC", "CEO", "DIY", "ATM", "LED", "VIP", "HVAC", "SUV", "PDF", "USB", "NYC", "LA", "TV", "PC", "AI", "IT", "HR"], // Acronyms allowed in capitals
+  AD_CTA_VERBS: ["buy", "shop", "order", "get", "call", "book", "schedule", "request", "sign up", "subscribe", "download", "try", "start", "join", "learn more", "contact", "discover", "save", "apply", "register", "compare", "find", "claim", "reserve", "visit", "explore", "enroll", "quote"],
+  AD_POLICY_RISK_PHRASES: ["click here", "guaranteed", "100% free", "risk free", "best in the world", "#1", "number one", "act now", "limited time only", "miracle", "cure", "free money", "no credit check"], // Phrases that often cause disapprovals or need substantiation
+  AD_HEADLINE_MAX_LENGTH: 30, // Characters (double-width characters count as 2)
+  AD_DESCRIPTION_MAX_LENGTH: 90,
+
+  // Assets (formerly Extensions) - required/recommended asset field types per campaign type
+  // Types: SITELINK, CALLOUT, STRUCTURED_SNIPPET, CALL, PRICE, PROMOTION, LEAD_FORM, MOBILE_APP, AD_IMAGE,
+  // BUSINESS_NAME, BUSINESS_LOGO, LOGO, MARKETING_IMAGE, YOUTUBE_VIDEO, LOCATION. Unlisted campaign types are not checked.
+  ASSET_REQUIREMENTS: {
+    SEARCH: { required: ["SITELINK", "CALLOUT"], recommended: ["STRUCTURED_SNIPPET", "CALL", "AD_IMAGE", "BUSINESS_NAME", "BUSINESS_LOGO", "PRICE", "PROMOTION", "LOCATION"] },
+    PERFORMANCE_MAX: { required: ["SITELINK", "BUSINESS_NAME", "LOGO", "MARKETING_IMAGE"], recommended: ["CALLOUT", "STRUCTURED_SNIPPET", "YOUTUBE_VIDEO", "CALL", "PROMOTION", "PRICE", "LEAD_FORM", "LOCATION"] },
+    SHOPPING: { required: [], recommended: ["PROMOTION", "LOCATION"] },
+    DISPLAY: { required: [], recommended: ["BUSINESS_NAME", "LOGO"] },
+    DEMAND_GEN: { required: ["BUSINESS_NAME", "LOGO"], recommended: ["LEAD_FORM"] },
+    VIDEO: { required: [], recommended: ["SITELINK", "CALL", "LEAD_FORM"] }
+  },
+  ASSET_MIN_COUNTS: { SITELINK: 4, CALLOUT: 4 }, // Minimum assets of a type serving for a campaign
+
+  // Performance Max & Shopping
+  PMAX_ASSET_MINIMUMS: { HEADLINE: 5, LONG_HEADLINE: 1, DESCRIPTION: 2, BUSINESS_NAME: 1, LOGO: 1, MARKETING_IMAGE: 3, SQUARE_MARKETING_IMAGE: 3, YOUTUBE_VIDEO: 1 }, // Per asset group (campaign-level brand assets count)
+  PMAX_ALLOW_URL_EXPANSION: false, // Set to true if Final URL expansion is intended; otherwise campaigns with it on are flagged
+  PRODUCT_MIN_IMPRESSIONS_NO_CLICKS: 500, // Flag products with at least this many impressions and no clicks in PERFORMANCE_DATE_RANGE
+  PRODUCT_MAX_LISTED: 50, // Maximum zero-click products listed (highest impressions first)
+
   // Naming Conventions (Examples - use regex patterns)
   CAMPAIGN_NAMING_CONVENTION_REGEX: /^[A-Z]{2,}-[A-Za-z0-9]+-.+$/, // e.g., US-Brand-Search
   ADGROUP_NAMING_CONVENTION_REGEX: /^[A-Za-z0-9]+_.+$/, // e.g., General_Keywords
@@ -31,9 +86,131 @@ var CONFIG = {
   SPREADSHEET_NAME_PREFIX: "Google_Ads_Audit_", // Prefix for the output Google Sheet
   DATE_FORMAT: "yyyy-MM-dd", // Date format for the spreadsheet name
 
+  // Settings Overrides ("Config" tab; see loadConfigOverrides)
+  READ_CONFIG_TAB: true, // Read setting overrides (account-wide and per campaign label) from a "Config" tab at startup
+  CONFIG_SPREADSHEET_URL: "", // Optional settings spreadsheet whose "Config" tab is used; if empty, the tab lives in the audit spreadsheet
+
+  // Health Score (0-100 per category and overall; see computeHealthScores)
+  // Each checklist item is worth its weight; when it fails, it loses its severity's share of that weight (Warn costs SCORE_WARN_FACTOR of a Fail).
+  SCORE_DEFAULT_ITEM: { weight: 1, severity: "MEDIUM" }, // Used for checklist items not listed in SCORE_ITEMS
+  SCORE_ITEMS: { // Checklist item name (or name prefix) -> { weight, severity }
+    "Conversion Tracking Implemented": { weight: 5, severity: "CRITICAL" },
+    "Primary Conversion Actions Defined": { weight: 4, severity: "CRITICAL" },
+    "Policy Compliance": { weight: 5, severity: "CRITICAL" },
+    "Potential Broken Link": { weight: 4, severity: "CRITICAL" },
+    "Broken Links Check": { weight: 4, severity: "CRITICAL" },
+    "Negative Keyword Conflict": { weight: 4, severity: "HIGH" },
+    "Underperforming Campaign": { weight: 4, severity: "HIGH" },
+    "High Performing Campaign Budget": { weight: 3, severity: "HIGH" },
+    "RSA Usage per Ad Group": { weight: 3, severity: "HIGH" },
+    "RSA Ad Strength": { weight: 2, severity: "HIGH" },
+    "Excessive Capitalization": { weight: 2, severity: "HIGH" },
+    "Punctuation & Symbols": { weight: 2, severity: "HIGH" },
+    "Secure URLs (HTTPS)": { weight: 3, severity: "HIGH" },
+    "Soft 404": { weight: 4, severity: "CRITICAL" },
+    "Redirect Loop": { weight: 4, severity: "CRITICAL" },
+    "Tracking Parameters Stripped": { weight: 4, severity: "HIGH" },
+    "HTTPS Downgrade": { weight: 3, severity: "HIGH" },
+    "Low-Performing Keyword (No Conversions)": { weight: 3, severity: "HIGH" },
+    "Negative Keyword Opportunity": { weight: 2, severity: "HIGH" },
+    "Cost Per Acquisition (CPA)": { weight: 3, severity: "HIGH" },
+    "Conversion Rate": { weight: 2, severity: "MEDIUM" },
+    "Click-Through Rate (CTR)": { weight: 2, severity: "MEDIUM" },
+    "Low Quality Score": { weight: 2, severity: "MEDIUM" },
+    "Ad Count": { weight: 2, severity: "MEDIUM" },
+    "Required Assets": { weight: 3, severity: "HIGH" },
+    "Asset Policy Status": { weight: 3, severity: "HIGH" },
+    "Listing Groups": { weight: 4, severity: "CRITICAL" },
+    "Product Group Partitioning": { weight: 3, severity: "HIGH" },
+    "Asset Group Ad Strength": { weight: 2, severity: "HIGH" },
+    "Brand Exclusions": { weight: 2, severity: "MEDIUM" },
+    "Final URL Expansion": { weight: 2, severity: "MEDIUM" },
+    "Ad Group Negative Keywords": { weight: 0.5, severity: "LOW" },
+    "Campaign Naming Convention": { weight: 0.5, severity: "LOW" },
+    "Ad Group Naming": { weight: 0.5, severity: "LOW" },
+    "Recommended Assets": { weight: 1, severity: "LOW" },
+    // Summaries of per-entity items above (weight 0 avoids counting the same problem twice)
+    "Low Quality Score Summary": { weight: 0, severity: "LOW" },
+    "Low-Performing Keywords": { weight: 0, severity: "LOW" },
+    "Negative Keyword Conflicts": { weight: 0, severity: "LOW" },
+    "Negative Keyword Opportunities": { weight: 0, severity: "LOW" },
+    "Budget Constraints": { weight: 0, severity: "LOW" },
+    "Rank Constraints": { weight: 0, severity: "LOW" },
+    "Conversion Values Summary": { weight: 0, severity: "LOW" }
+  },
+  SCORE_SEVERITY_PENALTIES: { CRITICAL: 1.0, HIGH: 0.75, MEDIUM: 0.5, LOW: 0.25 }, // Share of an item's weight lost on Fail
+  SCORE_WARN_FACTOR: 0.5, // A Warn costs this fraction of a Fail's penalty
+  SCORE_CATEGORY_WEIGHTS: { "Conversion Tracking": 2, "Keywords": 1.5, "Ad Copy": 1.5, "Performance Metrics": 1.5 }, // Weight in the overall score (default 1)
+  SCORE_GRADES: [[90, "A"], [80, "B"], [70, "C"], [60, "D"], [0, "F"]], // Minimum score -> grade
+  SCORE_TOP_FIXES: 10, // Number of fixes listed on the Overview, ranked by score impact
+
+  // History (run-over-run comparison)
+  TRACK_HISTORY: true, // Persist each run's findings and metrics and compare against the previous run
+  HISTORY_SPREADSHEET_URL: "", // Optional URL of an existing log spreadsheet; if empty, one is found/created by name (single-account runs only)
+  HISTORY_SPREADSHEET_NAME: "Google_Ads_Audit_History", // Name of the log spreadsheet created in Drive (suffixed with the account ID in manager mode)
+  HISTORY_MAX_RUNS: 52, // Number of runs kept per account (oldest are pruned)
+  HISTORY_ANOMALY_THRESHOLD: 0.25, // Relative change in a metric vs. the previous run that is flagged as an anomaly (25%)
+  HISTORY_MAX_LISTED_ITEMS: 50, // Maximum new/resolved items listed individually on the Overview
+  TRACK_QS_HISTORY: true, // Store per-keyword Quality Score snapshots in the history spreadsheet and report drops/trends
+  QS_HISTORY_FREQUENCY: "WEEKLY", // "DAILY" or "WEEKLY" (one snapshot per week, dated Monday; later runs in the period replace it)
+  QS_HISTORY_MAX_SNAPSHOTS: 26, // Snapshots kept per account
+  QS_HISTORY_MAX_KEYWORDS: 5000, // Keywords stored per snapshot (highest impressions first), keeping the sheet within the spreadsheet cell limit
+  QS_DROP_THRESHOLD: 2, // Flag keywords whose QS fell by at least this many points since the previous snapshot
+  QS_TREND_THRESHOLD: 0.3, // Flag a fall of the impression-weighted account QS of at least this many points
+
+  // Email Notification
+  EMAIL_RECIPIENTS: [], // Addresses that receive an HTML summary after each completed audit; empty = no email
+  EMAIL_ONLY_ON_NEW_FAILS: false, // Only send when a Fail item appears that was not in the previous run (uses TRACK_HISTORY)
+  EMAIL_SUBJECT_PREFIX: "Google Ads Audit", // Subject is "<prefix>: <account name> - <n> Fail / <n> Warn"
+  EMAIL_MAX_LISTED_ISSUES: 25, // Maximum Fail items listed in the email body
+
+  // Webhook Notification (chat)
+  WEBHOOKS: [], // e.g., [{ url: "https://hooks.slack.com/services/...", format: "SLACK" }]; format: SLACK, TEAMS, GOOGLE_CHAT or GENERIC. Entries may override the three settings below.
+  WEBHOOK_STATUSES: ["Fail", "Warn"], // Result statuses posted
+  WEBHOOK_MIN_SEVERITY: "HIGH", // Lowest item severity posted (CRITICAL, HIGH, MEDIUM, LOW; from SCORE_ITEMS)
+  WEBHOOK_MAX_ITEMS: 15, // Maximum items per message (most severe first); the rest are summarized as a count
+
+  // Findings Export (structured JSON/CSV for dashboards)
+  EXPORT_FINDINGS: true, // Write every completed run's findings as JSON and CSV files to Drive
+  FINDINGS_EXPORT_FOLDER_ID: "", // Optional ID of the Drive folder for exports; if empty, a folder is found/created by name
+  FINDINGS_EXPORT_FOLDER_NAME: "Google_Ads_Audit_Exports", // Name of the export folder created in My Drive
+
+  // BigQuery Output (requires the BigQuery advanced service: Advanced APIs > BigQuery)
+  BIGQUERY_ENABLED: false, // Stream each completed run's findings and metrics to BigQuery
+  BIGQUERY_PROJECT_ID: "", // Google Cloud project that owns the dataset
+  BIGQUERY_DATASET_ID: "google_ads_audit", // Created if missing
+  BIGQUERY_FINDINGS_TABLE: "findings", // Created if missing (partitioned by day of run_timestamp)
+  BIGQUERY_METRICS_TABLE: "metric_snapshots", // Created if missing (partitioned by day of run_timestamp)
+  BIGQUERY_INSERT_BATCH_SIZE: 500, // Rows per streaming insert request
+
+  // Manager Account (MCC) Mode - used when the script runs from a manager account
+  MCC_ACCOUNT_IDS: [], // Optional list of child account IDs to audit (e.g., ["123-456-7890"]); empty = all
+  MCC_ACCOUNT_LABEL: "", // Optional account label; only child accounts with this label are audited
+  MCC_USE_PARALLEL: true, // Use executeInParallel (max 50 accounts); otherwise accounts are audited one by one
+  PORTFOLIO_SPREADSHEET_NAME_PREFIX: "Google_Ads_Audit_Portfolio_", // Prefix for the roll-up spreadsheet
+
+  // Execution Time Budget (Ads Scripts stop after 30 minutes)
+  RESUMABLE_EXECUTION: true, // Checkpoint progress before the time limit and resume on the next (scheduled) run
+  TIME_BUDGET_RESERVE_SECONDS: 180, // Stop starting new work when fewer seconds than this remain (time to write results)
+  CHECKPOINT_MAX_AGE_HOURS: 48, // Checkpoints older than this are discarded and the audit starts over
+
   // Other
   CHECK_LANDING_PAGES: true, // Set to false to skip landing page checks (can be time-consuming)
   LANDING_PAGE_SAMPLE_SIZE: 100, // Number of landing pages to check per campaign (if CHECK_LANDING_PAGES is true)
+  LANDING_PAGE_CONTENT_ANALYSIS: true, // Parse fetched pages for title/meta/headings, keyword and ad headline term coverage, and CTAs
+  LANDING_PAGE_MIN_KEYWORD_COVERAGE: 0.5, // Share of the referring ad group's keywords that should appear on the page
+  LANDING_PAGE_MIN_HEADLINE_TERM_COVERAGE: 0.4, // Share of the ad group's RSA headline terms that should appear on the page
+  LANDING_PAGE_MAX_AD_GROUPS_PER_URL: 5, // Referring ad groups scored per page (pages shared by many ad groups are scored for the first few)
+  LANDING_PAGE_MAX_REDIRECT_HOPS: 2, // Flag redirect chains with more hops than this
+  LANDING_PAGE_MAX_FOLLOWED_REDIRECTS: 10, // Stop following (and flag as a loop) after this many redirects
+  LANDING_PAGE_TEST_GCLID: "audit_test_gclid", // Appended as gclid to landing page URLs to verify redirects keep it
+  LANDING_PAGE_TRACKED_PARAMETERS: ["gclid", "gbraid", "wbraid", "utm_"], // Parameters that must survive redirects (entries ending in "_" are prefixes)
+  LANDING_PAGE_MAX_FETCH_MS: 3000, // Flag pages whose total fetch time (all redirect hops) exceeds this
+  LANDING_PAGE_MAX_HTML_KB: 500, // Flag pages whose HTML alone is larger than this
+  LANDING_PAGE_MAX_BLOCKING_RESOURCES: 6, // Flag pages with more render-blocking scripts/stylesheets in <head> than this
+  LANDING_PAGE_IMAGE_SAMPLE_SIZE: 3, // <img> URLs fetched per checked page to measure image weight (0 to skip; each image is fetched once per run)
+  LANDING_PAGE_MAX_IMAGE_KB: 150, // Flag sampled images larger than this that are not served as WebP/AVIF
+  SOFT_404_PATTERNS: ["page not found", "404 not found", "404 error", "error 404", "404 page", "file not found", "page doesn't exist", "page does not exist", "page is no longer available", "nothing was found"], // Title/H1 phrases (matched as whole words) that mark a 200 page as a soft 404; avoid bare numbers, which match model numbers
 };
 
 // --- Global Variables ---
@@ -41,6 +218,130 @@ var SPREADSHEET_URL = null;
 var SPREADSHEET_ID = null; // Store spreadsheet ID for easier access
 var ALL_RESULTS = {}; // Object to hold results categorized by sheet name { sheetName: [ [row], [row], ... ] }
 var CRITICAL_ISSUES = []; // Array to hold 'Fail' status items for the Overview sheet
+var FINDINGS = []; // Structured finding objects, one per addResult call (see createFinding), for exports
+var FINDING_ID_COUNTS = {}; // Findings per base ID in this run, to keep IDs unique { id: count }
+var RUN_ID = null; // Unique ID of the current audit run (kept across resumed executions), used by result sinks
+var RESULT_SINKS = null; // Set to an array of sinks to replace getResultSinks() (e.g., stand-ins when testing outside Google Ads)
+var CONFIG_SHEET_NAME = "Config";
+var CONFIG_SHEET_HEADERS = ["Setting", "Value", "Campaign Label", "Default / Notes"];
+var CONFIG_DEFAULTS = null; // Copy of the hard-coded CONFIG, restored before each account's overrides are applied
+var CAMPAIGN_SETTING_OVERRIDES = {}; // Campaign ID -> { setting: value } from Config tab rows with a campaign label
+var CAMPAIGN_SETTINGS_CACHE = {}; // Campaign ID -> merged settings (see getCampaignSettings)
+var RSA_ASSET_DETAILS = null; // Enabled RSAs loaded by getRsaAssetDetails(), shared by the ad copy and landing page checks
+// Settings that can be overridden per campaign label (checks read them through getCampaignSettings)
+var CAMPAIGN_OVERRIDABLE_SETTINGS = ["MIN_QUALITY_SCORE", "MAX_CPA", "MIN_CTR", "MIN_CONVERSION_RATE", "MIN_ROAS", "MAX_IMPRESSION_SHARE_LOST_RANK",
+  "MAX_IMPRESSION_SHARE_LOST_BUDGET", "KEYWORD_MAX_SPEND_NO_CONVERSIONS", "MIN_ADS_PER_ADGROUP", "MAX_KEYWORDS_PER_ADGROUP",
+  "CAMPAIGN_NAMING_CONVENTION_REGEX", "ADGROUP_NAMING_CONVENTION_REGEX"];
+// Settings used before the Config tab is read (checkpoint, spreadsheet naming, manager account selection), so they stay code-only
+var CONFIG_TAB_EXCLUDED_SETTINGS = ["READ_CONFIG_TAB", "CONFIG_SPREADSHEET_URL", "RESUMABLE_EXECUTION", "SPREADSHEET_NAME_PREFIX", "DATE_FORMAT",
+  "MCC_ACCOUNT_IDS", "MCC_ACCOUNT_LABEL", "MCC_USE_PARALLEL", "PORTFOLIO_SPREADSHEET_NAME_PREFIX"];
+var SCORE_SEVERITIES = ["CRITICAL", "HIGH", "MEDIUM", "LOW"];
+// Validation beyond the type of the default value: { min, max } for numbers (default min 0); for strings, allowed values
+// and/or a pattern (a value is valid if it is allowed or matches the pattern; format describes the pattern in errors).
+// Lists and objects are checked against a shape derived from the default (see getConfigShape); entry gives the shape of
+// list elements or map values where the default cannot (empty list, allowed values), fields the keys of a record
+// (an object with fixed keys; other objects are maps that accept new keys).
+var CONFIG_VALUE_RULES = {
+  MIN_QUALITY_SCORE: { min: 1, max: 10 },
+  QS_CPC_BASELINE_SCORE: { min: 1, max: 10 },
+  QS_DROP_THRESHOLD: { min: 1, max: 9 },
+  MIN_CTR: { min: 0, max: 1 },
+  MIN_CONVERSION_RATE: { min: 0, max: 1 },
+  MIN_IMPRESSION_SHARE: { min: 0, max: 1 },
+  MAX_IMPRESSION_SHARE_LOST_RANK: { min: 0, max: 1 },
+  MAX_IMPRESSION_SHARE_LOST_BUDGET: { min: 0, max: 1 },
+  RSA_MIN_HEADLINES: { min: 3, max: 15 },
+  RSA_MIN_DESCRIPTIONS: { min: 2, max: 4 },
+  RSA_MAX_PINNED_HEADLINES: { min: 0, max: 15 },
+  RSA_MAX_PINNED_DESCRIPTIONS: { min: 0, max: 4 },
+  RSA_NEAR_DUPLICATE_SIMILARITY: { min: 0, max: 1 },
+  LANDING_PAGE_MIN_KEYWORD_COVERAGE: { min: 0, max: 1 },
+  LANDING_PAGE_MIN_HEADLINE_TERM_COVERAGE: { min: 0, max: 1 },
+  SCORE_WARN_FACTOR: { min: 0, max: 1 },
+  HISTORY_MAX_RUNS: { min: 1 },
+  QS_HISTORY_MAX_SNAPSHOTS: { min: 1 },
+  QS_HISTORY_MAX_KEYWORDS: { min: 1 },
+  SEARCH_TERMS_LOOKBACK_DAYS: { min: 1, max: 365 },
+  TIME_BUDGET_RESERVE_SECONDS: { min: 0, max: 1800 },
+  BIGQUERY_INSERT_BATCH_SIZE: { min: 1, max: 10000 },
+  QS_HISTORY_FREQUENCY: { allowed: ["DAILY", "WEEKLY"] },
+  SPELLING_LOCALE: { allowed: ["en_US", "en_GB"] },
+  WEBHOOK_MIN_SEVERITY: { allowed: SCORE_SEVERITIES },
+  SCORE_ITEMS: { entry: { fields: { weight: "number", severity: SCORE_SEVERITIES } } },
+  SCORE_DEFAULT_ITEM: { record: true, fields: { weight: "number", severity: SCORE_SEVERITIES } },
+  SCORE_SEVERITY_PENALTIES: { record: true },
+  QS_CPC_ADJUSTMENTS: { record: true },
+  SCORE_GRADES: { entry: { tuple: ["number", "string"] } },
+  BRAND_DICTIONARY: { entry: "string" },
+  EMAIL_RECIPIENTS: { entry: "string" },
+  WEBHOOK_STATUSES: { entry: ["Fail", "Warn", "Pass", "Info"] },
+  WEBHOOKS: { entry: { fields: { url: "string", format: ["SLACK", "TEAMS", "GOOGLE_CHAT", "GENERIC"] },
+    optional: { statuses: { list: ["Fail", "Warn", "Pass", "Info"] }, minSeverity: SCORE_SEVERITIES, maxItems: "number" } } },
+  PERFORMANCE_DATE_RANGE: { // GAQL DURING literals or a custom range (see getGaqlDateCondition)
+    allowed: ["TODAY", "YESTERDAY", "LAST_7_DAYS", "LAST_14_DAYS", "LAST_30_DAYS", "LAST_BUSINESS_WEEK", "LAST_WEEK_MON_SUN",
+      "LAST_WEEK_SUN_SAT", "THIS_WEEK_MON_TODAY", "THIS_WEEK_SUN_TODAY", "THIS_MONTH", "LAST_MONTH"],
+    pattern: /^\d{4}-\d{2}-\d{2}\s*,\s*\d{4}-\d{2}-\d{2}$/,
+    format: "yyyy-MM-dd,yyyy-MM-dd"
+  }
+};
+var RUN_METRICS = {}; // Key metrics recorded by modules for history tracking { metricName: number }
+// Recorded metrics stored as fractions and displayed as percentages (see formatMetricValue)
+var PERCENT_METRICS = ["Account CTR", "Account Conv. Rate", "Account Search IS", "Account Search IS Lost (Rank)", "Account Search IS Lost (Budget)"];
+var RUN_DIFF = null; // Comparison against the previous run (set by updateAuditHistory)
+var HEALTH_SCORES = null; // Category and overall health scores (set by computeHealthScores)
+var ITEM_COVERAGE = {}; // Entities checked by per-entity checklist items { "category|item": count } (see recordItemCoverage)
+var HISTORY_SHEET_NAME = "History"; // Suffixed with the account ID (one sheet per account)
+var HISTORY_HEADERS = ["Run Date", "Record Type", "Key", "Category", "Item", "Status", "Value", "Details"];
+var QS_HISTORY_SHEET_NAME = "Quality Score History"; // Suffixed with the account ID (one sheet per account)
+var QS_HISTORY_HEADERS = ["Snapshot Date", "Keyword Key", "Campaign", "Ad Group", "Keyword", "Match Type", "Quality Score", "Ad Relevance", "Expected CTR", "Landing Page Exp.", "Impressions", "Cost"];
+var AUDITING_CHILD_ACCOUNT = false; // True when auditing a child account from a manager account
+var PORTFOLIO_SHEET_NAME = "Portfolio Overview";
+var MAX_PARALLEL_ACCOUNTS = 50; // executeInParallel limit
+var SCRIPT_START_TIME = new Date().getTime(); // Fallback for time budgeting if getExecutionInfo() is unavailable
+var MAX_EXECUTION_SECONDS = 30 * 60; // Ads Scripts execution limit
+var MODULE_STATE = {}; // Iterator positions of resumable modules { moduleName: state }, saved in checkpoints
+var MODULE_PAUSED = "MODULE_PAUSED"; // Returned by a resumable module that stopped early to stay within the time budget
+var CHECKPOINT_FILE_PREFIX = "Google_Ads_Audit_Checkpoint_";
+var MANAGER_CHECKPOINT_FILE_PREFIX = "Google_Ads_Audit_Manager_Checkpoint_";
+
+// Bundled list of common ad copy misspellings (misspelling -> correction), checked even without SPELLING_WORDLIST_URL
+var COMMON_MISSPELLINGS = {
+  "accomodate": "accommodate", "accomodation": "accommodation", "acheive": "achieve", "adress": "address",
+  "afordable": "affordable", "affordible": "affordable", "agressive": "aggressive",
+  "availible": "available", "avalable": "available", "begining": "beginning", "beleive": "believe",
+  "buisness": "business", "busines": "business", "calender": "calendar", "catagory": "category",
+  "comming": "coming", "commited": "committed", "comission": "commission", "completly": "completely",
+  "concious": "conscious", "convienient": "convenient", "convinient": "convenient", "definately": "definitely",
+  "delivary": "delivery", "dilevery": "delivery", "desireable": "desirable", "discoutn": "discount",
+  "embarass": "embarrass", "enviroment": "environment", "excellant": "excellent", "exellent": "excellent",
+  "existance": "existence", "experiance": "experience", "familar": "familiar", "garantee": "guarantee",
+  "guarentee": "guarantee", "gaurantee": "guarantee", "goverment": "government", "grammer": "grammar",
+  "happend": "happened", "immediatly": "immediately", "independant": "independent", "insurence": "insurance",
+  "knowlege": "knowledge", "liason": "liaison", "libary": "library",
+  "maintainance": "maintenance", "maintenence": "maintenance", "managment": "management", "millenium": "millennium",
+  "neccessary": "necessary", "necesary": "necessary", "occured": "occurred", "occurence": "occurrence",
+  "offical": "official", "oppurtunity": "opportunity", "payed": "paid", "perfomance": "performance",
+  "persue": "pursue", "posession": "possession", "prefered": "preferred", "premiun": "premium",
+  "profesional": "professional", "proffesional": "professional", "prommise": "promise", "publically": "publicly",
+  "quaility": "quality", "qualtiy": "quality", "recieve": "receive", "reccomend": "recommend",
+  "recomend": "recommend", "relevent": "relevant", "reliabel": "reliable", "resturant": "restaurant",
+  "saftey": "safety", "seperate": "separate", "servise": "service", "shiping": "shipping",
+  "succesful": "successful", "successfull": "successful", "suprise": "surprise", "tommorow": "tomorrow",
+  "truely": "truly", "untill": "until", "warrenty": "warranty", "wich": "which"
+};
+var SPELLING_WORDLIST = null; // Lowercase word set loaded from CONFIG.SPELLING_WORDLIST_URL on first use
+var SPELLING_DICTIONARY = null; // Lowercase word set (bundled or SPELLING_DICTIONARY_SOURCE) built on first use
+// Everyday ad vocabulary missing from the bundled dictionary, in base form (regular inflections such as "callouts" or
+// "rentals" are accepted automatically; brand names belong in BRAND_DICTIONARY)
+var SPELLING_EXTRA_WORDS = ["app", "ebook", "ecommerce", "signup", "wifi", "realtor", "ebike", "skincare", "haircare", "onsite", "eco",
+  "ecofriendly", "keto", "fintech", "cybersecurity", "townhome", "livestream", "touchless", "contactless", "wellness", "telehealth",
+  "unboxing", "preorder", "crypto", "blockchain", "saas", "gamer", "esports", "onboarding", "upskill", "upsell", "rebrand", "hvac",
+  "lasik", "aesthetician", "microblading", "sustainably", "dropshipping", "sitewide", "storewide", "doorbuster", "preowned", "hotspot",
+  "router", "bluetooth", "callout", "sitelink", "promo", "bestseller", "bestselling", "customizable", "customisable", "handcrafted",
+  "refundable", "nonrefundable", "upfront", "preapproved", "checkout", "webinar", "podcast", "login", "username", "plugin", "dashboard",
+  "workflow", "bootcamp", "rideshare", "marketplace", "dropship", "reseller", "stockist", "eshop", "smartphone", "earbud", "wearable",
+  "smartwatch", "compostable", "recyclable", "nontoxic", "hypoallergenic", "aircon", "physio", "orthodontics", "botox", "eyewear",
+  "rehab", "takeout", "takeaway", "financing", "refinancing", "installer", "landscaping", "payroll", "invoicing", "bookkeeping"];
 
 // Define Sheet Names
 var SHEET_NAMES = {
@@ -49,45 +350,103 @@ var SHEET_NAMES = {
   STRUCTURE_SETTINGS: "Structure & Settings",
   KEYWORDS_ADGROUPS: "Keywords & AdGroups",
   ADS_EXTENSIONS: "Ads & Extensions",
+  SEARCH_TERMS: "Search Terms",
+  PMAX_SHOPPING: "PMax & Shopping",
   MANUAL_CHECKS: "Opportunities & Manual Checks"
 };
 
+// Extra columns appended after the standard detail columns for specific sheets
+var SHEET_EXTRA_HEADERS = {
+  "Search Terms": ["Search Term", "Suggested Match Type", "Target Campaign", "Target Ad Group"]
+};
+
 
 /**
- * Main function to orchestrate the Google Ads account audit.
+ * Main function. Audits the current account, or every selected child account
+ * when the script runs from a manager (MCC) account.
  */
 function main() {
+  if (isManagerAccount()) {
+    runManagerAudit();
+    return;
+  }
+  runAccountAudit();
+}
+
+/**
+ * Orchestrates the audit of the currently selected Google Ads account.
+ * @return {Object} Audit summary for the account (see getAuditSummary), or null if the spreadsheet could not be initialized.
+ */
+function runAccountAudit() {
   Logger.log("Starting Google Ads Account Audit...");
 
+  // Resume from a checkpoint left by a run that hit the time limit
+  var checkpoint = CONFIG.RESUMABLE_EXECUTION ? loadCheckpoint() : null;
+
   // Initialize the Google Sheet for reporting
-  initializeSpreadsheet();
+  initializeSpreadsheet(checkpoint ? checkpoint.spreadsheetId : null);
   if (!SPREADSHEET_ID) { // Check SPREADSHEET_ID now
     Logger.log("Failed to initialize spreadsheet. Aborting audit.");
-    return;
+    return null;
   }
   Logger.log("Audit results will be saved to: " + SPREADSHEET_URL);
 
-  // Run audit modules for each category
-  auditAccountSettings();
-  auditAccountStructure();
-  auditConversionTracking();
-  auditKeywords();
-  auditAdGroups();
-  auditAdCopy();
-  auditAdExtensions();
-  auditBiddingStrategies();
-  auditQualityScore();
-  if (CONFIG.CHECK_LANDING_PAGES) {
-    auditLandingPages();
-  } else {
-    addResult("Landing Pages", "Landing Page Checks", "Skipped", "CONFIG.CHECK_LANDING_PAGES is false", "Enable in CONFIG if needed.");
+  var completedModules = [];
+  if (checkpoint) {
+    completedModules = restoreCheckpoint(checkpoint);
+    Logger.log("Resuming audit from checkpoint (" + completedModules.length + " module(s) already completed).");
+  }
+  if (!RUN_ID) {
+    RUN_ID = Utilities.getUuid();
+  }
+
+  // Apply setting overrides from the Config tab (problems are reported once, not again on resume)
+  if (CONFIG.READ_CONFIG_TAB) {
+    loadConfigOverrides(!checkpoint);
+  }
+
+  // Run audit modules for each category, stopping before the time limit
+  var paused = false;
+  var modules = getAuditModules();
+  for (var i = 0; i < modules.length; i++) {
+    if (completedModules.indexOf(modules[i].name) !== -1) continue;
+    if (CONFIG.RESUMABLE_EXECUTION && isTimeBudgetExhausted()) {
+      paused = true;
+      break;
+    }
+    if (modules[i].run() === MODULE_PAUSED) {
+      paused = true;
+      break;
+    }
+    completedModules.push(modules[i].name);
+    delete MODULE_STATE[modules[i].name];
+  }
+
+  if (paused) {
+    saveCheckpoint(completedModules);
+    var remainingModules = modules.filter(function(m) { return completedModules.indexOf(m.name) === -1; }).map(function(m) { return m.name; });
+    addResult("Automation & Tools", "Audit Completion", "Warn", "Audit paused before the execution time limit. Completed " + completedModules.length + " of " + modules.length + " modules; remaining: " + remainingModules.join(", ") + ".", "Results are partial. The next run resumes from the checkpoint - schedule the script (e.g., hourly) so it can finish.");
+    populateOverviewSheet();
+    writeResultsToSpreadsheet();
+    Logger.log("Google Ads Account Audit paused. Partial results saved to: " + SPREADSHEET_URL);
+    var partialSummary = getAuditSummary();
+    partialSummary.partial = true;
+    return partialSummary;
+  }
+  if (CONFIG.RESUMABLE_EXECUTION) {
+    deleteCheckpoint();
+  }
+
+  // Score the account (per category and overall)
+  HEALTH_SCORES = computeHealthScores();
+  if (HEALTH_SCORES.overall !== null) {
+    recordMetric("Account Health Score", HEALTH_SCORES.overall);
+  }
+
+  // Save this run to the history store and compare with the previous run
+  if (CONFIG.TRACK_HISTORY) {
+    updateAuditHistory();
   }
-  auditAudienceTargeting();
-  auditPerformanceMetrics();
-  auditCampaignOptimization();
-  auditAutomationTools();
-  auditCompetitiveAnalysis();
-  auditReportingInsights(); // Mostly notes manual checks
 
   // Populate the Overview sheet with summaries
   populateOverviewSheet();
@@ -95,8 +454,747 @@ function main() {
   // Write collected results to the respective sheets
   writeResultsToSpreadsheet();
 
+  // Send structured findings and metrics to the configured sinks (Drive export, BigQuery)
+  writeToResultSinks(RESULT_SINKS || getResultSinks());
+
+  // Email the summary and post it to chat webhooks (partial runs are not sent)
+  if (CONFIG.EMAIL_RECIPIENTS.length > 0) {
+    sendAuditEmail();
+  }
+  if (CONFIG.WEBHOOKS.length > 0) {
+    sendWebhookNotifications();
+  }
+
   Logger.log("Google Ads Account Audit Completed.");
   Logger.log("Audit summary saved to: " + SPREADSHEET_URL);
+  return getAuditSummary();
+}
+
+/**
+ * Lists the audit modules in execution order. A module's run() may return MODULE_PAUSED
+ * to stop early; it is then re-run (and resumes from MODULE_STATE) on the next execution.
+ * @return {Array<Object>} { name, run } per module.
+ */
+function getAuditModules() {
+  return [
+    { name: "auditAccountSettings", run: auditAccountSettings },
+    { name: "auditAccountStructure", run: auditAccountStructure },
+    { name: "auditConversionTracking", run: auditConversionTracking },
+    { name: "auditKeywords", run: auditKeywords },
+    { name: "auditSearchTerms", run: auditSearchTerms },
+    { name: "auditAdGroups", run: auditAdGroups },
+    { name: "auditAdCopy", run: auditAdCopy },
+    { name: "auditAdExtensions", run: auditAdExtensions },
+    { name: "auditPerformanceMaxShopping", run: auditPerformanceMaxShopping },
+    { name: "auditBiddingStrategies", run: auditBiddingStrategies },
+    { name: "auditQualityScore", run: auditQualityScore },
+    { name: "auditLandingPages", run: function() {
+        if (CONFIG.CHECK_LANDING_PAGES) return auditLandingPages();
+        addResult("Landing Pages", "Landing Page Checks", "Skipped", "CONFIG.CHECK_LANDING_PAGES is false", "Enable in CONFIG if needed.");
+    } },
+    { name: "auditAudienceTargeting", run: auditAudienceTargeting },
+    { name: "auditPerformanceMetrics", run: auditPerformanceMetrics },
+    { name: "auditCampaignOptimization", run: auditCampaignOptimization },
+    { name: "auditAutomationTools", run: auditAutomationTools },
+    { name: "auditCompetitiveAnalysis", run: auditCompetitiveAnalysis },
+    { name: "auditReportingInsights", run: auditReportingInsights } // Mostly notes manual checks
+  ];
+}
+
+/**
+ * Summarizes the current audit for roll-up reporting.
+ * @return {Object} { customerId, accountName, spreadsheetUrl, fails, warns, metrics, partial }
+ */
+function getAuditSummary() {
+  var fails = 0;
+  var warns = 0;
+  for (var sheetName in ALL_RESULTS) {
+    ALL_RESULTS[sheetName].forEach(function(row) {
+      if (row[2] === "Fail") fails++;
+      if (row[2] === "Warn") warns++;
+    });
+  }
+  var account = AdsApp.currentAccount();
+  return {
+    customerId: account.getCustomerId(),
+    accountName: account.getName(),
+    spreadsheetUrl: SPREADSHEET_URL,
+    fails: fails,
+    warns: warns,
+    metrics: RUN_METRICS,
+    partial: false
+  };
+}
+
+/**
+ * Clears per-account global state so several accounts can be audited in one execution.
+ */
+function resetAuditState() {
+  SPREADSHEET_URL = null;
+  SPREADSHEET_ID = null;
+  ALL_RESULTS = {};
+  CRITICAL_ISSUES = [];
+  FINDINGS = [];
+  FINDING_ID_COUNTS = {};
+  RUN_ID = null;
+  RUN_METRICS = {};
+  RUN_DIFF = null;
+  HEALTH_SCORES = null;
+  ITEM_COVERAGE = {};
+  MODULE_STATE = {};
+  RSA_ASSET_DETAILS = null;
+}
+
+// --- Execution Time Budget & Checkpoint Functions ---
+
+/**
+ * Returns the seconds left before the Ads Scripts execution limit.
+ * @return {number} Remaining seconds.
+ */
+function getRemainingSeconds() {
+  try {
+    return AdsApp.getExecutionInfo().getRemainingTime();
+  } catch (e) {
+    return MAX_EXECUTION_SECONDS - (new Date().getTime() - SCRIPT_START_TIME) / 1000;
+  }
+}
+
+/**
+ * Checks whether the script should stop starting new work to leave time for writing results.
+ * @return {boolean} True if fewer than CONFIG.TIME_BUDGET_RESERVE_SECONDS remain.
+ */
+function isTimeBudgetExhausted() {
+  return getRemainingSeconds() < CONFIG.TIME_BUDGET_RESERVE_SECONDS;
+}
+
+/**
+ * Returns the Drive file name of the current account's checkpoint.
+ * @return {string} The checkpoint file name.
+ */
+function getCheckpointFileName() {
+  return CHECKPOINT_FILE_PREFIX + AdsApp.currentAccount().getCustomerId() + ".json";
+}
+
+/**
+ * Loads the current account's checkpoint from Drive, discarding it if it is too old.
+ * @return {Object} The checkpoint, or null if there is none to resume from.
+ */
+function loadCheckpoint() {
+  try {
+    var files = DriveApp.getFilesByName(getCheckpointFileName());
+    if (!files.hasNext()) return null;
+    var file = files.next();
+    var checkpoint = JSON.parse(file.getBlob().getDataAsString());
+    var ageHours = (new Date().getTime() - checkpoint.savedAt) / 3600000;
+    if (ageHours > CONFIG.CHECKPOINT_MAX_AGE_HOURS) {
+      Logger.log("Discarding checkpoint from " + ageHours.toFixed(1) + " hours ago (older than CHECKPOINT_MAX_AGE_HOURS).");
+      file.setTrashed(true);
+      return null;
+    }
+    return checkpoint;
+  } catch (e) {
+    Logger.log("Warning: Could not load checkpoint, starting a fresh audit. " + e);
+    return null;
+  }
+}
+
+/**
+ * Restores results, metrics and module positions from a checkpoint.
+ * Must run after initializeSpreadsheet(), which resets ALL_RESULTS.
+ * @param {Object} checkpoint - Checkpoint from loadCheckpoint().
+ * @return {Array<string>} Names of the modules already completed.
+ */
+function restoreCheckpoint(checkpoint) {
+  for (var sheetName in checkpoint.allResults) {
+    ALL_RESULTS[sheetName] = checkpoint.allResults[sheetName];
+  }
+  CRITICAL_ISSUES = checkpoint.criticalIssues || [];
+  FINDINGS = checkpoint.findings || [];
+  RUN_ID = checkpoint.runId || null;
+  FINDINGS.forEach(function(finding) {
+    var baseId = finding.id.split("-")[0];
+    FINDING_ID_COUNTS[baseId] = (FINDING_ID_COUNTS[baseId] || 0) + 1;
+  });
+  RUN_METRICS = checkpoint.runMetrics || {};
+  ITEM_COVERAGE = checkpoint.itemCoverage || {};
+  MODULE_STATE = checkpoint.moduleState || {};
+  return checkpoint.completedModules || [];
+}
+
+/**
+ * Saves completed module results, metrics and module positions to the checkpoint file in Drive.
+ * @param {Array<string>} completedModules - Names of the modules completed so far.
+ */
+function saveCheckpoint(completedModules) {
+  try {
+    var content = JSON.stringify({
+      customerId: AdsApp.currentAccount().getCustomerId(),
+      spreadsheetId: SPREADSHEET_ID,
+      savedAt: new Date().getTime(),
+      completedModules: completedModules,
+      allResults: ALL_RESULTS,
+      criticalIssues: CRITICAL_ISSUES,
+      findings: FINDINGS,
+      runId: RUN_ID,
+      runMetrics: RUN_METRICS,
+      itemCoverage: ITEM_COVERAGE,
+      moduleState: MODULE_STATE
+    });
+    var files = DriveApp.getFilesByName(getCheckpointFileName());
+    if (files.hasNext()) {
+      files.next().setContent(content);
+    } else {
+      DriveApp.createFile(getCheckpointFileName(), content, MimeType.PLAIN_TEXT);
+    }
+    Logger.log("Checkpoint saved (" + completedModules.length + " module(s) completed).");
+  } catch (e) {
+    Logger.log("Error saving checkpoint: " + e + ". The next run will start over.");
+  }
+}
+
+/**
+ * Removes the current account's checkpoint once an audit completes.
+ */
+function deleteCheckpoint() {
+  try {
+    var files = DriveApp.getFilesByName(getCheckpointFileName());
+    while (files.hasNext()) {
+      files.next().setTrashed(true);
+    }
+  } catch (e) {
+    Logger.log("Warning: Could not delete checkpoint: " + e);
+  }
+}
+
+// --- Settings (Config Tab) Functions ---
+
+/**
+ * Formats a CONFIG value for a Config tab cell (regexes as /pattern/flags, arrays and objects as JSON).
+ * @param {*} value - The setting value.
+ * @return {string|number|boolean} The cell value.
+ */
+function formatConfigValue(value) {
+    if (value instanceof RegExp) return value.toString();
+    if (value !== null && typeof value === "object") return JSON.stringify(value);
+    return value;
+}
+
+/**
+ * Derives the shape of a list element, map value or record from a sample value (see CONFIG_VALUE_RULES).
+ * Shapes are "number", "string" or "boolean", an array of allowed values, { list: shape }, { tuple: [shapes] }
+ * or { fields: { key: shape }, optional: { key: shape } }.
+ * @param {*} sample - A value of the expected shape.
+ * @return {*} The shape, or "string" for an empty list's elements.
+ */
+function getConfigShape(sample) {
+    if (Array.isArray(sample)) return { list: sample.length > 0 ? getConfigShape(sample[0]) : "string" };
+    if (sample !== null && typeof sample === "object") {
+        var fields = {};
+        for (var key in sample) fields[key] = getConfigShape(sample[key]);
+        return { fields: fields };
+    }
+    return typeof sample;
+}
+
+/**
+ * Checks a parsed Config tab value (or part of one) against a shape from getConfigShape or CONFIG_VALUE_RULES.
+ * @param {*} value - The value to check.
+ * @param {*} shape - The expected shape.
+ * @param {string} path - Where the value sits, for the error message (e.g., SCORE_ITEMS["Ad Count"]).
+ * @return {string|null} The first problem found, or null if the value matches.
+ */
+function checkConfigShape(value, shape, path) {
+    if (Array.isArray(shape)) {
+        return shape.indexOf(value) !== -1 ? null : path + " is " + JSON.stringify(value) + ", expected one of " + shape.join(", ");
+    }
+    if (typeof shape === "string") {
+        if (typeof value !== shape || (shape === "number" && !isFinite(value))) return path + " is " + JSON.stringify(value) + ", expected a " + shape;
+        return null;
+    }
+    var error = null;
+    if (shape.list || shape.tuple) {
+        if (!Array.isArray(value)) return path + " is " + JSON.stringify(value) + ", expected a list";
+        if (shape.tuple && value.length !== shape.tuple.length) return path + " has " + value.length + " values, expected " + shape.tuple.length;
+        for (var i = 0; i < value.length && !error; i++) {
+            error = checkConfigShape(value[i], shape.list || shape.tuple[i], path + "[" + i + "]");
+        }
+        return error;
+    }
+    if (value === null || typeof value !== "object" || Array.isArray(value)) return path + " is " + JSON.stringify(value) + ", expected an object";
+    var optional = shape.optional || {};
+    for (var field in shape.fields) {
+        if (!(field in value)) return path + " is missing '" + field + "'";
+    }
+    for (var key in value) {
+        if (!(key in shape.fields) && !(key in optional)) return path + " has an unknown key '" + key + "'";
+        error = checkConfigShape(value[key], shape.fields[key] || optional[key], path + "." + key);
+        if (error) return error;
+    }
+    return null;
+}
+
+/**
+ * Parses and validates a Config tab value against the type of the setting's default and CONFIG_VALUE_RULES.
+ * Lists replace the default; objects are merged key by key over it.
+ * @param {string} name - Setting name.
+ * @param {*} rawValue - Cell value (Sheets returns numbers and booleans typed, everything else as text).
+ * @return {Object} { value } when valid, otherwise { error }.
+ */
+function parseConfigValue(name, rawValue) {
+    var defaultValue = CONFIG_DEFAULTS[name];
+    var rules = CONFIG_VALUE_RULES[name] || {};
+    var text = String(rawValue).trim();
+
+    if (defaultValue instanceof RegExp) {
+        var regexParts = /^\/(.*)\/([a-z]*)$/.exec(text);
+        if (regexParts && /[gy]/.test(regexParts[2])) {
+            return { error: "the g and y flags are not supported (they make matches depend on the previous test)" };
+        }
+        try {
+            return { value: regexParts ? new RegExp(regexParts[1], regexParts[2]) : new RegExp(text) };
+        } catch (e) {
+            return { error: "'" + text + "' is not a valid regular expression (" + e.message + ")" };
+        }
+    }
+    if (typeof defaultValue === "number") {
+        var number = typeof rawValue === "number" ? rawValue : Number(text.replace(/%$/, "")) / (/%$/.test(text) ? 100 : 1);
+        if (text === "" || !isFinite(number)) return { error: "'" + text + "' is not a number" };
+        var min = rules.min !== undefined ? rules.min : 0;
+        if (number < min || (rules.max !== undefined && number > rules.max)) {
+            return { error: number + " is outside the allowed range " + min + " to " + (rules.max !== undefined ? rules.max : "any") };
+        }
+        return { value: number };
+    }
+    if (typeof defaultValue === "boolean") {
+        if (typeof rawValue === "boolean") return { value: rawValue };
+        if (/^(true|false)$/i.test(text)) return { value: text.toLowerCase() === "true" };
+        return { error: "'" + text + "' is not TRUE or FALSE" };
+    }
+    if (Array.isArray(defaultValue)) {
+        var elementShape = rules.entry || getConfigShape(defaultValue).list;
+        var list;
+        if (/^\[/.test(text)) {
+            try { list = JSON.parse(text); } catch (e) { return { error: "invalid JSON (" + e.message + ")" }; }
+        } else if (elementShape === "string") {
+            list = text.split(",").map(function(v) { return v.trim(); }).filter(function(v) { return v; }); // Comma-separated list
+        } else {
+            return { error: "expected a JSON list like " + JSON.stringify(defaultValue.length > 0 ? defaultValue.slice(0, 1) : []) };
+        }
+        var listError = checkConfigShape(list, { list: elementShape }, name);
+        return listError ? { error: listError } : { value: list };
+    }
+    if (defaultValue !== null && typeof defaultValue === "object") {
+        var overrides;
+        try { overrides = JSON.parse(text); } catch (e) { return { error: "invalid JSON (" + e.message + ")" }; }
+        if (overrides === null || typeof overrides !== "object" || Array.isArray(overrides)) return { error: "expected a JSON object" };
+        var fallbackKey = Object.keys(defaultValue)[0];
+        var merged = {};
+        for (var defaultKey in defaultValue) merged[defaultKey] = defaultValue[defaultKey];
+        for (var key in overrides) {
+            var path = name + "[" + JSON.stringify(key) + "]";
+            if (rules.record && !(key in defaultValue)) return { error: path + " is not a known key (" + Object.keys(defaultValue).join(", ") + ")" };
+            var entryShape = (rules.fields && rules.fields[key]) || rules.entry || getConfigShape(key in defaultValue ? defaultValue[key] : defaultValue[fallbackKey]);
+            var entryError = checkConfigShape(overrides[key], entryShape, path);
+            if (entryError) return { error: entryError };
+            merged[key] = overrides[key];
+        }
+        return { value: merged };
+    }
+    // Strings
+    if (rules.allowed && rules.allowed.indexOf(text.toUpperCase()) !== -1) return { value: text.toUpperCase() };
+    if (rules.pattern && rules.pattern.test(text)) return { value: text };
+    if (rules.allowed) {
+        return { error: "'" + text + "' is not one of " + rules.allowed.join(", ") + (rules.pattern ? " or a " + rules.format + " range" : "") };
+    }
+    if (rules.pattern) {
+        return { error: "'" + text + "' does not have the expected format" + (rules.format ? " (" + rules.format + ")" : "") };
+    }
+    return { value: text };
+}
+
+/**
+ * Fills an empty Config tab with one row per editable setting (blank value = default).
+ * @param {Sheet} sheet - The Config sheet.
+ */
+function writeConfigTemplate(sheet) {
+    var rows = [CONFIG_SHEET_HEADERS];
+    for (var name in CONFIG_DEFAULTS) {
+        if (CONFIG_TAB_EXCLUDED_SETTINGS.indexOf(name) !== -1) continue;
+        var note = "Default: " + formatConfigValue(CONFIG_DEFAULTS[name]);
+        if (CAMPAIGN_OVERRIDABLE_SETTINGS.indexOf(name) !== -1) note += " (can be set per campaign label)";
+        rows.push([name, "", "", note]);
+    }
+    sheet.getRange(1, 1, rows.length, CONFIG_SHEET_HEADERS.length).setValues(rows);
+    sheet.getRange(1, 1, 1, CONFIG_SHEET_HEADERS.length).setFontWeight("bold");
+    sheet.setFrozenRows(1);
+}
+
+/**
+ * Finds the Config tab of the most recent earlier audit spreadsheet for this account, so overrides
+ * carry over to the new day's spreadsheet.
+ * @return {Sheet|null} The previous Config sheet, or null if none is found.
+ */
+function findPreviousConfigSheet() {
+    var prefix = CONFIG.SPREADSHEET_NAME_PREFIX + (AUDITING_CHILD_ACCOUNT ? AdsApp.currentAccount().getCustomerId() + "_" : "");
+    var candidates = [];
+    var files = DriveApp.searchFiles("title contains '" + prefix + "' and mimeType = 'application/vnd.google-apps.spreadsheet' and trashed = false");
+    while (files.hasNext()) {
+        var file = files.next();
+        var suffix = file.getName().substring(prefix.length);
+        // Audit spreadsheets end in the run date; skip other files sharing the prefix (portfolio, history, other accounts)
+        if (file.getName().indexOf(prefix) !== 0 || file.getId() === SPREADSHEET_ID || !/^[^_]*\d[^_]*$/.test(suffix)) continue;
+        candidates.push(file);
+    }
+    candidates.sort(function(a, b) { return b.getDateCreated().getTime() - a.getDateCreated().getTime(); });
+    for (var i = 0; i < candidates.length; i++) {
+        var sheet = SpreadsheetApp.open(candidates[i]).getSheetByName(CONFIG_SHEET_NAME);
+        if (sheet) return sheet;
+    }
+    return null;
+}
+
+/**
+ * Returns the Config sheet (from CONFIG_SPREADSHEET_URL, or the audit spreadsheet), creating it if missing.
+ * A new tab in the audit spreadsheet copies the previous audit's Config tab, or gets the template.
+ * @return {Sheet} The Config sheet.
+ */
+function getConfigSheet() {
+    var spreadsheet = CONFIG.CONFIG_SPREADSHEET_URL ? SpreadsheetApp.openByUrl(CONFIG.CONFIG_SPREADSHEET_URL) : SpreadsheetApp.openById(SPREADSHEET_ID);
+    var sheet = spreadsheet.getSheetByName(CONFIG_SHEET_NAME);
+    if (sheet) return sheet;
+
+    sheet = spreadsheet.insertSheet(CONFIG_SHEET_NAME);
+    var previous = CONFIG.CONFIG_SPREADSHEET_URL ? null : findPreviousConfigSheet();
+    if (previous && previous.getLastRow() > 0) {
+        var values = previous.getRange(1, 1, previous.getLastRow(), CONFIG_SHEET_HEADERS.length).getValues();
+        sheet.getRange(1, 1, values.length, CONFIG_SHEET_HEADERS.length).setValues(values);
+        sheet.getRange(1, 1, 1, CONFIG_SHEET_HEADERS.length).setFontWeight("bold");
+        sheet.setFrozenRows(1);
+        Logger.log("Copied the Config tab from the previous audit spreadsheet '" + previous.getParent().getName() + "'.");
+    } else {
+        writeConfigTemplate(sheet);
+        Logger.log("Created the Config tab with all editable settings.");
+    }
+    return sheet;
+}
+
+/**
+ * Reads the Config tab and merges its values over the CONFIG defaults. Rows without a campaign label
+ * change the setting account-wide; rows with a label apply to that label's campaigns only (see
+ * getCampaignSettings). Later rows win. Blank values keep the default. Unknown settings and values failing
+ * type or range checks are reported as Error results and ignored, so a bad cell never stops the audit.
+ * @param {boolean} reportFindings - Whether to add results (false when resuming, as they were already recorded).
+ */
+function loadConfigOverrides(reportFindings) {
+    var category = "Configuration";
+    // Start from the hard-coded defaults (matters when several accounts are audited in one execution)
+    if (!CONFIG_DEFAULTS) {
+        CONFIG_DEFAULTS = {};
+        for (var key in CONFIG) CONFIG_DEFAULTS[key] = CONFIG[key];
+    }
+    for (var defaultKey in CONFIG_DEFAULTS) CONFIG[defaultKey] = CONFIG_DEFAULTS[defaultKey];
+    CAMPAIGN_SETTING_OVERRIDES = {};
+    CAMPAIGN_SETTINGS_CACHE = {};
+
+    var report = function(item, status, details, recommendation, entity) {
+        if (reportFindings) addResult(category, item, status, details, recommendation, null, entity);
+        else Logger.log("[" + status + "] " + category + " - " + item + ": " + details);
+    };
+
+    try {
+        var sheet = getConfigSheet();
+        var rows = sheet.getLastRow() > 1 ? sheet.getRange(2, 1, sheet.getLastRow() - 1, CONFIG_SHEET_HEADERS.length).getValues() : [];
+        var applied = 0;
+        var invalid = 0;
+        var labelRows = [];
+        rows.forEach(function(row, index) {
+            var name = String(row[0]).trim();
+            var label = String(row[2]).trim();
+            if (!name || name.charAt(0) === "#" || row[1] === "" || row[1] === null) return; // Blank or comment rows
+            var rowText = "Config row " + (index + 2) + " (" + name + (label ? ", label '" + label + "'" : "") + ")";
+            var fail = function(reason) {
+                invalid++;
+                report("Config Setting", "Error", rowText + ": " + reason + (name in CONFIG_DEFAULTS ? ". The default (" + formatConfigValue(CONFIG_DEFAULTS[name]) + ") is used instead." : ". The row is ignored."), "Correct the value in the '" + CONFIG_SHEET_NAME + "' tab.", createEntity("SETTING", name, name));
+            };
+            if (!(name in CONFIG_DEFAULTS)) return fail("unknown setting");
+            if (CONFIG_TAB_EXCLUDED_SETTINGS.indexOf(name) !== -1) return fail("this setting can only be changed in the script's CONFIG");
+            if (label && CAMPAIGN_OVERRIDABLE_SETTINGS.indexOf(name) === -1) return fail("this setting cannot be set per campaign label (supported: " + CAMPAIGN_OVERRIDABLE_SETTINGS.join(", ") + ")");
+            var parsed = parseConfigValue(name, row[1]);
+            if (parsed.error) return fail(parsed.error);
+            if (label) {
+                labelRows.push({ label: label, name: name, value: parsed.value });
+            } else {
+                CONFIG[name] = parsed.value;
+            }
+            applied++;
+        });
+
+        // Resolve campaign labels to campaign IDs (all campaign types)
+        if (labelRows.length > 0) {
+            var campaignIdsByLabel = {};
+            var labelResults = AdsApp.search("SELECT campaign.id, label.name FROM campaign_label WHERE campaign.status != 'REMOVED'");
+            while (labelResults.hasNext()) {
+                var labelRow = labelResults.next();
+                if (!campaignIdsByLabel[labelRow.label.name]) campaignIdsByLabel[labelRow.label.name] = [];
+                campaignIdsByLabel[labelRow.label.name].push(String(labelRow.campaign.id));
+            }
+            labelRows.forEach(function(override) {
+                var campaignIds = campaignIdsByLabel[override.label] || [];
+                if (campaignIds.length === 0) {
+                    report("Config Campaign Label", "Warn", "Label '" + override.label + "' (setting " + override.name + ") is not applied to any campaign.", "Check the label name (it is case-sensitive) or apply the label to campaigns.");
+                }
+                campaignIds.forEach(function(campaignId) {
+                    if (!CAMPAIGN_SETTING_OVERRIDES[campaignId]) CAMPAIGN_SETTING_OVERRIDES[campaignId] = {};
+                    CAMPAIGN_SETTING_OVERRIDES[campaignId][override.name] = override.value;
+                });
+            });
+        }
+
+        report("Config Tab", invalid > 0 ? "Warn" : "Info", applied + " override(s) applied (" + labelRows.length + " per campaign label, " + Object.keys(CAMPAIGN_SETTING_OVERRIDES).length + " campaign(s) affected); " + invalid + " invalid row(s) ignored. Source: " + (CONFIG.CONFIG_SPREADSHEET_URL || "'" + CONFIG_SHEET_NAME + "' tab of the audit spreadsheet") + ".", invalid > 0 ? "Fix the rows reported as Config Setting errors." : "Edit the '" + CONFIG_SHEET_NAME + "' tab to change thresholds without editing the script.");
+    } catch (e) {
+        report("Config Tab", "Error", "Could not read the '" + CONFIG_SHEET_NAME + "' tab: " + e + ". Script defaults are used.", "Check CONFIG_SPREADSHEET_URL and that the script can open the spreadsheet.");
+    }
+}
+
+/**
+ * Returns the settings for a campaign: CONFIG merged with the campaign's label overrides from the Config tab.
+ * @param {string|number} campaignId - Campaign ID.
+ * @return {Object} CONFIG itself when the campaign has no overrides, otherwise a merged copy.
+ */
+function getCampaignSettings(campaignId) {
+    var overrides = CAMPAIGN_SETTING_OVERRIDES[String(campaignId)];
+    if (!overrides) return CONFIG;
+    if (!CAMPAIGN_SETTINGS_CACHE[campaignId]) {
+        var settings = {};
+        for (var name in CONFIG) settings[name] = CONFIG[name];
+        for (var overrideName in overrides) settings[overrideName] = overrides[overrideName];
+        CAMPAIGN_SETTINGS_CACHE[campaignId] = settings;
+    }
+    return CAMPAIGN_SETTINGS_CACHE[campaignId];
+}
+
+
+// --- Manager Account (MCC) Functions ---
+
+/**
+ * Checks whether the script is running from a manager (MCC) account.
+ * @return {boolean} True if AdsManagerApp is available.
+ */
+function isManagerAccount() {
+  return typeof AdsManagerApp !== 'undefined';
+}
+
+/**
+ * Builds the child account selector from the MCC_ACCOUNT_IDS / MCC_ACCOUNT_LABEL filters.
+ * @return {ManagedAccountSelector} The account selector.
+ */
+function getManagedAccountSelector() {
+  var selector = AdsManagerApp.accounts();
+  if (CONFIG.MCC_ACCOUNT_IDS && CONFIG.MCC_ACCOUNT_IDS.length > 0) {
+    selector = selector.withIds(CONFIG.MCC_ACCOUNT_IDS);
+  }
+  if (CONFIG.MCC_ACCOUNT_LABEL) {
+    selector = selector.withCondition("LabelNames CONTAINS '" + CONFIG.MCC_ACCOUNT_LABEL.replace(/'/g, "\\'") + "'");
+  }
+  return selector;
+}
+
+/**
+ * Audits every selected child account, in parallel where possible, and writes the
+ * Portfolio Overview roll-up.
+ */
+function runManagerAudit() {
+  Logger.log("Starting Google Ads Manager Account Audit...");
+  var selector = getManagedAccountSelector();
+  var accountCount = selector.get().totalNumEntities();
+  Logger.log(accountCount + " child account(s) selected.");
+  if (accountCount === 0) {
+    Logger.log("No child accounts match MCC_ACCOUNT_IDS / MCC_ACCOUNT_LABEL. Nothing to audit.");
+    return;
+  }
+
+  if (CONFIG.MCC_USE_PARALLEL && accountCount <= MAX_PARALLEL_ACCOUNTS) {
+    selector.executeInParallel("auditChildAccount", "processParallelAuditResults");
+    return;
+  }
+  if (CONFIG.MCC_USE_PARALLEL) {
+    Logger.log("More than " + MAX_PARALLEL_ACCOUNTS + " accounts selected; auditing sequentially.");
+  }
+
+  // Accounts finished earlier today are not audited again; the run starts at the first unfinished one
+  var managerCustomerId = AdsApp.currentAccount().getCustomerId();
+  var today = Utilities.formatDate(new Date(), AdsApp.currentAccount().getTimeZone(), "yyyy-MM-dd");
+  var managerCheckpoint = CONFIG.RESUMABLE_EXECUTION ? loadManagerCheckpoint(managerCustomerId, today) : null;
+  var finishedEntries = managerCheckpoint ? managerCheckpoint.finishedEntries : {};
+  if (Object.keys(finishedEntries).length > 0) {
+    Logger.log("Resuming manager audit: " + Object.keys(finishedEntries).length + " account(s) already audited today.");
+  }
+
+  var entries = [];
+  var accounts = selector.get();
+  while (accounts.hasNext()) {
+    var childAccount = accounts.next();
+    var customerId = childAccount.getCustomerId();
+    if (finishedEntries[customerId]) {
+      entries.push(finishedEntries[customerId]);
+      continue;
+    }
+    if (CONFIG.RESUMABLE_EXECUTION && isTimeBudgetExhausted()) {
+      entries.push({ customerId: customerId, status: "SKIPPED", summary: null, error: "Execution time limit reached before this account was audited." });
+      continue;
+    }
+    AdsManagerApp.select(childAccount);
+    resetAuditState();
+    var entry;
+    try {
+      var summary = JSON.parse(auditChildAccount());
+      entry = { customerId: customerId, status: summary ? (summary.partial ? "PARTIAL" : "OK") : "ERROR", summary: summary, error: summary ? "" : "Spreadsheet could not be initialized." };
+    } catch (e) {
+      entry = { customerId: customerId, status: "ERROR", summary: null, error: String(e) };
+    }
+    entries.push(entry);
+    if (CONFIG.RESUMABLE_EXECUTION && entry.status === "OK") { // Partial accounts resume from their own checkpoint; failed ones are retried
+      finishedEntries[customerId] = entry;
+      saveManagerCheckpoint(managerCustomerId, today, finishedEntries);
+    }
+  }
+  writePortfolioOverview(entries);
+}
+
+/**
+ * Returns the Drive file name of a manager account's checkpoint.
+ * @param {string} managerCustomerId - The manager account ID.
+ * @return {string} The checkpoint file name.
+ */
+function getManagerCheckpointFileName(managerCustomerId) {
+  return MANAGER_CHECKPOINT_FILE_PREFIX + managerCustomerId + ".json";
+}
+
+/**
+ * Loads the sequential manager audit checkpoint. A checkpoint from an earlier day is ignored,
+ * so every account is audited again once per day.
+ * @param {string} managerCustomerId - The manager account ID.
+ * @param {string} date - Today's date (yyyy-MM-dd) in the manager account's time zone.
+ * @return {Object} { date, finishedEntries: { customerId: portfolio entry } }, or null if there is none for today.
+ */
+function loadManagerCheckpoint(managerCustomerId, date) {
+  try {
+    var files = DriveApp.getFilesByName(getManagerCheckpointFileName(managerCustomerId));
+    if (!files.hasNext()) return null;
+    var checkpoint = JSON.parse(files.next().getBlob().getDataAsString());
+    if (checkpoint.date !== date) return null;
+    checkpoint.finishedEntries = checkpoint.finishedEntries || {};
+    return checkpoint;
+  } catch (e) {
+    Logger.log("Warning: Could not load manager checkpoint, auditing all accounts. " + e);
+    return null;
+  }
+}
+
+/**
+ * Saves the accounts finished today (with their portfolio entries) to the manager checkpoint in Drive.
+ * @param {string} managerCustomerId - The manager account ID.
+ * @param {string} date - Today's date (yyyy-MM-dd) in the manager account's time zone.
+ * @param {Object} finishedEntries - { customerId: portfolio entry } per finished account.
+ */
+function saveManagerCheckpoint(managerCustomerId, date, finishedEntries) {
+  try {
+    var content = JSON.stringify({ date: date, savedAt: new Date().getTime(), finishedEntries: finishedEntries });
+    var fileName = getManagerCheckpointFileName(managerCustomerId);
+    var files = DriveApp.getFilesByName(fileName);
+    if (files.hasNext()) {
+      files.next().setContent(content);
+    } else {
+      DriveApp.createFile(fileName, content, MimeType.PLAIN_TEXT);
+    }
+  } catch (e) {
+    Logger.log("Warning: Could not save manager checkpoint: " + e);
+  }
+}
+
+/**
+ * Audits the currently selected child account. Called by executeInParallel (one execution
+ * per account) or directly in sequential mode.
+ * @return {string} JSON-encoded audit summary (see getAuditSummary), or "null" on failure.
+ */
+function auditChildAccount() {
+  AUDITING_CHILD_ACCOUNT = true;
+  return JSON.stringify(runAccountAudit());
+}
+
+/**
+ * executeInParallel callback: converts execution results to portfolio entries.
+ * @param {Array<ExecutionResult>} results - One result per child account.
+ */
+function processParallelAuditResults(results) {
+  var entries = results.map(function(result) {
+    var summary = null;
+    var error = result.getError() || "";
+    if (result.getStatus() === "OK") {
+      try { summary = JSON.parse(result.getReturnValue()); } catch (e) { error = "Unreadable audit summary: " + e; }
+      if (!summary && !error) error = "Spreadsheet could not be initialized.";
+    }
+    return { customerId: result.getCustomerId(), status: summary ? (summary.partial ? "PARTIAL" : "OK") : result.getStatus(), summary: summary, error: error };
+  });
+  writePortfolioOverview(entries);
+}
+
+/**
+ * Writes the Portfolio Overview roll-up comparing Fail/Warn counts and key metrics
+ * across child accounts to its own spreadsheet.
+ * @param {Array<Object>} entries - { customerId, status, summary, error } per child account.
+ */
+function writePortfolioOverview(entries) {
+  try {
+    var timeZone = AdsApp.currentAccount().getTimeZone();
+    var spreadsheetName = CONFIG.PORTFOLIO_SPREADSHEET_NAME_PREFIX + Utilities.formatDate(new Date(), timeZone, CONFIG.DATE_FORMAT);
+    var spreadsheet;
+    var files = DriveApp.getFilesByName(spreadsheetName);
+    if (files.hasNext()) {
+      spreadsheet = SpreadsheetApp.open(files.next());
+    } else {
+      spreadsheet = SpreadsheetApp.create(spreadsheetName);
+      try { spreadsheet.getSheetByName('Sheet1').setName(PORTFOLIO_SHEET_NAME); } catch(e) {/* Ignore if already renamed */}
+    }
+    var sheet = spreadsheet.getSheetByName(PORTFOLIO_SHEET_NAME) || spreadsheet.insertSheet(PORTFOLIO_SHEET_NAME);
+    sheet.clear();
+
+    var metricNames = ["Account Health Score", "Account Cost", "Account Conversions", "Account CPA", "Account CTR", "Account Conv. Rate", "Account Search IS", "Average Quality Score"];
+    var headers = ["Account ID", "Account Name", "Audit Status", "Fails", "Warns"].concat(metricNames).concat(["Audit Spreadsheet", "Error"]);
+
+    // Most Fails first, then most Warns
+    entries.sort(function(a, b) {
+      var aFails = a.summary ? a.summary.fails : -1;
+      var bFails = b.summary ? b.summary.fails : -1;
+      return bFails - aFails || (b.summary ? b.summary.warns : -1) - (a.summary ? a.summary.warns : -1);
+    });
+
+    var rows = entries.map(function(entry) {
+      var summary = entry.summary;
+      var metricValues = metricNames.map(function(name) {
+        return summary && summary.metrics && name in summary.metrics ? formatMetricValue(name, summary.metrics[name]) : "";
+      });
+      return [entry.customerId, summary ? summary.accountName : "", entry.status, summary ? summary.fails : "", summary ? summary.warns : ""]
+        .concat(metricValues)
+        .concat([summary ? summary.spreadsheetUrl : "", entry.error || ""]);
+    });
+
+    sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight("bold");
+    sheet.setFrozenRows(1);
+    if (rows.length > 0) {
+      sheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
+    }
+    for (var i = 1; i <= headers.length; i++) {
+      try { sheet.autoResizeColumn(i); } catch (resizeError) { /* Ignore */ }
+    }
+
+    Logger.log("Portfolio Overview for " + entries.length + " account(s) saved to: " + spreadsheet.getUrl());
+  } catch (e) {
+    Logger.log("Error writing Portfolio Overview: " + e);
+    entries.forEach(function(entry) {
+      Logger.log(entry.customerId + " | " + entry.status + " | " + (entry.summary ? "Fails: " + entry.summary.fails + ", Warns: " + entry.summary.warns + ", " + entry.summary.spreadsheetUrl : entry.error));
+    });
+  }
 }
 
 // --- Spreadsheet Functions ---
@@ -104,8 +1202,9 @@ function main() {
 /**
  * Creates a new Google Sheet with predefined tabs or opens an existing one.
  * Clears old data from sheets before populating.
+ * @param {string=} existingSpreadsheetId - Spreadsheet to reuse (e.g., when resuming from a checkpoint).
  */
-function initializeSpreadsheet() {
+function initializeSpreadsheet(existingSpreadsheetId) {
     try {
         if (typeof DriveApp === 'undefined' || typeof SpreadsheetApp === 'undefined') {
             Logger.log("Error: DriveApp or SpreadsheetApp is not available.");
@@ -113,11 +1212,18 @@ function initializeSpreadsheet() {
         }
 
         var dateStr = Utilities.formatDate(new Date(), AdsApp.currentAccount().getTimeZone(), CONFIG.DATE_FORMAT);
-        var spreadsheetName = CONFIG.SPREADSHEET_NAME_PREFIX + dateStr;
+        var spreadsheetName = CONFIG.SPREADSHEET_NAME_PREFIX + (AUDITING_CHILD_ACCOUNT ? AdsApp.currentAccount().getCustomerId() + "_" : "") + dateStr;
         var spreadsheet;
 
+        if (existingSpreadsheetId) {
+            try { spreadsheet = SpreadsheetApp.openById(existingSpreadsheetId); } catch(e) { Logger.log("Warning: Could not reopen spreadsheet " + existingSpreadsheetId + ": " + e); }
+        }
+
         var files = DriveApp.getFilesByName(spreadsheetName);
-        if (files.hasNext()) {
+        if (spreadsheet) {
+            SPREADSHEET_ID = spreadsheet.getId();
+            Logger.log("Reusing spreadsheet from checkpoint: " + spreadsheet.getName());
+        } else if (files.hasNext()) {
             spreadsheet = SpreadsheetApp.open(files.next());
             SPREADSHEET_ID = spreadsheet.getId();
             Logger.log("Using existing spreadsheet: " + spreadsheetName);
@@ -162,6 +1268,7 @@ function initializeSpreadsheet() {
                      headers = ["Category / Item", "Status / Details", "Recommendation"]; // Headers for Overview
                  } else {
                      headers = ["Category", "ChecklistItem", "Status", "Details/Metrics", "Recommendation"]; // Headers for detail sheets
+                     if (SHEET_EXTRA_HEADERS[sheetName]) headers = headers.concat(SHEET_EXTRA_HEADERS[sheetName]);
                  }
                  sheet.appendRow(headers);
                  sheet.getRange(1, 1, 1, headers.length).setFontWeight("bold");
@@ -205,10 +1312,16 @@ function getSheetNameForCategory(category) {
         case "Ad Copy":
         case "Ad Extensions (Assets)":
             return SHEET_NAMES.ADS_EXTENSIONS;
+        case "Search Terms":
+            return SHEET_NAMES.SEARCH_TERMS;
+        case "Performance Max & Shopping":
+            return SHEET_NAMES.PMAX_SHOPPING;
         case "Performance Metrics":
         case "Bidding Strategies":
         case "Campaign Optimization":
             return SHEET_NAMES.PERFORMANCE;
+        case "Configuration":
+            return SHEET_NAMES.STRUCTURE_SETTINGS;
         case "Conversion Tracking": // Often manual checks now
         case "Landing Pages": // Includes manual checks
         case "Audience Targeting": // Includes manual checks
@@ -223,193 +1336,2502 @@ function getSheetNameForCategory(category) {
 }
 
 /**
- * Adds a result row to the appropriate category array and logs it.
- * Also adds critical issues to a separate list.
- * @param {string} category - The audit category (e.g., "Keywords").
- * @param {string} item - The specific checklist item (e.g., "Negative Keywords").
- * @param {string} status - "Pass", "Fail", "Warn", "Info", "Error", "Skipped".
- * @param {string} details - Specific metrics or findings.
- * @param {string} recommendation - Actionable advice.
+ * Adds a result row to the appropriate category array and logs it.
+ * Also adds critical issues to a separate list.
+ * @param {string} category - The audit category (e.g., "Keywords").
+ * @param {string} item - The specific checklist item (e.g., "Negative Keywords").
+ * @param {string} status - "Pass", "Fail", "Warn", "Info", "Error", "Skipped".
+ * @param {string} details - Specific metrics or findings.
+ * @param {string} recommendation - Actionable advice.
+ * @param {Array=} extraColumns - Optional values for the sheet's extra columns (see SHEET_EXTRA_HEADERS).
+ * @param {Object=} entity - Optional entity the result is about: { type, id, name, metrics } (see createFinding).
+ */
+function addResult(category, item, status, details, recommendation, extraColumns, entity) {
+    var rowData = [category, item, status, details, recommendation];
+    if (extraColumns) rowData = rowData.concat(extraColumns);
+    var sheetName = getSheetNameForCategory(category);
+    FINDINGS.push(createFinding(rowData, entity));
+
+    // Ensure the array for the sheet exists
+    if (!ALL_RESULTS[sheetName]) {
+        ALL_RESULTS[sheetName] = [];
+    }
+    ALL_RESULTS[sheetName].push(rowData);
+
+    // Add to critical issues list if status is Fail
+    if (status === "Fail") {
+        CRITICAL_ISSUES.push(rowData);
+    }
+
+    // Log immediately as well
+    Logger.log("[" + status + "] " + category + " - " + item + ": " + details + " (" + recommendation + ")");
+}
+
+// --- Findings Functions ---
+
+/**
+ * Returns the checklist item code for a category and item, e.g., "KEYWORDS.LOW_QUALITY_SCORE_5".
+ * @param {string} category - The audit category.
+ * @param {string} item - The checklist item.
+ * @return {string} The upper-case code.
+ */
+function getChecklistItemCode(category, item) {
+    var slug = function(text) { return String(text).toUpperCase().replace(/&/g, "AND").replace(/[^A-Z0-9]+/g, "_").replace(/^_+|_+$/g, ""); };
+    return slug(category) + "." + slug(item);
+}
+
+/**
+ * Describes the entity a result is about, for addResult's entity argument.
+ * @param {string} type - Entity type: CAMPAIGN, AD_GROUP, KEYWORD ("adGroupId~criterionId"), AD ("adGroupId~adId"),
+ *                        ASSET_GROUP, ASSET, URL, SEARCH_TERM, PRODUCT or CONVERSION_ACTION.
+ * @param {string|number} id - Entity ID (the URL itself for URL entities).
+ * @param {string} name - Display name.
+ * @param {Object=} metrics - Metric values behind the result { name: number }.
+ * @return {Object} { type, id, name, metrics }
+ */
+function createEntity(type, id, name, metrics) {
+    return { type: type, id: String(id), name: name, metrics: metrics || {} };
+}
+
+/**
+ * Builds a structured finding from a result row. The ID is stable across runs: it hashes the account,
+ * item code and entity (type and ID), or, for results without an entity, the details with numbers masked
+ * (as in getFindingKey), so the same issue keeps its ID while its metrics change.
+ * @param {Array} rowData - The result row [category, item, status, details, recommendation, ...].
+ * @param {Object=} entity - { type: "CAMPAIGN"|"AD_GROUP"|"KEYWORD"|"AD"|"URL"|..., id, name, metrics: { name: number } }.
+ * @return {Object} { id, code, accountId, category, item, status, severity, entityType, entityId, entityName,
+ *                    metrics, details, recommendation, timestamp }.
+ */
+function createFinding(rowData, entity) {
+    var accountId = AdsApp.currentAccount().getCustomerId();
+    var code = getChecklistItemCode(rowData[0], rowData[1]);
+    var entityType = entity && entity.type ? entity.type : "ACCOUNT";
+    var entityId = entity && entity.id !== undefined && entity.id !== null ? String(entity.id) : accountId;
+    var basis = accountId + "|" + code + "|" + entityType + "|" + (entity && entity.id !== undefined && entity.id !== null ? entityId : getFindingKey(rowData));
+    var digest = Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, basis, Utilities.Charset.UTF_8);
+    var id = digest.slice(0, 8).map(function(b) { return ((b < 0 ? b + 256 : b) + 0x100).toString(16).substring(1); }).join("");
+
+    // The same entity can get a result for the same item more than once (e.g., two pinning issues); keep IDs unique
+    FINDING_ID_COUNTS[id] = (FINDING_ID_COUNTS[id] || 0) + 1;
+    if (FINDING_ID_COUNTS[id] > 1) id += "-" + FINDING_ID_COUNTS[id];
+
+    return {
+        id: id,
+        code: code,
+        accountId: accountId,
+        category: rowData[0],
+        item: rowData[1],
+        status: rowData[2],
+        severity: getScoreSettings(rowData[1]).severity,
+        entityType: entityType,
+        entityId: entityId,
+        entityName: entity && entity.name ? entity.name : "",
+        metrics: entity && entity.metrics ? entity.metrics : {},
+        details: rowData[3],
+        recommendation: rowData[4],
+        timestamp: new Date().toISOString()
+    };
+}
+
+/**
+ * Escapes a value for a CSV cell.
+ * @param {*} value - The value.
+ * @return {string} The CSV-safe value.
+ */
+function toCsvValue(value) {
+    var text = value === null || value === undefined ? "" : (typeof value === "object" ? JSON.stringify(value) : String(value));
+    return /[",\r\n]/.test(text) ? "\"" + text.replace(/"/g, "\"\"") + "\"" : text;
+}
+
+/**
+ * Returns the Drive folder for findings exports (CONFIG.FINDINGS_EXPORT_FOLDER_ID, or found/created by name).
+ * @return {Folder} The export folder.
+ */
+function getFindingsExportFolder() {
+    if (CONFIG.FINDINGS_EXPORT_FOLDER_ID) {
+        return DriveApp.getFolderById(CONFIG.FINDINGS_EXPORT_FOLDER_ID);
+    }
+    var folders = DriveApp.getFoldersByName(CONFIG.FINDINGS_EXPORT_FOLDER_NAME);
+    return folders.hasNext() ? folders.next() : DriveApp.createFolder(CONFIG.FINDINGS_EXPORT_FOLDER_NAME);
+}
+
+/**
+ * Writes a run's findings to the export folder as Google_Ads_Audit_Findings_[AccountID]_[date].json
+ * (findings plus run metadata and metrics) and .csv (one row per finding). Files from an earlier run on
+ * the same day are replaced. Throws on failure (reported by writeToResultSinks).
+ * @param {Object} run - The run built by writeToResultSinks().
+ */
+function exportFindings(run) {
+    var baseName = "Google_Ads_Audit_Findings_" + run.accountId + "_" + Utilities.formatDate(new Date(run.runTimestamp), run.timeZone, CONFIG.DATE_FORMAT);
+    var folder = getFindingsExportFolder();
+
+    var json = JSON.stringify({
+        runId: run.runId,
+        accountId: run.accountId,
+        accountName: run.accountName,
+        exportedAt: new Date().toISOString(),
+        spreadsheetUrl: run.spreadsheetUrl,
+        healthScore: run.healthScore,
+        metrics: run.metrics,
+        findings: run.findings
+    }, null, 2);
+
+    var columns = ["id", "code", "accountId", "category", "item", "status", "severity", "entityType", "entityId", "entityName", "metrics", "details", "recommendation", "timestamp"];
+    var csvLines = [columns.join(",")];
+    run.findings.forEach(function(finding) {
+        csvLines.push(columns.map(function(column) { return toCsvValue(finding[column]); }).join(","));
+    });
+
+    var writeFile = function(name, content, mimeType) {
+        var existing = folder.getFilesByName(name);
+        while (existing.hasNext()) existing.next().setTrashed(true);
+        folder.createFile(name, content, mimeType);
+    };
+    writeFile(baseName + ".json", json, MimeType.PLAIN_TEXT);
+    writeFile(baseName + ".csv", csvLines.join("\r\n"), MimeType.CSV);
+    Logger.log("Exported " + run.findings.length + " findings to Drive folder '" + folder.getName() + "' (" + baseName + ".json/.csv).");
+}
+
+
+
+// --- Result Sink Functions ---
+
+/**
+ * Returns the configured result sinks. A sink is an object { name, write(run) } where run is the object
+ * built by writeToResultSinks(); write() throws on failure. Set RESULT_SINKS to use other sinks instead
+ * (or pass a stand-in service to createBigQuerySink) to test outputs without Drive or BigQuery.
+ * @return {Array<Object>} The sinks to write to, in order.
+ */
+function getResultSinks() {
+    var sinks = [];
+    if (CONFIG.EXPORT_FINDINGS) {
+        sinks.push({ name: "Drive Export", write: exportFindings });
+    }
+    if (CONFIG.BIGQUERY_ENABLED) {
+        sinks.push(createBigQuerySink(typeof BigQuery !== "undefined" ? BigQuery : null));
+    }
+    return sinks;
+}
+
+/**
+ * Writes the current run (findings and metrics) to each sink. A failing sink is logged and does not
+ * stop the others.
+ * @param {Array<Object>} sinks - Result of getResultSinks() (or RESULT_SINKS).
+ */
+function writeToResultSinks(sinks) {
+    if (sinks.length === 0) return;
+    var account = AdsApp.currentAccount();
+    var run = {
+        runId: RUN_ID,
+        runTimestamp: new Date().toISOString(),
+        accountId: account.getCustomerId(),
+        accountName: account.getName(),
+        timeZone: account.getTimeZone(),
+        spreadsheetUrl: SPREADSHEET_URL,
+        healthScore: HEALTH_SCORES ? HEALTH_SCORES.overall : null,
+        findings: FINDINGS,
+        metrics: RUN_METRICS
+    };
+    sinks.forEach(function(sink) {
+        try {
+            sink.write(run);
+        } catch (e) {
+            Logger.log("Error writing results to " + sink.name + ": " + e);
+        }
+    });
+}
+
+/**
+ * Returns the BigQuery table definitions (schema and partitioning) for findings and metric snapshots.
+ * @return {Object} { findings: Table resource, metrics: Table resource } without the tableReference.
+ */
+function getBigQueryTableSchemas() {
+    var field = function(name, type, mode) { return { name: name, type: type, mode: mode || "NULLABLE" }; };
+    var runFields = [field("run_id", "STRING", "REQUIRED"), field("run_timestamp", "TIMESTAMP", "REQUIRED"), field("account_id", "STRING", "REQUIRED"), field("account_name", "STRING")];
+    var partitioning = { type: "DAY", field: "run_timestamp" };
+    return {
+        findings: {
+            description: "Google Ads audit findings, one row per result per run.",
+            timePartitioning: partitioning,
+            schema: { fields: runFields.concat([
+                field("finding_id", "STRING", "REQUIRED"), field("code", "STRING"), field("category", "STRING"), field("item", "STRING"),
+                field("status", "STRING"), field("severity", "STRING"), field("entity_type", "STRING"), field("entity_id", "STRING"),
+                field("entity_name", "STRING"), field("metrics", "STRING"), field("details", "STRING"), field("recommendation", "STRING"),
+                field("finding_timestamp", "TIMESTAMP")
+            ]) }
+        },
+        metrics: {
+            description: "Google Ads audit key metrics, one row per metric per run.",
+            timePartitioning: partitioning,
+            schema: { fields: runFields.concat([field("metric_name", "STRING", "REQUIRED"), field("metric_value", "FLOAT")]) }
+        }
+    };
+}
+
+/**
+ * Creates a sink that streams findings and metric snapshots to BigQuery, creating the dataset and
+ * tables first if they do not exist.
+ * @param {Object} service - The BigQuery advanced service (or a stand-in with the same Datasets, Tables
+ *                           and Tabledata methods).
+ * @return {Object} Sink { name, write(run) }.
+ */
+function createBigQuerySink(service) {
+    var projectId = CONFIG.BIGQUERY_PROJECT_ID;
+    var datasetId = CONFIG.BIGQUERY_DATASET_ID;
+
+    var exists = function(getter) {
+        try {
+            getter();
+            return true;
+        } catch (e) {
+            if (/not found|404/i.test(String(e))) return false;
+            throw e;
+        }
+    };
+
+    var ensureTable = function(tableId, definition) {
+        if (exists(function() { service.Tables.get(projectId, datasetId, tableId); })) return;
+        definition.tableReference = { projectId: projectId, datasetId: datasetId, tableId: tableId };
+        service.Tables.insert(definition, projectId, datasetId);
+        Logger.log("Created BigQuery table " + datasetId + "." + tableId + ".");
+    };
+
+    var insertRows = function(tableId, rows) {
+        for (var start = 0; start < rows.length; start += CONFIG.BIGQUERY_INSERT_BATCH_SIZE) {
+            var response = service.Tabledata.insertAll({ kind: "bigquery#tableDataInsertAllRequest", rows: rows.slice(start, start + CONFIG.BIGQUERY_INSERT_BATCH_SIZE) }, projectId, datasetId, tableId);
+            if (response && response.insertErrors && response.insertErrors.length > 0) {
+                throw new Error(response.insertErrors.length + " row(s) rejected by " + tableId + ": " + JSON.stringify(response.insertErrors[0].errors));
+            }
+        }
+    };
+
+    return {
+        name: "BigQuery",
+        write: function(run) {
+            if (!service) throw new Error("BigQuery advanced service is not enabled for this script.");
+            if (!projectId) throw new Error("CONFIG.BIGQUERY_PROJECT_ID is empty.");
+
+            if (!exists(function() { service.Datasets.get(projectId, datasetId); })) {
+                service.Datasets.insert({ datasetReference: { projectId: projectId, datasetId: datasetId } }, projectId);
+                Logger.log("Created BigQuery dataset " + datasetId + ".");
+            }
+            var schemas = getBigQueryTableSchemas();
+            ensureTable(CONFIG.BIGQUERY_FINDINGS_TABLE, schemas.findings);
+            ensureTable(CONFIG.BIGQUERY_METRICS_TABLE, schemas.metrics);
+
+            var runColumns = { run_id: run.runId, run_timestamp: run.runTimestamp, account_id: run.accountId, account_name: run.accountName };
+            var withRunColumns = function(values) {
+                for (var column in runColumns) values[column] = runColumns[column];
+                return values;
+            };
+            var findingRows = run.findings.map(function(f) {
+                return { insertId: run.runId + ":" + f.id, json: withRunColumns({
+                    finding_id: f.id, code: f.code, category: f.category, item: f.item, status: f.status, severity: f.severity,
+                    entity_type: f.entityType, entity_id: f.entityId, entity_name: f.entityName, metrics: JSON.stringify(f.metrics),
+                    details: String(f.details), recommendation: String(f.recommendation), finding_timestamp: f.timestamp
+                }) };
+            });
+            var metricRows = Object.keys(run.metrics).map(function(name) {
+                return { insertId: run.runId + ":" + name, json: withRunColumns({ metric_name: name, metric_value: Number(run.metrics[name]) }) };
+            });
+            insertRows(CONFIG.BIGQUERY_FINDINGS_TABLE, findingRows);
+            insertRows(CONFIG.BIGQUERY_METRICS_TABLE, metricRows);
+            Logger.log("Streamed " + findingRows.length + " findings and " + metricRows.length + " metrics to BigQuery (" + datasetId + ", run " + run.runId + ").");
+        }
+    };
+}
+
+
+/**
+ * Populates the Overview sheet with summary data.
+ */
+function populateOverviewSheet() {
+    if (!SPREADSHEET_ID) return;
+    Logger.log("Populating Overview Sheet...");
+
+    try {
+        var spreadsheet = SpreadsheetApp.openById(SPREADSHEET_ID);
+        var overviewSheet = spreadsheet.getSheetByName(SHEET_NAMES.OVERVIEW);
+        // Clear content below header row (Row 1)
+        if (overviewSheet.getLastRow() > 1) {
+            overviewSheet.getRange(2, 1, overviewSheet.getLastRow() - 1, overviewSheet.getMaxColumns()).clearContent().clearFormat();
+        }
+        overviewSheet.setColumnWidths(1, 3, 400); // Reset column widths after clearing
+
+        var failCount = 0;
+        var warnCount = 0;
+
+        // --- Summary Section ---
+        overviewSheet.appendRow(["--- AUDIT SUMMARY ---", "", ""]);
+        var summaryHeaderRange = overviewSheet.getRange(overviewSheet.getLastRow(), 1, 1, 3);
+        summaryHeaderRange.merge().setFontWeight("bold").setBackground("#D3D3D3").setHorizontalAlignment("center");
+
+
+        // Calculate Fails/Warns per category
+        var counts = getIssueCountsBySheet();
+        var issueCounts = counts.bySheet;
+        var sheetOrder = counts.sheetOrder;
+        failCount = counts.fails;
+        warnCount = counts.warns;
+
+        var summaryStartRow = overviewSheet.getLastRow() + 1;
+        overviewSheet.appendRow(["Total Critical Issues (Fail)", failCount, "Review items marked 'Fail' below and in respective sheets."]);
+        overviewSheet.appendRow(["Total Warnings (Warn)", warnCount, "Review items marked 'Warn' in respective sheets."]);
+        overviewSheet.appendRow(["Issue Counts by Area:", "", ""]); // Sub-header
+
+        sheetOrder.forEach(function(sheetName) {
+             if (issueCounts[sheetName]) {
+                 overviewSheet.appendRow([sheetName, "Fails: " + issueCounts[sheetName].fails + ", Warns: " + issueCounts[sheetName].warns, "See '" + sheetName + "' sheet for details."]);
+             }
+        });
+         overviewSheet.appendRow(["", "", ""]); // Spacer
+
+
+        // --- Health Score Section ---
+        if (HEALTH_SCORES && HEALTH_SCORES.overall !== null) {
+            appendHealthScoresToOverview(overviewSheet);
+        }
+
+        // --- Run-over-Run Section ---
+        if (RUN_DIFF) {
+            appendRunDiffToOverview(overviewSheet);
+        }
+
+        // --- Critical Issues Section ---
+         overviewSheet.appendRow(["--- CRITICAL ISSUES (FAIL) ---", "", ""]);
+         var criticalHeaderRange = overviewSheet.getRange(overviewSheet.getLastRow(), 1, 1, 3);
+         criticalHeaderRange.merge().setFontWeight("bold").setBackground("#FFCCCB").setHorizontalAlignment("center"); // Light red background
+
+        if (CRITICAL_ISSUES.length > 0) {
+            CRITICAL_ISSUES.forEach(function(issue) {
+                // Format: [Category - Item, Details, Recommendation]
+                overviewSheet.appendRow([issue[0] + " - " + issue[1], issue[3], issue[4]]);
+            });
+        } else {
+            overviewSheet.appendRow(["No critical 'Fail' issues found.", "", ""]);
+        }
+
+        // Apply formatting to summary counts
+        overviewSheet.getRange(summaryStartRow, 2).setBackground(failCount > 0 ? "#FFCCCB" : "#90EE90").setFontWeight("bold"); // Red if fails, green if none
+        overviewSheet.getRange(summaryStartRow + 1, 2).setBackground(warnCount > 0 ? "#FFFFE0" : "#90EE90").setFontWeight("bold"); // Yellow if warns, green if none
+
+
+    } catch (e) {
+        Logger.log("Error populating overview sheet: " + e);
+    }
+
+}
+
+
+/**
+ * Counts Fail and Warn results per result sheet, in Overview order.
+ * @return {Object} { fails, warns, sheetOrder, bySheet: { sheetName: { fails, warns } } } (only sheets with issues are in bySheet).
+ */
+function getIssueCountsBySheet() {
+    var counts = { fails: 0, warns: 0, bySheet: {} };
+    counts.sheetOrder = [ // Define order for summary
+        SHEET_NAMES.PERFORMANCE,
+        SHEET_NAMES.STRUCTURE_SETTINGS,
+        SHEET_NAMES.KEYWORDS_ADGROUPS,
+        SHEET_NAMES.ADS_EXTENSIONS,
+        SHEET_NAMES.SEARCH_TERMS,
+        SHEET_NAMES.PMAX_SHOPPING,
+        SHEET_NAMES.MANUAL_CHECKS
+    ];
+
+    counts.sheetOrder.forEach(function(sheetName) {
+        if (!ALL_RESULTS[sheetName]) return; // Skip if no results for this sheet
+
+        var categoryFails = 0;
+        var categoryWarns = 0;
+        ALL_RESULTS[sheetName].forEach(function(row) {
+            if (row[2] === "Fail") categoryFails++;
+            if (row[2] === "Warn") categoryWarns++;
+        });
+        counts.fails += categoryFails;
+        counts.warns += categoryWarns;
+        if (categoryFails > 0 || categoryWarns > 0) {
+            counts.bySheet[sheetName] = { fails: categoryFails, warns: categoryWarns };
+        }
+    });
+    return counts;
+}
+
+
+/**
+ * Writes all collected audit results to the respective sheets in the Google Sheet.
+ */
+function writeResultsToSpreadsheet() {
+    if (!SPREADSHEET_ID) {
+        Logger.log("Spreadsheet not initialized. Cannot write results.");
+        return;
+    }
+
+    try {
+        var spreadsheet = SpreadsheetApp.openById(SPREADSHEET_ID);
+
+        for (var sheetName in ALL_RESULTS) {
+            if (sheetName === SHEET_NAMES.OVERVIEW) continue; // Overview is handled separately
+
+            var sheet = spreadsheet.getSheetByName(sheetName);
+            if (!sheet) {
+                Logger.log("Warning: Sheet '" + sheetName + "' not found. Skipping results for this category.");
+                continue;
+            }
+
+            var results = ALL_RESULTS[sheetName];
+            if (results.length === 0) {
+                Logger.log("No results to write for sheet: " + sheetName);
+                // Clear old data if sheet exists but has no new results
+                if (sheet.getLastRow() > 1) {
+                   sheet.getRange(2, 1, sheet.getLastRow() - 1, sheet.getMaxColumns()).clearContent().clearFormat();
+                }
+                continue; // Skip empty sheets
+            }
+
+            // Clear existing data below header before writing new data (redundant with initialize, but safe)
+             if (sheet.getLastRow() > 1) {
+                sheet.getRange(2, 1, sheet.getLastRow() - 1, sheet.getMaxColumns()).clearContent().clearFormat();
+            }
+
+            // Pad rows to a common width (sheets with extra columns also hold plain summary rows)
+            var width = 0;
+            results.forEach(function(row) { width = Math.max(width, row.length); });
+            results = results.map(function(row) {
+                while (row.length < width) row.push("");
+                return row;
+            });
+
+            var startRow = 2; // Always start writing data from row 2
+            sheet.getRange(startRow, 1, results.length, width).setValues(results);
+            Logger.log("Successfully wrote " + results.length + " findings to sheet: " + sheetName);
+
+            // Conditional formatting removed due to API errors
+            // Logger.log("Conditional formatting skipped for sheet '" + sheetName + "' due to API limitations.");
+
+            // Auto-resize columns
+            for (var i = 1; i <= width; i++) {
+                try { // Wrap auto-resize in try-catch as well, just in case
+                    sheet.autoResizeColumn(i);
+                } catch (resizeError) {
+                     Logger.log("Error auto-resizing column " + i + " on sheet '" + sheetName + "': " + resizeError);
+                }
+            }
+        } // End loop through sheets
+
+    } catch (e) {
+        Logger.log("Error writing results to spreadsheet: " + e);
+        if (e.message) {
+            Logger.log("Error message: " + e.message);
+        }
+        if (e.stack) {
+            Logger.log("Error stack: " + e.stack);
+        }
+        // Log results here if writing failed
+        Logger.log("Logging results here due to spreadsheet write error:");
+        for (var sheetName in ALL_RESULTS) {
+             Logger.log("--- Results for " + sheetName + " ---");
+             ALL_RESULTS[sheetName].forEach(function(row) {
+                 Logger.log(row.join(" | "));
+             });
+        }
+    }
+}
+
+
+// --- History Functions ---
+
+/**
+ * Records a key metric for this run so it can be tracked over time in the history store.
+ * @param {string} name - Metric name (e.g., "Account CTR").
+ * @param {number} value - Metric value.
+ */
+function recordMetric(name, value) {
+    if (typeof value === 'number' && isFinite(value)) {
+        RUN_METRICS[name] = value;
+    }
+}
+
+/**
+ * Builds a stable identity for a finding so it can be matched across runs.
+ * Numbers in the details (spend, counts, percentages) change between runs, so they are masked.
+ * @param {Array} row - A result row [category, item, status, details, recommendation, ...].
+ * @return {string} The finding key.
+ */
+function getFindingKey(row) {
+    var details = String(row[3]).replace(/-?\d+([.,]\d+)*%?/g, "#");
+    return row[0] + " | " + row[1] + " | " + details;
+}
+
+/**
+ * Opens (or creates) the history log spreadsheet.
+ * @return {Spreadsheet} The history spreadsheet.
+ */
+function getHistorySpreadsheet() {
+    var spreadsheet;
+    // Child accounts audited in parallel each get their own log, so concurrent runs don't overwrite each other
+    var historyName = CONFIG.HISTORY_SPREADSHEET_NAME + (AUDITING_CHILD_ACCOUNT ? "_" + AdsApp.currentAccount().getCustomerId() : "");
+    if (CONFIG.HISTORY_SPREADSHEET_URL && !AUDITING_CHILD_ACCOUNT) {
+        spreadsheet = SpreadsheetApp.openByUrl(CONFIG.HISTORY_SPREADSHEET_URL);
+    } else {
+        var files = DriveApp.getFilesByName(historyName);
+        if (files.hasNext()) {
+            spreadsheet = SpreadsheetApp.open(files.next());
+        } else {
+            spreadsheet = SpreadsheetApp.create(historyName);
+            Logger.log("Created history spreadsheet: " + historyName);
+            try { spreadsheet.getSheetByName('Sheet1').setName(HISTORY_SHEET_NAME + " " + AdsApp.currentAccount().getCustomerId()); } catch(e) {/* Ignore if already renamed */}
+        }
+    }
+    return spreadsheet;
+}
+
+/**
+ * Returns an account's History sheet in the history log spreadsheet, creating it if needed.
+ * Runs are appended oldest first, so a run only reads and writes its own recent rows.
+ * @param {string} accountId - The account ID.
+ * @return {Sheet} The account's History sheet.
+ */
+function getHistorySheet(accountId) {
+    var spreadsheet = getHistorySpreadsheet();
+    var sheetName = HISTORY_SHEET_NAME + " " + accountId;
+    var sheet = spreadsheet.getSheetByName(sheetName) || spreadsheet.insertSheet(sheetName);
+    if (sheet.getLastRow() === 0) {
+        sheet.appendRow(HISTORY_HEADERS);
+        sheet.getRange(1, 1, 1, HISTORY_HEADERS.length).setFontWeight("bold");
+        sheet.setFrozenRows(1);
+    }
+    sheet.getRange("A:A").setNumberFormat("@"); // Keep run dates as plain text
+    return sheet;
+}
+
+/**
+ * Saves this run's Fail/Warn findings and key metrics to the account's history sheet (replacing any
+ * earlier run from the same date, pruning the oldest beyond HISTORY_MAX_RUNS), compares them against
+ * the previous run and stores the comparison in RUN_DIFF for the Overview sheet.
+ * Checklist Items: Key metrics tracked over time, Trends and anomalies identified.
+ */
+function updateAuditHistory() {
+    var category = "Reporting & Insights";
+    Logger.log("Updating audit history...");
+
+    try {
+        var account = AdsApp.currentAccount();
+        var accountId = account.getCustomerId();
+        var runDate = Utilities.formatDate(new Date(), account.getTimeZone(), "yyyy-MM-dd");
+
+        // Current findings & summary metrics
+        var currentFindings = {};
+        var failCount = 0;
+        var warnCount = 0;
+        for (var sheetName in ALL_RESULTS) {
+            ALL_RESULTS[sheetName].forEach(function(row) {
+                if (row[2] !== "Fail" && row[2] !== "Warn") return;
+                if (row[2] === "Fail") failCount++; else warnCount++;
+                currentFindings[getFindingKey(row)] = { category: row[0], item: row[1], status: row[2], details: row[3] };
+            });
+        }
+        recordMetric("Total Fail Items", failCount);
+        recordMetric("Total Warn Items", warnCount);
+
+        // Locate stored runs; read only the previous one
+        var sheet = getHistorySheet(accountId);
+        var columnCount = HISTORY_HEADERS.length;
+        var blocks = getHistoryBlocks(sheet);
+        var replacedBlock = blocks.length > 0 && blocks[blocks.length - 1].date === runDate ? blocks.pop() : null; // Same date, replaced by this run
+        var previousBlock = blocks.length > 0 ? blocks[blocks.length - 1] : null;
+        var previousDate = previousBlock ? previousBlock.date : null;
+
+        // Compare with the previous run
+        if (previousBlock) {
+            var previousFindings = {};
+            var previousMetrics = {};
+            sheet.getRange(previousBlock.startRow, 1, previousBlock.rowCount, columnCount).getValues().forEach(function(r) {
+                if (r[1] === "Finding") previousFindings[r[2]] = { category: r[3], item: r[4], status: r[5], details: r[7] };
+                else if (r[1] === "Metric") previousMetrics[r[2]] = Number(r[6]);
+            });
+
+            RUN_DIFF = { previousDate: previousDate, newItems: [], resolvedItems: [], persistingItems: [], metricDeltas: [] };
+            for (var key in currentFindings) {
+                if (previousFindings[key]) RUN_DIFF.persistingItems.push(currentFindings[key]);
+                else RUN_DIFF.newItems.push(currentFindings[key]);
+            }
+            for (var prevKey in previousFindings) {
+                if (!currentFindings[prevKey]) RUN_DIFF.resolvedItems.push(previousFindings[prevKey]);
+            }
+            for (var metricName in RUN_METRICS) {
+                if (!(metricName in previousMetrics) || isNaN(previousMetrics[metricName])) continue;
+                var previousValue = previousMetrics[metricName];
+                var currentValue = RUN_METRICS[metricName];
+                var relativeChange = previousValue !== 0 ? (currentValue - previousValue) / Math.abs(previousValue) : (currentValue !== 0 ? 1 : 0);
+                RUN_DIFF.metricDeltas.push({ name: metricName, previous: previousValue, current: currentValue, relativeChange: relativeChange });
+            }
+
+            addResult(category, "Key Metric Tracking", "Pass", "Run saved to history; compared with the run from " + previousDate + " (" + blocks.length + " earlier run(s) stored).", "See the run-over-run section on the Overview sheet.");
+            var anomalies = RUN_DIFF.metricDeltas.filter(function(d) { return Math.abs(d.relativeChange) >= CONFIG.HISTORY_ANOMALY_THRESHOLD; });
+            if (anomalies.length > 0) {
+                addResult(category, "Trend & Anomaly Identification", "Warn", anomalies.length + " metric(s) changed by " + (CONFIG.HISTORY_ANOMALY_THRESHOLD * 100) + "% or more since " + previousDate + ": " + anomalies.map(function(d) { return d.name + " " + formatMetricValue(d.name, d.previous) + " -> " + formatMetricValue(d.name, d.current); }).join(", ") + ".", "Investigate what changed (budgets, bids, tracking, seasonality) for these metrics.");
+            } else {
+                addResult(category, "Trend & Anomaly Identification", "Pass", "No metric changed by " + (CONFIG.HISTORY_ANOMALY_THRESHOLD * 100) + "% or more since " + previousDate + ". New issues: " + RUN_DIFF.newItems.length + ", Resolved: " + RUN_DIFF.resolvedItems.length + ".", "Keep the audit scheduled to track trends.");
+            }
+        } else {
+            addResult(category, "Key Metric Tracking", "Info", "First run saved to history for account " + accountId + ".", "Run-over-run comparison will appear on the Overview from the next run.");
+            addResult(category, "Trend & Anomaly Identification", "Info", "No previous run to compare against yet.", "Schedule the audit to build up history.");
+        }
+
+        // Write this run over the same date's rows, or append it
+        var newRows = [];
+        for (var findingKey in currentFindings) {
+            var f = currentFindings[findingKey];
+            newRows.push([runDate, "Finding", findingKey, f.category, f.item, f.status, "", f.details]);
+        }
+        for (var name in RUN_METRICS) {
+            newRows.push([runDate, "Metric", name, "", "", "", RUN_METRICS[name], ""]);
+        }
+        if (replacedBlock) {
+            sheet.getRange(replacedBlock.startRow, 1, replacedBlock.rowCount, columnCount).clearContent();
+        }
+        var writeRow = replacedBlock ? replacedBlock.startRow : sheet.getLastRow() + 1;
+        if (newRows.length > 0) {
+            sheet.getRange(writeRow, 1, newRows.length, columnCount).setValues(newRows);
+        }
+
+        // Prune the oldest runs (at the top) beyond HISTORY_MAX_RUNS
+        var expiredRowCount = 0;
+        blocks.slice(0, Math.max(0, blocks.length - (CONFIG.HISTORY_MAX_RUNS - 1))).forEach(function(block) { expiredRowCount += block.rowCount; });
+        if (expiredRowCount > 0 && newRows.length > 0) {
+            sheet.deleteRows(2, expiredRowCount);
+        }
+        Logger.log("Saved " + Object.keys(currentFindings).length + " findings and " + Object.keys(RUN_METRICS).length + " metrics to history for " + runDate + ".");
+
+    } catch (e) {
+        RUN_DIFF = null;
+        addResult(category, "Audit History", "Error", "Could not update the audit history: " + e, "Check Drive/Sheets permissions and HISTORY_SPREADSHEET_URL.");
+    }
+}
+
+/**
+ * Formats a metric value for display, showing the metrics listed in PERCENT_METRICS as percentages.
+ * @param {string} name - Metric name.
+ * @param {number} value - Metric value.
+ * @return {string} The formatted value.
+ */
+function formatMetricValue(name, value) {
+    if (PERCENT_METRICS.indexOf(name) !== -1) return (value * 100).toFixed(2) + "%";
+    return (Math.round(value * 100) / 100).toString();
+}
+
+/**
+ * Returns an account's Quality Score History sheet in the history log spreadsheet, creating it if needed.
+ * Snapshots are appended oldest first, so a run only reads and writes its own recent rows.
+ * @param {string} accountId - The account ID.
+ * @return {Sheet} The account's Quality Score History sheet.
+ */
+function getQsHistorySheet(accountId) {
+    var spreadsheet = getHistorySpreadsheet();
+    var sheetName = QS_HISTORY_SHEET_NAME + " " + accountId;
+    var sheet = spreadsheet.getSheetByName(sheetName) || spreadsheet.insertSheet(sheetName);
+    if (sheet.getLastRow() === 0) {
+        sheet.appendRow(QS_HISTORY_HEADERS);
+        sheet.getRange(1, 1, 1, QS_HISTORY_HEADERS.length).setFontWeight("bold");
+        sheet.setFrozenRows(1);
+    }
+    sheet.getRange("A:B").setNumberFormat("@"); // Keep dates and keyword keys as plain text
+    return sheet;
+}
+
+/**
+ * Locates the runs or snapshots in a History or Quality Score History sheet by reading only its date column.
+ * @param {Sheet} sheet - Sheet from getHistorySheet() or getQsHistorySheet().
+ * @return {Array<Object>} { date, startRow, rowCount } per run or snapshot, oldest first.
+ */
+function getHistoryBlocks(sheet) {
+    var lastRow = sheet.getLastRow();
+    if (lastRow < 2) return [];
+    var blocks = [];
+    sheet.getRange(2, 1, lastRow - 1, 1).getValues().forEach(function(r, index) {
+        var date = String(r[0]);
+        var block = blocks[blocks.length - 1];
+        if (block && block.date === date) block.rowCount++;
+        else blocks.push({ date: date, startRow: index + 2, rowCount: 1 });
+    });
+    return blocks;
+}
+
+/**
+ * Returns the date a Quality Score snapshot taken today is filed under: today for DAILY,
+ * the Monday of this week for WEEKLY.
+ * @return {string} The snapshot date (yyyy-MM-dd, account time zone).
+ */
+function getQsSnapshotDate() {
+    var timeZone = AdsApp.currentAccount().getTimeZone();
+    var now = new Date();
+    if (CONFIG.QS_HISTORY_FREQUENCY === "WEEKLY") {
+        var dayOfWeek = Number(Utilities.formatDate(now, timeZone, "u")); // 1 = Monday ... 7 = Sunday
+        now = new Date(now.getTime() - (dayOfWeek - 1) * 24 * 3600 * 1000);
+    }
+    return Utilities.formatDate(now, timeZone, "yyyy-MM-dd");
+}
+
+/**
+ * Computes the impression-weighted average Quality Score of a set of snapshot entries
+ * (falls back to the simple average when no entry has impressions).
+ * @param {Array<Object>} entries - Entries with { qualityScore, impressions }.
+ * @return {number|null} The weighted QS, or null if there are no entries.
+ */
+function getWeightedQualityScore(entries) {
+    if (entries.length === 0) return null;
+    var weightedSum = 0;
+    var impressions = 0;
+    var simpleSum = 0;
+    entries.forEach(function(entry) {
+        weightedSum += entry.qualityScore * entry.impressions;
+        impressions += entry.impressions;
+        simpleSum += entry.qualityScore;
+    });
+    return impressions > 0 ? weightedSum / impressions : simpleSum / entries.length;
+}
+
+/**
+ * Saves this run's per-keyword Quality Score snapshot to the history store (replacing any snapshot
+ * from the same period, pruning the oldest beyond QS_HISTORY_MAX_SNAPSHOTS) and reports keywords whose
+ * QS dropped, components whose rating fell, and the impression-weighted account QS trend over recent
+ * snapshots. Only the QS_HISTORY_MAX_KEYWORDS keywords with the most impressions are stored and compared.
+ * @param {string} category - The category to report under.
+ * @param {Array<Object>} snapshot - Entries { key, campaign, adGroup, keyword, matchType, qualityScore,
+ *                                   adRelevance, expectedCtr, landingPage, impressions, cost }.
+ */
+function updateQualityScoreHistory(category, snapshot) {
+    var accountId = AdsApp.currentAccount().getCustomerId();
+    var snapshotDate = getQsSnapshotDate();
+    var componentRanks = { BELOW_AVERAGE: 1, AVERAGE: 2, ABOVE_AVERAGE: 3 };
+    var componentNames = { adRelevance: "Ad Relevance", expectedCtr: "Expected CTR", landingPage: "Landing Page Exp." };
+
+    // Highest-impression keywords only, so snapshots stay within the spreadsheet cell limit
+    var storedSnapshot = snapshot.slice().sort(function(a, b) { return b.impressions - a.impressions; }).slice(0, CONFIG.QS_HISTORY_MAX_KEYWORDS);
+
+    // Locate stored snapshots; read only the recent ones used for keyword changes and the trend
+    var sheet = getQsHistorySheet(accountId);
+    var columnCount = QS_HISTORY_HEADERS.length;
+    var blocks = getHistoryBlocks(sheet);
+    var replacedBlock = blocks.length > 0 && blocks[blocks.length - 1].date === snapshotDate ? blocks.pop() : null; // Same period, replaced by this run
+    var recentBlocks = blocks.slice(-5); // With this snapshot, the 6 trend points reported
+    var snapshotsByDate = {}; // Recent earlier snapshots: date -> rows
+    if (recentBlocks.length > 0) {
+        var firstRow = recentBlocks[0].startRow;
+        var lastBlock = recentBlocks[recentBlocks.length - 1];
+        var recentRows = sheet.getRange(firstRow, 1, lastBlock.startRow + lastBlock.rowCount - firstRow, columnCount).getValues();
+        recentBlocks.forEach(function(block) {
+            snapshotsByDate[block.date] = recentRows.slice(block.startRow - firstRow, block.startRow - firstRow + block.rowCount);
+        });
+    }
+    var previousDates = recentBlocks.map(function(block) { return block.date; });
+    var toEntry = function(r) {
+        return { key: String(r[1]), qualityScore: Number(r[6]), adRelevance: r[7], expectedCtr: r[8], landingPage: r[9], impressions: Number(r[10]) || 0 };
+    };
+
+    // Keyword-level changes against the previous snapshot
+    var weightedQs = getWeightedQualityScore(storedSnapshot);
+    if (previousDates.length > 0) {
+        var previousDate = previousDates[previousDates.length - 1];
+        var previousByKey = {};
+        snapshotsByDate[previousDate].forEach(function(r) { previousByKey[String(r[1])] = toEntry(r); });
+        var drops = 0;
+        var componentDowngrades = 0;
+        var componentUpgrades = 0;
+
+        storedSnapshot.forEach(function(entry) {
+            var previous = previousByKey[entry.key];
+            if (!previous) return;
+            var changes = [];
+            var downgraded = false;
+            for (var field in componentNames) {
+                var before = componentRanks[previous[field]];
+                var after = componentRanks[entry[field]];
+                if (!before || !after || before === after) continue;
+                changes.push(componentNames[field] + " " + previous[field] + " -> " + entry[field]);
+                if (after < before) { downgraded = true; componentDowngrades++; } else { componentUpgrades++; }
+            }
+            var keywordLabel = "Keyword '" + entry.keyword + "' (" + entry.matchType + ") in Ad Group '" + entry.adGroup + "' (" + entry.campaign + ")";
+            var keywordEntity = createEntity("KEYWORD", entry.key.replace(":", "~"), entry.keyword + " (" + entry.matchType + ")", { qualityScore: entry.qualityScore, previousQualityScore: previous.qualityScore });
+            if (previous.qualityScore - entry.qualityScore >= CONFIG.QS_DROP_THRESHOLD) {
+                drops++;
+                addResult(category, "Quality Score Drop", "Warn", keywordLabel + " QS fell " + previous.qualityScore + " -> " + entry.qualityScore + " since " + previousDate + (changes.length > 0 ? ". Component changes: " + changes.join(", ") : "") + ".", "Check what changed for this keyword (ads, landing page, competition) and fix the downgraded components.", null, keywordEntity);
+            } else if (downgraded) {
+                addResult(category, "Quality Score Component Change", "Warn", keywordLabel + " (QS " + entry.qualityScore + "): " + changes.join(", ") + " since " + previousDate + ".", "Address the downgraded component before it lowers the Quality Score.", null, keywordEntity);
+            }
+        });
+        if (drops === 0) addResult(category, "Quality Score Drop", "Pass", "No keyword's QS fell by " + CONFIG.QS_DROP_THRESHOLD + " or more since " + previousDate + ".", "Good.");
+        addResult(category, "Quality Score Component Changes", "Info", componentDowngrades + " component rating(s) fell and " + componentUpgrades + " improved since " + previousDate + ".", "N/A");
+
+        // Account trend (impression-weighted QS per snapshot)
+        var series = previousDates.map(function(date) {
+            return { date: date, qs: getWeightedQualityScore(snapshotsByDate[date].map(toEntry)) };
+        }).concat([{ date: snapshotDate, qs: weightedQs }]);
+        var previousQs = series[series.length - 2].qs;
+        var seriesText = series.map(function(point) { return point.date + ": " + (point.qs === null ? "N/A" : point.qs.toFixed(2)); }).join(", ");
+        if (weightedQs !== null && previousQs !== null && previousQs - weightedQs >= CONFIG.QS_TREND_THRESHOLD) {
+            addResult(category, "Quality Score Trend", "Warn", "Impression-weighted QS fell from " + previousQs.toFixed(2) + " to " + weightedQs.toFixed(2) + " since " + previousDate + ". Recent snapshots: " + seriesText + ".", "Review the Quality Score Drop rows; focus on the high-impression keywords that pull the weighted score down.");
+        } else {
+            addResult(category, "Quality Score Trend", "Pass", "Impression-weighted QS " + (weightedQs === null ? "N/A" : weightedQs.toFixed(2)) + " (previous " + (previousQs === null ? "N/A" : previousQs.toFixed(2)) + " on " + previousDate + "). Recent snapshots: " + seriesText + ".", "Keep tracking; QS changes lag behind ad and landing page improvements.");
+        }
+    } else {
+        addResult(category, "Quality Score Trend", "Info", "First Quality Score snapshot saved (" + storedSnapshot.length + " keywords, " + CONFIG.QS_HISTORY_FREQUENCY + ").", "Drops and component changes will be reported from the next snapshot period.");
+    }
+    if (snapshot.length > storedSnapshot.length) {
+        addResult(category, "Quality Score History Coverage", "Info", "QS history tracks the " + storedSnapshot.length + " keywords with the most impressions out of " + snapshot.length + " with a Quality Score (QS_HISTORY_MAX_KEYWORDS).", "Raise QS_HISTORY_MAX_KEYWORDS to track more keywords, keeping rows x snapshots within the 10 million cell limit.");
+    }
+
+    // Write this snapshot over the same period's rows, or append it
+    var newRows = storedSnapshot.map(function(entry) {
+        return [snapshotDate, entry.key, entry.campaign, entry.adGroup, entry.keyword, entry.matchType, entry.qualityScore, entry.adRelevance, entry.expectedCtr, entry.landingPage, entry.impressions, entry.cost];
+    });
+    if (replacedBlock) {
+        sheet.getRange(replacedBlock.startRow, 1, replacedBlock.rowCount, columnCount).clearContent();
+    }
+    var writeRow = replacedBlock ? replacedBlock.startRow : sheet.getLastRow() + 1;
+    if (newRows.length > 0) {
+        sheet.getRange(writeRow, 1, newRows.length, columnCount).setValues(newRows);
+    }
+
+    // Prune the oldest snapshots (at the top) beyond QS_HISTORY_MAX_SNAPSHOTS
+    var expiredRowCount = 0;
+    blocks.slice(0, Math.max(0, blocks.length - (CONFIG.QS_HISTORY_MAX_SNAPSHOTS - 1))).forEach(function(block) { expiredRowCount += block.rowCount; });
+    if (expiredRowCount > 0 && newRows.length > 0) {
+        sheet.deleteRows(2, expiredRowCount);
+    }
+    Logger.log("Saved Quality Score snapshot for " + storedSnapshot.length + " keywords (" + snapshotDate + ")" + (expiredRowCount > 0 ? ", pruned " + expiredRowCount + " rows of older snapshots." : "."));
+}
+
+/**
+ * Appends the run-over-run comparison (new, resolved and persisting Fail/Warn items plus
+ * metric deltas) to the Overview sheet.
+ * @param {Sheet} overviewSheet - The Overview sheet.
+ */
+function appendRunDiffToOverview(overviewSheet) {
+    overviewSheet.appendRow(["--- CHANGES SINCE LAST RUN (" + RUN_DIFF.previousDate + ") ---", "", ""]);
+    overviewSheet.getRange(overviewSheet.getLastRow(), 1, 1, 3).merge().setFontWeight("bold").setBackground("#CFE2F3").setHorizontalAlignment("center");
+
+    overviewSheet.appendRow(["New Fail/Warn Items", RUN_DIFF.newItems.length, "Issues that appeared since the previous run."]);
+    overviewSheet.appendRow(["Resolved Items", RUN_DIFF.resolvedItems.length, "Issues from the previous run that no longer appear."]);
+    overviewSheet.appendRow(["Persisting Items", RUN_DIFF.persistingItems.length, "Issues present in both runs."]);
+
+    if (RUN_DIFF.metricDeltas.length > 0) {
+        overviewSheet.appendRow(["Metric Changes:", "", ""]);
+        RUN_DIFF.metricDeltas.forEach(function(d) {
+            var changeText = (d.relativeChange >= 0 ? "+" : "") + (d.relativeChange * 100).toFixed(1) + "%";
+            overviewSheet.appendRow([d.name, formatMetricValue(d.name, d.previous) + " -> " + formatMetricValue(d.name, d.current) + " (" + changeText + ")", Math.abs(d.relativeChange) >= CONFIG.HISTORY_ANOMALY_THRESHOLD ? "Significant change - investigate." : ""]);
+        });
+    }
+
+    var listItems = function(label, items) {
+        if (items.length === 0) return;
+        overviewSheet.appendRow([label + ":", "", ""]);
+        items.slice(0, CONFIG.HISTORY_MAX_LISTED_ITEMS).forEach(function(f) {
+            overviewSheet.appendRow([f.category + " - " + f.item + " (" + f.status + ")", f.details, ""]);
+        });
+        if (items.length > CONFIG.HISTORY_MAX_LISTED_ITEMS) {
+            overviewSheet.appendRow(["... and " + (items.length - CONFIG.HISTORY_MAX_LISTED_ITEMS) + " more", "", ""]);
+        }
+    };
+    listItems("New Items", RUN_DIFF.newItems);
+    listItems("Resolved Items", RUN_DIFF.resolvedItems);
+
+    overviewSheet.appendRow(["", "", ""]); // Spacer
+}
+
+
+// --- Notification Functions ---
+
+/**
+ * Escapes text for inclusion in an HTML email body.
+ * @param {*} text - The value to escape.
+ * @return {string} HTML-safe text.
+ */
+function escapeHtml(text) {
+    return String(text === null || text === undefined ? "" : text)
+        .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+/**
+ * Returns the Fail items that were not in the previous run, or null if there is no previous run to compare with.
+ * @return {Array<Object>|null} { category, item, status, details } per new Fail item.
+ */
+function getNewFailItems() {
+    if (!RUN_DIFF) return null;
+    return RUN_DIFF.newItems.filter(function(f) { return f.status === "Fail"; });
+}
+
+/**
+ * Builds the HTML body of the audit summary email.
+ * @param {Object} counts - Result of getIssueCountsBySheet().
+ * @param {Array<Object>|null} newFails - Result of getNewFailItems().
+ * @return {string} The HTML body.
+ */
+function buildAuditEmailHtml(counts, newFails) {
+    var account = AdsApp.currentAccount();
+    var cell = "padding:4px 8px;border:1px solid #ddd;";
+    var html = "<h2>Google Ads Audit: " + escapeHtml(account.getName()) + " (" + escapeHtml(account.getCustomerId()) + ")</h2>";
+    html += "<p><a href=\"" + escapeHtml(SPREADSHEET_URL) + "\">Open the audit spreadsheet</a></p>";
+
+    html += "<table style=\"border-collapse:collapse;\">";
+    html += "<tr><td style=\"" + cell + "\"><b>Total Critical Issues (Fail)</b></td><td style=\"" + cell + "background:" + (counts.fails > 0 ? "#FFCCCB" : "#90EE90") + ";\">" + counts.fails + "</td></tr>";
+    html += "<tr><td style=\"" + cell + "\"><b>Total Warnings (Warn)</b></td><td style=\"" + cell + "background:" + (counts.warns > 0 ? "#FFFFE0" : "#90EE90") + ";\">" + counts.warns + "</td></tr>";
+    if (HEALTH_SCORES && HEALTH_SCORES.overall !== null) {
+        html += "<tr><td style=\"" + cell + "\"><b>Account Health Score</b></td><td style=\"" + cell + "\">" + HEALTH_SCORES.overall.toFixed(0) + " / 100 (" + HEALTH_SCORES.grade + ")</td></tr>";
+    }
+    if (newFails) {
+        html += "<tr><td style=\"" + cell + "\"><b>New Fail Items since " + escapeHtml(RUN_DIFF.previousDate) + "</b></td><td style=\"" + cell + "\">" + newFails.length + "</td></tr>";
+    }
+    html += "</table>";
+
+    html += "<h3>Issue Counts by Area</h3><table style=\"border-collapse:collapse;\">";
+    html += "<tr><th style=\"" + cell + "\">Sheet</th><th style=\"" + cell + "\">Fails</th><th style=\"" + cell + "\">Warns</th></tr>";
+    counts.sheetOrder.forEach(function(sheetName) {
+        if (!counts.bySheet[sheetName]) return;
+        html += "<tr><td style=\"" + cell + "\">" + escapeHtml(sheetName) + "</td><td style=\"" + cell + "\">" + counts.bySheet[sheetName].fails + "</td><td style=\"" + cell + "\">" + counts.bySheet[sheetName].warns + "</td></tr>";
+    });
+    html += "</table>";
+
+    var listIssues = function(title, issues) {
+        html += "<h3>" + escapeHtml(title) + "</h3>";
+        if (issues.length === 0) {
+            html += "<p>None.</p>";
+            return;
+        }
+        html += "<ul>";
+        issues.slice(0, CONFIG.EMAIL_MAX_LISTED_ISSUES).forEach(function(issue) {
+            html += "<li><b>" + escapeHtml(issue.category + " - " + issue.item) + "</b>: " + escapeHtml(issue.details) + (issue.recommendation ? "<br><i>" + escapeHtml(issue.recommendation) + "</i>" : "") + "</li>";
+        });
+        html += "</ul>";
+        if (issues.length > CONFIG.EMAIL_MAX_LISTED_ISSUES) {
+            html += "<p>... and " + (issues.length - CONFIG.EMAIL_MAX_LISTED_ISSUES) + " more in the spreadsheet.</p>";
+        }
+    };
+    if (newFails) {
+        listIssues("New Critical Issues (Fail)", newFails);
+    }
+    listIssues("All Critical Issues (Fail)", CRITICAL_ISSUES.map(function(issue) {
+        return { category: issue[0], item: issue[1], details: issue[3], recommendation: issue[4] };
+    }));
+    return html;
+}
+
+/**
+ * Emails the audit summary (Fail/Warn counts per sheet, critical issues and the spreadsheet link)
+ * to CONFIG.EMAIL_RECIPIENTS. With EMAIL_ONLY_ON_NEW_FAILS, the email is only sent when a Fail item
+ * appeared since the previous run (or, without a previous run, when there is any Fail item).
+ */
+function sendAuditEmail() {
+    try {
+        var counts = getIssueCountsBySheet();
+        var newFails = getNewFailItems();
+        if (CONFIG.EMAIL_ONLY_ON_NEW_FAILS) {
+            var triggeringFails = newFails ? newFails.length : counts.fails;
+            if (triggeringFails === 0) {
+                Logger.log("No new Fail items since the previous run. Audit email not sent.");
+                return;
+            }
+            if (!newFails) {
+                Logger.log("No previous run to compare against (is TRACK_HISTORY enabled?); emailing because Fail items were found.");
+            }
+        }
+
+        var subject = CONFIG.EMAIL_SUBJECT_PREFIX + ": " + AdsApp.currentAccount().getName() + " - " + counts.fails + " Fail / " + counts.warns + " Warn";
+        if (newFails && newFails.length > 0) {
+            subject += " (" + newFails.length + " new Fail)";
+        }
+        MailApp.sendEmail({
+            to: CONFIG.EMAIL_RECIPIENTS.join(","),
+            subject: subject,
+            htmlBody: buildAuditEmailHtml(counts, newFails)
+        });
+        Logger.log("Audit summary emailed to " + CONFIG.EMAIL_RECIPIENTS.join(", ") + ".");
+    } catch (e) {
+        Logger.log("Error sending audit email: " + e);
+    }
+}
+
+
+/**
+ * Shortens text to a maximum length, ending with "..." when cut.
+ * @param {*} text - The text.
+ * @param {number} maxLength - Maximum length including the ellipsis.
+ * @return {string} The (possibly shortened) text.
+ */
+function truncateText(text, maxLength) {
+    var value = String(text === null || text === undefined ? "" : text);
+    return value.length > maxLength ? value.substring(0, maxLength - 3) + "..." : value;
+}
+
+/**
+ * Collects the audit results to post to a webhook, filtered by status and item severity and
+ * ordered most severe first (Fail before Warn within a severity).
+ * @param {Object} webhook - A CONFIG.WEBHOOKS entry (statuses, minSeverity and maxItems override the CONFIG defaults).
+ * @return {Object} { accountName, customerId, spreadsheetUrl, fails, warns, healthScore, grade, newFailCount,
+ *                    items: [{ category, item, status, severity, details, recommendation }], omittedCount }.
+ */
+function buildWebhookSummary(webhook) {
+    var severityOrder = ["CRITICAL", "HIGH", "MEDIUM", "LOW"];
+    var statuses = webhook.statuses || CONFIG.WEBHOOK_STATUSES;
+    var maxSeverityIndex = severityOrder.indexOf(webhook.minSeverity || CONFIG.WEBHOOK_MIN_SEVERITY);
+    if (maxSeverityIndex === -1) maxSeverityIndex = severityOrder.length - 1;
+    var maxItems = webhook.maxItems || CONFIG.WEBHOOK_MAX_ITEMS;
+
+    var counts = getIssueCountsBySheet();
+    var items = [];
+    counts.sheetOrder.forEach(function(sheetName) {
+        (ALL_RESULTS[sheetName] || []).forEach(function(row) {
+            if (statuses.indexOf(row[2]) === -1) return;
+            var severity = getScoreSettings(row[1]).severity;
+            if (severityOrder.indexOf(severity) > maxSeverityIndex) return;
+            items.push({ category: row[0], item: row[1], status: row[2], severity: severity, details: row[3], recommendation: row[4] });
+        });
+    });
+    items.sort(function(a, b) {
+        return (severityOrder.indexOf(a.severity) - severityOrder.indexOf(b.severity)) || ((a.status === "Fail" ? 0 : 1) - (b.status === "Fail" ? 0 : 1));
+    });
+
+    var account = AdsApp.currentAccount();
+    var newFails = getNewFailItems();
+    return {
+        accountName: account.getName(),
+        customerId: account.getCustomerId(),
+        spreadsheetUrl: SPREADSHEET_URL,
+        fails: counts.fails,
+        warns: counts.warns,
+        healthScore: HEALTH_SCORES && HEALTH_SCORES.overall !== null ? Math.round(HEALTH_SCORES.overall) : null,
+        grade: HEALTH_SCORES ? HEALTH_SCORES.grade : null,
+        newFailCount: newFails ? newFails.length : null,
+        items: items.slice(0, maxItems),
+        omittedCount: Math.max(0, items.length - maxItems)
+    };
+}
+
+/**
+ * Returns the one-line headline used by all webhook formats.
+ * @param {Object} summary - Result of buildWebhookSummary().
+ * @return {string} e.g., "Google Ads Audit: Acme (123-456-7890) - 3 Fail / 12 Warn, Health 74/100 (C)".
+ */
+function getWebhookHeadline(summary) {
+    var headline = "Google Ads Audit: " + summary.accountName + " (" + summary.customerId + ") - " + summary.fails + " Fail / " + summary.warns + " Warn";
+    if (summary.healthScore !== null) headline += ", Health " + summary.healthScore + "/100 (" + summary.grade + ")";
+    if (summary.newFailCount) headline += ", " + summary.newFailCount + " new Fail";
+    return headline;
+}
+
+/**
+ * Escapes the characters Slack reserves for links and mentions in mrkdwn text (&, <, >).
+ * @param {string} text - Plain text.
+ * @return {string} Text safe to embed in a Slack mrkdwn field.
+ */
+function escapeSlackText(text) {
+    return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+/**
+ * Formats a summary as a Slack incoming-webhook message (Block Kit).
+ * @param {Object} summary - Result of buildWebhookSummary().
+ * @return {Object} The message payload.
+ */
+function formatSlackPayload(summary) {
+    var blocks = [
+        { type: "header", text: { type: "plain_text", text: truncateText("Google Ads Audit: " + summary.accountName, 150) } },
+        { type: "section", text: { type: "mrkdwn", text: escapeSlackText(getWebhookHeadline(summary)) + "\n<" + summary.spreadsheetUrl + "|Open the audit spreadsheet>" } },
+        { type: "divider" }
+    ];
+    var slackItems = summary.items.slice(0, 45); // Slack allows 50 blocks per message
+    var omittedCount = summary.omittedCount + summary.items.length - slackItems.length;
+    slackItems.forEach(function(item) {
+        blocks.push({ type: "section", text: { type: "mrkdwn", text: truncateText((item.status === "Fail" ? ":red_circle:" : ":large_yellow_circle:") + " *" + escapeSlackText(item.category + " - " + item.item) + "* (" + item.severity + ")\n" + escapeSlackText(item.details) + "\n_" + escapeSlackText(item.recommendation) + "_", 3000) } });
+    });
+    if (omittedCount > 0) {
+        blocks.push({ type: "context", elements: [{ type: "mrkdwn", text: "... and " + omittedCount + " more in the spreadsheet." }] });
+    }
+    return { text: escapeSlackText(getWebhookHeadline(summary)), blocks: blocks };
+}
+
+/**
+ * Formats a summary as a Microsoft Teams incoming-webhook message (Adaptive Card).
+ * @param {Object} summary - Result of buildWebhookSummary().
+ * @return {Object} The message payload.
+ */
+function formatTeamsPayload(summary) {
+    var body = [
+        { type: "TextBlock", size: "Large", weight: "Bolder", wrap: true, text: "Google Ads Audit: " + summary.accountName },
+        { type: "FactSet", facts: [
+            { title: "Account", value: summary.customerId },
+            { title: "Fail / Warn", value: summary.fails + " / " + summary.warns },
+            { title: "Health Score", value: summary.healthScore !== null ? summary.healthScore + "/100 (" + summary.grade + ")" : "n/a" }
+        ] }
+    ];
+    summary.items.forEach(function(item) {
+        body.push({ type: "TextBlock", wrap: true, separator: true, weight: "Bolder", color: item.status === "Fail" ? "Attention" : "Warning", text: item.status + " - " + item.category + " - " + item.item + " (" + item.severity + ")" });
+        body.push({ type: "TextBlock", wrap: true, spacing: "None", text: item.details });
+        body.push({ type: "TextBlock", wrap: true, spacing: "None", isSubtle: true, text: item.recommendation });
+    });
+    if (summary.omittedCount > 0) {
+        body.push({ type: "TextBlock", wrap: true, isSubtle: true, text: "... and " + summary.omittedCount + " more in the spreadsheet." });
+    }
+    return {
+        type: "message",
+        attachments: [{
+            contentType: "application/vnd.microsoft.card.adaptive",
+            content: {
+                $schema: "http://adaptivecards.io/schemas/adaptive-card.json",
+                type: "AdaptiveCard",
+                version: "1.4",
+                body: body,
+                actions: [{ type: "Action.OpenUrl", title: "Open the audit spreadsheet", url: summary.spreadsheetUrl }]
+            }
+        }]
+    };
+}
+
+/**
+ * Formats a summary as a Google Chat incoming-webhook message (cardsV2).
+ * @param {Object} summary - Result of buildWebhookSummary().
+ * @return {Object} The message payload.
+ */
+function formatGoogleChatPayload(summary) {
+    var widgets = summary.items.map(function(item) {
+        return { decoratedText: { topLabel: item.status + " - " + item.severity, text: "<b>" + escapeHtml(item.category + " - " + item.item) + "</b><br>" + escapeHtml(item.details), bottomLabel: truncateText(item.recommendation, 200), wrapText: true } };
+    });
+    if (summary.omittedCount > 0) {
+        widgets.push({ textParagraph: { text: "... and " + summary.omittedCount + " more in the spreadsheet." } });
+    }
+    widgets.push({ buttonList: { buttons: [{ text: "Open the audit spreadsheet", onClick: { openLink: { url: summary.spreadsheetUrl } } }] } });
+    return {
+        text: getWebhookHeadline(summary),
+        cardsV2: [{
+            cardId: "googleAdsAudit",
+            card: {
+                header: { title: "Google Ads Audit: " + summary.accountName, subtitle: summary.customerId + " - " + summary.fails + " Fail / " + summary.warns + " Warn" },
+                sections: [{ widgets: widgets }]
+            }
+        }]
+    };
+}
+
+/**
+ * Formats a summary as a plain JSON document for custom receivers.
+ * @param {Object} summary - Result of buildWebhookSummary().
+ * @return {Object} The payload.
+ */
+function formatGenericWebhookPayload(summary) {
+    return {
+        source: "google-ads-audit",
+        headline: getWebhookHeadline(summary),
+        account: { id: summary.customerId, name: summary.accountName },
+        spreadsheetUrl: summary.spreadsheetUrl,
+        fails: summary.fails,
+        warns: summary.warns,
+        healthScore: summary.healthScore,
+        grade: summary.grade,
+        newFailCount: summary.newFailCount,
+        items: summary.items,
+        omittedCount: summary.omittedCount
+    };
+}
+
+/**
+ * Builds the payload for a webhook in its configured format.
+ * @param {Object} webhook - A CONFIG.WEBHOOKS entry.
+ * @param {Object} summary - Result of buildWebhookSummary().
+ * @return {Object} The payload to post as JSON.
+ */
+function buildWebhookPayload(webhook, summary) {
+    switch ((webhook.format || "GENERIC").toUpperCase()) {
+        case "SLACK":
+            return formatSlackPayload(summary);
+        case "TEAMS":
+            return formatTeamsPayload(summary);
+        case "GOOGLE_CHAT":
+            return formatGoogleChatPayload(summary);
+        case "GENERIC":
+            return formatGenericWebhookPayload(summary);
+        default:
+            throw new Error("Unknown webhook format '" + webhook.format + "' (use SLACK, TEAMS, GOOGLE_CHAT or GENERIC)");
+    }
+}
+
+/**
+ * Posts the audit summary to every webhook in CONFIG.WEBHOOKS. A failing webhook is logged and does not stop the others.
+ * @param {function(string, Object): HTTPResponse=} fetchFn - Delivery function with the UrlFetchApp.fetch signature.
+ *     Defaults to UrlFetchApp.fetch; pass a stand-in to capture the payloads when running the script outside Google Ads.
+ */
+function sendWebhookNotifications(fetchFn) {
+    var fetch = fetchFn || function(url, options) { return UrlFetchApp.fetch(url, options); };
+    CONFIG.WEBHOOKS.forEach(function(webhook) {
+        try {
+            var summary = buildWebhookSummary(webhook);
+            var response = fetch(webhook.url, {
+                method: "post",
+                contentType: "application/json; charset=UTF-8",
+                payload: JSON.stringify(buildWebhookPayload(webhook, summary)),
+                muteHttpExceptions: true
+            });
+            var code = response.getResponseCode();
+            if (code >= 200 && code < 300) {
+                Logger.log("Posted " + summary.items.length + " audit item(s) to " + (webhook.format || "GENERIC") + " webhook.");
+            } else {
+                Logger.log("Webhook (" + (webhook.format || "GENERIC") + ") returned HTTP " + code + ": " + truncateText(response.getContentText(), 300));
+            }
+        } catch (e) {
+            Logger.log("Error posting to webhook (" + (webhook.format || "GENERIC") + "): " + e);
+        }
+    });
+}
+
+
+// --- Health Score Functions ---
+
+/**
+ * Returns the scoring settings (weight, severity) for a checklist item.
+ * Exact names in CONFIG.SCORE_ITEMS win over prefixes (e.g., "Low Quality Score" covers "Low Quality Score (<5)").
+ * @param {string} item - Checklist item name.
+ * @return {Object} { weight, severity }
+ */
+function getScoreSettings(item) {
+    if (CONFIG.SCORE_ITEMS[item]) return CONFIG.SCORE_ITEMS[item];
+    var bestPrefix = null;
+    for (var name in CONFIG.SCORE_ITEMS) {
+        if (item.indexOf(name) === 0 && (!bestPrefix || name.length > bestPrefix.length)) bestPrefix = name;
+    }
+    return bestPrefix ? CONFIG.SCORE_ITEMS[bestPrefix] : CONFIG.SCORE_DEFAULT_ITEM;
+}
+
+/**
+ * Converts a 0-100 score to a letter grade using CONFIG.SCORE_GRADES.
+ * @param {number} score - The score.
+ * @return {string} The grade.
+ */
+function getScoreGrade(score) {
+    for (var i = 0; i < CONFIG.SCORE_GRADES.length; i++) {
+        if (score >= CONFIG.SCORE_GRADES[i][0]) return CONFIG.SCORE_GRADES[i][1];
+    }
+    return CONFIG.SCORE_GRADES[CONFIG.SCORE_GRADES.length - 1][1];
+}
+
+/**
+ * Records how many entities (keywords, ad groups, URLs, ...) a per-entity checklist item examined.
+ * Such items only add rows for the entities that fail, so the health score needs this count to
+ * weigh one failing keyword out of 10,000 differently from 10,000 out of 10,000.
+ * @param {string} category - Result category.
+ * @param {string} item - Checklist item name, as passed to addResult.
+ * @param {number} count - Number of entities checked.
+ */
+function recordItemCoverage(category, item, count) {
+    ITEM_COVERAGE[category + "|" + item] = count;
+}
+
+/**
+ * Computes a 0-100 health score per audit category and overall, plus the fixes with the
+ * largest score impact. Only Pass/Warn/Fail rows are scored. An item's penalty is its severity
+ * penalty (halved by SCORE_WARN_FACTOR if its worst row is a Warn), scaled by the share of its
+ * rows (or, for per-entity items, of the entities recorded by recordItemCoverage) that did not pass.
+ * @return {Object} { overall, grade, categories: [{ name, score, grade }], topFixes: [{ category, item, status, occurrences, impact, recommendation }] }
+ */
+function computeHealthScores() {
+    var items = {}; // "category|item" -> aggregated rows
+    for (var sheetName in ALL_RESULTS) {
+        ALL_RESULTS[sheetName].forEach(function(row) {
+            var status = row[2];
+            if (status !== "Pass" && status !== "Warn" && status !== "Fail") return;
+            var key = row[0] + "|" + row[1];
+            if (!items[key]) items[key] = { category: row[0], item: row[1], pass: 0, warn: 0, fail: 0, recommendation: "" };
+            var entry = items[key];
+            if (status === "Pass") entry.pass++;
+            if (status === "Warn") entry.warn++;
+            if (status === "Fail") entry.fail++;
+            if (status !== "Pass" && (!entry.recommendation || status === "Fail")) entry.recommendation = row[4];
+        });
+    }
+
+    // Per-category weighted scores
+    var categories = {};
+    for (var key in items) {
+        var entry = items[key];
+        var settings = getScoreSettings(entry.item);
+        if (!settings.weight) continue;
+        var failing = entry.fail + entry.warn;
+        var penalty = 0;
+        if (failing > 0) {
+            penalty = (CONFIG.SCORE_SEVERITY_PENALTIES[settings.severity] || 0) *
+                (entry.fail > 0 ? 1 : CONFIG.SCORE_WARN_FACTOR) *
+                (failing / Math.max(failing + entry.pass, ITEM_COVERAGE[key] || 0));
+        }
+        if (!categories[entry.category]) categories[entry.category] = { name: entry.category, totalWeight: 0, lostWeight: 0, items: [] };
+        categories[entry.category].totalWeight += settings.weight;
+        categories[entry.category].lostWeight += settings.weight * penalty;
+        if (penalty > 0) {
+            categories[entry.category].items.push({ category: entry.category, item: entry.item, status: entry.fail > 0 ? "Fail" : "Warn", occurrences: failing, lostWeight: settings.weight * penalty, recommendation: entry.recommendation });
+        }
+    }
+
+    // Overall score weighted by category
+    var categoryList = [];
+    var totalCategoryWeight = 0;
+    var weightedScoreSum = 0;
+    for (var name in categories) {
+        var category = categories[name];
+        category.score = 100 * (1 - category.lostWeight / category.totalWeight);
+        category.grade = getScoreGrade(category.score);
+        category.weight = CONFIG.SCORE_CATEGORY_WEIGHTS[name] || 1;
+        totalCategoryWeight += category.weight;
+        weightedScoreSum += category.score * category.weight;
+        categoryList.push(category);
+    }
+    categoryList.sort(function(a, b) { return a.score - b.score; }); // Weakest first
+
+    // Score impact of fixing each item: points gained in its category, scaled to the overall score
+    var fixes = [];
+    categoryList.forEach(function(c) {
+        c.items.forEach(function(fix) {
+            fix.impact = 100 * (fix.lostWeight / c.totalWeight) * (c.weight / totalCategoryWeight);
+            fixes.push(fix);
+        });
+    });
+    fixes.sort(function(a, b) { return b.impact - a.impact; });
+
+    var overall = totalCategoryWeight > 0 ? weightedScoreSum / totalCategoryWeight : null;
+    return {
+        overall: overall,
+        grade: overall !== null ? getScoreGrade(overall) : "N/A",
+        categories: categoryList.map(function(c) { return { name: c.name, score: c.score, grade: c.grade }; }),
+        topFixes: fixes.slice(0, CONFIG.SCORE_TOP_FIXES)
+    };
+}
+
+/**
+ * Appends the overall grade, per-category scores and top fixes to the Overview sheet.
+ * @param {Sheet} overviewSheet - The Overview sheet.
+ */
+function appendHealthScoresToOverview(overviewSheet) {
+    overviewSheet.appendRow(["--- ACCOUNT HEALTH SCORE ---", "", ""]);
+    overviewSheet.getRange(overviewSheet.getLastRow(), 1, 1, 3).merge().setFontWeight("bold").setBackground("#D9EAD3").setHorizontalAlignment("center");
+
+    overviewSheet.appendRow(["Overall Score (Grade)", HEALTH_SCORES.overall.toFixed(0) + " / 100 (" + HEALTH_SCORES.grade + ")", "Weighted by checklist item weight/severity and category weight (see SCORE_* in CONFIG)."]);
+    overviewSheet.getRange(overviewSheet.getLastRow(), 2).setFontWeight("bold").setBackground(HEALTH_SCORES.overall >= 80 ? "#90EE90" : (HEALTH_SCORES.overall >= 60 ? "#FFFFE0" : "#FFCCCB"));
+
+    overviewSheet.appendRow(["Scores by Category:", "", ""]);
+    HEALTH_SCORES.categories.forEach(function(c) {
+        overviewSheet.appendRow([c.name, c.score.toFixed(0) + " / 100 (" + c.grade + ")", ""]);
+    });
+
+    if (HEALTH_SCORES.topFixes.length > 0) {
+        overviewSheet.appendRow(["Top " + HEALTH_SCORES.topFixes.length + " Fixes by Score Impact:", "", ""]);
+        HEALTH_SCORES.topFixes.forEach(function(fix, index) {
+            overviewSheet.appendRow([(index + 1) + ". " + fix.category + " - " + fix.item + " (" + fix.occurrences + " " + fix.status + ")", "+" + fix.impact.toFixed(1) + " pts", fix.recommendation]);
+        });
+    }
+    overviewSheet.appendRow(["", "", ""]); // Spacer
+}
+
+
+// --- Reporting (GAQL) Helpers ---
+
+/**
+ * Builds the GAQL date condition for a performance date range.
+ * Accepts a predefined range (e.g., "LAST_30_DAYS") or a custom "yyyy-MM-dd,yyyy-MM-dd" range.
+ * @param {string=} dateRange - The date range to use. Defaults to CONFIG.PERFORMANCE_DATE_RANGE.
+ * @return {string} A condition usable in a GAQL WHERE clause.
+ */
+function getGaqlDateCondition(dateRange) {
+    var range = dateRange || CONFIG.PERFORMANCE_DATE_RANGE;
+    if (range.indexOf(",") !== -1) {
+        var parts = range.split(",");
+        return "segments.date BETWEEN '" + parts[0].trim() + "' AND '" + parts[1].trim() + "'";
+    }
+    return "segments.date DURING " + range;
+}
+
+/**
+ * Converts a GAQL micros value (returned as a string for int64 fields) to a currency amount.
+ * @param {string|number} micros - The micros value.
+ * @return {number} The amount in account currency.
+ */
+function microsToAmount(micros) {
+    return (Number(micros) || 0) / 1000000;
+}
+
+/**
+ * Pulls keyword_view metrics for enabled keywords over the configured date range.
+ * Replaces keyword.getStats(), which is unavailable in current Ads Scripts.
+ * @return {Object} Map of "adGroupId:criterionId" to
+ *                  { impressions, clicks, cost, conversions, conversionValue }.
+ */
+function getKeywordPerformanceMap() {
+    var performanceMap = {};
+    var query = "SELECT ad_group.id, ad_group_criterion.criterion_id, " +
+        "metrics.impressions, metrics.clicks, metrics.cost_micros, metrics.conversions, metrics.conversions_value " +
+        "FROM keyword_view " +
+        "WHERE campaign.status = 'ENABLED' AND ad_group.status = 'ENABLED' AND ad_group_criterion.status = 'ENABLED' " +
+        "AND " + getGaqlDateCondition();
+
+    var rows = AdsApp.search(query);
+    while (rows.hasNext()) {
+        var row = rows.next();
+        var key = row.adGroup.id + ":" + row.adGroupCriterion.criterionId;
+        performanceMap[key] = {
+            impressions: Number(row.metrics.impressions) || 0,
+            clicks: Number(row.metrics.clicks) || 0,
+            cost: microsToAmount(row.metrics.costMicros),
+            conversions: Number(row.metrics.conversions) || 0,
+            conversionValue: Number(row.metrics.conversionsValue) || 0
+        };
+    }
+    return performanceMap;
+}
+
+/**
+ * Pulls campaign-level performance metrics over the configured date range.
+ * @return {Array<Object>} One entry per enabled campaign with traffic:
+ *                         { id, name, channelType, impressions, clicks, cost, conversions,
+ *                           conversionValue, isLostBudget }. isLostBudget is null for non-Search campaigns.
+ */
+function getCampaignPerformanceRows() {
+    var campaigns = [];
+    var query = "SELECT campaign.id, campaign.name, campaign.advertising_channel_type, " +
+        "metrics.impressions, metrics.clicks, metrics.cost_micros, metrics.conversions, metrics.conversions_value, " +
+        "metrics.search_budget_lost_impression_share " +
+        "FROM campaign " +
+        "WHERE campaign.status = 'ENABLED' AND metrics.impressions > 0 " +
+        "AND " + getGaqlDateCondition();
+
+    var rows = AdsApp.search(query);
+    while (rows.hasNext()) {
+        var row = rows.next();
+        var isLostBudget = row.metrics.searchBudgetLostImpressionShare;
+        campaigns.push({
+            id: row.campaign.id,
+            name: row.campaign.name,
+            channelType: row.campaign.advertisingChannelType,
+            impressions: Number(row.metrics.impressions) || 0,
+            clicks: Number(row.metrics.clicks) || 0,
+            cost: microsToAmount(row.metrics.costMicros),
+            conversions: Number(row.metrics.conversions) || 0,
+            conversionValue: Number(row.metrics.conversionsValue) || 0,
+            isLostBudget: (isLostBudget === undefined || isLostBudget === null) ? null : Number(isLostBudget)
+        });
+    }
+    return campaigns;
+}
+
+/**
+ * Returns a custom "yyyy-MM-dd,yyyy-MM-dd" range covering the last N full days (excluding today),
+ * in the account time zone, for use with getGaqlDateCondition().
+ * @param {number} days - Number of days to cover.
+ * @return {string} The date range.
+ */
+function getLastNDaysRange(days) {
+    var timeZone = AdsApp.currentAccount().getTimeZone();
+    var end = new Date(Date.now() - 24 * 3600 * 1000);
+    var start = new Date(end.getTime() - (days - 1) * 24 * 3600 * 1000);
+    return Utilities.formatDate(start, timeZone, "yyyy-MM-dd") + "," + Utilities.formatDate(end, timeZone, "yyyy-MM-dd");
+}
+
+/**
+ * Pulls enabled Responsive Search Ads with their ad strength, headline/description assets,
+ * pinned positions and asset performance labels (from ad_group_ad_asset_view).
+ * Queried once per account audit; later calls return the same (read-only) list.
+ * @return {Array<Object>} One entry per RSA:
+ *                         { adId, adGroupId, adGroupName, campaignName, adStrength,
+ *                           headlines: [{ text, pinnedField, performanceLabel }], descriptions: [...] }.
+ */
+function getRsaAssetDetails() {
+    if (RSA_ASSET_DETAILS) return RSA_ASSET_DETAILS;
+    var ads = [];
+    var adsByKey = {};
+    var query = "SELECT campaign.name, ad_group.id, ad_group.name, ad_group_ad.ad.id, ad_group_ad.ad_strength, " +
+        "ad_group_ad.ad.responsive_search_ad.headlines, ad_group_ad.ad.responsive_search_ad.descriptions " +
+        "FROM ad_group_ad " +
+        "WHERE ad_group_ad.ad.type = 'RESPONSIVE_SEARCH_AD' AND ad_group_ad.status = 'ENABLED' " +
+        "AND ad_group.status = 'ENABLED' AND campaign.status = 'ENABLED'";
+
+    var toAssets = function(textAssets) {
+        return (textAssets || []).map(function(asset) {
+            return { text: asset.text || "", pinnedField: asset.pinnedField || null, performanceLabel: null };
+        });
+    };
+    var rows = AdsApp.search(query);
+    while (rows.hasNext()) {
+        var row = rows.next();
+        var rsa = row.adGroupAd.ad.responsiveSearchAd || {};
+        var ad = {
+            adId: row.adGroupAd.ad.id,
+            adGroupId: row.adGroup.id,
+            adGroupName: row.adGroup.name,
+            campaignName: row.campaign.name,
+            adStrength: row.adGroupAd.adStrength || "UNSPECIFIED",
+            headlines: toAssets(rsa.headlines),
+            descriptions: toAssets(rsa.descriptions)
+        };
+        ads.push(ad);
+        adsByKey[ad.adGroupId + ":" + ad.adId] = ad;
+    }
+
+    // Asset performance labels (LOW/GOOD/BEST, or PENDING/LEARNING while gathering data)
+    var labelRows = AdsApp.search("SELECT ad_group.id, ad_group_ad.ad.id, ad_group_ad_asset_view.field_type, " +
+        "ad_group_ad_asset_view.performance_label, asset.text_asset.text " +
+        "FROM ad_group_ad_asset_view " +
+        "WHERE ad_group_ad_asset_view.enabled = TRUE AND ad_group_ad.status = 'ENABLED' " +
+        "AND ad_group_ad_asset_view.field_type IN ('HEADLINE', 'DESCRIPTION')");
+    while (labelRows.hasNext()) {
+        var labelRow = labelRows.next();
+        var labeledAd = adsByKey[labelRow.adGroup.id + ":" + labelRow.adGroupAd.ad.id];
+        if (!labeledAd || !labelRow.asset.textAsset) continue;
+        var assets = labelRow.adGroupAdAssetView.fieldType === "HEADLINE" ? labeledAd.headlines : labeledAd.descriptions;
+        assets.forEach(function(asset) {
+            if (asset.text === labelRow.asset.textAsset.text) asset.performanceLabel = labelRow.adGroupAdAssetView.performanceLabel;
+        });
+    }
+    RSA_ASSET_DETAILS = ads;
+    return ads;
+}
+
+/**
+ * Pulls enabled asset links at account, campaign, ad group and (Performance Max) asset group level,
+ * plus location asset sets, and groups them by field type.
+ * @return {Object} { accountCounts: {fieldType: n},
+ *                    campaigns: [{ id, name, channelType, campaignCounts: {fieldType: n},
+ *                                  subLevelCounts: {fieldType: {adGroupOrAssetGroupId: n}} }],
+ *                    policyIssues: [{ level, owner, fieldType, assetId, assetName, approvalStatus }] }.
+ */
+function getAssetCoverage() {
+    var coverage = { accountCounts: {}, campaigns: [], policyIssues: [] };
+    var campaignsById = {};
+    var increment = function(counts, fieldType) { counts[fieldType] = (counts[fieldType] || 0) + 1; };
+    var trackPolicy = function(row, level, owner, fieldType) {
+        var approvalStatus = row.asset && row.asset.policySummary ? row.asset.policySummary.approvalStatus : null;
+        if (approvalStatus === "DISAPPROVED" || approvalStatus === "APPROVED_LIMITED" || approvalStatus === "AREA_OF_INTEREST_ONLY") {
+            coverage.policyIssues.push({ level: level, owner: owner, fieldType: fieldType, assetId: row.asset.id, assetName: row.asset.name || "", approvalStatus: approvalStatus });
+        }
+    };
+
+    var rows = AdsApp.search("SELECT campaign.id, campaign.name, campaign.advertising_channel_type FROM campaign WHERE campaign.status = 'ENABLED'");
+    while (rows.hasNext()) {
+        var row = rows.next();
+        var campaign = { id: row.campaign.id, name: row.campaign.name, channelType: row.campaign.advertisingChannelType, campaignCounts: {}, subLevelCounts: {} };
+        campaignsById[campaign.id] = campaign;
+        coverage.campaigns.push(campaign);
+    }
+
+    rows = AdsApp.search("SELECT customer_asset.field_type, asset.id, asset.name, asset.policy_summary.approval_status " +
+        "FROM customer_asset WHERE customer_asset.status = 'ENABLED'");
+    while (rows.hasNext()) {
+        var accountRow = rows.next();
+        increment(coverage.accountCounts, accountRow.customerAsset.fieldType);
+        trackPolicy(accountRow, "Account", "Account", accountRow.customerAsset.fieldType);
+    }
+
+    rows = AdsApp.search("SELECT campaign.id, campaign_asset.field_type, asset.id, asset.name, asset.policy_summary.approval_status " +
+        "FROM campaign_asset WHERE campaign_asset.status = 'ENABLED' AND campaign.status = 'ENABLED'");
+    while (rows.hasNext()) {
+        var campaignRow = rows.next();
+        var linkedCampaign = campaignsById[campaignRow.campaign.id];
+        if (!linkedCampaign) continue;
+        increment(linkedCampaign.campaignCounts, campaignRow.campaignAsset.fieldType);
+        trackPolicy(campaignRow, "Campaign", linkedCampaign.name, campaignRow.campaignAsset.fieldType);
+    }
+
+    var addSubLevel = function(campaignId, fieldType, subId) {
+        var owner = campaignsById[campaignId];
+        if (!owner) return null;
+        if (!owner.subLevelCounts[fieldType]) owner.subLevelCounts[fieldType] = {};
+        owner.subLevelCounts[fieldType][subId] = (owner.subLevelCounts[fieldType][subId] || 0) + 1;
+        return owner;
+    };
+    rows = AdsApp.search("SELECT campaign.id, ad_group.id, ad_group.name, ad_group_asset.field_type, asset.id, asset.name, asset.policy_summary.approval_status " +
+        "FROM ad_group_asset WHERE ad_group_asset.status = 'ENABLED' AND ad_group.status = 'ENABLED' AND campaign.status = 'ENABLED'");
+    while (rows.hasNext()) {
+        var adGroupRow = rows.next();
+        if (addSubLevel(adGroupRow.campaign.id, adGroupRow.adGroupAsset.fieldType, adGroupRow.adGroup.id)) {
+            trackPolicy(adGroupRow, "Ad Group", adGroupRow.adGroup.name, adGroupRow.adGroupAsset.fieldType);
+        }
+    }
+
+    // Performance Max creative assets (business name, logos, images, videos) live on asset groups
+    rows = AdsApp.search("SELECT campaign.id, asset_group.id, asset_group.name, asset_group_asset.field_type, asset.id, asset.name, asset.policy_summary.approval_status " +
+        "FROM asset_group_asset WHERE asset_group_asset.status = 'ENABLED' AND asset_group.status = 'ENABLED' AND campaign.status = 'ENABLED'");
+    while (rows.hasNext()) {
+        var assetGroupRow = rows.next();
+        if (addSubLevel(assetGroupRow.campaign.id, assetGroupRow.assetGroupAsset.fieldType, assetGroupRow.assetGroup.id)) {
+            trackPolicy(assetGroupRow, "Asset Group", assetGroupRow.assetGroup.name, assetGroupRow.assetGroupAsset.fieldType);
+        }
+    }
+
+    // Location assets are linked through asset sets (Business Profile sync or chains)
+    var isLocationSet = function(type) { return /LOCATION|CHAIN/.test(type || ""); };
+    rows = AdsApp.search("SELECT asset_set.type FROM customer_asset_set WHERE customer_asset_set.status = 'ENABLED'");
+    while (rows.hasNext()) {
+        if (isLocationSet(rows.next().assetSet.type)) increment(coverage.accountCounts, "LOCATION");
+    }
+    rows = AdsApp.search("SELECT campaign.id, asset_set.type FROM campaign_asset_set WHERE campaign_asset_set.status = 'ENABLED' AND campaign.status = 'ENABLED'");
+    while (rows.hasNext()) {
+        var setRow = rows.next();
+        if (isLocationSet(setRow.assetSet.type) && campaignsById[setRow.campaign.id]) increment(campaignsById[setRow.campaign.id].campaignCounts, "LOCATION");
+    }
+    return coverage;
+}
+
+/**
+ * Pulls final URLs of enabled assets (sitelinks, promotions, price offers and any other asset with
+ * final URLs) linked at account, campaign or ad group level, with their asset-level tracking settings.
+ * @return {Array<Object>} One entry per asset link: { url, campaignName, fieldType, assetLabel, level,
+ *                         trackingUrlTemplate, finalUrlSuffix }.
+ */
+function getAssetUrlSources() {
+    var sources = [];
+    var assetFields = "asset.id, asset.name, asset.final_urls, asset.tracking_url_template, asset.final_url_suffix, " +
+        "asset.sitelink_asset.link_text, asset.promotion_asset.promotion_target, asset.price_asset.price_offerings";
+    var links = [
+        { level: "Account", resource: "customer_asset", field: "customerAsset", select: "", where: "customer_asset.status = 'ENABLED'" },
+        { level: "Campaign", resource: "campaign_asset", field: "campaignAsset", select: "campaign.name, ", where: "campaign_asset.status = 'ENABLED' AND campaign.status = 'ENABLED'" },
+        { level: "Ad Group", resource: "ad_group_asset", field: "adGroupAsset", select: "campaign.name, ad_group.name, ", where: "ad_group_asset.status = 'ENABLED' AND ad_group.status = 'ENABLED' AND campaign.status = 'ENABLED'" }
+    ];
+    links.forEach(function(link) {
+        var rows = AdsApp.search("SELECT " + link.select + link.resource + ".field_type, " + assetFields +
+            " FROM " + link.resource + " WHERE " + link.where);
+        while (rows.hasNext()) {
+            var row = rows.next();
+            var asset = row.asset;
+            var fieldType = row[link.field].fieldType;
+            var name = (asset.sitelinkAsset && asset.sitelinkAsset.linkText) || (asset.promotionAsset && asset.promotionAsset.promotionTarget) || asset.name || "";
+            var owner = link.level === "Account" ? "Account" : (link.level === "Campaign" ? row.campaign.name : row.adGroup.name + " (" + row.campaign.name + ")");
+            var urls = (asset.finalUrls || []).slice();
+            ((asset.priceAsset && asset.priceAsset.priceOfferings) || []).forEach(function(offering) {
+                if (offering.finalUrl) urls.push(offering.finalUrl);
+            });
+            urls.forEach(function(url) {
+                sources.push({
+                    url: url,
+                    campaignName: row.campaign ? row.campaign.name : null,
+                    fieldType: fieldType,
+                    assetLabel: formatAssetFieldType(fieldType) + " asset " + (name ? "'" + name + "' " : "") + "(ID " + asset.id + ") at " + link.level + " level: " + owner,
+                    trackingUrlTemplate: asset.trackingUrlTemplate || "",
+                    finalUrlSuffix: asset.finalUrlSuffix || ""
+                });
+            });
+        }
+    });
+    return sources;
+}
+
+/**
+ * Pulls tracking templates and final URL suffixes set at account, campaign and ad group level.
+ * @return {Array<Object>} One entry per level with a setting: { level, owner, campaignName,
+ *                         trackingUrlTemplate, finalUrlSuffix }.
+ */
+function getTrackingUrlSettings() {
+    var settings = [];
+    var add = function(level, owner, campaignName, entity) {
+        if (entity.trackingUrlTemplate || entity.finalUrlSuffix) {
+            settings.push({ level: level, owner: owner, campaignName: campaignName, trackingUrlTemplate: entity.trackingUrlTemplate || "", finalUrlSuffix: entity.finalUrlSuffix || "" });
+        }
+    };
+    var rows = AdsApp.search("SELECT customer.tracking_url_template, customer.final_url_suffix FROM customer");
+    while (rows.hasNext()) add("Account", "Account", null, rows.next().customer);
+
+    rows = AdsApp.search("SELECT campaign.name, campaign.tracking_url_template, campaign.final_url_suffix FROM campaign WHERE campaign.status = 'ENABLED'");
+    while (rows.hasNext()) {
+        var campaignRow = rows.next();
+        add("Campaign", campaignRow.campaign.name, campaignRow.campaign.name, campaignRow.campaign);
+    }
+    rows = AdsApp.search("SELECT campaign.name, ad_group.name, ad_group.tracking_url_template, ad_group.final_url_suffix " +
+        "FROM ad_group WHERE ad_group.status = 'ENABLED' AND campaign.status = 'ENABLED'");
+    while (rows.hasNext()) {
+        var adGroupRow = rows.next();
+        add("Ad Group", adGroupRow.adGroup.name + " (" + adGroupRow.campaign.name + ")", adGroupRow.campaign.name, adGroupRow.adGroup);
+    }
+    return settings;
+}
+
+/**
+ * Pulls the enabled (positive) keywords of every enabled ad group.
+ * @return {Object} Map of adGroupId to { name, campaignName, keywords: [normalized keyword text] }.
+ */
+function getKeywordTextsByAdGroup() {
+    var keywordsByAdGroup = {};
+    var rows = AdsApp.search("SELECT campaign.name, ad_group.id, ad_group.name, ad_group_criterion.keyword.text " +
+        "FROM ad_group_criterion " +
+        "WHERE ad_group_criterion.type = 'KEYWORD' AND ad_group_criterion.negative = FALSE " +
+        "AND ad_group_criterion.status = 'ENABLED' AND ad_group.status = 'ENABLED' AND campaign.status = 'ENABLED'");
+    while (rows.hasNext()) {
+        var row = rows.next();
+        var adGroupId = String(row.adGroup.id);
+        if (!keywordsByAdGroup[adGroupId]) keywordsByAdGroup[adGroupId] = { name: row.adGroup.name, campaignName: row.campaign.name, keywords: [] };
+        keywordsByAdGroup[adGroupId].keywords.push(normalizeKeywordText(row.adGroupCriterion.keyword.text));
+    }
+    return keywordsByAdGroup;
+}
+
+
+// --- Landing Page Helpers ---
+
+/**
+ * Expands a tracking template for a landing page the way Google Ads does at click time:
+ * {lpurl} is the landing page (escaped unless it starts the template), {unescapedlpurl} is raw,
+ * {escapedlpurl}/{lpurl+2}/{lpurl+3} are escaped, and other ValueTrack/custom parameters are emptied.
+ * A "?" right after a leading {lpurl} becomes "&" when the landing page already has parameters.
+ * @param {string} template - The tracking template.
+ * @param {string} landingUrl - The final URL to insert.
+ * @return {string} The URL that would be requested on click.
+ */
+function expandTrackingTemplate(template, landingUrl) {
+    var escaped = encodeURIComponent(landingUrl);
+    var startSeparator = landingUrl.indexOf("?") === -1 ? "?" : "&"; // Google fixes "{lpurl}?" when the URL already has parameters
+    return template
+        .replace(/^\{lpurl\}\?/i, landingUrl + startSeparator)
+        .replace(/^\{lpurl\}/i, landingUrl)
+        .replace(/\{unescapedlpurl\}/gi, landingUrl)
+        .replace(/\{(lpurl|escapedlpurl|lpurl\+2|lpurl\+3)\}/gi, escaped)
+        .replace(/\{[^}]*\}/g, "");
+}
+
+/**
+ * Checks whether a tracking template inserts the landing page URL (required by Google Ads).
+ * @param {string} template - The tracking template.
+ * @return {boolean} True if the template contains an {lpurl} variant.
+ */
+function trackingTemplateHasLandingPage(template) {
+    return /\{(lpurl|unescapedlpurl|escapedlpurl|lpurl\+2|lpurl\+3)\}/i.test(template);
+}
+
+/**
+ * Appends a final URL suffix to a landing page URL (before any #fragment).
+ * @param {string} url - The final URL.
+ * @param {string} suffix - The final URL suffix (without a leading "?").
+ * @return {string} The URL with the suffix applied.
+ */
+function appendFinalUrlSuffix(url, suffix) {
+    var hashIndex = url.indexOf("#");
+    var base = hashIndex === -1 ? url : url.substring(0, hashIndex);
+    var fragment = hashIndex === -1 ? "" : url.substring(hashIndex);
+    return base + (base.indexOf("?") === -1 ? "?" : "&") + suffix.replace(/^[?&]/, "") + fragment;
+}
+
+/**
+ * Extracts the parts of a landing page used for content analysis from its HTML.
+ * Regex-based (no DOM parser is available in Ads Scripts); scripts, styles and comments are ignored.
+ * @param {string} html - The page HTML.
+ * @return {Object} { title, metaDescription, h1: [], h2: [], text, formCount, buttonCount, telLinkCount, ctaLinks: [] }.
+ */
+function parseLandingPageHtml(html) {
+    var decode = function(text) {
+        return String(text || "").replace(/<[^>]*>/g, " ")
+            .replace(/&nbsp;/gi, " ").replace(/&amp;/gi, "&").replace(/&quot;/gi, '"').replace(/&#39;|&apos;/gi, "'")
+            .replace(/&lt;/gi, "<").replace(/&gt;/gi, ">").replace(/&#(\d+);/g, function(match, code) { return String.fromCharCode(Number(code)); })
+            .replace(/\s+/g, " ").trim();
+    };
+    var cleaned = String(html || "").replace(/<!--[\s\S]*?-->/g, " ")
+        .replace(/<(script|style|noscript|template)\b[\s\S]*?<\/\1>/gi, " ");
+    var all = function(regex) {
+        var matches = [];
+        var match;
+        while ((match = regex.exec(cleaned)) !== null) matches.push(decode(match[1]));
+        return matches.filter(function(text) { return text; });
+    };
+    var titleMatch = cleaned.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+    var metaMatch = cleaned.match(/<meta[^>]+name=["']description["'][^>]*content=["']([^"']*)["']/i) ||
+        cleaned.match(/<meta[^>]+content=["']([^"']*)["'][^>]*name=["']description["']/i);
+    var bodyMatch = cleaned.match(/<body[^>]*>([\s\S]*)<\/body>/i);
+    var anchors = [];
+    var anchorRegex = /<a\b[^>]*>([\s\S]*?)<\/a>/gi;
+    var anchor;
+    while ((anchor = anchorRegex.exec(cleaned)) !== null) anchors.push(decode(anchor[1]));
+
+    return {
+        title: titleMatch ? decode(titleMatch[1]) : "",
+        metaDescription: metaMatch ? decode(metaMatch[1]) : "",
+        h1: all(/<h1[^>]*>([\s\S]*?)<\/h1>/gi),
+        h2: all(/<h2[^>]*>([\s\S]*?)<\/h2>/gi),
+        text: decode(bodyMatch ? bodyMatch[1] : cleaned),
+        formCount: (cleaned.match(/<form\b/gi) || []).length,
+        buttonCount: (cleaned.match(/<button\b|<input[^>]+type=["']?(submit|button)/gi) || []).length,
+        telLinkCount: (cleaned.match(/href=["']tel:/gi) || []).length,
+        ctaLinks: anchors.filter(function(text) { return text && text.length <= 40 && adTextHasCta(text); })
+    };
+}
+
+/**
+ * Scores how well a parsed landing page covers an ad group's keywords and RSA headline terms.
+ * @param {Object} page - Result of parseLandingPageHtml().
+ * @param {Array<string>} keywords - Normalized keyword texts of the ad group.
+ * @param {Array<string>} headlines - RSA headline texts of the ad group.
+ * @return {Object} { keywordCoverage, missingKeywords, headlineTermCoverage, missingHeadlineTerms,
+ *                    keywordInTitleOrH1 }. Coverages are null when there is nothing to compare.
+ */
+function scoreLandingPageRelevance(page, keywords, headlines) {
+    var toWordSet = function(text) {
+        var set = {};
+        getKeywordOverlapKey(text, "BROAD").split(" ").forEach(function(word) { if (word) set[word] = true; });
+        return set;
+    };
+    var containsAll = function(wordSet, text) {
+        return getKeywordOverlapKey(text, "BROAD").split(" ").every(function(word) { return !word || wordSet[word]; });
+    };
+    var pageWords = toWordSet([page.title, page.metaDescription, page.h1.join(" "), page.h2.join(" "), page.text].join(" "));
+    var headingWords = toWordSet(page.title + " " + page.h1.join(" "));
+
+    var missingKeywords = keywords.filter(function(keyword) { return !containsAll(pageWords, keyword); });
+    var stopWords = { the: 1, and: 1, for: 1, you: 1, your: 1, our: 1, with: 1, from: 1, are: 1, get: 1, now: 1, all: 1, new: 1, today: 1, this: 1, that: 1 };
+    var headlineTerms = Object.keys(toWordSet(headlines.map(getAdDisplayText).join(" "))).filter(function(word) {
+        return word.length > 2 && !stopWords[word] && !/^\d+$/.test(word);
+    });
+    var missingHeadlineTerms = headlineTerms.filter(function(term) { return !pageWords[term]; });
+
+    return {
+        keywordCoverage: keywords.length > 0 ? 1 - missingKeywords.length / keywords.length : null,
+        missingKeywords: missingKeywords,
+        headlineTermCoverage: headlineTerms.length > 0 ? 1 - missingHeadlineTerms.length / headlineTerms.length : null,
+        missingHeadlineTerms: missingHeadlineTerms,
+        keywordInTitleOrH1: keywords.some(function(keyword) { return containsAll(headingWords, keyword); })
+    };
+}
+
+/**
+ * Splits an absolute URL into scheme, host, path and query parameter names.
+ * @param {string} url - The URL.
+ * @return {Object} { scheme, host, path, params: [names] } (empty strings if the URL is not absolute).
+ */
+function getUrlParts(url) {
+    var match = String(url).match(/^([a-z][a-z0-9+.-]*):\/\/([^\/?#]*)([^?#]*)(\?[^#]*)?/i) || [];
+    var query = match[4] ? match[4].substring(1) : "";
+    return {
+        scheme: (match[1] || "").toLowerCase(),
+        host: (match[2] || "").toLowerCase(),
+        path: match[3] || "",
+        params: query ? query.split("&").map(function(pair) { return decodeURIComponent(pair.split("=")[0]).toLowerCase(); }) : []
+    };
+}
+
+/**
+ * Resolves a redirect Location header against the URL that returned it.
+ * @param {string} baseUrl - The URL that was requested.
+ * @param {string} location - The Location header (absolute, protocol-relative, root-relative or relative).
+ * @return {string} The absolute URL to request next.
+ */
+function resolveRedirectLocation(baseUrl, location) {
+    if (/^[a-z][a-z0-9+.-]*:\/\//i.test(location)) return location;
+    var base = getUrlParts(baseUrl);
+    if (location.indexOf("//") === 0) return base.scheme + ":" + location;
+    if (location.charAt(0) === "/") return base.scheme + "://" + base.host + location;
+    if (location.charAt(0) === "?") return base.scheme + "://" + base.host + base.path + location;
+    return base.scheme + "://" + base.host + base.path.substring(0, base.path.lastIndexOf("/") + 1) + location;
+}
+
+/**
+ * Fetches a URL following redirects manually, so every hop can be inspected.
+ * @param {string} url - The URL to fetch.
+ * @return {Object} { hops: [{ url, status, ms }], response (final HTTPResponse, null on a loop),
+ *                    finalUrl, loop (true if redirects repeated or exceeded LANDING_PAGE_MAX_FOLLOWED_REDIRECTS) }.
+ */
+function fetchWithRedirectChain(url) {
+    var options = {
+        'muteHttpExceptions': true,
+        'validateHttpsCertificates': false, // Be lenient
+        'followRedirects': false, // Followed below, one hop at a time
+        'method' : 'GET'
+    };
+    var hops = [];
+    var seen = {};
+    var currentUrl = url;
+    for (var redirects = 0; redirects <= CONFIG.LANDING_PAGE_MAX_FOLLOWED_REDIRECTS; redirects++) {
+        if (seen[currentUrl]) break;
+        seen[currentUrl] = true;
+        var start = new Date().getTime();
+        var response = UrlFetchApp.fetch(currentUrl, options);
+        var status = response.getResponseCode();
+        hops.push({ url: currentUrl, status: status, ms: new Date().getTime() - start });
+        var headers = response.getHeaders();
+        var location = headers.Location || headers.location;
+        if (Array.isArray(location)) location = location[0];
+        if (status >= 300 && status < 400 && location) {
+            currentUrl = resolveRedirectLocation(currentUrl, String(location));
+            continue;
+        }
+        return { hops: hops, response: response, finalUrl: currentUrl, loop: false };
+    }
+    return { hops: hops, response: null, finalUrl: currentUrl, loop: true };
+}
+
+/**
+ * Formats a redirect chain for the details column, e.g. "301 http://a (120 ms) -> 200 https://a (310 ms)".
+ * @param {Array<Object>} hops - Hops from fetchWithRedirectChain().
+ * @return {string} The formatted chain.
+ */
+function formatRedirectChain(hops) {
+    return hops.map(function(hop) { return hop.status + " " + hop.url + " (" + hop.ms + " ms)"; }).join(" -> ");
+}
+
+/**
+ * Analyzes a fetched redirect chain for link-integrity problems.
+ * @param {string} requestedUrl - The URL that was fetched (including any test gclid).
+ * @param {Object} chain - Result of fetchWithRedirectChain().
+ * @param {Object|null} page - Parsed final page (parseLandingPageHtml()), or null if not HTML/not fetched.
+ * @return {Object} { tooManyHops, httpsDowngrade, homepageRedirect, soft404, strippedParameters: [names] }.
  */
-function addResult(category, item, status, details, recommendation) {
-    var rowData = [category, item, status, details, recommendation];
-    var sheetName = getSheetNameForCategory(category);
-
-    // Ensure the array for the sheet exists
-    if (!ALL_RESULTS[sheetName]) {
-        ALL_RESULTS[sheetName] = [];
+function analyzeRedirectChain(requestedUrl, chain, page) {
+    var redirects = chain.hops.length - 1;
+    var start = getUrlParts(requestedUrl);
+    var end = getUrlParts(chain.finalUrl);
+
+    var httpsDowngrade = false;
+    for (var i = 1; i < chain.hops.length; i++) {
+        if (getUrlParts(chain.hops[i - 1].url).scheme === "https" && getUrlParts(chain.hops[i].url).scheme === "http") httpsDowngrade = true;
     }
-    ALL_RESULTS[sheetName].push(rowData);
 
-    // Add to critical issues list if status is Fail
-    if (status === "Fail") {
-        CRITICAL_ISSUES.push(rowData);
+    var isRoot = function(path) { return path === "" || path === "/"; };
+    var tracked = start.params.filter(function(param) {
+        return CONFIG.LANDING_PAGE_TRACKED_PARAMETERS.some(function(name) {
+            return /_$/.test(name) ? param.indexOf(name) === 0 : param === name;
+        });
+    });
+
+    var soft404 = false;
+    if (page && chain.response && chain.response.getResponseCode() === 200) {
+        var headline = (page.title + " | " + page.h1.join(" | ")).toLowerCase();
+        soft404 = CONFIG.SOFT_404_PATTERNS.some(function(phrase) {
+            var escaped = phrase.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/\s+/g, "\\W+"); // Any separator between words ("404 | Not Found")
+            return new RegExp("(^|\\W)" + escaped + "(\\W|$)").test(headline);
+        }) ||
+            (redirects > 0 && /(^|[\/_-])(404|not-?found|error)([\/_.-]|$)/i.test(end.path));
     }
 
-    // Log immediately as well
-    Logger.log("[" + status + "] " + category + " - " + item + ": " + details + " (" + recommendation + ")");
+    return {
+        tooManyHops: redirects > CONFIG.LANDING_PAGE_MAX_REDIRECT_HOPS,
+        httpsDowngrade: httpsDowngrade,
+        homepageRedirect: redirects > 0 && !isRoot(start.path) && isRoot(end.path),
+        soft404: soft404,
+        strippedParameters: redirects > 0 ? tracked.filter(function(param) { return end.params.indexOf(param) === -1; }) : []
+    };
 }
 
 /**
- * Populates the Overview sheet with summary data.
+ * Measures mobile-readiness and page-weight heuristics from a fetched page, without external services.
+ * Up to LANDING_PAGE_IMAGE_SAMPLE_SIZE of the page's images are fetched to measure their size and format.
+ * @param {HTTPResponse} response - The final response.
+ * @param {Object} chain - Result of fetchWithRedirectChain() (for timing).
+ * @param {Object} imageCache - Image measurements shared across pages {imageUrl: measurement or null}.
+ * @return {Object} { hasViewport, viewportDeviceWidth, htmlKb, compressed, blockingScripts, stylesheets,
+ *                    images, fetchMs, imagesSampled, heavyImages, uncompressedImages } (image lists hold
+ *                    getImageMeasurements() entries).
  */
-function populateOverviewSheet() {
-    if (!SPREADSHEET_ID) return;
-    Logger.log("Populating Overview Sheet...");
+function getPageWeightMetrics(response, chain, imageCache) {
+    var html = response.getContentText();
+    var headers = response.getHeaders();
+    var headMatch = html.match(/<head[^>]*>([\s\S]*?)<\/head>/i);
+    var head = headMatch ? headMatch[1] : html;
+    var viewport = html.match(/<meta[^>]+name=["']viewport["'][^>]*>/i);
+    var blockingScripts = (head.match(/<script\b[^>]*\bsrc=[^>]*>/gi) || []).filter(function(tag) {
+        return !/\b(async|defer)\b|type=["']?module/i.test(tag);
+    }).length;
+    var stylesheets = (head.match(/<link\b[^>]*rel=["']?stylesheet[^>]*>/gi) || []).filter(function(tag) {
+        return !/media=["']?print/i.test(tag);
+    }).length;
+    var sampled = CONFIG.LANDING_PAGE_IMAGE_SAMPLE_SIZE > 0 ? getImageMeasurements(html, chain.finalUrl, imageCache) : [];
+
+    return {
+        hasViewport: !!viewport,
+        viewportDeviceWidth: !!viewport && /width\s*=\s*device-width/i.test(viewport[0]),
+        htmlKb: response.getContent().length / 1024,
+        compressed: /gzip|br|deflate|zstd/i.test(String(headers["Content-Encoding"] || headers["content-encoding"] || "")),
+        blockingScripts: blockingScripts,
+        stylesheets: stylesheets,
+        images: (html.match(/<img\b/gi) || []).length,
+        fetchMs: chain.hops.reduce(function(total, hop) { return total + hop.ms; }, 0),
+        imagesSampled: sampled.length,
+        heavyImages: sampled.filter(function(image) { return image.kb > CONFIG.LANDING_PAGE_MAX_IMAGE_KB && !image.modernFormat; }),
+        uncompressedImages: sampled.filter(function(image) { return image.uncompressed; })
+    };
+}
 
-    try {
-        var spreadsheet = SpreadsheetApp.openById(SPREADSHEET_ID);
-        var overviewSheet = spreadsheet.getSheetByName(SHEET_NAMES.OVERVIEW);
-        // Clear content below header row (Row 1)
-        if (overviewSheet.getLastRow() > 1) {
-            overviewSheet.getRange(2, 1, overviewSheet.getLastRow() - 1, overviewSheet.getMaxColumns()).clearContent().clearFormat();
+/**
+ * Fetches the first distinct <img src> URLs of a page (up to LANDING_PAGE_IMAGE_SAMPLE_SIZE, skipping
+ * data: URIs) and measures each one. Images already measured for another page are taken from the cache.
+ * @param {string} html - The page HTML.
+ * @param {string} pageUrl - The final page URL, to resolve relative image URLs.
+ * @param {Object} imageCache - {imageUrl: measurement, or null if the image could not be fetched}.
+ * @return {Array<Object>} Measurements { url, kb, type, modernFormat (WebP/AVIF), uncompressed (BMP/TIFF,
+ *                         or SVG over 20 KB without gzip/brotli) } of the images that could be fetched.
+ */
+function getImageMeasurements(html, pageUrl, imageCache) {
+    var imageUrls = [];
+    var tagPattern = /<img\b[^>]*?\ssrc\s*=\s*["']?([^"'\s>]+)/gi;
+    var match;
+    while (imageUrls.length < CONFIG.LANDING_PAGE_IMAGE_SAMPLE_SIZE && (match = tagPattern.exec(html)) !== null) {
+        if (/^data:/i.test(match[1])) continue;
+        var imageUrl = resolveRedirectLocation(pageUrl, match[1].replace(/&amp;/g, "&"));
+        if (/^https?:/i.test(imageUrl) && imageUrls.indexOf(imageUrl) === -1) imageUrls.push(imageUrl);
+    }
+
+    var toFetch = imageUrls.filter(function(imageUrl) { return !imageCache.hasOwnProperty(imageUrl); });
+    if (toFetch.length > 0) {
+        var requests = toFetch.map(function(imageUrl) {
+            return { url: imageUrl, muteHttpExceptions: true, validateHttpsCertificates: false, followRedirects: true };
+        });
+        var responses;
+        try {
+            responses = UrlFetchApp.fetchAll(requests);
+        } catch (batchError) { // One unreachable host fails the whole batch; retry one by one
+            responses = requests.map(function(request) {
+                try { return UrlFetchApp.fetch(request.url, request); } catch (e) { return null; }
+            });
         }
-        overviewSheet.setColumnWidths(1, 3, 400); // Reset column widths after clearing
+        toFetch.forEach(function(imageUrl, index) {
+            var response = responses[index];
+            if (!response || response.getResponseCode() !== 200) {
+                imageCache[imageUrl] = null;
+                return;
+            }
+            var headers = response.getHeaders();
+            var type = String(headers["Content-Type"] || headers["content-type"] || "").split(";")[0].trim().toLowerCase();
+            var encoding = String(headers["Content-Encoding"] || headers["content-encoding"] || "");
+            var kb = response.getContent().length / 1024;
+            imageCache[imageUrl] = {
+                url: imageUrl,
+                kb: kb,
+                type: type || "unknown type",
+                modernFormat: /image\/(webp|avif)/.test(type),
+                uncompressed: /image\/(bmp|x-ms-bmp|tiff)/.test(type) || (type === "image/svg+xml" && kb > 20 && !/gzip|br|deflate|zstd/i.test(encoding))
+            };
+        });
+    }
+    return imageUrls.map(function(imageUrl) { return imageCache[imageUrl]; }).filter(function(image) { return image; });
+}
 
-        var failCount = 0;
-        var warnCount = 0;
 
-        // --- Summary Section ---
-        overviewSheet.appendRow(["--- AUDIT SUMMARY ---", "", ""]);
-        var summaryHeaderRange = overviewSheet.getRange(overviewSheet.getLastRow(), 1, 1, 3);
-        summaryHeaderRange.merge().setFontWeight("bold").setBackground("#D3D3D3").setHorizontalAlignment("center");
+// --- Keyword Matching Helpers ---
 
+/**
+ * Normalizes keyword or search term text for comparison: lowercases, strips match-type
+ * syntax ([ ] " +) and collapses whitespace.
+ * @param {string} text - The keyword, negative or search term text.
+ * @return {string} The normalized text.
+ */
+function normalizeKeywordText(text) {
+    return String(text || "").toLowerCase().replace(/[\[\]"+]/g, " ").replace(/\s+/g, " ").trim();
+}
 
-        // Calculate Fails/Warns per category
-        var issueCounts = {};
-        var sheetOrder = [ // Define order for summary
-            SHEET_NAMES.PERFORMANCE,
-            SHEET_NAMES.STRUCTURE_SETTINGS,
-            SHEET_NAMES.KEYWORDS_ADGROUPS,
-            SHEET_NAMES.ADS_EXTENSIONS,
-            SHEET_NAMES.MANUAL_CHECKS
-        ];
+/**
+ * Builds the key used to group duplicate/overlapping keywords across the account.
+ * Normalizes case and punctuation, folds simple close variants (plurals, accents) and,
+ * for broad match, ignores word order.
+ * @param {string} text - Keyword text.
+ * @param {string} matchType - "BROAD", "PHRASE" or "EXACT".
+ * @return {string} The overlap key.
+ */
+function getKeywordOverlapKey(text, matchType) {
+    var words = normalizeKeywordText(text)
+        .normalize("NFD").replace(/[\u0300-\u036f]/g, "") // Strip accents
+        .replace(/[^\p{L}\p{N}\s]/gu, " ") // Strip punctuation, keep letters/digits of any script
+        .split(/\s+/)
+        .filter(function(word) { return word.length > 0; })
+        .map(function(word) {
+            if (word.length > 4 && /ies$/.test(word)) return word.slice(0, -3) + "y";
+            if (word.length > 3 && /s$/.test(word) && !/ss$/.test(word)) return word.slice(0, -1);
+            return word;
+        });
+    if (matchType === "BROAD") words.sort();
+    return words.join(" ");
+}
 
-        sheetOrder.forEach(function(sheetName) {
-            if (!ALL_RESULTS[sheetName]) return; // Skip if no results for this sheet
+/**
+ * Checks whether a negative keyword blocks a query, using Google's negative matching semantics
+ * (negatives do not match close variants):
+ *   BROAD  - every negative word appears in the query, in any order.
+ *   PHRASE - the negative words appear in the query contiguously and in the same order.
+ *   EXACT  - the query is exactly the negative text.
+ * @param {string} negativeText - Normalized negative keyword text.
+ * @param {string} negativeMatchType - "BROAD", "PHRASE" or "EXACT".
+ * @param {string} queryText - Normalized query (search term or positive keyword text).
+ * @return {boolean} True if the negative blocks the query.
+ */
+function negativeBlocksQuery(negativeText, negativeMatchType, queryText) {
+    if (!negativeText || !queryText) return false;
+    if (negativeMatchType === "EXACT") return negativeText === queryText;
+    if (negativeMatchType === "PHRASE") return (" " + queryText + " ").indexOf(" " + negativeText + " ") !== -1;
 
-            var categoryFails = 0;
-            var categoryWarns = 0;
-            ALL_RESULTS[sheetName].forEach(function(row) {
-                if (row[2] === "Fail") categoryFails++;
-                if (row[2] === "Warn") categoryWarns++;
-            });
-            failCount += categoryFails;
-            warnCount += categoryWarns;
-            if (categoryFails > 0 || categoryWarns > 0) {
-                 issueCounts[sheetName] = { fails: categoryFails, warns: categoryWarns };
-            }
-        });
+    var queryWords = queryText.split(" ");
+    return negativeText.split(" ").every(function(word) { return queryWords.indexOf(word) !== -1; });
+}
 
-        var summaryStartRow = overviewSheet.getLastRow() + 1;
-        overviewSheet.appendRow(["Total Critical Issues (Fail)", failCount, "Review items marked 'Fail' below and in respective sheets."]);
-        overviewSheet.appendRow(["Total Warnings (Warn)", warnCount, "Review items marked 'Warn' in respective sheets."]);
-        overviewSheet.appendRow(["Issue Counts by Area:", "", ""]); // Sub-header
+/**
+ * Loads every keyword negative in scope of enabled campaigns via GAQL: campaign-level,
+ * ad group-level, shared negative lists attached to each campaign and account-level lists.
+ * Each negative is { text (normalized), rawText, matchType, level }.
+ * @return {Object} { campaign: {campaignId: [neg]}, adGroup: {adGroupId: [neg]},
+ *                    sharedLists: {sharedSetId: [neg]}, campaignSharedSets: {campaignId: [sharedSetId]},
+ *                    accountSharedSets: [sharedSetId] }
+ */
+function getNegativeKeywordIndex() {
+    var index = { campaign: {}, adGroup: {}, sharedLists: {}, campaignSharedSets: {}, accountSharedSets: [] };
+    var rows, row;
+
+    rows = AdsApp.search("SELECT campaign.id, campaign_criterion.keyword.text, campaign_criterion.keyword.match_type " +
+        "FROM campaign_criterion " +
+        "WHERE campaign_criterion.negative = TRUE AND campaign_criterion.type = 'KEYWORD' AND campaign.status = 'ENABLED'");
+    while (rows.hasNext()) {
+        row = rows.next();
+        if (!index.campaign[row.campaign.id]) index.campaign[row.campaign.id] = [];
+        index.campaign[row.campaign.id].push({
+            text: normalizeKeywordText(row.campaignCriterion.keyword.text),
+            rawText: row.campaignCriterion.keyword.text,
+            matchType: row.campaignCriterion.keyword.matchType,
+            level: "Campaign"
+        });
+    }
 
-        sheetOrder.forEach(function(sheetName) {
-             if (issueCounts[sheetName]) {
-                 overviewSheet.appendRow([sheetName, "Fails: " + issueCounts[sheetName].fails + ", Warns: " + issueCounts[sheetName].warns, "See '" + sheetName + "' sheet for details."]);
-             }
+    rows = AdsApp.search("SELECT ad_group.id, ad_group_criterion.keyword.text, ad_group_criterion.keyword.match_type " +
+        "FROM ad_group_criterion " +
+        "WHERE ad_group_criterion.negative = TRUE AND ad_group_criterion.type = 'KEYWORD' " +
+        "AND campaign.status = 'ENABLED' AND ad_group.status = 'ENABLED'");
+    while (rows.hasNext()) {
+        row = rows.next();
+        if (!index.adGroup[row.adGroup.id]) index.adGroup[row.adGroup.id] = [];
+        index.adGroup[row.adGroup.id].push({
+            text: normalizeKeywordText(row.adGroupCriterion.keyword.text),
+            rawText: row.adGroupCriterion.keyword.text,
+            matchType: row.adGroupCriterion.keyword.matchType,
+            level: "Ad Group"
         });
-         overviewSheet.appendRow(["", "", ""]); // Spacer
+    }
 
+    rows = AdsApp.search("SELECT campaign.id, shared_set.id " +
+        "FROM campaign_shared_set " +
+        "WHERE shared_set.type = 'NEGATIVE_KEYWORDS' AND campaign_shared_set.status = 'ENABLED' AND campaign.status = 'ENABLED'");
+    while (rows.hasNext()) {
+        row = rows.next();
+        if (!index.campaignSharedSets[row.campaign.id]) index.campaignSharedSets[row.campaign.id] = [];
+        index.campaignSharedSets[row.campaign.id].push(row.sharedSet.id);
+    }
 
-        // --- Critical Issues Section ---
-         overviewSheet.appendRow(["--- CRITICAL ISSUES (FAIL) ---", "", ""]);
-         var criticalHeaderRange = overviewSheet.getRange(overviewSheet.getLastRow(), 1, 1, 3);
-         criticalHeaderRange.merge().setFontWeight("bold").setBackground("#FFCCCB").setHorizontalAlignment("center"); // Light red background
+    // Account-level negative keyword lists apply to every campaign; they are attached to the customer, not to campaigns
+    try {
+        rows = AdsApp.search("SELECT customer_negative_criterion.negative_keyword_list.shared_set " +
+            "FROM customer_negative_criterion WHERE customer_negative_criterion.type = 'NEGATIVE_KEYWORD_LIST'");
+        while (rows.hasNext()) {
+            row = rows.next();
+            var sharedSetName = row.customerNegativeCriterion.negativeKeywordList.sharedSet; // customers/{id}/sharedSets/{id}
+            index.accountSharedSets.push(sharedSetName.substring(sharedSetName.lastIndexOf("/") + 1));
+        }
+    } catch (e) {
+        Logger.log("Could not load account-level negative keyword lists: " + e);
+    }
 
-        if (CRITICAL_ISSUES.length > 0) {
-            CRITICAL_ISSUES.forEach(function(issue) {
-                // Format: [Category - Item, Details, Recommendation]
-                overviewSheet.appendRow([issue[0] + " - " + issue[1], issue[3], issue[4]]);
-            });
-        } else {
-            overviewSheet.appendRow(["No critical 'Fail' issues found.", "", ""]);
+    rows = AdsApp.search("SELECT shared_set.id, shared_set.name, shared_set.type, shared_criterion.keyword.text, shared_criterion.keyword.match_type " +
+        "FROM shared_criterion " +
+        "WHERE shared_set.type IN ('NEGATIVE_KEYWORDS', 'ACCOUNT_LEVEL_NEGATIVE_KEYWORDS') AND shared_set.status = 'ENABLED' AND shared_criterion.type = 'KEYWORD'");
+    while (rows.hasNext()) {
+        row = rows.next();
+        var sharedSetId = String(row.sharedSet.id);
+        if (row.sharedSet.type === "ACCOUNT_LEVEL_NEGATIVE_KEYWORDS" && index.accountSharedSets.indexOf(sharedSetId) === -1) {
+            index.accountSharedSets.push(sharedSetId);
         }
+        var isAccountList = index.accountSharedSets.indexOf(sharedSetId) !== -1;
+        if (!index.sharedLists[row.sharedSet.id]) index.sharedLists[row.sharedSet.id] = [];
+        index.sharedLists[row.sharedSet.id].push({
+            text: normalizeKeywordText(row.sharedCriterion.keyword.text),
+            rawText: row.sharedCriterion.keyword.text,
+            matchType: row.sharedCriterion.keyword.matchType,
+            level: (isAccountList ? "Account List '" : "Shared List '") + row.sharedSet.name + "'"
+        });
+    }
 
-        // Apply formatting to summary counts
-        overviewSheet.getRange(summaryStartRow, 2).setBackground(failCount > 0 ? "#FFCCCB" : "#90EE90").setFontWeight("bold"); // Red if fails, green if none
-        overviewSheet.getRange(summaryStartRow + 1, 2).setBackground(warnCount > 0 ? "#FFFFE0" : "#90EE90").setFontWeight("bold"); // Yellow if warns, green if none
+    return index;
+}
+
+/**
+ * Finds every negative in scope of an ad group (ad group, campaign, attached shared lists, then
+ * account-level lists) that blocks a query.
+ * @param {Object} negativeIndex - Index from getNegativeKeywordIndex().
+ * @param {string} campaignId - Campaign ID the query is served in.
+ * @param {string} adGroupId - Ad group ID the query is served in.
+ * @param {string} queryText - Normalized query text.
+ * @return {Array<Object>} The blocking negatives ({ text, rawText, matchType, level }); empty if none.
+ */
+function findBlockingNegatives(negativeIndex, campaignId, adGroupId, queryText) {
+    var candidates = (negativeIndex.adGroup[adGroupId] || []).concat(negativeIndex.campaign[campaignId] || []);
+    var sharedSetIds = (negativeIndex.campaignSharedSets[campaignId] || []).concat(negativeIndex.accountSharedSets.filter(function(sharedSetId) {
+        return (negativeIndex.campaignSharedSets[campaignId] || []).indexOf(sharedSetId) === -1;
+    }));
+    sharedSetIds.forEach(function(sharedSetId) {
+        candidates = candidates.concat(negativeIndex.sharedLists[sharedSetId] || []);
+    });
+    return candidates.filter(function(negative) {
+        return negativeBlocksQuery(negative.text, negative.matchType, queryText);
+    });
+}
 
 
-    } catch (e) {
-        Logger.log("Error populating overview sheet: " + e);
-    }
+// --- Ad Text Helpers ---
 
+/**
+ * Returns the word overlap (Jaccard similarity, 0-1) between two ad texts, ignoring case,
+ * punctuation, plurals and word order.
+ * @param {string} textA - First text.
+ * @param {string} textB - Second text.
+ * @return {number} 1 for identical word sets, 0 for no words in common.
+ */
+function getTextSimilarity(textA, textB) {
+    var wordsA = getKeywordOverlapKey(textA, "BROAD").split(" ").filter(function(word) { return word; });
+    var wordsB = getKeywordOverlapKey(textB, "BROAD").split(" ").filter(function(word) { return word; });
+    if (wordsA.length === 0 && wordsB.length === 0) return 1;
+    var setA = {};
+    wordsA.forEach(function(word) { setA[word] = true; });
+    var union = {};
+    var shared = 0;
+    wordsA.concat(wordsB).forEach(function(word) { union[word] = true; });
+    var seenB = {};
+    wordsB.forEach(function(word) {
+        if (setA[word] && !seenB[word]) shared++;
+        seenB[word] = true;
+    });
+    return shared / Object.keys(union).length;
 }
 
-
 /**
- * Writes all collected audit results to the respective sheets in the Google Sheet.
+ * Finds duplicate and near-duplicate pairs among an ad's text assets.
+ * @param {Array<Object>} assets - Headline or description assets ({ text }).
+ * @return {Array<string>} Descriptions of the offending pairs (e.g., "'A' ~ 'B' (86%)").
  */
-function writeResultsToSpreadsheet() {
-    if (!SPREADSHEET_ID) {
-        Logger.log("Spreadsheet not initialized. Cannot write results.");
-        return;
+function findSimilarAssetPairs(assets) {
+    var pairs = [];
+    for (var i = 0; i < assets.length; i++) {
+        for (var j = i + 1; j < assets.length; j++) {
+            var similarity = getTextSimilarity(assets[i].text, assets[j].text);
+            if (similarity >= CONFIG.RSA_NEAR_DUPLICATE_SIMILARITY) {
+                pairs.push("'" + assets[i].text + "' ~ '" + assets[j].text + "' (" + (similarity * 100).toFixed(0) + "%)");
+            }
+        }
     }
+    return pairs;
+}
 
-    try {
-        var spreadsheet = SpreadsheetApp.openById(SPREADSHEET_ID);
+/**
+ * Resolves ad customizer syntax to the text shown when no substitution happens:
+ * {KeyWord:Default} and {CUSTOMIZER.x:Default} become "Default", other {...} tokens are removed.
+ * @param {string} text - Headline or description text.
+ * @return {string} The display text.
+ */
+function getAdDisplayText(text) {
+    return String(text || "").replace(/\{[^}:]*:([^}]*)\}/g, "$1").replace(/\{[^}]*\}/g, "").replace(/\s+/g, " ").trim();
+}
 
-        for (var sheetName in ALL_RESULTS) {
-            if (sheetName === SHEET_NAMES.OVERVIEW) continue; // Overview is handled separately
+/**
+ * Returns the display length of ad text as counted by Google Ads (double-width characters count as 2).
+ * @param {string} text - Display text.
+ * @return {number} The length.
+ */
+function getAdTextLength(text) {
+    var wide = text.match(/[\u1100-\u115F\u2E80-\uA4CF\uAC00-\uD7A3\uF900-\uFAFF\uFE30-\uFE4F\uFF00-\uFF60\uFFE0-\uFFE6]/g);
+    return text.length + (wide ? wide.length : 0);
+}
 
-            var sheet = spreadsheet.getSheetByName(sheetName);
-            if (!sheet) {
-                Logger.log("Warning: Sheet '" + sheetName + "' not found. Skipping results for this category.");
-                continue;
-            }
+/**
+ * Loads CONFIG.SPELLING_WORDLIST_URL into a lowercase word set (once per execution).
+ * @return {Object|null} The word set, or null if no wordlist is configured.
+ */
+function loadSpellingWordlist() {
+    if (!CONFIG.SPELLING_WORDLIST_URL) return null;
+    if (!SPELLING_WORDLIST) {
+        SPELLING_WORDLIST = {};
+        UrlFetchApp.fetch(CONFIG.SPELLING_WORDLIST_URL).getContentText().split(/\r?\n/).forEach(function(word) {
+            if (word.trim()) SPELLING_WORDLIST[word.trim().toLowerCase()] = true;
+        });
+        Logger.log("Loaded " + Object.keys(SPELLING_WORDLIST).length + " words from the spelling wordlist.");
+    }
+    return SPELLING_WORDLIST;
+}
 
-            var results = ALL_RESULTS[sheetName];
-            if (results.length === 0) {
-                Logger.log("No results to write for sheet: " + sheetName);
-                // Clear old data if sheet exists but has no new results
-                if (sheet.getLastRow() > 1) {
-                   sheet.getRange(2, 1, sheet.getLastRow() - 1, sheet.getMaxColumns()).clearContent().clearFormat();
-                }
-                continue; // Skip empty sheets
-            }
+/**
+ * Builds the near-miss spelling dictionary (once per execution): the wordlist at CONFIG.SPELLING_DICTIONARY_SOURCE
+ * (URL or Drive file ID) if set, otherwise the bundled common words plus the CONFIG.SPELLING_LOCALE variants.
+ * SPELLING_EXTRA_WORDS are always added.
+ * @return {Object} The lowercase word set; look words up with isSpellingDictionaryWord().
+ */
+function loadSpellingDictionary() {
+    if (!SPELLING_DICTIONARY) {
+        var dictionary = {};
+        var source = CONFIG.SPELLING_DICTIONARY_SOURCE;
+        if (source) {
+            var text = /^https?:\/\//i.test(source) ? UrlFetchApp.fetch(source).getContentText() : DriveApp.getFileById(source).getBlob().getDataAsString();
+            text.split(/\r?\n/).forEach(function(word) {
+                if (word.trim()) dictionary[word.trim().toLowerCase()] = true;
+            });
+        } else {
+            [BUNDLED_SPELLING_DICTIONARY.common, BUNDLED_SPELLING_DICTIONARY[CONFIG.SPELLING_LOCALE]].forEach(function(encoded) {
+                var word = "";
+                encoded.replace(/(\d)([a-z]*)/g, function(match, sharedLength, rest) {
+                    word = word.substring(0, Number(sharedLength)) + rest;
+                    dictionary[word] = true;
+                    return match;
+                });
+            });
+        }
+        SPELLING_EXTRA_WORDS.forEach(function(extra) { dictionary[extra] = true; });
+        SPELLING_DICTIONARY = dictionary;
+        Logger.log("Loaded " + Object.keys(SPELLING_DICTIONARY).length + " words from the " + (source ? "configured" : "bundled " + CONFIG.SPELLING_LOCALE) + " spelling dictionary.");
+    }
+    return SPELLING_DICTIONARY;
+}
 
-            // Clear existing data below header before writing new data (redundant with initialize, but safe)
-             if (sheet.getLastRow() > 1) {
-                sheet.getRange(2, 1, sheet.getLastRow() - 1, sheet.getMaxColumns()).clearContent().clearFormat();
-            }
+/**
+ * Returns the base forms a word could be a regular inflection of, following English spelling rules
+ * ("rentals" -> "rental", "shipping" -> "ship", "licenced" -> "licence", "happily" -> "happy").
+ * The bundled dictionary stores only base forms; tools/build-spelling-dictionary.js drops the words that
+ * isSpellingDictionaryWord() accepts through these rules.
+ * @param {string} word - Lowercase word.
+ * @return {Array<string>} Candidate base forms of 3+ letters (not necessarily words).
+ */
+function getSpellingStems(word) {
+    var stems = [];
+    var endsConsonantVowelConsonant = function(stem) { return /(^|[^aeiou])[aeiou][^aeiouwxy]$/.test(stem); };
+    var match;
+    if ((match = /^(.+[^aeiou])i(es|ed|er|est|ly)$/.exec(word))) stems.push(match[1] + "y"); // tries, tried, happier, happily
+    if ((match = /^(.+(?:[sxz]|[cs]h|o))es$/.exec(word))) stems.push(match[1]); // boxes, goes
+    if ((match = /^(.+(?:[aeiou]y|[^sy]))s$/.exec(word))) stems.push(match[1]); // rentals, plays, horses
+    if ((match = /^(.+)(ed|ing|er|est)$/.exec(word))) {
+        var base = match[1];
+        var isIng = match[2] === "ing";
+        if (/([^aeiou])\1$/.test(base) && endsConsonantVowelConsonant(base.slice(0, -1))) {
+            stems.push(base.slice(0, -1)); // shipped, bigger, preferred
+        } else if (/e$/.test(base)) {
+            if (isIng && /[eoy]e$/.test(base)) stems.push(base); // seeing, dyeing
+        } else if ((!/[^aeiou]y$/.test(base) || isIng) &&
+                   !(endsConsonantVowelConsonant(base) && (base.match(/[aeiouy]+/g) || []).length === 1)) { // "piging" is not "pig"
+            stems.push(base); // walked, visited, trying
+        }
+        if (isIng && !/[aeiouy]$/.test(base)) stems.push(base + "e"); // making
+    }
+    if ((match = /^(.+e)(d|r|st)$/.exec(word))) stems.push(match[1]); // baked, later, latest
+    if ((match = /^(.+[^i])ly$/.exec(word))) stems.push(match[1]); // quickly
+    if ((match = /^(.+[^aeiou]l)y$/.exec(word))) stems.push(match[1] + "e"); // simply, comfortably
+    return stems.filter(function(stem) { return stem.length >= 3; });
+}
 
-            var startRow = 2; // Always start writing data from row 2
-            sheet.getRange(startRow, 1, results.length, results[0].length).setValues(results);
-            Logger.log("Successfully wrote " + results.length + " findings to sheet: " + sheetName);
+/**
+ * Checks a word against the spelling dictionary, accepting regular inflections of listed words
+ * (also stacked ones, e.g. "painters" -> "painter" -> "paint").
+ * @param {string} word - Lowercase word.
+ * @param {Object} dictionary - Word set from loadSpellingDictionary().
+ * @return {boolean} True if the word or one of its base forms is listed.
+ */
+function isSpellingDictionaryWord(word, dictionary) {
+    return dictionary[word] === true || getSpellingStems(word).some(function(stem) { return isSpellingDictionaryWord(stem, dictionary); });
+}
 
-            // Conditional formatting removed due to API errors
-            // Logger.log("Conditional formatting skipped for sheet '" + sheetName + "' due to API limitations.");
+/**
+ * Finds a dictionary word one edit (deleted, swapped, replaced or inserted letter) away from a word.
+ * @param {string} word - Lowercase word that is not in the dictionary.
+ * @param {Object} dictionary - Word set from loadSpellingDictionary().
+ * @return {string|null} The first such dictionary word, or null if there is none.
+ */
+function getSpellingSuggestion(word, dictionary) {
+    var letters = "abcdefghijklmnopqrstuvwxyz";
+    var candidates = [];
+    var i, j;
+    // Most likely typos first: swapped letters, then missing/extra letters, then a wrong letter
+    for (i = 0; i < word.length - 1; i++) candidates.push(word.substring(0, i) + word.charAt(i + 1) + word.charAt(i) + word.substring(i + 2));
+    for (i = 0; i <= word.length; i++) {
+        for (j = 0; j < letters.length; j++) candidates.push(word.substring(0, i) + letters.charAt(j) + word.substring(i));
+    }
+    for (i = 0; i < word.length; i++) candidates.push(word.substring(0, i) + word.substring(i + 1));
+    for (i = 0; i < word.length; i++) {
+        for (j = 0; j < letters.length; j++) {
+            if (letters.charAt(j) !== word.charAt(i)) candidates.push(word.substring(0, i) + letters.charAt(j) + word.substring(i + 1));
+        }
+    }
+    var isListedOrInflected = function(candidate) { // One plural/-ed/-ing inflection only, so the rules don't invent suggestions
+        return dictionary[candidate] === true ||
+            (/(s|ed|ing)$/.test(candidate) && getSpellingStems(candidate).some(function(stem) { return dictionary[stem] === true; }));
+    };
+    for (i = 0; i < candidates.length; i++) {
+        if (isListedOrInflected(candidates[i])) return candidates[i];
+    }
+    return null;
+}
 
-            // Auto-resize columns
-            for (var i = 1; i <= results[0].length; i++) {
-                try { // Wrap auto-resize in try-catch as well, just in case
-                    sheet.autoResizeColumn(i);
-                } catch (resizeError) {
-                     Logger.log("Error auto-resizing column " + i + " on sheet '" + sheetName + "': " + resizeError);
-                }
+/**
+ * Checks a headline or description for spelling, capitalization, punctuation/symbol, length
+ * and policy-risk phrase problems.
+ * Spelling uses COMMON_MISSPELLINGS, then either the strict wordlist (any unknown word is flagged) or the
+ * bundled dictionary, where only unknown words one letter away from a dictionary word are flagged, so
+ * product names and jargon the dictionary lacks are not reported.
+ * @param {string} text - The asset text (may contain customizer syntax).
+ * @param {boolean} isHeadline - True for headlines (30 chars, no exclamation marks), false for descriptions.
+ * @param {Object|null} wordlist - Word set from loadSpellingWordlist(), or null.
+ * @param {Object|null} dictionary - Word set from loadSpellingDictionary(), or null.
+ * @return {Object} Lists of issue descriptions: { spelling, capitalization, punctuation, length, policy }.
+ */
+function lintAdText(text, isHeadline, wordlist, dictionary) {
+    var issues = { spelling: [], capitalization: [], punctuation: [], length: [], policy: [] };
+    var displayText = getAdDisplayText(text);
+    var brandTerms = {};
+    CONFIG.BRAND_DICTIONARY.forEach(function(term) {
+        String(term).toLowerCase().split(/\s+/).forEach(function(word) { brandTerms[word] = true; });
+    });
+    var allowedUppercase = {};
+    CONFIG.AD_ALLOWED_UPPERCASE_WORDS.forEach(function(word) { allowedUppercase[word] = true; });
+    var isKnownWord = function(word) {
+        return !!((dictionary && isSpellingDictionaryWord(word, dictionary)) || (wordlist && wordlist[word]));
+    };
+
+    // Spelling and capitalization (per word)
+    (displayText.match(/[\p{L}']+/gu) || []).forEach(function(rawWord) {
+        var word = rawWord.replace(/^'+|'+$/g, "");
+        var lower = word.toLowerCase();
+        if (!word || brandTerms[lower] || allowedUppercase[word]) return;
+        if (COMMON_MISSPELLINGS[lower]) {
+            issues.spelling.push("'" + word + "' -> '" + COMMON_MISSPELLINGS[lower] + "'");
+        } else if (word.length > 2 && !isKnownWord(lower) && !isKnownWord(lower.replace(/'.*$/, ""))) { // "brand's", "don't"
+            if (wordlist) {
+                issues.spelling.push("'" + word + "' (not in wordlist)");
+            } else if (dictionary && word.length >= 5 && /^[a-z]+$/.test(lower)) { // Shorter words have too many near neighbours
+                var suggestion = getSpellingSuggestion(lower, dictionary);
+                if (suggestion) issues.spelling.push("'" + word + "' -> '" + suggestion + "'?");
             }
-        } // End loop through sheets
-
-    } catch (e) {
-        Logger.log("Error writing results to spreadsheet: " + e);
-        if (e.message) {
-            Logger.log("Error message: " + e.message);
         }
-        if (e.stack) {
-            Logger.log("Error stack: " + e.stack);
+        if (word.length > 2 && word === word.toUpperCase() && word !== lower && !allowedUppercase[word]) {
+            issues.capitalization.push("'" + word + "'");
         }
-        // Log results here if writing failed
-        Logger.log("Logging results here due to spreadsheet write error:");
-        for (var sheetName in ALL_RESULTS) {
-             Logger.log("--- Results for " + sheetName + " ---");
-             ALL_RESULTS[sheetName].forEach(function(row) {
-                 Logger.log(row.join(" | "));
-             });
+    });
+
+    // Punctuation and symbols
+    if (isHeadline && displayText.indexOf("!") !== -1) issues.punctuation.push("exclamation mark in headline");
+    if (!isHeadline && (displayText.match(/!/g) || []).length > 1) issues.punctuation.push("more than one exclamation mark");
+    var repeated = displayText.match(/([!?.,;:])\1+/g);
+    if (repeated) issues.punctuation.push("repeated punctuation " + repeated.join(" "));
+    var symbols = displayText.match(/[*~^|<>\\\u2022\u2605\u2606\u2713\u2714\u2192\u2665]|\p{Extended_Pictographic}/gu);
+    if (symbols) issues.punctuation.push("gimmicky symbols " + symbols.join(" "));
+
+    // Character limits
+    var maxLength = isHeadline ? CONFIG.AD_HEADLINE_MAX_LENGTH : CONFIG.AD_DESCRIPTION_MAX_LENGTH;
+    var length = getAdTextLength(displayText);
+    if (length > maxLength) issues.length.push(length + "/" + maxLength + " characters");
+
+    // Policy-risk phrases
+    var lowerText = " " + displayText.toLowerCase() + " ";
+    CONFIG.AD_POLICY_RISK_PHRASES.forEach(function(phrase) {
+        var index = lowerText.indexOf(phrase.toLowerCase());
+        if (index !== -1 && !/[\p{L}\p{N}]/u.test(lowerText.charAt(index - 1)) && !/[\p{L}\p{N}]/u.test(lowerText.charAt(index + phrase.length))) {
+            issues.policy.push("'" + phrase + "'");
         }
-    }
+    });
+    return issues;
+}
+
+/**
+ * Checks whether ad text contains one of CONFIG.AD_CTA_VERBS as a whole word or phrase.
+ * @param {string} text - Combined ad text.
+ * @return {boolean} True if a call-to-action was found.
+ */
+function adTextHasCta(text) {
+    var words = " " + normalizeKeywordText(text).replace(/[^\p{L}\p{N}\s]/gu, " ").replace(/\s+/g, " ") + " ";
+    return CONFIG.AD_CTA_VERBS.some(function(verb) {
+        return words.indexOf(" " + verb.toLowerCase() + " ") !== -1;
+    });
 }
 
 
@@ -450,7 +3872,7 @@ function auditAccountSettings() {
                     }
                 }
             } else {
-                 addResult(category, "IP Exclusions Check", "Info", "IP exclusion check skipped for campaign '" + campaign.getName() + "'.", "Method unavailable (likely incompatible campaign type like Performance Max).");
+                 addResult(category, "IP Exclusions Check", "Info", "IP exclusion check skipped for campaign '" + campaign.getName() + "'.", "Method unavailable (likely incompatible campaign type like Performance Max; see the '" + SHEET_NAMES.PMAX_SHOPPING + "' sheet).");
             }
         } catch (targetingError) {
              addResult(category, "IP Exclusions Check", "Error", "Could not check IP exclusions for campaign '" + campaign.getName() + "': " + targetingError, "Check script permissions or API changes.");
@@ -492,6 +3914,7 @@ function auditAccountStructure() {
       var campaign = campaignIterator.next();
       campaignsChecked++;
       var campaignName = campaign.getName();
+      var campaignSettings = getCampaignSettings(campaign.getId());
       var budgetAmount = 0;
       try { // Handle potential errors getting budget (e.g., for certain campaign types)
           var budget = campaign.getBudget();
@@ -505,9 +3928,9 @@ function auditAccountStructure() {
 
 
       // Campaign Naming Convention
-      if (CONFIG.CAMPAIGN_NAMING_CONVENTION_REGEX && !CONFIG.CAMPAIGN_NAMING_CONVENTION_REGEX.test(campaignName)) {
+      if (campaignSettings.CAMPAIGN_NAMING_CONVENTION_REGEX && !campaignSettings.CAMPAIGN_NAMING_CONVENTION_REGEX.test(campaignName)) {
         campaignsWithPoorNaming++;
-        addResult(category, "Campaign Naming Convention", "Warn", "Campaign '" + campaignName + "' doesn't match pattern: " + CONFIG.CAMPAIGN_NAMING_CONVENTION_REGEX.source, "Standardize campaign naming for better organization.");
+        addResult(category, "Campaign Naming Convention", "Warn", "Campaign '" + campaignName + "' doesn't match pattern: " + campaignSettings.CAMPAIGN_NAMING_CONVENTION_REGEX.source, "Standardize campaign naming for better organization.", null, createEntity("CAMPAIGN", campaign.getId(), campaignName));
       }
 
       // Budget Allocation (Info - requires context)
@@ -516,6 +3939,7 @@ function auditAccountStructure() {
       // Ad Group Theming & Overlapping Keywords (Checked in respective modules)
     }
 
+    recordItemCoverage(category, "Campaign Naming Convention", campaignsChecked);
     if (campaignsChecked > 0 && campaignsWithPoorNaming === 0) {
        addResult(category, "Campaign Naming Convention", "Pass", "All " + campaignsChecked + " checked campaigns follow the naming convention.", "Maintain consistent naming.");
     } else if (campaignsChecked > 0 && campaignsWithPoorNaming > 0) {
@@ -527,7 +3951,7 @@ function auditAccountStructure() {
     addResult(category, "Total Account Budget", "Info", "Sum of daily budgets for checked campaigns: " + totalBudget.toFixed(2) + " " + AdsApp.currentAccount().getCurrencyCode(), "Verify total budget aligns with overall advertising goals.");
     addResult(category, "Campaign Organization", "Info", "Manual Review Required", "Review campaign goals (e.g., Search, Display, Video) and structure (e.g., by product, service, location). Ensure logical grouping.");
     addResult(category, "Ad Group Theming", "Info", "Checked in Ad Groups module.", "Ensure ad groups contain tightly themed keywords.");
-    addResult(category, "Overlapping Keywords", "Info", "Basic checks in Keywords module.", "Perform deeper analysis using Search Terms Report or dedicated tools if needed.");
+    addResult(category, "Overlapping Keywords", "Info", "Checked account-wide in Keywords module.", "See 'Overlapping Keywords (Cross-Campaign)' rows on the '" + SHEET_NAMES.KEYWORDS_ADGROUPS + "' sheet.");
 
 
   } catch (e) {
@@ -537,131 +3961,156 @@ function auditAccountStructure() {
 
 
 /**
- * Audits conversion tracking setup.
+ * Audits conversion tracking setup using a GAQL query of the conversion_action resource
+ * (AdsApp.conversionActions() is unavailable in current Ads Scripts).
  * Checklist Items: Tracking implemented, Primary/Secondary actions, Tag firing (limited check),
  *                  Duplicate tracking (limited check), Conversion values, GA linking.
  */
 function auditConversionTracking() {
   var category = "Conversion Tracking";
   Logger.log("--- Auditing " + category + " ---");
-  addResult(category, "Conversion Action Check", "Info", "Manual Check Required", "Checking specific conversion actions via standard Ads Scripts has limitations. Please review conversion actions, primary/secondary settings, values, and GA linking manually in the UI (Tools & Settings > Measurement > Conversions).");
-  /* // Commenting out due to AdsApp.conversionActions() limitation.
+  var primaryActions = 0;
+  var secondaryActions = 0;
+  var actionsWithValue = 0;
+  var totalActions = 0; // Enabled actions
+  var analyticsGoals = 0;
+  var websiteActions = 0;
+  var duplicateCheckMap = {}; // Normalized name -> count of enabled actions
+  var primaryByCategory = {}; // Category -> names of enabled primary actions
+  // Categories where counting every conversion per click usually inflates results
+  var onePerClickCategories = ['LEAD', 'SIGNUP', 'SUBMIT_LEAD_FORM', 'BOOK_APPOINTMENT', 'REQUEST_QUOTE', 'CONTACT', 'PHONE_CALL_LEAD', 'IMPORTED_LEAD', 'QUALIFIED_LEAD', 'CONVERTED_LEAD', 'GET_DIRECTIONS'];
+
   try {
-    // var conversionActions = AdsApp.conversionActions().get(); // This method is unavailable
-    // --- Existing code commented out ---
-    var primaryActions = 0;
-    var secondaryActions = 0;
-    var actionsWithValue = 0;
-    var totalActions = 0;
-    var tagManagerActions = 0;
-    var analyticsGoals = 0;
-    var websiteActions = 0;
-    var duplicateCheckMap = {}; // Simple check for identical names
-
-    if (!conversionActions.hasNext()) {
+    var query = "SELECT conversion_action.id, conversion_action.name, conversion_action.status, " +
+        "conversion_action.category, conversion_action.type, conversion_action.origin, " +
+        "conversion_action.primary_for_goal, conversion_action.counting_type, " +
+        "conversion_action.value_settings.default_value, conversion_action.value_settings.always_use_default_value, " +
+        "conversion_action.include_in_conversions_metric " +
+        "FROM conversion_action " +
+        "WHERE conversion_action.status != 'REMOVED'";
+    var rows = AdsApp.search(query);
+
+    if (!rows.hasNext()) {
       addResult(category, "Conversion Tracking Implemented", "Fail", "No conversion actions found in the account.", "Implement conversion tracking immediately.");
       return; // Stop if no actions exist
     }
 
-     addResult(category, "Conversion Tracking Implemented", "Pass", "Conversion actions found.", "Review specific actions below.");
-
-    while (conversionActions.hasNext()) {
-      var action = conversionActions.next();
-      totalActions++;
-      var actionName = action.getName();
-      var actionCategory = action.getCategory();
-      var actionStatus = action.getStatus(); // ENABLED, REMOVED, HIDDEN
-      var actionOrigin = 'N/A'; // Default
-      var actionCountingType = 'N/A'; // Default
-      var actionValueSettings = null; // Default
-
-      // Use try-catch for methods that might not exist on all action types/versions
-      try { actionOrigin = action.getOrigin ? action.getOrigin() : 'N/A'; } catch (e) { Logger.log("Warning: Could not get origin for action '" + actionName + "'."); }
-      try { actionCountingType = action.getCountingType ? action.getCountingType() : 'N/A'; } catch (e) { Logger.log("Warning: Could not get counting type for action '" + actionName + "'."); }
-      try { actionValueSettings = action.getValueSettings ? action.getValueSettings() : null; } catch (e) { Logger.log("Warning: Could not get value settings for action '" + actionName + "'."); }
+    addResult(category, "Conversion Tracking Implemented", "Pass", "Conversion actions found.", "Review specific actions below.");
 
+    while (rows.hasNext()) {
+      var action = rows.next().conversionAction;
+      var actionName = action.name;
+      var actionCategory = action.category || 'N/A';
+      var actionStatus = action.status; // ENABLED, HIDDEN
+      var actionType = action.type || 'N/A';
+      var actionOrigin = action.origin || 'N/A';
+      var actionCountingType = action.countingType || 'N/A';
+      var isPrimary = action.primaryForGoal === true;
+      var includedInConversions = action.includeInConversionsMetric === true;
+      var valueSettings = action.valueSettings || {};
 
       if (actionStatus !== 'ENABLED') {
-          addResult(category, "Action Status", "Warn", "Action '" + actionName + "' is " + actionStatus, "Review if this action should be enabled or removed.");
+          addResult(category, "Action Status", "Warn", "Action '" + actionName + "' is " + actionStatus, "Review if this action should be enabled or removed.", null, createEntity("CONVERSION_ACTION", action.id, actionName));
           continue; // Skip checks for non-enabled actions
       }
+      totalActions++;
 
-      // Primary/Secondary Approximation
-      if (['PURCHASE', 'LEAD', 'SIGN_UP', 'PAGE_VIEW', 'OUTBOUND_CLICK', 'PHONE_CALL_LEAD', 'SUBMIT_LEAD_FORM', 'BOOK_APPOINTMENT', 'REQUEST_QUOTE'].indexOf(actionCategory) !== -1) {
+      // Primary/Secondary (primary_for_goal)
+      if (isPrimary) {
           primaryActions++;
-          addResult(category, "Primary Conversion Actions", "Info", "Action '" + actionName + "' (Category: " + actionCategory + ") likely primary.", "Verify this action is correctly set as primary in the UI if applicable.");
+          if (!primaryByCategory[actionCategory]) primaryByCategory[actionCategory] = [];
+          primaryByCategory[actionCategory].push(actionName);
+          addResult(category, "Primary Conversion Actions", "Info", "Action '" + actionName + "' (Category: " + actionCategory + ", Type: " + actionType + ") is primary.", "Verify this action represents a key business goal, since bidding optimizes towards it.");
       } else {
           secondaryActions++;
-           addResult(category, "Secondary Conversion Actions", "Info", "Action '" + actionName + "' (Category: " + actionCategory + ") likely secondary.", "Verify this action is correctly set as secondary in the UI if applicable.");
+          addResult(category, "Secondary Conversion Actions", "Info", "Action '" + actionName + "' (Category: " + actionCategory + ", Type: " + actionType + ") is secondary (observation only).", "Verify this action should not be used for bidding.");
+      }
+      if (isPrimary !== includedInConversions) {
+          addResult(category, "Conversions Column Inclusion", "Warn", "Action '" + actionName + "' is " + (isPrimary ? "primary" : "secondary") + " but include_in_conversions_metric is " + includedInConversions + ".", "Check the goal settings for this action; primary actions should report in the Conversions column.", null, createEntity("CONVERSION_ACTION", action.id, actionName));
       }
 
-      // Conversion Values
-      var hasValue = false;
-      if (actionValueSettings) {
-          try {
-              if (actionValueSettings.getDefaultValue() > 0 || actionValueSettings.getAlwaysUseDefaultValue() === false) {
-                  actionsWithValue++;
-                  hasValue = true;
-              }
-          } catch (vsError) {
-               Logger.log("Warning: Could not fully check value settings for action '" + actionName + "'. " + vsError);
-          }
+      // Counting Type
+      if (onePerClickCategories.indexOf(actionCategory) !== -1 && actionCountingType === 'MANY_PER_CLICK') {
+          addResult(category, "Conversion Counting Type", "Warn", "Lead-type action '" + actionName + "' (Category: " + actionCategory + ") counts Every conversion (MANY_PER_CLICK).", "Set counting to One (ONE_PER_CLICK) so repeated submissions from one click are not counted as separate leads.", null, createEntity("CONVERSION_ACTION", action.id, actionName));
+      } else if (actionCategory === 'PURCHASE' && actionCountingType === 'ONE_PER_CLICK') {
+          addResult(category, "Conversion Counting Type", "Warn", "Purchase action '" + actionName + "' counts One conversion per click (ONE_PER_CLICK).", "Set counting to Every (MANY_PER_CLICK) so repeat purchases are captured.", null, createEntity("CONVERSION_ACTION", action.id, actionName));
       }
-      addResult(category, "Conversion Values Assigned", hasValue ? "Pass" : "Warn", "Action '" + actionName + "' " + (hasValue ? "has value settings." : "does not seem to have specific value settings."), hasValue ? "Ensure values are accurate." : "Assign conversion values if applicable (e.g., for purchases, leads with estimated value).");
 
+      // Conversion Values (default value / always-use-default)
+      var defaultValue = Number(valueSettings.defaultValue) || 0;
+      var hasValue = defaultValue > 0 || valueSettings.alwaysUseDefaultValue === false;
+      if (hasValue) actionsWithValue++;
+      addResult(category, "Conversion Values Assigned", hasValue ? "Pass" : "Warn", "Action '" + actionName + "' " + (hasValue ? "has value settings (Default: " + defaultValue + ", Always use default: " + valueSettings.alwaysUseDefaultValue + ")." : "does not seem to have specific value settings."), hasValue ? "Ensure values are accurate." : "Assign conversion values if applicable (e.g., for purchases, leads with estimated value).");
+      if (hasValue && valueSettings.alwaysUseDefaultValue === true && actionCategory === 'PURCHASE') {
+          addResult(category, "Conversion Values Assigned", "Warn", "Purchase action '" + actionName + "' always uses the default value (" + defaultValue + ").", "Pass transaction-specific values from the tag so ROAS reflects real revenue.", null, createEntity("CONVERSION_ACTION", action.id, actionName));
+      }
 
-      // Tag Firing (API Limitation)
-      if (actionOrigin === 'WEBSITE' || actionOrigin === 'GOOGLE_TAG_MANAGER') websiteActions++;
-      if (actionOrigin === 'GOOGLE_ANALYTICS') analyticsGoals++;
-      if (actionOrigin === 'GOOGLE_TAG_MANAGER') tagManagerActions++;
+      // Tag Firing (API Limitation) & Origin
+      var isAnalyticsImport = actionType.indexOf('GOOGLE_ANALYTICS') === 0 || actionType.indexOf('UNIVERSAL_ANALYTICS') === 0;
+      if (isAnalyticsImport) analyticsGoals++;
+      else if (actionOrigin === 'WEBSITE') websiteActions++;
 
-      addResult(category, "Tag Firing Check", "Info", "Action '" + actionName + "' Origin: " + actionOrigin + ", Status: " + actionStatus, "API cannot confirm live tag firing. Use Google Tag Assistant or check recent conversion data manually.");
+      addResult(category, "Tag Firing Check", "Info", "Action '" + actionName + "' Origin: " + actionOrigin + ", Type: " + actionType + ", Status: " + actionStatus, "API cannot confirm live tag firing. Use Google Tag Assistant or check recent conversion data manually.");
 
       // Duplicate Tracking (Basic Name Check)
-      if (duplicateCheckMap[actionName]) {
+      var nameKey = String(actionName).trim().toLowerCase();
+      duplicateCheckMap[nameKey] = (duplicateCheckMap[nameKey] || 0) + 1;
+      if (duplicateCheckMap[nameKey] === 2) {
         addResult(category, "Potential Duplicate Tracking", "Warn", "Multiple enabled conversion actions found with the name '" + actionName + "'.", "Investigate if these are duplicates or intentionally named similarly. Ensure correct counting settings.");
       }
-      duplicateCheckMap[actionName] = true;
+    }
 
+    // Duplicate Tracking (several primary actions for the same goal category)
+    for (var primaryCategory in primaryByCategory) {
+        if (primaryByCategory[primaryCategory].length > 1) {
+            addResult(category, "Potential Duplicate Tracking", "Warn", primaryByCategory[primaryCategory].length + " primary actions share category " + primaryCategory + ": " + primaryByCategory[primaryCategory].join(", ") + ".", "If these track the same event (e.g., a site tag and a GA4 import), keep only one as primary to avoid double counting.");
+        }
     }
 
     if (primaryActions === 0 && totalActions > 0) {
-        addResult(category, "Primary Conversion Actions Defined", "Fail", "No clear primary conversion actions identified among enabled actions.", "Define at least one primary conversion action representing key business goals.");
+        addResult(category, "Primary Conversion Actions Defined", "Fail", "No primary conversion actions found among " + totalActions + " enabled actions.", "Define at least one primary conversion action representing key business goals.");
     } else if (primaryActions > 0) {
-         addResult(category, "Primary Conversion Actions Defined", "Pass", primaryActions + " potential primary action(s) identified.", "Verify in UI.");
+         addResult(category, "Primary Conversion Actions Defined", "Pass", primaryActions + " primary action(s) defined.", "Ensure they reflect the goals each campaign bids towards.");
     }
 
     if (secondaryActions > 0) {
-        addResult(category, "Secondary Conversion Actions Tracked", "Pass", secondaryActions + " potential secondary action(s) identified.", "Verify in UI.");
+        addResult(category, "Secondary Conversion Actions Tracked", "Pass", secondaryActions + " secondary action(s) tracked.", "Review periodically for usefulness.");
     } else {
-         addResult(category, "Secondary Conversion Actions Tracked", "Info", "No clear secondary actions identified.", "Consider tracking micro-conversions as secondary actions if valuable.");
+         addResult(category, "Secondary Conversion Actions Tracked", "Info", "No secondary actions found.", "Consider tracking micro-conversions as secondary actions if valuable.");
     }
 
+    if (totalActions > 0 && actionsWithValue === 0) {
+        addResult(category, "Conversion Values Summary", "Warn", "None of the " + totalActions + " enabled actions have value settings.", "Assign values to enable ROAS reporting and value-based bidding.");
+    }
 
     // Google Analytics Linking (API Limitation)
     addResult(category, "Google Analytics Linked", "Info", "Manual Check Required", "Verify in Google Ads UI (Tools & Settings > Linked Accounts > Google Analytics) that the correct GA property is linked.");
     if (analyticsGoals > 0) {
-        addResult(category, "GA Goals Imported", "Pass", analyticsGoals + " conversion action(s) sourced from Google Analytics found.", "Ensure imported goals are relevant and correctly configured in GA.");
+        addResult(category, "GA Goals Imported", "Pass", analyticsGoals + " conversion action(s) imported from Google Analytics found.", "Ensure imported goals are relevant and correctly configured in GA.");
     } else {
-        addResult(category, "GA Goals Imported", "Warn", "No conversion actions sourced from Google Analytics found.", "If using GA goals, ensure they are imported into Google Ads.");
+        addResult(category, "GA Goals Imported", "Warn", "No conversion actions imported from Google Analytics found (" + websiteActions + " website action(s)).", "If using GA goals, ensure they are imported into Google Ads.");
     }
 
   } catch (e) {
     addResult(category, "General Check", "Error", "An error occurred: " + e, "Investigate the error.");
   }
-  */
 }
 
 
 /**
- * Audits keywords: match types, negatives, search terms (review note), duplicates, performance.
+ * Audits keywords: match types, negatives (incl. conflicts with enabled keywords), search terms (review note),
+ * duplicates, performance.
  * Checklist Items: Alignment with goals, Match types, Negative keywords, Search terms review,
  *                  Duplicate keywords, Low performers, Keyword bids.
+ * Resumable: stops before the time limit and continues with the next unchecked ad group on the next run.
+ * @return {string|undefined} MODULE_PAUSED if the checks stopped early to stay within the time budget.
  */
 function auditKeywords() {
   var category = "Keywords";
   Logger.log("--- Auditing " + category + " ---");
   var keywordsChecked = 0;
+  var campaignsChecked = 0;
+  var adGroupsChecked = 0;
   var lowQsKeywords = 0;
   var broadMatchKeywords = 0;
   var phraseMatchKeywords = 0;
@@ -669,19 +4118,60 @@ function auditKeywords() {
   var negativeKeywordsAccount = 0;
   var negativeKeywordsCampaign = 0;
   var negativeKeywordsAdGroup = 0;
-  // Removed lowPerformingKeywords as stats are unavailable
-  var duplicateKeywordMap = {}; // Store keyword text + match type + ad group ID + campaign ID
-  var statsErrorCount = 0; // Count keywords where stats failed
+  var lowPerformingKeywords = 0; // Keywords flagged by any performance check
+  var keywordsWithStats = 0; // Keywords with performance data in the date range
+  var keywordPerformance = null; // Map of "adGroupId:criterionId" -> metrics (from GAQL)
+  var overlapGroups = {}; // Overlap key (see getKeywordOverlapKey) -> [keyword occurrences across the account]
+  var negativeIndex = null; // All keyword negatives in scope (campaign, ad group, shared lists)
+  var blockedKeywords = 0; // Enabled keywords blocked by one of our own negatives
   var qsErrorCount = 0; // Count keywords where QS failed
+  var doneCampaignIds = {}; // Campaigns fully checked before a time-budget pause {campaignId: true}
+  var resumeState = MODULE_STATE.auditKeywords || null; // Set when resuming after a time-budget pause
+  if (resumeState) {
+      keywordsChecked = resumeState.keywordsChecked;
+      campaignsChecked = resumeState.campaignsChecked;
+      adGroupsChecked = resumeState.adGroupsChecked;
+      lowQsKeywords = resumeState.lowQsKeywords;
+      broadMatchKeywords = resumeState.broadMatchKeywords;
+      phraseMatchKeywords = resumeState.phraseMatchKeywords;
+      exactMatchKeywords = resumeState.exactMatchKeywords;
+      negativeKeywordsAccount = resumeState.negativeKeywordsAccount;
+      negativeKeywordsCampaign = resumeState.negativeKeywordsCampaign;
+      negativeKeywordsAdGroup = resumeState.negativeKeywordsAdGroup;
+      lowPerformingKeywords = resumeState.lowPerformingKeywords;
+      keywordsWithStats = resumeState.keywordsWithStats;
+      blockedKeywords = resumeState.blockedKeywords;
+      qsErrorCount = resumeState.qsErrorCount;
+      overlapGroups = resumeState.overlapGroups;
+      doneCampaignIds = resumeState.doneCampaignIds;
+      Logger.log("Resuming keyword checks in campaign " + resumeState.campaignId + ".");
+  }
 
   try {
-    // Account Level Negatives
-    var accountNegativeLists = AdsApp.negativeKeywordLists().get();
-    while(accountNegativeLists.hasNext()){
-        var list = accountNegativeLists.next();
-        negativeKeywordsAccount += list.negativeKeywords().get().totalNumEntities();
+    // Keyword Performance Data (GAQL keyword_view, replaces unavailable getStats())
+    try {
+        keywordPerformance = getKeywordPerformanceMap();
+    } catch (reportError) {
+        addResult(category, "Keyword Performance Data", "Error", "Could not query keyword_view metrics for " + CONFIG.PERFORMANCE_DATE_RANGE + ": " + reportError, "Check the PERFORMANCE_DATE_RANGE setting and script permissions. Review keyword performance manually.");
+    }
+    var currencyCode = AdsApp.currentAccount().getCurrencyCode();
+
+    // Negative Keyword Index (for conflict detection against positive keywords)
+    try {
+        negativeIndex = getNegativeKeywordIndex();
+    } catch (negIndexError) {
+        addResult(category, "Negative Keyword Conflicts Check", "Error", "Could not load negative keywords for conflict detection: " + negIndexError, "Review negative keyword conflicts manually (Recommendations tab).");
+    }
+
+    // Account Level Negatives (counted before any pause)
+    if (!resumeState) {
+      var accountNegativeLists = AdsApp.negativeKeywordLists().get();
+      while(accountNegativeLists.hasNext()){
+          var list = accountNegativeLists.next();
+          negativeKeywordsAccount += list.negativeKeywords().get().totalNumEntities();
+      }
+       addResult(category, "Account Negative Keywords", negativeKeywordsAccount > 0 ? "Pass" : "Warn", negativeKeywordsAccount + " negatives found in lists.", negativeKeywordsAccount > 0 ? "Review lists periodically." : "Consider creating account-level negative lists for universally irrelevant terms.");
     }
-     addResult(category, "Account Negative Keywords", negativeKeywordsAccount > 0 ? "Pass" : "Warn", negativeKeywordsAccount + " negatives found in lists.", negativeKeywordsAccount > 0 ? "Review lists periodically." : "Consider creating account-level negative lists for universally irrelevant terms.");
 
 
     var campaignIterator = AdsApp.campaigns().withCondition("Status = ENABLED").get();
@@ -689,17 +4179,24 @@ function auditKeywords() {
       var campaign = campaignIterator.next();
       var campaignName = campaign.getName();
       var campaignId = campaign.getId();
-
-      // Campaign Level Negatives
-      var campaignNegatives = 0;
-      try {
-          campaignNegatives = campaign.negativeKeywords().get().totalNumEntities();
-          negativeKeywordsCampaign += campaignNegatives;
-          if (campaignNegatives === 0) {
-             addResult(category, "Campaign Negative Keywords", "Warn", "Campaign '" + campaignName + "' has no direct negative keywords.", "Add campaign-level negatives relevant to this campaign (or ensure coverage via lists).");
-          }
-      } catch (negError) {
-           addResult(category, "Campaign Negative Keywords Check", "Error", "Could not check negatives for campaign '" + campaignName + "': " + negError, "Check campaign type/permissions.");
+      var campaignSettings = getCampaignSettings(campaignId);
+      if (doneCampaignIds[campaignId]) continue; // Checked before a time-budget pause
+      var resumingCampaign = resumeState && resumeState.campaignId === campaignId;
+      var doneAdGroupIds = resumingCampaign ? resumeState.doneAdGroupIds : {}; // Ad groups of this campaign checked so far
+
+      // Campaign Level Negatives (already checked if the pause came inside this campaign)
+      if (!resumingCampaign) {
+        campaignsChecked++;
+        var campaignNegatives = 0;
+        try {
+            campaignNegatives = campaign.negativeKeywords().get().totalNumEntities();
+            negativeKeywordsCampaign += campaignNegatives;
+            if (campaignNegatives === 0) {
+               addResult(category, "Campaign Negative Keywords", "Warn", "Campaign '" + campaignName + "' has no direct negative keywords.", "Add campaign-level negatives relevant to this campaign (or ensure coverage via lists).", null, createEntity("CAMPAIGN", campaignId, campaignName));
+            }
+        } catch (negError) {
+             addResult(category, "Campaign Negative Keywords Check", "Error", "Could not check negatives for campaign '" + campaignName + "': " + negError, "Check campaign type/permissions.");
+        }
       }
 
 
@@ -708,6 +4205,18 @@ function auditKeywords() {
         var adGroup = adGroupIterator.next();
         var adGroupName = adGroup.getName();
         var adGroupId = adGroup.getId();
+        if (doneAdGroupIds[adGroupId]) continue;
+        if (CONFIG.RESUMABLE_EXECUTION && isTimeBudgetExhausted()) {
+            MODULE_STATE.auditKeywords = { campaignId: campaignId, doneAdGroupIds: doneAdGroupIds, doneCampaignIds: doneCampaignIds,
+                keywordsChecked: keywordsChecked, campaignsChecked: campaignsChecked, adGroupsChecked: adGroupsChecked, lowQsKeywords: lowQsKeywords,
+                broadMatchKeywords: broadMatchKeywords, phraseMatchKeywords: phraseMatchKeywords, exactMatchKeywords: exactMatchKeywords,
+                negativeKeywordsAccount: negativeKeywordsAccount, negativeKeywordsCampaign: negativeKeywordsCampaign, negativeKeywordsAdGroup: negativeKeywordsAdGroup,
+                lowPerformingKeywords: lowPerformingKeywords, keywordsWithStats: keywordsWithStats, blockedKeywords: blockedKeywords, qsErrorCount: qsErrorCount,
+                overlapGroups: overlapGroups };
+            Logger.log("Keyword checks paused in campaign '" + campaignName + "' to stay within the time budget (" + keywordsChecked + " keywords checked).");
+            return MODULE_PAUSED;
+        }
+        adGroupsChecked++;
 
         // Ad Group Level Negatives
         var adGroupNegatives = 0;
@@ -715,7 +4224,7 @@ function auditKeywords() {
             adGroupNegatives = adGroup.negativeKeywords().get().totalNumEntities();
             negativeKeywordsAdGroup += adGroupNegatives;
              if (adGroupNegatives === 0) {
-                addResult(category, "Ad Group Negative Keywords", "Warn", "Ad Group '" + adGroupName + "' in Campaign '" + campaignName + "' has no negative keywords.", "Add ad group-level negatives for fine-tuning.");
+                addResult(category, "Ad Group Negative Keywords", "Warn", "Ad Group '" + adGroupName + "' in Campaign '" + campaignName + "' has no negative keywords.", "Add ad group-level negatives for fine-tuning.", null, createEntity("AD_GROUP", adGroupId, adGroupName));
             }
         } catch (negAgError) {
              addResult(category, "Ad Group Negative Keywords Check", "Error", "Could not check negatives for ad group '" + adGroupName + "': " + negAgError, "Check permissions.");
@@ -735,9 +4244,6 @@ function auditKeywords() {
           var matchType = keyword.getMatchType();
           var qs = null;
 
-          // Skip stats retrieval entirely as keyword.getStats() is unavailable
-          statsErrorCount++;
-
           // Try getting Quality Score
           try {
               qs = keyword.getQualityScore();
@@ -754,23 +4260,57 @@ function auditKeywords() {
           else if (matchType === "EXACT") exactMatchKeywords++;
 
           // Quality Score Check (if available)
-          if (qs !== null && qs < CONFIG.MIN_QUALITY_SCORE) {
+          if (qs !== null && qs < campaignSettings.MIN_QUALITY_SCORE) {
             lowQsKeywords++;
-            addResult(category, "Low Quality Score", "Fail", "Keyword '" + keywordText + "' (" + matchType + ") in Ad Group '" + adGroupName + "' has QS: " + qs, "Improve ad relevance, expected CTR, or landing page experience.");
+            addResult(category, "Low Quality Score", "Fail", "Keyword '" + keywordText + "' (" + matchType + ") in Ad Group '" + adGroupName + "' has QS: " + qs, "Improve ad relevance, expected CTR, or landing page experience.", null, createEntity("KEYWORD", adGroupId + "~" + keyword.getId(), keywordText + " (" + matchType + ")", { qualityScore: qs }));
           }
 
-          // Low Performance Check - Removed due to getStats() unavailability
+          // Low Performance Check (spend without conversions, CPA, CTR)
+          var kwStats = keywordPerformance ? keywordPerformance[adGroupId + ":" + keyword.getId()] : null;
+          if (kwStats) {
+              keywordsWithStats++;
+              var kwLabel = "Keyword '" + keywordText + "' (" + matchType + ") in Ad Group '" + adGroupName + "' (" + campaignName + ")";
+              var isLowPerformer = false;
+
+              if (kwStats.conversions === 0 && kwStats.cost > campaignSettings.KEYWORD_MAX_SPEND_NO_CONVERSIONS) {
+                  isLowPerformer = true;
+                  addResult(category, "Low-Performing Keyword (No Conversions)", "Fail", kwLabel + " spent " + kwStats.cost.toFixed(2) + " " + currencyCode + " with 0 conversions (" + kwStats.clicks + " clicks, " + CONFIG.PERFORMANCE_DATE_RANGE + ").", "Pause the keyword, lower its bid, tighten the match type, or add negatives for the irrelevant search terms it triggers.", null, createEntity("KEYWORD", adGroupId + "~" + keyword.getId(), keywordText + " (" + matchType + ")", { cost: kwStats.cost, clicks: kwStats.clicks, conversions: 0 }));
+              } else if (kwStats.conversions > 0) {
+                  var kwCpa = kwStats.cost / kwStats.conversions;
+                  if (kwCpa > campaignSettings.MAX_CPA) {
+                      isLowPerformer = true;
+                      addResult(category, "Low-Performing Keyword (High CPA)", "Warn", kwLabel + " CPA: " + kwCpa.toFixed(2) + " (> " + campaignSettings.MAX_CPA.toFixed(2) + "), Cost: " + kwStats.cost.toFixed(2) + ", Conversions: " + kwStats.conversions.toFixed(1) + ".", "Reduce the bid or target, or refine the match type to bring CPA within goal.", null, createEntity("KEYWORD", adGroupId + "~" + keyword.getId(), keywordText + " (" + matchType + ")", { cpa: kwCpa, cost: kwStats.cost, conversions: kwStats.conversions }));
+                  }
+              }
+
+              if (kwStats.impressions >= CONFIG.KEYWORD_MIN_IMPRESSIONS_FOR_CTR) {
+                  var kwCtr = kwStats.clicks / kwStats.impressions;
+                  if (kwCtr < campaignSettings.MIN_CTR) {
+                      isLowPerformer = true;
+                      addResult(category, "Low-Performing Keyword (Low CTR)", "Warn", kwLabel + " CTR: " + (kwCtr * 100).toFixed(2) + "% (< " + (campaignSettings.MIN_CTR * 100) + "%) on " + kwStats.impressions + " impressions.", "Improve ad relevance for this keyword, move it to a tighter ad group, or pause it if it is not relevant.", null, createEntity("KEYWORD", adGroupId + "~" + keyword.getId(), keywordText + " (" + matchType + ")", { ctr: kwCtr, impressions: kwStats.impressions }));
+                  }
+              }
 
-          // Duplicate Keyword Check (Across Ad Groups within the same Campaign - basic version)
-          var duplicateKey = campaignId + ":" + keywordText + ":" + matchType;
-          if (duplicateKeywordMap[duplicateKey] && duplicateKeywordMap[duplicateKey] !== adGroupId) {
-             addResult(category, "Potential Duplicate Keyword (Cross-AdGroup)", "Warn", "Keyword '" + keywordText + "' (" + matchType + ") found in Ad Group '" + adGroupName + "' and also potentially in Ad Group ID '" + duplicateKeywordMap[duplicateKey] + "' within Campaign '" + campaignName + "'.", "Ensure keywords don't compete across ad groups within the same campaign unless intended (e.g., different geo-targets or match types).");
+              if (isLowPerformer) lowPerformingKeywords++;
           }
-          // Store the first ad group ID found for this keyword in this campaign
-          if (!duplicateKeywordMap[duplicateKey]) {
-              duplicateKeywordMap[duplicateKey] = adGroupId;
+
+          // Negative Keyword Conflicts (a negative in scope blocks this keyword)
+          if (negativeIndex) {
+              var blockingNegatives = findBlockingNegatives(negativeIndex, campaignId, adGroupId, normalizeKeywordText(keywordText));
+              if (blockingNegatives.length > 0) {
+                  blockedKeywords++;
+                  var negativeDescriptions = blockingNegatives.map(function(negative) {
+                      return "'" + negative.rawText + "' (" + negative.matchType + ", " + negative.level + ")";
+                  });
+                  addResult(category, "Negative Keyword Conflict", "Fail", "Keyword '" + keywordText + "' (" + matchType + ") in Ad Group '" + adGroupName + "' (" + campaignName + ") is blocked by negative(s): " + negativeDescriptions.join(", ") + ".", "Remove or narrow the conflicting negative(s), or pause the keyword if it is no longer wanted.", null, createEntity("KEYWORD", adGroupId + "~" + keyword.getId(), keywordText + " (" + matchType + ")"));
+              }
           }
 
+          // Duplicate/Overlapping Keywords (collected account-wide, reported after the loop)
+          var overlapKey = getKeywordOverlapKey(keywordText, matchType);
+          if (!overlapGroups[overlapKey]) overlapGroups[overlapKey] = [];
+          overlapGroups[overlapKey].push({ keywordText: keywordText, matchType: matchType, campaignId: campaignId, campaignName: campaignName, adGroupId: adGroupId, adGroupName: adGroupName, stats: kwStats });
+
 
           // Keyword Bids (Info - depends on bidding strategy)
           var bid = "Managed by Strategy";
@@ -780,21 +4320,76 @@ function auditKeywords() {
           addResult(category, "Keyword Bids", "Info", "Keyword '" + keywordText + "' (" + matchType + ") Bid: " + (typeof bid === 'number' ? bid.toFixed(2) : bid), "Ensure bids align with performance and bidding strategy.");
 
         } // End keyword loop
+        doneAdGroupIds[adGroupId] = true;
       } // End ad group loop
+      doneCampaignIds[campaignId] = true;
     } // End campaign loop
 
+    // Duplicate & Overlapping Keywords (same normalized keyword in more than one ad group)
+    var crossCampaignOverlaps = 0;
+    var crossAdGroupDuplicates = 0;
+    for (var key in overlapGroups) {
+        var occurrences = overlapGroups[key];
+        var adGroupIds = {};
+        var campaignIds = {};
+        occurrences.forEach(function(o) { adGroupIds[o.adGroupId] = true; campaignIds[o.campaignId] = true; });
+        if (Object.keys(adGroupIds).length < 2) continue; // Match type variants inside one ad group are fine
+
+        var copies = occurrences.map(function(o) {
+            var copy = "'" + o.keywordText + "' (" + o.matchType + ") in '" + o.campaignName + "' > '" + o.adGroupName + "'";
+            if (o.stats) copy += " [Impr: " + o.stats.impressions + ", Clicks: " + o.stats.clicks + ", Cost: " + o.stats.cost.toFixed(2) + ", Conv.: " + o.stats.conversions.toFixed(1) + "]";
+            return copy;
+        });
+
+        // The copy with the most impressions is the one winning the auction for the shared traffic
+        var winner = null;
+        occurrences.forEach(function(o) {
+            if (o.stats && o.stats.impressions > 0 && (!winner || o.stats.impressions > winner.stats.impressions)) winner = o;
+        });
+        var winnerText = winner ? " Winning copy (most impressions): '" + winner.campaignName + "' > '" + winner.adGroupName + "'." : (keywordPerformance ? " None of the copies received impressions." : "");
+
+        if (Object.keys(campaignIds).length > 1) {
+            crossCampaignOverlaps++;
+            addResult(category, "Overlapping Keywords (Cross-Campaign)", "Warn", occurrences.length + " copies across " + Object.keys(campaignIds).length + " campaigns: " + copies.join("; ") + "." + winnerText, "Keep the keyword in the campaign that should own this traffic and remove it (or add it as a negative) elsewhere, unless campaigns target different locations/audiences.");
+        } else {
+            crossAdGroupDuplicates++;
+            addResult(category, "Potential Duplicate Keyword (Cross-AdGroup)", "Warn", occurrences.length + " copies in Campaign '" + occurrences[0].campaignName + "': " + copies.join("; ") + "." + winnerText, "Ensure keywords don't compete across ad groups within the same campaign unless intended (e.g., different geo-targets or match types).");
+        }
+    }
+    if (keywordsChecked > 0) {
+        addResult(category, "No Overlapping Keywords Across Campaigns", crossCampaignOverlaps > 0 ? "Warn" : "Pass", crossCampaignOverlaps > 0 ? crossCampaignOverlaps + " keywords overlap across campaigns; " + crossAdGroupDuplicates + " more are duplicated across ad groups within a campaign." : "No overlapping keywords across campaigns" + (crossAdGroupDuplicates > 0 ? "; " + crossAdGroupDuplicates + " duplicated across ad groups within a campaign." : "."), crossCampaignOverlaps > 0 ? "Consolidate overlapping keywords so each search is owned by one campaign." : "Keep keyword ownership clear as the account grows.");
+    }
+
+    // Entities behind the per-entity items, for the health score
+    recordItemCoverage(category, "Campaign Negative Keywords", campaignsChecked);
+    recordItemCoverage(category, "Ad Group Negative Keywords", adGroupsChecked);
+    recordItemCoverage(category, "Low Quality Score", keywordsChecked);
+    recordItemCoverage(category, "Negative Keyword Conflict", keywordsChecked);
+    ["Low-Performing Keyword (No Conversions)", "Low-Performing Keyword (High CPA)", "Low-Performing Keyword (Low CTR)"].forEach(function(item) {
+        recordItemCoverage(category, item, keywordsWithStats);
+    });
+
     // Summary Results
     addResult(category, "Keyword Match Types", "Info", "Broad: " + broadMatchKeywords + ", Phrase: " + phraseMatchKeywords + ", Exact: " + exactMatchKeywords + " (Total Enabled Checked: " + keywordsChecked + ")", "Ensure match type usage aligns with campaign goals (e.g., control vs. reach). Review broad match performance carefully.");
+    if (negativeIndex) {
+        addResult(category, "Negative Keyword Conflicts", blockedKeywords > 0 ? "Fail" : "Pass", blockedKeywords > 0 ? blockedKeywords + " enabled keywords are blocked by negatives in their ad group, campaign or attached shared lists." : "No enabled keywords are blocked by negatives (out of " + keywordsChecked + " checked).", blockedKeywords > 0 ? "Resolve the conflicts listed above; blocked keywords cannot serve." : "Re-check after adding new negatives.");
+    }
     addResult(category, "Total Negative Keywords", "Info", "Account Lists: " + negativeKeywordsAccount + ", Campaign Level: " + negativeKeywordsCampaign + ", Ad Group Level: " + negativeKeywordsAdGroup, "Ensure comprehensive negative keyword coverage at appropriate levels.");
-    addResult(category, "Search Terms Report Review", "Info", "Manual Check Required", "Regularly review the Search Terms Report in the UI to find new positive and negative keyword opportunities.");
+    addResult(category, "Search Terms Report Review", "Info", "Checked in Search Terms module.", "Work through the positive and negative opportunities listed on the '" + SHEET_NAMES.SEARCH_TERMS + "' sheet.");
     addResult(category, "Keyword Alignment with Goals", "Info", "Manual Review Required", "Ensure keywords in each ad group are relevant to the ad copy, landing page, and overall campaign objective.");
 
     if (keywordsChecked > 0 && lowQsKeywords === 0) {
         addResult(category, "Low Quality Score", "Pass", "No keywords found below QS " + CONFIG.MIN_QUALITY_SCORE + " (out of " + keywordsChecked + " checked with QS data).", "Maintain good QS practices.");
     }
-    // Add summary note about skipped performance checks
-    if (statsErrorCount > 0) {
-         addResult(category, "Keyword Performance Checks", "Info", "Performance checks (CTR, CPA, etc.) skipped for " + statsErrorCount + " keywords due to API limitations (getStats unavailable).", "Review keyword performance manually using Google Ads reports.");
+    // Keyword performance summary
+    if (keywordPerformance) {
+        if (keywordsWithStats === 0) {
+            addResult(category, "Low-Performing Keywords", "Info", "No keyword performance data found for " + CONFIG.PERFORMANCE_DATE_RANGE + " (out of " + keywordsChecked + " enabled keywords).", "Ensure campaigns are serving, or widen PERFORMANCE_DATE_RANGE.");
+        } else if (lowPerformingKeywords === 0) {
+            addResult(category, "Low-Performing Keywords", "Pass", "No low-performing keywords found among " + keywordsWithStats + " keywords with data (" + CONFIG.PERFORMANCE_DATE_RANGE + ").", "Keep monitoring keyword CPA and CTR.");
+        } else {
+            addResult(category, "Low-Performing Keywords", "Warn", lowPerformingKeywords + " of " + keywordsWithStats + " keywords with data flagged for spend without conversions, high CPA, or low CTR (" + CONFIG.PERFORMANCE_DATE_RANGE + ").", "Review the flagged keywords above and pause or adjust them.");
+        }
     }
      if (qsErrorCount > 0) {
          addResult(category, "Quality Score Errors", "Warn", "Could not retrieve QS for " + qsErrorCount + " keywords.", "Check script logs for details. May indicate permission issues or API changes.");
@@ -807,6 +4402,146 @@ function auditKeywords() {
 }
 
 
+/**
+ * Mines the search terms report for positive (converting terms not yet added as keywords) and
+ * negative (high-cost, zero-conversion terms not blocked by any negative) keyword opportunities.
+ * Findings go to the Search Terms sheet with a suggested match type and target ad group.
+ * Checklist Items: Search terms report review, Negative keywords.
+ * Resumable: stops before the time limit and continues on the next run from the ad group it stopped in (rows are
+ * ordered by ad group; terms already processed there are skipped by text).
+ * @return {string|undefined} MODULE_PAUSED if the checks stopped early to stay within the time budget.
+ */
+function auditSearchTerms() {
+  var category = "Search Terms";
+  Logger.log("--- Auditing " + category + " ---");
+  var dateRange = getLastNDaysRange(CONFIG.SEARCH_TERMS_LOOKBACK_DAYS);
+  var periodText = "last " + CONFIG.SEARCH_TERMS_LOOKBACK_DAYS + " days";
+  var termsChecked = 0;
+  var positiveTerms = {}; // Normalized term -> aggregated metrics and best ad group
+  var negativeCandidates = []; // Per term + ad group rows
+  var blockedTerms = 0; // Wasteful terms already covered by a negative
+  var resumeState = MODULE_STATE.auditSearchTerms || null; // Set when resuming after a time-budget pause
+  if (resumeState) {
+      dateRange = resumeState.dateRange; // Same report as before the pause, even on a later day
+      termsChecked = resumeState.termsChecked;
+      positiveTerms = resumeState.positiveTerms;
+      negativeCandidates = resumeState.negativeCandidates;
+      blockedTerms = resumeState.blockedTerms;
+      Logger.log("Resuming search term checks in ad group " + resumeState.adGroupId + " (" + termsChecked + " rows processed).");
+  }
+
+  try {
+    var currencyCode = AdsApp.currentAccount().getCurrencyCode();
+
+    // Existing positive keywords (any match type, not removed)
+    var existingKeywords = {};
+    var keywordRows = AdsApp.search("SELECT ad_group_criterion.keyword.text " +
+        "FROM ad_group_criterion " +
+        "WHERE ad_group_criterion.type = 'KEYWORD' AND ad_group_criterion.negative = FALSE " +
+        "AND ad_group_criterion.status != 'REMOVED' AND campaign.status != 'REMOVED'");
+    while (keywordRows.hasNext()) {
+        existingKeywords[normalizeKeywordText(keywordRows.next().adGroupCriterion.keyword.text)] = true;
+    }
+
+    var negativeIndex = null;
+    try {
+        negativeIndex = getNegativeKeywordIndex();
+    } catch (negError) {
+        addResult(category, "Negative Keyword Coverage", "Error", "Could not load negative keywords: " + negError, "Negative opportunities are listed without checking existing negatives; verify before adding.");
+    }
+
+    var rows = AdsApp.search("SELECT search_term_view.search_term, search_term_view.status, " +
+        "campaign.id, campaign.name, ad_group.id, ad_group.name, " +
+        "metrics.clicks, metrics.cost_micros, metrics.conversions, metrics.conversions_value " +
+        "FROM search_term_view " +
+        "WHERE campaign.status = 'ENABLED' AND ad_group.status = 'ENABLED' AND metrics.impressions > 0 " +
+        "AND " + getGaqlDateCondition(dateRange) +
+        (resumeState ? " AND ad_group.id >= " + resumeState.adGroupId : "") +
+        " ORDER BY ad_group.id");
+
+    var currentAdGroupId = resumeState ? resumeState.adGroupId : null;
+    var doneTerms = resumeState ? resumeState.doneTerms : {}; // Search terms processed in the current ad group
+    while (rows.hasNext()) {
+        var row = rows.next();
+        if (String(row.adGroup.id) !== currentAdGroupId) {
+            currentAdGroupId = String(row.adGroup.id);
+            doneTerms = {};
+        }
+        if (doneTerms[row.searchTermView.searchTerm]) continue; // Processed before the pause
+        if (CONFIG.RESUMABLE_EXECUTION && termsChecked % 100 === 0 && isTimeBudgetExhausted()) {
+            MODULE_STATE.auditSearchTerms = { dateRange: dateRange, adGroupId: currentAdGroupId, doneTerms: doneTerms, termsChecked: termsChecked, positiveTerms: positiveTerms, negativeCandidates: negativeCandidates, blockedTerms: blockedTerms };
+            Logger.log("Search term checks paused in ad group " + currentAdGroupId + " after " + termsChecked + " report rows to stay within the time budget.");
+            return MODULE_PAUSED;
+        }
+        doneTerms[row.searchTermView.searchTerm] = true;
+        termsChecked++;
+        var term = normalizeKeywordText(row.searchTermView.searchTerm);
+        var termStatus = row.searchTermView.status; // ADDED, EXCLUDED, ADDED_EXCLUDED, NONE
+        var clicks = Number(row.metrics.clicks) || 0;
+        var cost = microsToAmount(row.metrics.costMicros);
+        var conversions = Number(row.metrics.conversions) || 0;
+        var conversionValue = Number(row.metrics.conversionsValue) || 0;
+
+        // Positive Opportunities (aggregated across ad groups)
+        if (conversions > 0 && termStatus !== "ADDED" && termStatus !== "ADDED_EXCLUDED" && !existingKeywords[term]) {
+            var positive = positiveTerms[term];
+            if (!positive) {
+                positive = positiveTerms[term] = { term: row.searchTermView.searchTerm, clicks: 0, cost: 0, conversions: 0, conversionValue: 0, best: null };
+            }
+            positive.clicks += clicks;
+            positive.cost += cost;
+            positive.conversions += conversions;
+            positive.conversionValue += conversionValue;
+            if (!positive.best || conversions > positive.best.conversions) {
+                positive.best = { campaignName: row.campaign.name, adGroupName: row.adGroup.name, conversions: conversions };
+            }
+        }
+
+        // Negative Opportunities (per ad group, since negatives apply per campaign/ad group)
+        if (conversions === 0 && cost > CONFIG.SEARCH_TERM_MAX_SPEND_NO_CONVERSIONS && termStatus !== "EXCLUDED" && termStatus !== "ADDED_EXCLUDED") {
+            if (negativeIndex && findBlockingNegatives(negativeIndex, row.campaign.id, row.adGroup.id, term).length > 0) {
+                blockedTerms++; // Negative added after the traffic occurred
+            } else {
+                negativeCandidates.push({ term: row.searchTermView.searchTerm, normalized: term, clicks: clicks, cost: cost, campaignName: row.campaign.name, adGroupName: row.adGroup.name });
+            }
+        }
+    }
+
+    // Positive Opportunities: highest conversions first
+    var positives = Object.keys(positiveTerms).map(function(key) { return positiveTerms[key]; })
+        .filter(function(p) { return p.conversions >= CONFIG.SEARCH_TERM_MIN_CONVERSIONS; })
+        .sort(function(a, b) { return b.conversions - a.conversions || b.conversionValue - a.conversionValue; });
+    positives.slice(0, CONFIG.SEARCH_TERMS_MAX_ROWS).forEach(function(p) {
+        var suggestedMatchType = p.conversions >= CONFIG.SEARCH_TERM_EXACT_MIN_CONVERSIONS ? "EXACT" : "PHRASE";
+        var cpa = p.cost / p.conversions;
+        addResult(category, "Positive Keyword Opportunity", "Warn", "Search term '" + p.term + "' converted " + p.conversions.toFixed(1) + " times (" + p.clicks + " clicks, Cost: " + p.cost.toFixed(2) + " " + currencyCode + ", CPA: " + cpa.toFixed(2) + ", Conv. Value: " + p.conversionValue.toFixed(2) + ", " + periodText + ") but is not a keyword.", "Add as a " + suggestedMatchType + " keyword in the target ad group to control its bid and ad copy.", [p.term, suggestedMatchType, p.best.campaignName, p.best.adGroupName], createEntity("SEARCH_TERM", p.term.toLowerCase(), p.term, { clicks: p.clicks, cost: p.cost, conversions: p.conversions, cpa: cpa, conversionValue: p.conversionValue }));
+    });
+
+    // Negative Opportunities: highest cost first, listed as Warn (the summary below is the single Fail)
+    negativeCandidates.sort(function(a, b) { return b.cost - a.cost; });
+    negativeCandidates.slice(0, CONFIG.SEARCH_TERMS_MAX_ROWS).forEach(function(n) {
+        // Single-word terms are too broad to exclude outside exact match
+        var suggestedMatchType = n.normalized.indexOf(" ") === -1 ? "EXACT" : "PHRASE";
+        addResult(category, "Negative Keyword Opportunity", "Warn", "Search term '" + n.term + "' spent " + n.cost.toFixed(2) + " " + currencyCode + " on " + n.clicks + " clicks with 0 conversions (" + periodText + ") and is not blocked by any campaign, ad group, shared or account-level list negative.", "Add as a " + suggestedMatchType + " negative in the target ad group (or campaign/shared list if irrelevant account-wide). Check it does not block converting terms first.", [n.term, suggestedMatchType, n.campaignName, n.adGroupName], createEntity("SEARCH_TERM", n.normalized, n.term, { clicks: n.clicks, cost: n.cost, conversions: 0 }));
+    });
+
+    // Summary Results
+    recordItemCoverage(category, "Positive Keyword Opportunity", termsChecked);
+    recordItemCoverage(category, "Negative Keyword Opportunity", termsChecked);
+    if (termsChecked === 0) {
+        addResult(category, "Search Terms Report Review", "Info", "No search terms with impressions found in the " + periodText + ".", "Ensure Search campaigns are serving.");
+    } else {
+        addResult(category, "Search Terms Report Review", "Info", termsChecked + " search term rows analyzed (" + periodText + ").", "Review the opportunities below and action them in the UI or via bulk upload.");
+        addResult(category, "Positive Keyword Opportunities", positives.length > 0 ? "Warn" : "Pass", positives.length + " converting search terms not yet added as keywords" + (positives.length > CONFIG.SEARCH_TERMS_MAX_ROWS ? " (top " + CONFIG.SEARCH_TERMS_MAX_ROWS + " listed)." : "."), positives.length > 0 ? "Add the strongest terms as keywords." : "Keep reviewing search terms regularly.");
+        addResult(category, "Negative Keyword Opportunities", negativeCandidates.length > 0 ? "Fail" : "Pass", negativeCandidates.length + " wasteful search terms (> " + CONFIG.SEARCH_TERM_MAX_SPEND_NO_CONVERSIONS.toFixed(2) + " " + currencyCode + ", 0 conversions) not blocked by negatives" + (negativeCandidates.length > CONFIG.SEARCH_TERMS_MAX_ROWS ? " (top " + CONFIG.SEARCH_TERMS_MAX_ROWS + " listed)." : ".") + (blockedTerms > 0 ? " " + blockedTerms + " other wasteful terms are already blocked." : ""), negativeCandidates.length > 0 ? "Add the listed terms as negatives." : "Keep reviewing search terms regularly.");
+    }
+
+  } catch (e) {
+    addResult(category, "General Check", "Error", "An error occurred: " + e, "Investigate the error.");
+  }
+}
+
+
 /**
  * Audits ad groups: keyword count, ad count, bids, naming.
  * Checklist Items: Keyword count, Ad count, Ad group bids, Competing keywords (note), Naming.
@@ -830,18 +4565,19 @@ function auditAdGroups() {
       adGroupsChecked++;
       var adGroupName = adGroup.getName();
       var campaignName = adGroup.getCampaign().getName();
+      var campaignSettings = getCampaignSettings(adGroup.getCampaign().getId());
 
       // Keyword Count
       var keywordCount = 0;
       try {
           keywordCount = adGroup.keywords().withCondition("Status = ENABLED").get().totalNumEntities();
-          if (keywordCount > CONFIG.MAX_KEYWORDS_PER_ADGROUP) {
+          if (keywordCount > campaignSettings.MAX_KEYWORDS_PER_ADGROUP) {
             adGroupsWithHighKeywordCount++;
-            addResult(category, "Keyword Count", "Warn", "Ad Group '" + adGroupName + "' (" + campaignName + ") has " + keywordCount + " keywords (>" + CONFIG.MAX_KEYWORDS_PER_ADGROUP + ").", "Consider splitting into more tightly themed ad groups for better relevance.");
+            addResult(category, "Keyword Count", "Warn", "Ad Group '" + adGroupName + "' (" + campaignName + ") has " + keywordCount + " keywords (>" + campaignSettings.MAX_KEYWORDS_PER_ADGROUP + ").", "Consider splitting into more tightly themed ad groups for better relevance.", null, createEntity("AD_GROUP", adGroup.getId(), adGroupName, { keywords: keywordCount }));
           } else if (keywordCount === 0) {
              // Only warn if it's not a DSA ad group
              if (adGroup.getCampaign().getAdvertisingChannelType() !== 'SEARCH' || !adGroup.isDynamic()) {
-                 addResult(category, "Keyword Count", "Warn", "Ad Group '" + adGroupName + "' (" + campaignName + ") has 0 enabled keywords.", "Add relevant keywords or pause the ad group if it's not needed (and not DSA).");
+                 addResult(category, "Keyword Count", "Warn", "Ad Group '" + adGroupName + "' (" + campaignName + ") has 0 enabled keywords.", "Add relevant keywords or pause the ad group if it's not needed (and not DSA).", null, createEntity("AD_GROUP", adGroup.getId(), adGroupName, { keywords: 0 }));
              } else {
                   addResult(category, "Keyword Count", "Info", "Ad Group '" + adGroupName + "' (" + campaignName + ") is DSA and has 0 keywords.", "Expected for DSA ad groups.");
              }
@@ -855,9 +4591,9 @@ function auditAdGroups() {
       var adCount = 0;
       try {
           adCount = adGroup.ads().withCondition("Status = ENABLED").get().totalNumEntities();
-          if (adCount < CONFIG.MIN_ADS_PER_ADGROUP) {
+          if (adCount < campaignSettings.MIN_ADS_PER_ADGROUP) {
             adGroupsWithLowAdCount++;
-            addResult(category, "Ad Count", "Fail", "Ad Group '" + adGroupName + "' (" + campaignName + ") has " + adCount + " enabled ads (<" + CONFIG.MIN_ADS_PER_ADGROUP + ").", "Create at least " + CONFIG.MIN_ADS_PER_ADGROUP + " relevant ads per ad group for testing and optimization.");
+            addResult(category, "Ad Count", "Fail", "Ad Group '" + adGroupName + "' (" + campaignName + ") has " + adCount + " enabled ads (<" + campaignSettings.MIN_ADS_PER_ADGROUP + ").", "Create at least " + campaignSettings.MIN_ADS_PER_ADGROUP + " relevant ads per ad group for testing and optimization.", null, createEntity("AD_GROUP", adGroup.getId(), adGroupName, { ads: adCount }));
           }
       } catch (adCountError) {
            addResult(category, "Ad Count Check", "Error", "Could not check ad count for ad group '" + adGroupName + "': " + adCountError, "Check permissions.");
@@ -865,9 +4601,9 @@ function auditAdGroups() {
 
 
       // Ad Group Naming
-      if (CONFIG.ADGROUP_NAMING_CONVENTION_REGEX && !CONFIG.ADGROUP_NAMING_CONVENTION_REGEX.test(adGroupName)) {
+      if (campaignSettings.ADGROUP_NAMING_CONVENTION_REGEX && !campaignSettings.ADGROUP_NAMING_CONVENTION_REGEX.test(adGroupName)) {
         adGroupsWithPoorNaming++;
-        addResult(category, "Ad Group Naming", "Warn", "Ad Group '" + adGroupName + "' (" + campaignName + ") doesn't match pattern: " + CONFIG.ADGROUP_NAMING_CONVENTION_REGEX.source, "Standardize ad group naming.");
+        addResult(category, "Ad Group Naming", "Warn", "Ad Group '" + adGroupName + "' (" + campaignName + ") doesn't match pattern: " + campaignSettings.ADGROUP_NAMING_CONVENTION_REGEX.source, "Standardize ad group naming.", null, createEntity("AD_GROUP", adGroup.getId(), adGroupName));
       }
 
       // Ad Group Bids (Info - depends on strategy)
@@ -881,6 +4617,7 @@ function auditAdGroups() {
     }
 
     // Summary Results
+    ["Keyword Count", "Ad Count", "Ad Group Naming"].forEach(function(item) { recordItemCoverage(category, item, adGroupsChecked); });
     if (adGroupsChecked > 0) {
         if (adGroupsWithLowAdCount === 0) addResult(category, "Ad Count", "Pass", "All " + adGroupsChecked + " checked ad groups have at least " + CONFIG.MIN_ADS_PER_ADGROUP + " ads.", "Continue A/B testing ads.");
         if (adGroupsWithHighKeywordCount === 0) addResult(category, "Keyword Count", "Pass", "All " + adGroupsChecked + " checked ad groups have a reasonable number of keywords (<= " + CONFIG.MAX_KEYWORDS_PER_ADGROUP + ").", "Maintain tight keyword themes.");
@@ -898,9 +4635,14 @@ function auditAdGroups() {
 
 
 /**
- * Audits ad copy: RSA usage, policy status. Subjective checks are manual.
- * Checklist Items: Headlines/Descriptions (manual), CTAs (manual), Tailored to theme (manual),
- *                  RSA usage, Ad variations (manual), Spelling/Grammar (manual), Policy compliance.
+ * Audits ad copy: RSA usage, policy status, RSA asset depth/pinning/duplicates, ad strength, asset
+ * performance labels and automated copy linting (spelling, capitalization, punctuation, length,
+ * policy-risk phrases, CTAs, keyword presence).
+ * Checklist Items: Headlines/Descriptions, CTAs, Tailored to theme, RSA usage,
+ *                  Ad variations (asset performance), Spelling/Grammar, Policy compliance.
+ * Resumable: stops before the time limit and continues on the next run from the ad group it stopped in (ads are
+ * ordered by ad group; ads already checked there are skipped by ID).
+ * @return {string|undefined} MODULE_PAUSED if the checks stopped early to stay within the time budget.
  */
 function auditAdCopy() {
   var category = "Ad Copy";
@@ -910,17 +4652,41 @@ function auditAdCopy() {
   var nonRsaSearchAds = 0; // Expanded Text Ads (ETAs)
   var disapprovedAds = 0;
   var adGroupsWithNoRsa = {}; // Track ad groups lacking RSAs {adGroupId: {name: agName, campaign: campName}}
+  var resumeState = MODULE_STATE.auditAdCopy || null; // Set when resuming after a time-budget pause
+  if (resumeState) {
+      adsChecked = resumeState.adsChecked;
+      rsaCount = resumeState.rsaCount;
+      nonRsaSearchAds = resumeState.nonRsaSearchAds;
+      disapprovedAds = resumeState.disapprovedAds;
+      adGroupsWithNoRsa = resumeState.adGroupsWithNoRsa;
+      Logger.log("Resuming ad copy checks in ad group " + resumeState.adGroupId + " (" + adsChecked + " ads checked).");
+  }
 
   try {
-    var adIterator = AdsApp.ads()
+    var adSelector = AdsApp.ads()
       .withCondition("Status = ENABLED")
       .withCondition("AdGroupStatus = ENABLED")
       .withCondition("CampaignStatus = ENABLED")
       // .withCondition("Type IN [RESPONSIVE_SEARCH_AD, EXPANDED_TEXT_AD]") // Check all relevant types
-      .get();
+      .orderBy("ad_group.id ASC");
+    if (resumeState) adSelector = adSelector.withCondition("ad_group.id >= " + resumeState.adGroupId);
+    var adIterator = adSelector.get();
 
+     var currentAdGroupId = resumeState ? resumeState.adGroupId : null;
+     var doneAdIds = resumeState ? resumeState.doneAdIds : {}; // Ads checked in the current ad group
      while (adIterator.hasNext()) {
         var ad = adIterator.next();
+        if (String(ad.getAdGroup().getId()) !== currentAdGroupId) {
+            currentAdGroupId = String(ad.getAdGroup().getId());
+            doneAdIds = {};
+        }
+        if (doneAdIds[ad.getId()]) continue; // Checked before the pause
+        if (CONFIG.RESUMABLE_EXECUTION && adsChecked % 100 === 0 && isTimeBudgetExhausted()) {
+            MODULE_STATE.auditAdCopy = { adGroupId: currentAdGroupId, doneAdIds: doneAdIds, adsChecked: adsChecked, rsaCount: rsaCount, nonRsaSearchAds: nonRsaSearchAds, disapprovedAds: disapprovedAds, adGroupsWithNoRsa: adGroupsWithNoRsa };
+            Logger.log("Ad copy checks paused in ad group " + currentAdGroupId + " after " + adsChecked + " ads to stay within the time budget.");
+            return MODULE_PAUSED;
+        }
+        doneAdIds[ad.getId()] = true;
         adsChecked++;
         var adType = ad.getType();
         var policyApprovalStatus = "UNKNOWN";
@@ -955,9 +4721,9 @@ function auditAdCopy() {
                  policyTopics = ad.getPolicyTopics ? ad.getPolicyTopics().map(function(topic){ return topic.getPolicyTopicType(); }).join(', ') : "N/A";
             } catch(policyError) { /* Ignore if method doesn't exist */ }
 
-            addResult(category, "Policy Compliance", "Fail", "Ad in Ad Group '" + adGroupName + "' (" + campaignName + ") is DISAPPROVED. Topics: " + policyTopics, "Review policy violations and edit or remove the ad.");
+            addResult(category, "Policy Compliance", "Fail", "Ad in Ad Group '" + adGroupName + "' (" + campaignName + ") is DISAPPROVED. Topics: " + policyTopics, "Review policy violations and edit or remove the ad.", null, createEntity("AD", adGroupId + "~" + ad.getId(), adType + " " + ad.getId()));
         } else if (policyApprovalStatus !== "APPROVED" && policyApprovalStatus !== "UNKNOWN") {
-             addResult(category, "Policy Compliance", "Warn", "Ad in Ad Group '" + adGroupName + "' (" + campaignName + ") status is " + policyApprovalStatus, "Monitor status; may require action if it becomes disapproved.");
+             addResult(category, "Policy Compliance", "Warn", "Ad in Ad Group '" + adGroupName + "' (" + campaignName + ") status is " + policyApprovalStatus, "Monitor status; may require action if it becomes disapproved.", null, createEntity("AD", adGroupId + "~" + ad.getId(), adType + " " + ad.getId()));
         }
      }
 
@@ -974,7 +4740,7 @@ function auditAdCopy() {
          for (var agId in adGroupsWithNoRsa) {
              if (adGroupsWithNoRsa[agId]) { // If it's still an object (meaning no RSA was found for this Search AG)
                  missingRsaCount++;
-                 addResult(category, "RSA Usage per Ad Group", "Fail", "Search Ad Group '" + adGroupsWithNoRsa[agId].name + "' (" + adGroupsWithNoRsa[agId].campaign + ") appears to be missing an enabled RSA.", "Ensure each active Search ad group has at least one enabled RSA.");
+                 addResult(category, "RSA Usage per Ad Group", "Fail", "Search Ad Group '" + adGroupsWithNoRsa[agId].name + "' (" + adGroupsWithNoRsa[agId].campaign + ") appears to be missing an enabled RSA.", "Ensure each active Search ad group has at least one enabled RSA.", null, createEntity("AD_GROUP", agId, adGroupsWithNoRsa[agId].name));
              }
          }
          if (missingRsaCount === 0 && rsaCount > 0) { // Check if any RSAs were found at all
@@ -988,16 +4754,29 @@ function auditAdCopy() {
          addResult(category, "General Check", "Info", "No enabled ads found in enabled ad groups/campaigns.", "N/A");
      }
 
+     recordItemCoverage(category, "Policy Compliance", adsChecked);
+     recordItemCoverage(category, "RSA Usage per Ad Group", Object.keys(adGroupsWithNoRsa).length);
      if (adsChecked > 0 && disapprovedAds === 0) {
          addResult(category, "Policy Compliance", "Pass", "No disapproved ads found among " + adsChecked + " checked ads.", "Maintain policy compliance.");
      }
 
+     // RSA Asset Checks (asset depth, pinning, duplicates, ad strength, asset performance) and Ad Copy Linting
+     var rsaAds = null;
+     if (rsaCount > 0) {
+         try {
+             rsaAds = getRsaAssetDetails();
+         } catch (rsaError) {
+             addResult(category, "Headlines & Descriptions", "Error", "Could not query RSA assets: " + rsaError, "Review RSA headlines, descriptions, pinning, ad strength, spelling and CTAs manually.");
+         }
+     }
+     if (rsaAds) {
+         auditRsaAssets(category, rsaAds);
+         lintRsaAdCopy(category, rsaAds);
+     }
+
      // Manual Checks
-     addResult(category, "Headlines & Descriptions", "Info", "Manual Review Required", "Review RSAs for compelling headlines/descriptions, asset variety, and strength indicators (Pinning usage, Asset performance).");
-     addResult(category, "Call-to-Actions (CTAs)", "Info", "Manual Review Required", "Ensure ads include clear and strong CTAs relevant to the offering.");
-     addResult(category, "Ad Tailoring to Theme", "Info", "Manual Review Required", "Verify that ad copy (especially RSAs) is highly relevant to the keywords within the ad group.");
-     addResult(category, "Ad Variations (A/B Testing)", "Info", "Manual Review Required", "Regularly test different ad copy elements (headlines, descriptions, CTAs) using experiments or by monitoring RSA asset performance.");
-     addResult(category, "Spelling & Grammar", "Info", "Manual Review Required", "Proofread all ad copy for errors.");
+     addResult(category, "Ad Variations (A/B Testing)", "Info", "Manual Review Required", "Test different messages using experiments or ad variations; replace RSA assets rated LOW (see RSA Asset Performance) with new variants.");
+     addResult(category, "Grammar & Tone", "Info", "Manual Review Required", "Automated linting covers spelling, capitalization, punctuation and CTAs; proofread grammar and tone.");
 
 
   } catch (e) {
@@ -1007,133 +4786,490 @@ function auditAdCopy() {
 
 
 /**
- * Audits ad extensions (assets): checks for presence and basic status.
- * Checklist Items: Sitelinks, Callouts, Structured Snippets, Call, Location, Price.
+ * Inspects each enabled RSA's headlines and descriptions (used by auditAdCopy).
+ * Flags under-filled assets, over-pinning, duplicate/near-duplicate assets, POOR/AVERAGE ad
+ * strength and assets rated LOW.
+ * @param {string} category - The category to report under.
+ * @param {Array<Object>} rsaAds - RSAs from getRsaAssetDetails().
+ */
+function auditRsaAssets(category, rsaAds) {
+    var underfilledAds = 0;
+    var overPinnedAds = 0;
+    var duplicateAssetAds = 0;
+    var weakStrengthAds = 0;
+    var lowAssetAds = 0;
+    var bestAssets = 0;
+    var ratedAds = 0; // Ads with an ad strength rating (excludes PENDING/UNSPECIFIED)
+
+    rsaAds.forEach(function(ad) {
+        var adLabel = "RSA (ID " + ad.adId + ") in Ad Group '" + ad.adGroupName + "' (" + ad.campaignName + ")";
+        var adEntity = createEntity("AD", ad.adGroupId + "~" + ad.adId, "RSA " + ad.adId);
+
+        // Asset depth
+        if (ad.headlines.length < CONFIG.RSA_MIN_HEADLINES || ad.descriptions.length < CONFIG.RSA_MIN_DESCRIPTIONS) {
+            underfilledAds++;
+            addResult(category, "Headlines & Descriptions", "Warn", adLabel + " has " + ad.headlines.length + " headlines and " + ad.descriptions.length + " descriptions (minimum " + CONFIG.RSA_MIN_HEADLINES + "/" + CONFIG.RSA_MIN_DESCRIPTIONS + ").", "Add " + Math.max(0, CONFIG.RSA_MIN_HEADLINES - ad.headlines.length) + " more headline(s) and " + Math.max(0, CONFIG.RSA_MIN_DESCRIPTIONS - ad.descriptions.length) + " more description(s) (up to 15/4) with distinct messages: benefits, offers, keywords and CTAs.", null, createEntity("AD", ad.adGroupId + "~" + ad.adId, "RSA " + ad.adId, { headlines: ad.headlines.length, descriptions: ad.descriptions.length }));
+        }
+
+        // Pinning
+        var pinnedHeadlines = ad.headlines.filter(function(asset) { return asset.pinnedField; });
+        var pinnedDescriptions = ad.descriptions.filter(function(asset) { return asset.pinnedField; });
+        if (pinnedHeadlines.length > CONFIG.RSA_MAX_PINNED_HEADLINES || pinnedDescriptions.length > CONFIG.RSA_MAX_PINNED_DESCRIPTIONS ||
+            (ad.headlines.length > 0 && pinnedHeadlines.length === ad.headlines.length)) {
+            overPinnedAds++;
+            var pinnedList = pinnedHeadlines.concat(pinnedDescriptions).map(function(asset) { return "'" + asset.text + "' -> " + asset.pinnedField; }).join("; ");
+            addResult(category, "RSA Pinning", "Warn", adLabel + " pins " + pinnedHeadlines.length + " of " + ad.headlines.length + " headlines and " + pinnedDescriptions.length + " of " + ad.descriptions.length + " descriptions: " + pinnedList, "Unpin assets unless required (e.g., legal text or brand name in Headline 1). If a position must be pinned, pin 2-3 alternatives to it so the ad can still rotate.", null, adEntity);
+        }
+
+        // Duplicate / near-duplicate assets
+        var similarPairs = findSimilarAssetPairs(ad.headlines).concat(findSimilarAssetPairs(ad.descriptions));
+        if (similarPairs.length > 0) {
+            duplicateAssetAds++;
+            addResult(category, "RSA Duplicate Assets", "Warn", adLabel + " has " + similarPairs.length + " duplicate/near-duplicate asset pair(s): " + similarPairs.join("; "), "Rewrite one asset of each pair with a different message; near-identical assets reduce ad strength and useful combinations.", null, adEntity);
+        }
+
+        // Ad strength
+        if (ad.adStrength === "POOR" || ad.adStrength === "AVERAGE") {
+            weakStrengthAds++;
+            addResult(category, "RSA Ad Strength", ad.adStrength === "POOR" ? "Fail" : "Warn", adLabel + " has ad strength " + ad.adStrength + ".", "Add unique headlines (including ad group keywords), reduce pinning and remove duplicates until ad strength reaches GOOD or EXCELLENT.", null, adEntity);
+        }
+        if (ad.adStrength !== "PENDING" && ad.adStrength !== "UNSPECIFIED" && ad.adStrength !== "UNKNOWN" && ad.adStrength !== "NO_ADS") ratedAds++;
+
+        // Asset performance labels
+        var allAssets = ad.headlines.concat(ad.descriptions);
+        var lowAssets = allAssets.filter(function(asset) { return asset.performanceLabel === "LOW"; });
+        bestAssets += allAssets.filter(function(asset) { return asset.performanceLabel === "BEST"; }).length;
+        if (lowAssets.length > 0) {
+            lowAssetAds++;
+            addResult(category, "RSA Asset Performance", "Warn", adLabel + " has " + lowAssets.length + " asset(s) rated LOW: " + lowAssets.map(function(asset) { return "'" + asset.text + "'"; }).join(", "), "Replace LOW-rated assets with new variations (test a different angle rather than a rewording); keep BEST-rated assets.", null, adEntity);
+        }
+    });
+
+    // Summaries
+    if (rsaAds.length === 0) return;
+    ["Headlines & Descriptions", "RSA Pinning", "RSA Duplicate Assets", "RSA Asset Performance"].forEach(function(item) { recordItemCoverage(category, item, rsaAds.length); });
+    recordItemCoverage(category, "RSA Ad Strength", ratedAds);
+    if (underfilledAds === 0) addResult(category, "Headlines & Descriptions", "Pass", "All " + rsaAds.length + " enabled RSAs have at least " + CONFIG.RSA_MIN_HEADLINES + " headlines and " + CONFIG.RSA_MIN_DESCRIPTIONS + " descriptions.", "Keep headlines and descriptions varied.");
+    if (overPinnedAds === 0) addResult(category, "RSA Pinning", "Pass", "No enabled RSAs are over-pinned.", "Good.");
+    if (duplicateAssetAds === 0) addResult(category, "RSA Duplicate Assets", "Pass", "No duplicate or near-duplicate assets found in " + rsaAds.length + " enabled RSAs.", "Good.");
+    if (weakStrengthAds === 0 && ratedAds > 0) addResult(category, "RSA Ad Strength", "Pass", "No enabled RSAs have POOR or AVERAGE ad strength (" + ratedAds + " rated).", "Good.");
+    if (lowAssetAds === 0) addResult(category, "RSA Asset Performance", "Pass", "No RSA assets are rated LOW (" + bestAssets + " rated BEST).", "Keep testing new assets against the BEST performers.");
+    Logger.log("RSA asset checks: " + rsaAds.length + " RSAs, " + underfilledAds + " under-filled, " + overPinnedAds + " over-pinned, " + duplicateAssetAds + " with duplicates, " + weakStrengthAds + " weak ad strength, " + lowAssetAds + " with LOW assets.");
+}
+
+
+/**
+ * Lints each enabled RSA's headlines and descriptions (used by auditAdCopy) and reports one row
+ * per ad and problem type: spelling, capitalization, punctuation/symbols, character limits,
+ * policy-risk phrases, missing CTA and missing ad group keywords.
+ * @param {string} category - The category to report under.
+ * @param {Array<Object>} rsaAds - RSAs from getRsaAssetDetails().
+ */
+function lintRsaAdCopy(category, rsaAds) {
+    var wordlist = null;
+    try {
+        wordlist = loadSpellingWordlist();
+    } catch (wordlistError) {
+        addResult(category, "Spelling & Grammar", "Error", "Could not load SPELLING_WORDLIST_URL: " + wordlistError + ". Only common misspellings" + (CONFIG.SPELLING_USE_BUNDLED_DICTIONARY ? " and near-misses of bundled dictionary words" : "") + " were checked.", "Check the wordlist URL is publicly reachable and plain text.");
+    }
+    var dictionary = null;
+    if (CONFIG.SPELLING_USE_BUNDLED_DICTIONARY) {
+        try {
+            dictionary = loadSpellingDictionary();
+        } catch (dictionaryError) {
+            addResult(category, "Spelling & Grammar", "Error", "Could not load SPELLING_DICTIONARY_SOURCE: " + dictionaryError + ". Near-misses of dictionary words were not checked.", "Check the URL is publicly reachable or the Drive file ID is correct, and that the file is plain text.");
+        }
+    }
+
+    // Enabled keywords per ad group (for keyword presence in ad text)
+    var keywordsByAdGroup = null;
+    try {
+        keywordsByAdGroup = getKeywordTextsByAdGroup();
+    } catch (keywordError) {
+        addResult(category, "Ad Tailoring to Theme", "Error", "Could not query ad group keywords: " + keywordError, "Verify manually that ad copy includes the ad group's keywords.");
+    }
+
+    var checks = [ // issue list key -> checklist item, status, recommendation
+        { key: "spelling", item: "Spelling & Grammar", status: "Warn", recommendation: "Correct the spelling, or add the term to BRAND_DICTIONARY if it is a brand or product name." },
+        { key: "capitalization", item: "Excessive Capitalization", status: "Fail", recommendation: "Use normal capitalization; words in all capitals (other than acronyms) are disapproved under the Editorial policy. Add genuine acronyms to AD_ALLOWED_UPPERCASE_WORDS." },
+        { key: "punctuation", item: "Punctuation & Symbols", status: "Fail", recommendation: "Remove exclamation marks from headlines, repeated punctuation and decorative symbols/emoji; these are common Editorial disapproval causes." },
+        { key: "length", item: "Character Limits", status: "Warn", recommendation: "Shorten the text (headlines 30, descriptions 90 characters; check keyword insertion and customizer default text)." },
+        { key: "policy", item: "Policy-Risk Phrases", status: "Warn", recommendation: "Remove or substantiate these phrases (superlatives and guarantees need third-party verification on the landing page; 'click here' is disallowed)." }
+    ];
+    var flaggedAds = { spelling: 0, capitalization: 0, punctuation: 0, length: 0, policy: 0 };
+    var adsWithoutCta = 0;
+    var adsWithoutKeyword = 0;
+    var adsWithKeywords = 0;
+
+    rsaAds.forEach(function(ad) {
+        var adLabel = "RSA (ID " + ad.adId + ") in Ad Group '" + ad.adGroupName + "' (" + ad.campaignName + ")";
+        var adEntity = createEntity("AD", ad.adGroupId + "~" + ad.adId, "RSA " + ad.adId);
+        var adIssues = { spelling: [], capitalization: [], punctuation: [], length: [], policy: [] };
+        var lintAssets = function(assets, isHeadline, prefix) {
+            assets.forEach(function(asset, index) {
+                var issues = lintAdText(asset.text, isHeadline, wordlist, dictionary);
+                for (var key in issues) {
+                    issues[key].forEach(function(issue) { adIssues[key].push(prefix + (index + 1) + ": " + issue); });
+                }
+            });
+        };
+        lintAssets(ad.headlines, true, "H");
+        lintAssets(ad.descriptions, false, "D");
+
+        checks.forEach(function(check) {
+            if (adIssues[check.key].length === 0) return;
+            flaggedAds[check.key]++;
+            addResult(category, check.item, check.status, adLabel + ": " + adIssues[check.key].join("; "), check.recommendation, null, adEntity);
+        });
+
+        // Call-to-action and keyword presence (across all assets of the ad)
+        var adText = ad.headlines.concat(ad.descriptions).map(function(asset) { return getAdDisplayText(asset.text); }).join(" ");
+        if (!adTextHasCta(adText)) {
+            adsWithoutCta++;
+            addResult(category, "Call-to-Actions (CTAs)", "Warn", adLabel + " contains none of the configured CTA verbs.", "Add a clear call-to-action (e.g., 'Shop Now', 'Get a Free Quote', 'Book Today') to at least one headline and description.", null, adEntity);
+        }
+        var keywords = keywordsByAdGroup && keywordsByAdGroup[String(ad.adGroupId)] ? keywordsByAdGroup[String(ad.adGroupId)].keywords : [];
+        if (keywords.length > 0) {
+            adsWithKeywords++;
+            var adWords = {};
+            getKeywordOverlapKey(adText, "BROAD").split(" ").forEach(function(word) { adWords[word] = true; });
+            var hasKeyword = keywords.some(function(keyword) {
+                return getKeywordOverlapKey(keyword, "BROAD").split(" ").every(function(word) { return !word || adWords[word]; });
+            });
+            if (!hasKeyword) {
+                adsWithoutKeyword++;
+                addResult(category, "Ad Tailoring to Theme", "Warn", adLabel + " does not contain any of the ad group's " + keywords.length + " keywords (e.g., '" + keywords.slice(0, 3).join("', '") + "').", "Include the ad group's main keyword in at least one headline to improve ad relevance and Quality Score.", null, adEntity);
+            }
+        }
+    });
+
+    // Summaries
+    checks.concat([{ item: "Call-to-Actions (CTAs)" }]).forEach(function(check) { recordItemCoverage(category, check.item, rsaAds.length); });
+    recordItemCoverage(category, "Ad Tailoring to Theme", adsWithKeywords);
+    checks.forEach(function(check) {
+        if (flaggedAds[check.key] === 0) {
+            var scope = "";
+            if (check.key === "spelling" && !wordlist) {
+                scope = dictionary ? " (common misspellings and near-misses of bundled dictionary words; other unknown words are not flagged, set SPELLING_WORDLIST_URL for a strict check)" : " (common misspellings only; set SPELLING_WORDLIST_URL for a full check)";
+            }
+            addResult(category, check.item, "Pass", "No issues found in " + rsaAds.length + " enabled RSAs" + scope + ".", "Good.");
+        }
+    });
+    if (adsWithoutCta === 0) addResult(category, "Call-to-Actions (CTAs)", "Pass", "All " + rsaAds.length + " enabled RSAs contain a call-to-action.", "Good.");
+    if (keywordsByAdGroup && adsWithKeywords > 0 && adsWithoutKeyword === 0) addResult(category, "Ad Tailoring to Theme", "Pass", "All " + adsWithKeywords + " checked RSAs contain at least one of their ad group's keywords.", "Good.");
+    Logger.log("Ad copy lint: " + rsaAds.length + " RSAs, " + adsWithoutCta + " without CTA, " + adsWithoutKeyword + " without keywords.");
+}
+
+
+/**
+ * Formats an asset field type for display (e.g., "STRUCTURED_SNIPPET" -> "Structured Snippet").
+ * @param {string} fieldType - Asset field type.
+ * @return {string} The display name.
+ */
+function formatAssetFieldType(fieldType) {
+    return String(fieldType).toLowerCase().split("_").map(function(word) {
+        return word.charAt(0).toUpperCase() + word.slice(1);
+    }).join(" ");
+}
+
+/**
+ * Audits ad assets (formerly extensions) on the asset model: account, campaign, ad group and asset
+ * group links are checked per campaign against CONFIG.ASSET_REQUIREMENTS for its campaign type,
+ * along with minimum counts and asset policy status.
+ * Checklist Items: Sitelinks, Callouts, Structured Snippets, Call, Location, Price, Promotion,
+ *                  Images, Business name/logo, Lead forms.
  */
 function auditAdExtensions() {
-  // Reverting to older .extensions() methods as .assets() seem unavailable
   var category = "Ad Extensions (Assets)";
   Logger.log("--- Auditing " + category + " ---");
-  var extensionsChecked = {
-    SITELINK: { count: 0, campaigns: 0, adgroups: 0 },
-    CALLOUT: { count: 0, campaigns: 0, adgroups: 0 },
-    STRUCTURED_SNIPPET: { count: 0, campaigns: 0, adgroups: 0 },
-    CALL: { count: 0, campaigns: 0, adgroups: 0 }, // Using phoneNumbers()
-    LOCATION: { count: 0, campaigns: 0, adgroups: 0 }, // Manual check needed
-    PRICE: { count: 0, campaigns: 0, adgroups: 0 },
-  };
-  var campaignsWithoutSitelinks = 0;
-  var campaignsWithoutCallouts = 0;
   var campaignsChecked = 0;
+  var campaignsMissingRequired = 0;
+  var campaignsMissingRecommended = 0;
+  var campaignsBelowMinCount = 0;
+  var uncheckedChannelTypes = {}; // Channel type -> number of campaigns without a requirement entry
+  var typeCoverage = {}; // Field type -> { covered, expected }
 
   try {
-    // Account Level Extensions (Check if methods exist)
-    var accountExtensions = AdsApp.currentAccount().extensions();
-    try {
-        var accCallouts = accountExtensions.callouts().get();
-        while(accCallouts.hasNext()){ extensionsChecked.CALLOUT.count++; accCallouts.next(); }
-        addResult(category, "Account Level Callouts", "Info", extensionsChecked.CALLOUT.count + " callout extensions found at account level.", "Ensure these are appropriate account-wide.");
-    } catch(e) { addResult(category, "Account Level Callouts Check", "Warn", "Could not check account-level callouts: " + e, "Method might be unavailable."); }
-    // Add similar checks for Sitelinks, Snippets etc. if needed
+    var coverage = getAssetCoverage();
+
+    coverage.campaigns.forEach(function(campaign) {
+      var requirements = CONFIG.ASSET_REQUIREMENTS[campaign.channelType];
+      if (!requirements) {
+        uncheckedChannelTypes[campaign.channelType] = (uncheckedChannelTypes[campaign.channelType] || 0) + 1;
+        return;
+      }
+      campaignsChecked++;
+      var campaignLabel = "Campaign '" + campaign.name + "' (" + campaign.channelType + ")";
+      var campaignEntity = createEntity("CAMPAIGN", campaign.id, campaign.name);
+
+      // Campaign-level assets override account-level ones of the same type; ad group / asset group assets add coverage below the campaign.
+      var getServing = function(fieldType) {
+        if (campaign.campaignCounts[fieldType]) return { count: campaign.campaignCounts[fieldType], level: "campaign" };
+        if (coverage.accountCounts[fieldType]) return { count: coverage.accountCounts[fieldType], level: "account" };
+        var subLevel = campaign.subLevelCounts[fieldType];
+        if (subLevel) {
+          var counts = Object.keys(subLevel).map(function(id) { return subLevel[id]; });
+          return { count: Math.min.apply(null, counts), level: (campaign.channelType === "PERFORMANCE_MAX" ? "asset group" : "ad group") + " (" + counts.length + ")" };
+        }
+        return { count: 0, level: null };
+      };
+
+      var missingRequired = [];
+      var missingRecommended = [];
+      var belowMin = [];
+      var checkTypes = function(fieldTypes, missingList) {
+        fieldTypes.forEach(function(fieldType) {
+          var serving = getServing(fieldType);
+          if (!typeCoverage[fieldType]) typeCoverage[fieldType] = { covered: 0, expected: 0 };
+          typeCoverage[fieldType].expected++;
+          if (serving.count === 0) {
+            missingList.push(formatAssetFieldType(fieldType));
+            return;
+          }
+          typeCoverage[fieldType].covered++;
+          var minCount = CONFIG.ASSET_MIN_COUNTS[fieldType] || 1;
+          if (serving.count < minCount) belowMin.push(formatAssetFieldType(fieldType) + " " + serving.count + "/" + minCount + " (" + serving.level + " level)");
+        });
+      };
+      checkTypes(requirements.required || [], missingRequired);
+      checkTypes(requirements.recommended || [], missingRecommended);
 
-    // Location Extension Check (Manual)
-    addResult(category, "Location Extensions", "Info", "Manual Check Required", "Verify Google Business Profile is linked at the account or campaign level in the UI (Extensions/Assets section).");
+      if (missingRequired.length > 0) {
+        campaignsMissingRequired++;
+        addResult(category, "Required Assets", "Fail", campaignLabel + " is missing required assets: " + missingRequired.join(", ") + ".", "Add these assets at campaign (or account) level; they are expected for every " + campaign.channelType + " campaign (see ASSET_REQUIREMENTS).", null, campaignEntity);
+      }
+      if (belowMin.length > 0) {
+        campaignsBelowMinCount++;
+        addResult(category, "Asset Count", "Warn", campaignLabel + " has fewer assets than recommended: " + belowMin.join("; ") + ".", "Add more assets of these types so Google can choose the best combination (e.g., at least 4 sitelinks and 4 callouts).", null, campaignEntity);
+      }
+      if (missingRecommended.length > 0) {
+        campaignsMissingRecommended++;
+        addResult(category, "Recommended Assets", "Warn", campaignLabel + " has no " + missingRecommended.join(", ") + " assets.", "Add the asset types relevant to this business; more assets increase ad size and CTR.", null, campaignEntity);
+      }
+    });
 
+    // Asset policy status
+    coverage.policyIssues.forEach(function(issue) {
+      addResult(category, "Asset Policy Status", issue.approvalStatus === "DISAPPROVED" ? "Fail" : "Warn", formatAssetFieldType(issue.fieldType) + " asset " + (issue.assetName ? "'" + issue.assetName + "' " : "") + "(ID " + issue.assetId + ") linked at " + issue.level + " level (" + issue.owner + ") is " + issue.approvalStatus + ".", issue.approvalStatus === "DISAPPROVED" ? "Fix or replace the asset; disapproved assets never serve." : "Review the policy limitation; the asset serves only in some situations.", null, createEntity("ASSET", issue.assetId, issue.assetName || formatAssetFieldType(issue.fieldType)));
+    });
 
-    // Campaign & Ad Group Level Extensions
-    var campaignIterator = AdsApp.campaigns()
-      .withCondition("Status = ENABLED")
-      .get();
+    // Summary Results
+    ["Required Assets", "Asset Count", "Recommended Assets"].forEach(function(item) { recordItemCoverage(category, item, campaignsChecked); });
+    if (campaignsChecked > 0) {
+      if (campaignsMissingRequired === 0) addResult(category, "Required Assets", "Pass", "All " + campaignsChecked + " checked campaigns have their required assets.", "Keep assets relevant and up-to-date.");
+      if (campaignsBelowMinCount === 0) addResult(category, "Asset Count", "Pass", "All checked campaigns meet the minimum asset counts.", "Good.");
+      if (campaignsMissingRecommended === 0) addResult(category, "Recommended Assets", "Pass", "All checked campaigns use every recommended asset type.", "Good.");
+      for (var fieldType in typeCoverage) {
+        addResult(category, "Asset Coverage: " + formatAssetFieldType(fieldType), "Info", typeCoverage[fieldType].covered + " of " + typeCoverage[fieldType].expected + " campaigns where expected (account-level: " + (coverage.accountCounts[fieldType] || 0) + ").", "N/A");
+      }
+    } else {
+      addResult(category, "General Check", "Info", "No enabled campaigns of a type listed in ASSET_REQUIREMENTS found to check for assets.", "N/A");
+    }
+    if (coverage.policyIssues.length === 0) addResult(category, "Asset Policy Status", "Pass", "No disapproved or limited assets found.", "Good.");
+    for (var channelType in uncheckedChannelTypes) {
+      addResult(category, "Unchecked Campaign Types", "Info", uncheckedChannelTypes[channelType] + " " + channelType + " campaign(s) skipped (no entry in ASSET_REQUIREMENTS).", "Add an ASSET_REQUIREMENTS entry for " + channelType + " to audit these campaigns.");
+    }
+    addResult(category, "Extension Relevance & Updates", "Info", "Manual Review Required", "Periodically review all active assets to ensure they are still relevant and accurate (e.g., promotions and prices).");
 
-    while (campaignIterator.hasNext()) {
-      var campaign = campaignIterator.next();
-      campaignsChecked++;
-      var campaignName = campaign.getName();
-      var hasSitelinks = false;
-      var hasCallouts = false;
+  } catch (e) {
+    addResult(category, "General Check", "Error", "An error occurred: " + e, "Investigate the error.");
+  }
+}
 
-      // Check Campaign Level Extensions
-      try {
-          var campaignExtensions = campaign.extensions();
-          // Check if methods exist before calling
-          if (campaignExtensions && typeof campaignExtensions.sitelinks === 'function') {
-              var campSitelinks = campaignExtensions.sitelinks().get(); hasSitelinks = campSitelinks.hasNext(); extensionsChecked.SITELINK.campaigns += hasSitelinks ? 1:0; while(campSitelinks.hasNext()){ extensionsChecked.SITELINK.count++; campSitelinks.next();}
-          }
-          if (campaignExtensions && typeof campaignExtensions.callouts === 'function') {
-              var campCallouts = campaignExtensions.callouts().get(); hasCallouts = campCallouts.hasNext(); extensionsChecked.CALLOUT.campaigns += hasCallouts ? 1:0; while(campCallouts.hasNext()){ extensionsChecked.CALLOUT.count++; campCallouts.next();}
-          }
-          if (campaignExtensions && typeof campaignExtensions.structuredSnippets === 'function') {
-              var campSnippets = campaignExtensions.structuredSnippets().get(); extensionsChecked.STRUCTURED_SNIPPET.campaigns += campSnippets.hasNext() ? 1:0; while(campSnippets.hasNext()){ extensionsChecked.STRUCTURED_SNIPPET.count++; campSnippets.next();}
-          } else if (campaignExtensions) { // Log info only if extensions object exists but method doesn't
-               addResult(category, "Campaign Structured Snippet Check", "Info", "Structured Snippet check skipped for campaign '" + campaignName + "'.", "Method unavailable (likely incompatible campaign type or API change).");
-          }
-          if (campaignExtensions && typeof campaignExtensions.phoneNumbers === 'function') {
-              var campCalls = campaignExtensions.phoneNumbers().get(); extensionsChecked.CALL.campaigns += campCalls.hasNext() ? 1:0; while(campCalls.hasNext()){ extensionsChecked.CALL.count++; campCalls.next();}
-          }
-           if (campaignExtensions && typeof campaignExtensions.prices === 'function') {
-              var campPrices = campaignExtensions.prices().get(); extensionsChecked.PRICE.campaigns += campPrices.hasNext() ? 1:0; while(campPrices.hasNext()){ extensionsChecked.PRICE.count++; campPrices.next();}
-          }
-      } catch (campExtError) {
-           addResult(category, "Campaign Extension Check", "Error", "Could not check extensions for campaign '" + campaignName + "': " + campExtError, "Check script permissions or API changes.");
+
+/**
+ * Audits Performance Max and Shopping campaigns: asset group ad strength and asset completeness,
+ * audience signals, listing groups, brand exclusions, Final URL expansion, Shopping product group
+ * partitioning, and products with impressions but no clicks.
+ * Checklist Items: PMax asset groups, Asset completeness, Audience signals, Listing groups,
+ *                  Brand exclusions, URL expansion, Product partitioning, Product performance.
+ */
+function auditPerformanceMaxShopping() {
+  var category = "Performance Max & Shopping";
+  Logger.log("--- Auditing " + category + " ---");
+  var pmaxCampaigns = {}; // id -> { name, urlExpansionOptOut, isRetail, brandLists }
+  var shoppingCampaigns = {}; // id -> name
+
+  try {
+    var rows = AdsApp.search("SELECT campaign.id, campaign.name, campaign.advertising_channel_type, campaign.url_expansion_opt_out, campaign.shopping_setting.merchant_id " +
+        "FROM campaign WHERE campaign.status = 'ENABLED' AND campaign.advertising_channel_type IN ('PERFORMANCE_MAX', 'SHOPPING')");
+    while (rows.hasNext()) {
+      var row = rows.next();
+      if (row.campaign.advertisingChannelType === "PERFORMANCE_MAX") {
+        pmaxCampaigns[row.campaign.id] = { name: row.campaign.name, urlExpansionOptOut: row.campaign.urlExpansionOptOut === true, isRetail: !!(row.campaign.shoppingSetting && row.campaign.shoppingSetting.merchantId), brandLists: [] };
+      } else {
+        shoppingCampaigns[row.campaign.id] = row.campaign.name;
       }
+    }
+    var pmaxCount = Object.keys(pmaxCampaigns).length;
+    var shoppingCount = Object.keys(shoppingCampaigns).length;
+    if (pmaxCount === 0 && shoppingCount === 0) {
+      addResult(category, "General Check", "Info", "No enabled Performance Max or Shopping campaigns found.", "N/A");
+      return;
+    }
 
+    // --- Performance Max ---
+    if (pmaxCount > 0) {
+      // Brand exclusions (PMax brand lists are attached as negative BRAND_LIST campaign criteria)
+      rows = AdsApp.search("SELECT campaign.id, campaign_criterion.brand_list.shared_set FROM campaign_criterion " +
+          "WHERE campaign_criterion.type = 'BRAND_LIST' AND campaign_criterion.negative = TRUE " +
+          "AND campaign.status = 'ENABLED' AND campaign.advertising_channel_type = 'PERFORMANCE_MAX'");
+      while (rows.hasNext()) {
+        var brandRow = rows.next();
+        if (pmaxCampaigns[brandRow.campaign.id]) pmaxCampaigns[brandRow.campaign.id].brandLists.push(brandRow.campaignCriterion.brandList.sharedSet);
+      }
 
-      var adGroupIterator = campaign.adGroups().withCondition("Status = ENABLED").get();
-      while (adGroupIterator.hasNext()) {
-        var adGroup = adGroupIterator.next();
-        // Check Ad Group Level Extensions
-        try {
-            var adGroupExtensions = adGroup.extensions();
-             // Check if methods exist before calling
-            if (adGroupExtensions && typeof adGroupExtensions.sitelinks === 'function') {
-                var agSitelinks = adGroupExtensions.sitelinks().get(); if(agSitelinks.hasNext()) hasSitelinks = true; extensionsChecked.SITELINK.adgroups += agSitelinks.hasNext() ? 1:0; while(agSitelinks.hasNext()){ extensionsChecked.SITELINK.count++; agSitelinks.next();}
-            }
-             if (adGroupExtensions && typeof adGroupExtensions.callouts === 'function') {
-                var agCallouts = adGroupExtensions.callouts().get(); if(agCallouts.hasNext()) hasCallouts = true; extensionsChecked.CALLOUT.adgroups += agCallouts.hasNext() ? 1:0; while(agCallouts.hasNext()){ extensionsChecked.CALLOUT.count++; agCallouts.next();}
-            }
-            if (adGroupExtensions && typeof adGroupExtensions.structuredSnippets === 'function') {
-                var agSnippets = adGroupExtensions.structuredSnippets().get(); extensionsChecked.STRUCTURED_SNIPPET.adgroups += agSnippets.hasNext() ? 1:0; while(agSnippets.hasNext()){ extensionsChecked.STRUCTURED_SNIPPET.count++; agSnippets.next();}
-            } else if (adGroupExtensions) {
-                 // Log info only if extensions object exists but method doesn't
-                 addResult(category, "AdGroup Structured Snippet Check", "Info", "Structured Snippet check skipped for ad group '" + adGroup.getName() + "'.", "Method unavailable.");
-            }
-             if (adGroupExtensions && typeof adGroupExtensions.phoneNumbers === 'function') {
-                var agCalls = adGroupExtensions.phoneNumbers().get(); extensionsChecked.CALL.adgroups += agCalls.hasNext() ? 1:0; while(agCalls.hasNext()){ extensionsChecked.CALL.count++; agCalls.next();}
-            }
-             if (adGroupExtensions && typeof adGroupExtensions.prices === 'function') {
-                var agPrices = adGroupExtensions.prices().get(); extensionsChecked.PRICE.adgroups += agPrices.hasNext() ? 1:0; while(agPrices.hasNext()){ extensionsChecked.PRICE.count++; agPrices.next();}
-            }
-        } catch (agExtError) {
-             addResult(category, "AdGroup Extension Check", "Error", "Could not check extensions for ad group '" + adGroup.getName() + "': " + agExtError, "Check script permissions or API changes.");
+      // Asset groups
+      var assetGroups = {}; // id -> { name, campaignId, adStrength, signals, listingGroups: { units, excluded } }
+      rows = AdsApp.search("SELECT campaign.id, asset_group.id, asset_group.name, asset_group.ad_strength " +
+          "FROM asset_group WHERE asset_group.status = 'ENABLED' AND campaign.status = 'ENABLED' AND campaign.advertising_channel_type = 'PERFORMANCE_MAX'");
+      while (rows.hasNext()) {
+        var groupRow = rows.next();
+        assetGroups[groupRow.assetGroup.id] = { name: groupRow.assetGroup.name, campaignId: groupRow.campaign.id, adStrength: groupRow.assetGroup.adStrength || "UNSPECIFIED", signals: 0, listingUnits: 0, listingExcluded: 0, listingTotal: 0 };
+      }
+      rows = AdsApp.search("SELECT asset_group.id, asset_group_signal.resource_name FROM asset_group_signal " +
+          "WHERE asset_group.status = 'ENABLED' AND campaign.status = 'ENABLED'");
+      while (rows.hasNext()) {
+        var signalRow = rows.next();
+        if (assetGroups[signalRow.assetGroup.id]) assetGroups[signalRow.assetGroup.id].signals++;
+      }
+      rows = AdsApp.search("SELECT asset_group.id, asset_group_listing_group_filter.type FROM asset_group_listing_group_filter " +
+          "WHERE asset_group.status = 'ENABLED' AND campaign.status = 'ENABLED'");
+      while (rows.hasNext()) {
+        var filterRow = rows.next();
+        var filterGroup = assetGroups[filterRow.assetGroup.id];
+        if (!filterGroup) continue;
+        filterGroup.listingTotal++;
+        if (filterRow.assetGroupListingGroupFilter.type === "UNIT_INCLUDED") filterGroup.listingUnits++;
+        if (filterRow.assetGroupListingGroupFilter.type === "UNIT_EXCLUDED") filterGroup.listingExcluded++;
+      }
+      var coverage = getAssetCoverage(); // Asset group (and campaign-level brand) assets by field type
+
+      var weakGroups = 0;
+      var incompleteGroups = 0;
+      var groupsWithoutSignals = 0;
+      for (var groupId in assetGroups) {
+        var group = assetGroups[groupId];
+        var pmax = pmaxCampaigns[group.campaignId];
+        if (!pmax) continue;
+        var groupLabel = "Asset group '" + group.name + "' (" + pmax.name + ")";
+        var groupEntity = createEntity("ASSET_GROUP", groupId, group.name);
+
+        if (group.adStrength === "POOR" || group.adStrength === "AVERAGE") {
+          weakGroups++;
+          addResult(category, "Asset Group Ad Strength", group.adStrength === "POOR" ? "Fail" : "Warn", groupLabel + " has ad strength " + group.adStrength + ".", "Add more unique headlines, descriptions, images and a video until ad strength reaches GOOD or EXCELLENT.", null, groupEntity);
+        }
+
+        var campaignCoverage = null;
+        coverage.campaigns.forEach(function(c) { if (String(c.id) === String(group.campaignId)) campaignCoverage = c; });
+        var missing = [];
+        for (var fieldType in CONFIG.PMAX_ASSET_MINIMUMS) {
+          var count = 0;
+          if (campaignCoverage) {
+            count = (campaignCoverage.campaignCounts[fieldType] || 0) + ((campaignCoverage.subLevelCounts[fieldType] || {})[groupId] || 0);
+          }
+          if (count < CONFIG.PMAX_ASSET_MINIMUMS[fieldType]) missing.push(formatAssetFieldType(fieldType) + " " + count + "/" + CONFIG.PMAX_ASSET_MINIMUMS[fieldType]);
+        }
+        if (missing.length > 0) {
+          incompleteGroups++;
+          addResult(category, "Asset Group Completeness", "Warn", groupLabel + " is below the asset minimums: " + missing.join(", ") + ".", "Fill every asset slot (without a video Google auto-generates one); more assets give PMax more inventory to serve on.", null, groupEntity);
+        }
+
+        if (group.signals === 0) {
+          groupsWithoutSignals++;
+          addResult(category, "Audience Signals", "Warn", groupLabel + " has no audience signal or search theme.", "Add audience signals (customer lists, custom segments of converting searches, interests) to speed up learning.", null, groupEntity);
         }
-      } // End ad group loop
 
-      // Check if campaign lacks key extensions after checking campaign and ad group levels
-      if (!hasSitelinks) {
-        campaignsWithoutSitelinks++;
-        addResult(category, "Sitelink Extensions", "Fail", "Campaign '" + campaignName + "' appears to have no Sitelinks at campaign or ad group level.", "Add relevant Sitelinks to improve ad visibility and CTR.");
+        if (pmax.isRetail) {
+          if (group.listingTotal === 0) {
+            addResult(category, "Listing Groups", "Fail", groupLabel + " has no listing group filter, so no products are eligible.", "Add a listing group (at least 'All products') to the asset group.", null, groupEntity);
+          } else if (group.listingTotal === 1) {
+            addResult(category, "Listing Groups", "Info", groupLabel + " targets all products without subdivision.", "Consider splitting product groups (brand, category, margin) into separate asset groups for control and reporting.", null, groupEntity);
+          }
+        }
       }
-       if (!hasCallouts) {
-        campaignsWithoutCallouts++;
-        addResult(category, "Callout Extensions", "Fail", "Campaign '" + campaignName + "' appears to have no Callouts at campaign or ad group level.", "Add Callouts highlighting key benefits or features.");
+
+      // Campaign-level settings
+      var brandGaps = 0;
+      var expandingCampaigns = 0;
+      for (var pmaxId in pmaxCampaigns) {
+        var campaign = pmaxCampaigns[pmaxId];
+        if (campaign.brandLists.length === 0) {
+          brandGaps++;
+          addResult(category, "Brand Exclusions", "Warn", "Performance Max campaign '" + campaign.name + "' has no brand exclusion list.", "Exclude your own brand (if brand Search campaigns exist) and unwanted third-party brands to stop PMax cannibalizing brand traffic.", null, createEntity("CAMPAIGN", pmaxId, campaign.name));
+        }
+        if (!campaign.urlExpansionOptOut && !CONFIG.PMAX_ALLOW_URL_EXPANSION) {
+          expandingCampaigns++;
+          addResult(category, "Final URL Expansion", "Warn", "Performance Max campaign '" + campaign.name + "' has Final URL expansion ON; Google may send traffic to any page on the domain.", "Turn expansion off or add URL exclusions for pages that should not receive ad traffic (careers, blog, support). Set PMAX_ALLOW_URL_EXPANSION if intended.", null, createEntity("CAMPAIGN", pmaxId, campaign.name));
+        }
       }
-    } // End campaign loop
 
-    // Summary Results (using counts accumulated from campaign/adgroup checks)
-    if (campaignsChecked > 0) {
-        if (campaignsWithoutSitelinks === 0) addResult(category, "Sitelink Extensions Linked", "Pass", "All " + campaignsChecked + " checked campaigns appear to have Sitelinks.", "Ensure Sitelinks are relevant and up-to-date.");
-        if (campaignsWithoutCallouts === 0) addResult(category, "Callout Extensions Linked", "Pass", "All " + campaignsChecked + " checked campaigns appear to have Callouts.", "Ensure Callouts are relevant and compelling.");
-    } else {
-         addResult(category, "General Check", "Info", "No enabled campaigns found to check for extensions.", "N/A");
+      var groupCount = Object.keys(assetGroups).length;
+      recordItemCoverage(category, "Asset Group Ad Strength", groupCount);
+      recordItemCoverage(category, "Asset Group Completeness", groupCount);
+      recordItemCoverage(category, "Audience Signals", groupCount);
+      recordItemCoverage(category, "Listing Groups", groupCount);
+      recordItemCoverage(category, "Brand Exclusions", pmaxCount);
+      recordItemCoverage(category, "Final URL Expansion", pmaxCount);
+      if (groupCount > 0) {
+        if (weakGroups === 0) addResult(category, "Asset Group Ad Strength", "Pass", "No asset groups have POOR or AVERAGE ad strength (" + groupCount + " checked).", "Good.");
+        if (incompleteGroups === 0) addResult(category, "Asset Group Completeness", "Pass", "All " + groupCount + " asset groups meet PMAX_ASSET_MINIMUMS.", "Good.");
+        if (groupsWithoutSignals === 0) addResult(category, "Audience Signals", "Pass", "All " + groupCount + " asset groups have audience signals.", "Good.");
+      } else {
+        addResult(category, "Asset Groups", "Fail", pmaxCount + " enabled Performance Max campaign(s) have no enabled asset groups.", "Add at least one asset group with complete assets to each campaign.");
+      }
+      if (brandGaps === 0) addResult(category, "Brand Exclusions", "Pass", "All " + pmaxCount + " Performance Max campaigns have a brand exclusion list.", "Review the lists when brands or campaigns change.");
+      if (expandingCampaigns === 0) addResult(category, "Final URL Expansion", "Pass", "Final URL expansion is off (or allowed by PMAX_ALLOW_URL_EXPANSION) for all Performance Max campaigns.", "Good.");
+    }
+
+    // --- Shopping product group partitioning ---
+    if (shoppingCount > 0) {
+      var productGroups = {}; // adGroupId -> { name, campaignName, total }
+      rows = AdsApp.search("SELECT campaign.id, ad_group.id, ad_group.name, ad_group_criterion.listing_group.type FROM ad_group_criterion " +
+          "WHERE ad_group_criterion.type = 'LISTING_GROUP' AND ad_group.status = 'ENABLED' AND campaign.status = 'ENABLED' AND campaign.advertising_channel_type = 'SHOPPING'");
+      while (rows.hasNext()) {
+        var partitionRow = rows.next();
+        var adGroupId = partitionRow.adGroup.id;
+        if (!productGroups[adGroupId]) productGroups[adGroupId] = { name: partitionRow.adGroup.name, campaignName: shoppingCampaigns[partitionRow.campaign.id] || "", total: 0 };
+        productGroups[adGroupId].total++;
+      }
+      var unpartitioned = 0;
+      for (var productAdGroupId in productGroups) {
+        var productGroup = productGroups[productAdGroupId];
+        if (productGroup.total === 1) {
+          unpartitioned++;
+          addResult(category, "Product Group Partitioning", "Warn", "Shopping ad group '" + productGroup.name + "' (" + productGroup.campaignName + ") bids on 'All products' as a single product group.", "Subdivide by brand, category, product type or custom label so bids can follow product performance.", null, createEntity("AD_GROUP", productAdGroupId, productGroup.name));
+        }
+      }
+      recordItemCoverage(category, "Product Group Partitioning", Object.keys(productGroups).length);
+      if (Object.keys(productGroups).length === 0) {
+        addResult(category, "Product Group Partitioning", "Fail", shoppingCount + " enabled Shopping campaign(s) have no product groups in enabled ad groups.", "Create product groups so products are eligible to serve.");
+      } else if (unpartitioned === 0) {
+        addResult(category, "Product Group Partitioning", "Pass", "All " + Object.keys(productGroups).length + " Shopping ad groups are subdivided into product groups.", "Good.");
+      }
     }
 
-    // Summarize total counts found (Note: these count instances, not unique extensions)
-    addResult(category, "Total Sitelink Instances", "Info", extensionsChecked.SITELINK.count + " instances found across " + extensionsChecked.SITELINK.campaigns + " campaigns/" + extensionsChecked.SITELINK.adgroups + " ad groups.", "Review relevance.");
-    addResult(category, "Total Callout Instances", "Info", extensionsChecked.CALLOUT.count + " instances found across " + extensionsChecked.CALLOUT.campaigns + " campaigns/" + extensionsChecked.CALLOUT.adgroups + " ad groups.", "Review relevance.");
-    addResult(category, "Structured Snippets", extensionsChecked.STRUCTURED_SNIPPET.count > 0 ? "Pass" : "Warn", extensionsChecked.STRUCTURED_SNIPPET.count + " instances found.", extensionsChecked.STRUCTURED_SNIPPET.count > 0 ? "Ensure relevance." : "Utilize Structured Snippets where applicable.");
-    addResult(category, "Call Extensions", extensionsChecked.CALL.count > 0 ? "Pass" : "Warn", extensionsChecked.CALL.count + " instances found.", extensionsChecked.CALL.count > 0 ? "Ensure number is correct." : "Add Call Extensions if receiving calls is a goal.");
-    addResult(category, "Price Extensions", extensionsChecked.PRICE.count > 0 ? "Pass" : "Warn", extensionsChecked.PRICE.count + " instances found.", extensionsChecked.PRICE.count > 0 ? "Keep prices up-to-date." : "Use Price Extensions if relevant.");
-    addResult(category, "Extension Relevance & Updates", "Info", "Manual Review Required", "Periodically review all active extensions to ensure they are still relevant, accurate, and link to working URLs (for Sitelinks).");
+    // --- Products with impressions but no clicks (Shopping and PMax) ---
+    try {
+      var currencyCode = AdsApp.currentAccount().getCurrencyCode();
+      var products = [];
+      rows = AdsApp.search("SELECT campaign.name, segments.product_item_id, segments.product_title, metrics.impressions, metrics.clicks, metrics.cost_micros " +
+          "FROM shopping_performance_view WHERE metrics.impressions >= " + CONFIG.PRODUCT_MIN_IMPRESSIONS_NO_CLICKS + " AND metrics.clicks = 0 AND " + getGaqlDateCondition());
+      while (rows.hasNext()) {
+        var productRow = rows.next();
+        products.push({ id: productRow.segments.productItemId, title: productRow.segments.productTitle || "", campaignName: productRow.campaign.name, impressions: Number(productRow.metrics.impressions) || 0, cost: microsToAmount(productRow.metrics.costMicros) });
+      }
+      products.sort(function(a, b) { return b.impressions - a.impressions; });
+      products.slice(0, CONFIG.PRODUCT_MAX_LISTED).forEach(function(product) {
+        addResult(category, "Products Without Clicks", "Warn", "Product '" + product.title + "' (ID " + product.id + ") in '" + product.campaignName + "' had " + product.impressions + " impressions and no clicks (" + CONFIG.PERFORMANCE_DATE_RANGE + ", cost " + product.cost.toFixed(2) + " " + currencyCode + ").", "Check the product's price competitiveness, title and image in Merchant Center, or exclude it.", null, createEntity("PRODUCT", product.id, product.title, { impressions: product.impressions, clicks: 0, cost: product.cost }));
+      });
+      if (products.length > CONFIG.PRODUCT_MAX_LISTED) {
+        addResult(category, "Products Without Clicks", "Info", (products.length - CONFIG.PRODUCT_MAX_LISTED) + " more products with no clicks not listed.", "Raise PRODUCT_MAX_LISTED to list them.");
+      }
+      if (products.length === 0) addResult(category, "Products Without Clicks", "Pass", "No products with " + CONFIG.PRODUCT_MIN_IMPRESSIONS_NO_CLICKS + "+ impressions and zero clicks in " + CONFIG.PERFORMANCE_DATE_RANGE + ".", "Good.");
+    } catch (productError) {
+      addResult(category, "Products Without Clicks", "Error", "Could not query shopping_performance_view: " + productError, "Review product performance in the Products report.");
+    }
 
   } catch (e) {
     addResult(category, "General Check", "Error", "An error occurred: " + e, "Investigate the error.");
@@ -1168,6 +5304,7 @@ function auditBiddingStrategies() {
       var campaign = campaignIterator.next();
       campaignsChecked++;
       var campaignName = campaign.getName();
+      var campaignSettings = getCampaignSettings(campaign.getId());
       var biddingStrategyType = "UNKNOWN";
       var stats = null;
       var isLostBudget = 0;
@@ -1198,7 +5335,7 @@ function auditBiddingStrategies() {
       // Strategy Type Count
       if (biddingStrategyType === "MANUAL_CPC" || biddingStrategyType === "MANUAL_CPM" || biddingStrategyType === "MANUAL_CPV" || biddingStrategyType === "ENHANCED_CPC") {
         manualCpcCampaigns++;
-        addResult(category, "Manual/Enhanced Bidding Usage", "Warn", "Campaign '" + campaignName + "' uses " + biddingStrategyType + ".", "Ensure manual/eCPC bidding is intentional and actively managed. Consider Smart Bidding if sufficient conversion data exists.");
+        addResult(category, "Manual/Enhanced Bidding Usage", "Warn", "Campaign '" + campaignName + "' uses " + biddingStrategyType + ".", "Ensure manual/eCPC bidding is intentional and actively managed. Consider Smart Bidding if sufficient conversion data exists.", null, createEntity("CAMPAIGN", campaign.getId(), campaignName));
       } else if (["TARGET_CPA", "TARGET_ROAS", "MAXIMIZE_CONVERSIONS", "MAXIMIZE_CONVERSION_VALUE"].indexOf(biddingStrategyType) !== -1) {
         smartBiddingCampaigns++;
          addResult(category, "Smart Bidding Usage", "Pass", "Campaign '" + campaignName + "' uses " + biddingStrategyType + ".", "Ensure sufficient conversion data (~15-30 conversions in last 30 days recommended) for optimal performance. Monitor targets (tCPA/tROAS).");
@@ -1211,14 +5348,14 @@ function auditBiddingStrategies() {
 
       // Budget Constraints & Impression Share Loss (Only if stats were available)
       if (stats) {
-          if (isLostBudget > CONFIG.MAX_IMPRESSION_SHARE_LOST_BUDGET) {
+          if (isLostBudget > campaignSettings.MAX_IMPRESSION_SHARE_LOST_BUDGET) {
             limitedByBudgetCampaigns++;
             highIsLostBudgetCampaigns++;
-            addResult(category, "Impression Share Lost (Budget)", "Fail", "Campaign '" + campaignName + "' lost " + (isLostBudget * 100).toFixed(1) + "% IS due to budget (>" + (CONFIG.MAX_IMPRESSION_SHARE_LOST_BUDGET * 100) + "%).", "Increase budget if performance is good, or optimize bids/targeting to reduce costs.");
+            addResult(category, "Impression Share Lost (Budget)", "Fail", "Campaign '" + campaignName + "' lost " + (isLostBudget * 100).toFixed(1) + "% IS due to budget (>" + (campaignSettings.MAX_IMPRESSION_SHARE_LOST_BUDGET * 100) + "%).", "Increase budget if performance is good, or optimize bids/targeting to reduce costs.", null, createEntity("CAMPAIGN", campaign.getId(), campaignName, { searchBudgetLostImpressionShare: isLostBudget }));
           }
-          if (isLostRank > CONFIG.MAX_IMPRESSION_SHARE_LOST_RANK) {
+          if (isLostRank > campaignSettings.MAX_IMPRESSION_SHARE_LOST_RANK) {
              highIsLostRankCampaigns++;
-             addResult(category, "Impression Share Lost (Rank)", "Fail", "Campaign '" + campaignName + "' lost " + (isLostRank * 100).toFixed(1) + "% IS due to rank (>" + (CONFIG.MAX_IMPRESSION_SHARE_LOST_RANK * 100) + "%).", "Improve Quality Score (ad relevance, CTR, landing page) and/or increase bids.");
+             addResult(category, "Impression Share Lost (Rank)", "Fail", "Campaign '" + campaignName + "' lost " + (isLostRank * 100).toFixed(1) + "% IS due to rank (>" + (campaignSettings.MAX_IMPRESSION_SHARE_LOST_RANK * 100) + "%).", "Improve Quality Score (ad relevance, CTR, landing page) and/or increase bids.", null, createEntity("CAMPAIGN", campaign.getId(), campaignName, { searchRankLostImpressionShare: isLostRank }));
           }
       }
 
@@ -1241,6 +5378,8 @@ function auditBiddingStrategies() {
     }
 
     // Summary Results
+    recordItemCoverage(category, "Impression Share Lost (Budget)", campaignsChecked - statsErrorCount);
+    recordItemCoverage(category, "Impression Share Lost (Rank)", campaignsChecked - statsErrorCount);
     addResult(category, "Bidding Strategy Mix", "Info", "Manual/eCPC: " + manualCpcCampaigns + ", Smart Bidding: " + smartBiddingCampaigns + ", Other: " + otherBiddingCampaigns, "Ensure the mix of strategies aligns with overall account goals.");
     if (campaignsChecked > 0) {
         if (statsErrorCount > 0) {
@@ -1265,9 +5404,30 @@ function auditBiddingStrategies() {
 
 
 /**
- * Audits Quality Score distribution.
+ * Returns the estimated spend a keyword wasted through its Quality Score: the premium it paid above
+ * the CPC it would have paid at CONFIG.QS_CPC_BASELINE_SCORE, using CONFIG.QS_CPC_ADJUSTMENTS.
+ * @param {number} qualityScore - The keyword's QS (1-10).
+ * @param {number} cost - The keyword's cost in the date range.
+ * @return {number} The estimated wasted spend (0 at or above the baseline QS).
+ */
+function estimateQsWastedSpend(qualityScore, cost) {
+    var adjustment = CONFIG.QS_CPC_ADJUSTMENTS[qualityScore];
+    var baseline = CONFIG.QS_CPC_ADJUSTMENTS[CONFIG.QS_CPC_BASELINE_SCORE] || 0;
+    if (adjustment === undefined || adjustment <= baseline || cost <= 0) return 0;
+    return cost * (1 - (1 + baseline) / (1 + adjustment));
+}
+
+
+/**
+ * Audits Quality Score distribution, weighted by impressions, with the estimated CPC premium paid by
+ * low-QS keywords (low-QS rows are ranked by estimated wasted spend). Each run's per-keyword QS and
+ * components are stored in the history spreadsheet (see updateQualityScoreHistory) to report drops
+ * and the weighted QS trend.
  * Checklist Items: QS review, Low QS (< threshold), Ad relevance (component),
- *                  Expected CTR (component), Landing page experience (component).
+ *                  Expected CTR (component), Landing page experience (component), QS trend.
+ * Resumable: stops before the time limit and continues on the next run from the ad group it stopped in (keywords are
+ * ordered by ad group; keywords already checked there are skipped by criterion ID).
+ * @return {string|undefined} MODULE_PAUSED if the checks stopped early to stay within the time budget.
  */
 function auditQualityScore() {
   var category = "Quality Score";
@@ -1280,21 +5440,67 @@ function auditQualityScore() {
   var lowExpCtr = 0;
   var lowLandingPage = 0;
   var qsErrorCount = 0;
+  var qsSnapshot = []; // Per-keyword QS, components and impressions for the history store
+  var lowQsRows = []; // Low-QS findings, reported after the loop ordered by estimated wasted spend
+  var qsCheckedByThreshold = {}; // MIN_QUALITY_SCORE -> keywords with a QS judged against it (health score coverage)
+  var totalWastedSpend = 0;
+  var keywordPerformance = {}; // "adGroupId:criterionId" -> metrics (from GAQL)
+  var resumeState = MODULE_STATE.auditQualityScore || null; // Set when resuming after a time-budget pause
+  if (resumeState) {
+      keywordsChecked = resumeState.keywordsChecked;
+      lowQsKeywords = resumeState.lowQsKeywords;
+      keywordsWithQs = resumeState.keywordsWithQs;
+      avgQsSum = resumeState.avgQsSum;
+      lowAdRelevance = resumeState.lowAdRelevance;
+      lowExpCtr = resumeState.lowExpCtr;
+      lowLandingPage = resumeState.lowLandingPage;
+      qsErrorCount = resumeState.qsErrorCount;
+      qsSnapshot = resumeState.qsSnapshot;
+      lowQsRows = resumeState.lowQsRows;
+      qsCheckedByThreshold = resumeState.qsCheckedByThreshold;
+      totalWastedSpend = resumeState.totalWastedSpend;
+      Logger.log("Resuming Quality Score checks in ad group " + resumeState.adGroupId + " (" + keywordsChecked + " keywords checked).");
+  }
 
   try {
-    var keywordIterator = AdsApp.keywords()
+    var currencyCode = AdsApp.currentAccount().getCurrencyCode();
+    try {
+        keywordPerformance = getKeywordPerformanceMap();
+    } catch (reportError) {
+        Logger.log("Warning: Could not query keyword_view metrics for QS weighting: " + reportError);
+    }
+
+    var keywordSelector = AdsApp.keywords()
       .withCondition("Status = ENABLED")
       .withCondition("AdGroupStatus = ENABLED")
       .withCondition("CampaignStatus = ENABLED")
       // .withCondition("QualityScore > 0") // Check all enabled, handle null QS below
-      .get();
+      .orderBy("ad_group.id ASC");
+    if (resumeState) keywordSelector = keywordSelector.withCondition("ad_group.id >= " + resumeState.adGroupId);
+    var keywordIterator = keywordSelector.get();
 
+    var currentAdGroupId = resumeState ? resumeState.adGroupId : null;
+    var doneKeywordIds = resumeState ? resumeState.doneKeywordIds : {}; // Keywords checked in the current ad group
     while (keywordIterator.hasNext()) {
       var keyword = keywordIterator.next();
+      if (String(keyword.getAdGroup().getId()) !== currentAdGroupId) {
+          currentAdGroupId = String(keyword.getAdGroup().getId());
+          doneKeywordIds = {};
+      }
+      if (doneKeywordIds[keyword.getId()]) continue; // Checked before the pause
+      if (CONFIG.RESUMABLE_EXECUTION && keywordsChecked % 100 === 0 && isTimeBudgetExhausted()) {
+          MODULE_STATE.auditQualityScore = { adGroupId: currentAdGroupId, doneKeywordIds: doneKeywordIds, keywordsChecked: keywordsChecked, lowQsKeywords: lowQsKeywords, keywordsWithQs: keywordsWithQs, avgQsSum: avgQsSum,
+              lowAdRelevance: lowAdRelevance, lowExpCtr: lowExpCtr, lowLandingPage: lowLandingPage, qsErrorCount: qsErrorCount,
+              qsSnapshot: qsSnapshot, lowQsRows: lowQsRows, qsCheckedByThreshold: qsCheckedByThreshold, totalWastedSpend: totalWastedSpend };
+          Logger.log("Quality Score checks paused in ad group " + currentAdGroupId + " after " + keywordsChecked + " keywords to stay within the time budget.");
+          return MODULE_PAUSED;
+      }
+      doneKeywordIds[keyword.getId()] = true;
       keywordsChecked++;
       var qs = null;
       var adGroupName = keyword.getAdGroup().getName();
       var campaignName = keyword.getCampaign().getName();
+      var campaignSettings = getCampaignSettings(keyword.getCampaign().getId());
       var keywordText = keyword.getText();
       var matchType = keyword.getMatchType();
 
@@ -1304,26 +5510,33 @@ function auditQualityScore() {
           if (qs !== null && !isNaN(qs) && qs > 0) {
               keywordsWithQs++;
               avgQsSum += qs;
+              qsCheckedByThreshold[campaignSettings.MIN_QUALITY_SCORE] = (qsCheckedByThreshold[campaignSettings.MIN_QUALITY_SCORE] || 0) + 1;
+              var adRelevance = "N/A";
+              var expCtr = "N/A";
+              var landingPageExp = "N/A";
+
+              // Check components (use try-catch as they might be null/unavailable)
+              try { adRelevance = keyword.getAdRelevance() || "N/A"; } catch(e) {}
+              try { expCtr = keyword.getExpectedCtr() || "N/A"; } catch(e) {}
+              try { landingPageExp = keyword.getLandingPageExperience() || "N/A"; } catch(e) {}
+
+              var performanceKey = keyword.getAdGroup().getId() + ":" + keyword.getId();
+              var stats = keywordPerformance[performanceKey] || { impressions: 0, cost: 0 };
+              qsSnapshot.push({ key: performanceKey, campaign: campaignName, adGroup: adGroupName, keyword: keywordText, matchType: matchType, qualityScore: qs, adRelevance: adRelevance, expectedCtr: expCtr, landingPage: landingPageExp, impressions: stats.impressions, cost: stats.cost });
 
               // Low QS Check
-              if (qs < CONFIG.MIN_QUALITY_SCORE) {
+              if (qs < campaignSettings.MIN_QUALITY_SCORE) {
                 lowQsKeywords++;
                 var components = [];
-                var adRelevance = "N/A";
-                var expCtr = "N/A";
-                var landingPageExp = "N/A";
-
-                // Check components (use try-catch as they might be null/unavailable)
-                try { adRelevance = keyword.getAdRelevance() || "N/A"; } catch(e) {}
-                try { expCtr = keyword.getExpectedCtr() || "N/A"; } catch(e) {}
-                try { landingPageExp = keyword.getLandingPageExperience() || "N/A"; } catch(e) {}
-
 
                 if (adRelevance === "BELOW_AVERAGE") { lowAdRelevance++; components.push("Ad Relevance"); }
                 if (expCtr === "BELOW_AVERAGE") { lowExpCtr++; components.push("Exp. CTR"); }
                 if (landingPageExp === "BELOW_AVERAGE") { lowLandingPage++; components.push("Landing Page Exp."); }
 
-                addResult(category, "Low Quality Score (<" + CONFIG.MIN_QUALITY_SCORE + ")", "Fail", "Keyword '" + keywordText + "' (" + matchType + ") in Ad Group '" + adGroupName + "' has QS: " + qs + ". Below Average Components: [" + components.join(', ') + "]", "Improve the flagged components: tighten ad group themes, improve ad copy, check landing page relevance/speed.");
+                var wastedSpend = estimateQsWastedSpend(qs, stats.cost);
+                totalWastedSpend += wastedSpend;
+                lowQsRows.push({ wastedSpend: wastedSpend, threshold: campaignSettings.MIN_QUALITY_SCORE, details: "Keyword '" + keywordText + "' (" + matchType + ") in Ad Group '" + adGroupName + "' has QS: " + qs + ". Below Average Components: [" + components.join(', ') + "]. Cost: " + stats.cost.toFixed(2) + " " + currencyCode + ", est. CPC premium vs. QS " + CONFIG.QS_CPC_BASELINE_SCORE + ": " + wastedSpend.toFixed(2) + " " + currencyCode + " (" + CONFIG.PERFORMANCE_DATE_RANGE + ").",
+                    entity: createEntity("KEYWORD", performanceKey.replace(":", "~"), keywordText + " (" + matchType + ")", { qualityScore: qs, cost: stats.cost, impressions: stats.impressions, cpcPremium: wastedSpend }) });
               }
           } else {
               // Log if QS is null/invalid for a keyword expected to have one (e.g. has impressions)
@@ -1335,14 +5548,34 @@ function auditQualityScore() {
       }
     }
 
+    // Low QS keywords, most expensive first
+    lowQsRows.sort(function(a, b) { return b.wastedSpend - a.wastedSpend; });
+    lowQsRows.forEach(function(row, index) {
+        addResult(category, "Low Quality Score (<" + row.threshold + ")", "Fail", "#" + (index + 1) + " by wasted spend: " + row.details, "Improve the flagged components: tighten ad group themes, improve ad copy, check landing page relevance/speed.", null, row.entity);
+    });
+
     // Summary Results
+    for (var qsThreshold in qsCheckedByThreshold) {
+        recordItemCoverage(category, "Low Quality Score (<" + qsThreshold + ")", qsCheckedByThreshold[qsThreshold]);
+    }
     if (keywordsWithQs > 0) {
         var avgQs = (avgQsSum / keywordsWithQs).toFixed(1);
-        addResult(category, "Average Quality Score", "Info", "Avg. QS for keywords with score: " + avgQs + " (based on " + keywordsWithQs + " keywords).", "Aim to improve overall QS. Benchmark against industry standards if possible.");
+        var weightedQs = getWeightedQualityScore(qsSnapshot);
+        recordMetric("Average Quality Score", avgQsSum / keywordsWithQs);
+        recordMetric("Impression-Weighted Quality Score", weightedQs);
+        recordMetric("Estimated Low QS CPC Premium", totalWastedSpend);
+        addResult(category, "Average Quality Score", "Info", "Avg. QS for keywords with score: " + avgQs + " (based on " + keywordsWithQs + " keywords). Impression-weighted QS: " + weightedQs.toFixed(1) + ".", "Aim to improve overall QS. Benchmark against industry standards if possible.");
+        if (CONFIG.TRACK_QS_HISTORY) {
+            try {
+                updateQualityScoreHistory(category, qsSnapshot);
+            } catch (historyError) {
+                addResult(category, "Quality Score History", "Error", "Could not update the Quality Score history: " + historyError, "Check Drive/Sheets permissions and HISTORY_SPREADSHEET_URL.");
+            }
+        }
         if (lowQsKeywords === 0) {
             addResult(category, "Low Quality Scores (<" + CONFIG.MIN_QUALITY_SCORE + ")", "Pass", "No keywords found with QS below " + CONFIG.MIN_QUALITY_SCORE + ".", "Maintain high relevance across keywords, ads, and landing pages.");
         } else {
-             addResult(category, "Low Quality Score Summary", "Fail", lowQsKeywords + " keywords found with QS < " + CONFIG.MIN_QUALITY_SCORE + ". Low Components: Ad Relevance (" + lowAdRelevance + "), Exp. CTR (" + lowExpCtr + "), Landing Page (" + lowLandingPage + ").", "Focus improvement efforts on the most common low components identified in individual keyword results.");
+             addResult(category, "Low Quality Score Summary", "Fail", lowQsKeywords + " keywords found with QS < " + CONFIG.MIN_QUALITY_SCORE + ", with an estimated CPC premium of " + totalWastedSpend.toFixed(2) + " " + currencyCode + " (" + CONFIG.PERFORMANCE_DATE_RANGE + "). Low Components: Ad Relevance (" + lowAdRelevance + "), Exp. CTR (" + lowExpCtr + "), Landing Page (" + lowLandingPage + ").", "Start with the keywords at the top of the list (highest wasted spend) and the most common low components.");
         }
          addResult(category, "Ad Relevance Component", "Info", lowAdRelevance + " keywords flagged with Below Average Ad Relevance.", "Ensure keywords are tightly themed within ad groups and reflected in ad copy.");
          addResult(category, "Expected CTR Component", "Info", lowExpCtr + " keywords flagged with Below Average Expected CTR.", "Improve ad copy visibility, use compelling CTAs, leverage ad extensions, refine keyword targeting.");
@@ -1364,9 +5597,16 @@ function auditQualityScore() {
 
 
 /**
- * Audits landing pages: checks URL validity (HTTPS), mobile-friendliness (basic). Speed/content are manual.
- * Checklist Items: Alignment (manual), Headlines/CTAs (manual), Load speed (manual),
- *                  Secure URLs (HTTPS), Broken links (basic check), Keyword incorporation (manual), Mobile-friendly.
+ * Audits landing pages: checks URL validity (HTTPS) and HTTP status for ad, keyword and asset
+ * (sitelink, promotion, price) final URLs, plus tracking templates and final URL suffixes at
+ * account/campaign/ad group/asset level. Redirects are followed hop by hop to flag long chains,
+ * HTTPS downgrades, homepage redirects, soft 404s and stripped gclid/UTM parameters. Fetched pages
+ * are analyzed for keyword/headline term coverage, headings and CTAs (see auditLandingPageContent), and
+ * for mobile-readiness and page weight (viewport, HTML size, blocking resources, images, fetch time).
+ * Checklist Items: Alignment, Headlines/CTAs, Load speed, Secure URLs (HTTPS),
+ *                  Broken links (basic check), Keyword incorporation, Mobile-friendly, Tracking templates/suffixes.
+ * Resumable: stops before the time limit and continues with the URLs not checked yet (tracked by URL) on the next run.
+ * @return {string|undefined} MODULE_PAUSED if the checks stopped early to stay within the time budget.
  */
 function auditLandingPages() {
   var category = "Landing Pages";
@@ -1374,8 +5614,26 @@ function auditLandingPages() {
   var urlsCheckedCount = 0;
   var httpUrls = 0;
   var potentiallyBrokenUrls = 0; // Based on simple fetch status
-  var nonMobileFriendlyUrls = 0; // Based on AdsApp check
+  var nonMobileFriendlyUrls = 0; // Pages without a (device-width) viewport meta tag
+  var slowPages = 0; // Pages over the fetch time, HTML size or blocking resource limits
+  var pagesWeighed = 0; // HTML pages measured for mobile-readiness and page weight
+  var contentStats = { pagesAnalyzed: 0, lowRelevancePages: 0, pagesWithoutKeywordInHeading: 0, pagesMissingElements: 0 }; // Content analysis counters
+  var integrityIssues = 0; // Redirect chain, HTTPS downgrade, homepage redirect, soft 404 and stripped parameter findings
   var checkedUrls = {}; // Avoid re-checking the same URL {url: true}
+  var imageCache = {}; // Images measured for page weight, shared across pages {imageUrl: measurement}
+  var resumeState = MODULE_STATE.auditLandingPages || null; // Set when resuming after a time-budget pause
+  if (resumeState) {
+      urlsCheckedCount = resumeState.urlsCheckedCount;
+      httpUrls = resumeState.httpUrls;
+      potentiallyBrokenUrls = resumeState.potentiallyBrokenUrls;
+      contentStats = resumeState.contentStats || contentStats;
+      integrityIssues = resumeState.integrityIssues || 0;
+      nonMobileFriendlyUrls = resumeState.nonMobileFriendlyUrls || 0;
+      slowPages = resumeState.slowPages || 0;
+      pagesWeighed = resumeState.pagesWeighed || 0;
+      checkedUrls = resumeState.checkedUrls;
+      Logger.log("Resuming landing page checks after " + urlsCheckedCount + " checked URLs.");
+  }
 
   try {
       // Ensure UrlFetchApp is available
@@ -1397,11 +5655,58 @@ function auditLandingPages() {
           var ad = adIterator.next();
           try {
               var finalUrl = ad.urls().getFinalUrl();
-              if (finalUrl) urlSources.push({ url: finalUrl, context: "Ad in AG: " + ad.getAdGroup().getName() });
+              if (finalUrl) urlSources.push({ url: finalUrl, context: "Ad in AG: " + ad.getAdGroup().getName(), campaignName: ad.getCampaign().getName(), adGroupId: String(ad.getAdGroup().getId()) });
           } catch (urlError) { Logger.log("Warning: Could not get Final URL for ad ID " + ad.getId() + ". " + urlError); }
       }
 
+      // Get URLs from Enabled Assets (sitelinks, promotions, price offers, ...) and their tracking settings
+      var adUrlSourceCount = urlSources.length;
+      var assetUrlSources = [];
+      var trackingSettings = [];
+      try {
+          assetUrlSources = getAssetUrlSources();
+          trackingSettings = getTrackingUrlSettings();
+      } catch (assetUrlError) {
+          if (!resumeState) addResult(category, "Asset URL Check", "Error", "Could not query asset URLs or tracking settings: " + assetUrlError, "Verify sitelink/promotion URLs and tracking templates manually.");
+      }
+      assetUrlSources.forEach(function(assetSource) {
+          urlSources.push({ url: assetSource.url, context: assetSource.assetLabel, campaignName: assetSource.campaignName });
+          if (assetSource.trackingUrlTemplate || assetSource.finalUrlSuffix) {
+              trackingSettings.push({ level: "Asset", owner: assetSource.assetLabel, campaignName: assetSource.campaignName, trackingUrlTemplate: assetSource.trackingUrlTemplate, finalUrlSuffix: assetSource.finalUrlSuffix, landingUrl: assetSource.url });
+          }
+      });
+
+      // Tracking templates and final URL suffixes are checked against a landing page from the same campaign
+      var trackingUrlSourceStart = urlSources.length;
+      var trackingTemplateCount = 0;
+      var finalUrlSuffixCount = 0;
+      var getSampleLandingUrl = function(campaignName) {
+          var fallback = null;
+          for (var sourceIndex = 0; sourceIndex < urlSources.length; sourceIndex++) {
+              if (campaignName && urlSources[sourceIndex].campaignName === campaignName) return urlSources[sourceIndex].url;
+              if (!fallback) fallback = urlSources[sourceIndex].url;
+          }
+          return fallback;
+      };
+      trackingSettings.forEach(function(setting) {
+          var landingUrl = setting.landingUrl || getSampleLandingUrl(setting.campaignName);
+          var settingContext = setting.level === "Asset" ? setting.owner : setting.level + " level: " + setting.owner;
+          if (setting.trackingUrlTemplate) {
+              trackingTemplateCount++;
+              if (!trackingTemplateHasLandingPage(setting.trackingUrlTemplate)) {
+                  if (!resumeState) addResult(category, "Tracking Template Format", "Fail", "Tracking template '" + setting.trackingUrlTemplate + "' (Context: " + settingContext + ") does not insert the landing page ({lpurl}).", "Include {lpurl} (or a variant) in the tracking template so clicks reach the final URL.", null, createEntity("URL", setting.trackingUrlTemplate, settingContext));
+              } else if (landingUrl) {
+                  urlSources.push({ url: expandTrackingTemplate(setting.trackingUrlTemplate, landingUrl), context: "Tracking template at " + settingContext, campaignName: setting.campaignName, isTrackingUrl: true, isTrackingTemplate: true });
+              }
+          }
+          if (setting.finalUrlSuffix && landingUrl) {
+              finalUrlSuffixCount++;
+              urlSources.push({ url: appendFinalUrlSuffix(landingUrl, setting.finalUrlSuffix), context: "Final URL suffix '" + setting.finalUrlSuffix + "' at " + settingContext, campaignName: setting.campaignName, skipHttpsCheck: true, isTrackingUrl: true });
+          }
+      });
+
       // Get URLs from Enabled Keywords
+      var keywordUrlSourceStart = urlSources.length;
       var keywordIterator = AdsApp.keywords()
           .withCondition("Status = ENABLED")
           .withCondition("AdGroupStatus = ENABLED")
@@ -1412,47 +5717,158 @@ function auditLandingPages() {
           var keyword = keywordIterator.next();
           try {
               var kwFinalUrl = keyword.urls().getFinalUrl();
-               if (kwFinalUrl) urlSources.push({ url: kwFinalUrl, context: "Keyword '" + keyword.getText() + "' in AG: " + keyword.getAdGroup().getName() });
+               if (kwFinalUrl) urlSources.push({ url: kwFinalUrl, context: "Keyword '" + keyword.getText() + "' in AG: " + keyword.getAdGroup().getName(), adGroupId: String(keyword.getAdGroup().getId()) });
           } catch (urlError) { Logger.log("Warning: Could not get Final URL for keyword ID " + keyword.getId() + ". " + urlError); }
       }
 
-      // Get URLs from Enabled Sitelink Extensions (Older API)
-      // Note: Accessing individual final URLs for sitelinks is complex here.
-      // We'll just note that sitelinks exist and recommend manual URL checks.
-      addResult(category, "Sitelink URL Check", "Info", "Manual check recommended for Sitelink URLs.", "Verify links within Sitelink extensions in the UI.");
+      if (!resumeState) {
+          addResult(category, "URL Sources", "Info", adUrlSourceCount + " ad URLs, " + assetUrlSources.length + " asset URLs, " + (urlSources.length - keywordUrlSourceStart) + " keyword URLs, " + trackingTemplateCount + " tracking templates and " + finalUrlSuffixCount + " final URL suffixes found (up to " + CONFIG.LANDING_PAGE_SAMPLE_SIZE + " unique URLs are checked, taken in turn from each source).", "N/A");
+      }
+
+      // Interleave the sources (ads, assets, tracking settings, keywords) so each gets a share of LANDING_PAGE_SAMPLE_SIZE
+      // instead of assets and tracking URLs only being reached after every ad and keyword URL. The order is deterministic,
+      // so a resumed run continues at the same position.
+      var sourceGroups = [urlSources.slice(0, adUrlSourceCount), urlSources.slice(adUrlSourceCount, trackingUrlSourceStart),
+          urlSources.slice(trackingUrlSourceStart, keywordUrlSourceStart), urlSources.slice(keywordUrlSourceStart)];
+      var interleavedSources = [];
+      for (var round = 0; interleavedSources.length < urlSources.length; round++) {
+          sourceGroups.forEach(function(group) {
+              if (round < group.length) interleavedSources.push(group[round]);
+          });
+      }
+      urlSources = interleavedSources;
+
+
+      // All ads/keywords/assets pointing to each URL (findings are reported against every origin)
+      var contextsByUrl = {};
+      urlSources.forEach(function(urlSource) {
+          if (!contextsByUrl[urlSource.url]) contextsByUrl[urlSource.url] = [];
+          contextsByUrl[urlSource.url].push(urlSource.context);
+      });
 
+      // Content analysis inputs: referring ad groups per URL, with their keywords and RSA headlines
+      var keywordsByAdGroup = null;
+      var headlinesByAdGroup = {};
+      var adGroupsByUrl = {}; // url -> [adGroupId]
+      if (CONFIG.LANDING_PAGE_CONTENT_ANALYSIS) {
+          try {
+              keywordsByAdGroup = getKeywordTextsByAdGroup();
+              getRsaAssetDetails().forEach(function(rsa) {
+                  var rsaAdGroupId = String(rsa.adGroupId);
+                  headlinesByAdGroup[rsaAdGroupId] = (headlinesByAdGroup[rsaAdGroupId] || []).concat(rsa.headlines.map(function(asset) { return asset.text; }));
+              });
+          } catch (contentInputError) {
+              keywordsByAdGroup = null;
+              if (!resumeState) addResult(category, "Landing Page Alignment", "Error", "Could not load keywords/headlines for content analysis: " + contentInputError, "Review landing page relevance manually.");
+          }
+          urlSources.forEach(function(urlSource) {
+              if (!urlSource.adGroupId) return;
+              if (!adGroupsByUrl[urlSource.url]) adGroupsByUrl[urlSource.url] = [];
+              if (adGroupsByUrl[urlSource.url].indexOf(urlSource.adGroupId) === -1) adGroupsByUrl[urlSource.url].push(urlSource.adGroupId);
+          });
+      }
 
       // Process unique URLs up to the sample size limit
+      // (on resume the sources are rebuilt, possibly in a different order; URLs in checkedUrls are skipped by URL)
       for (var i = 0; i < urlSources.length && urlsCheckedCount < CONFIG.LANDING_PAGE_SAMPLE_SIZE; i++) {
           var source = urlSources[i];
           var url = source.url;
-          var context = source.context;
+          // Stop before the execution time limit; the next run continues with the URLs not yet checked
+          if (CONFIG.RESUMABLE_EXECUTION && url && !checkedUrls[url] && isTimeBudgetExhausted()) {
+              MODULE_STATE.auditLandingPages = { urlsCheckedCount: urlsCheckedCount, httpUrls: httpUrls, potentiallyBrokenUrls: potentiallyBrokenUrls, contentStats: contentStats, integrityIssues: integrityIssues, nonMobileFriendlyUrls: nonMobileFriendlyUrls, slowPages: slowPages, pagesWeighed: pagesWeighed, checkedUrls: checkedUrls };
+              Logger.log("Pausing landing page checks after " + urlsCheckedCount + " checked URLs to stay within the time limit.");
+              return MODULE_PAUSED;
+          }
+          var contexts = contextsByUrl[url] || [source.context];
+          var context = contexts.slice(0, 3).join("; ") + (contexts.length > 3 ? " (+" + (contexts.length - 3) + " more)" : "");
 
           if (url && !checkedUrls[url]) {
               checkedUrls[url] = true; // Mark as checked
               urlsCheckedCount++;
 
-              // 1. Check HTTPS
-              if (!url.toLowerCase().startsWith("https://")) {
+              // 1. Check HTTPS (final URL suffixes inherit the landing page's scheme, which is checked on its own)
+              if (!source.skipHttpsCheck && !url.toLowerCase().startsWith("https://")) {
                   httpUrls++;
-                  addResult(category, "Secure URLs (HTTPS)", "Fail", "URL '" + url + "' (Context: " + context + ") is not HTTPS.", "Update landing page URL to use HTTPS for security and user trust.");
+                  addResult(category, "Secure URLs (HTTPS)", "Fail", "URL '" + url + "' (Context: " + context + ") is not HTTPS.", "Update landing page URL to use HTTPS for security and user trust.", null, createEntity("URL", url, url));
               }
 
-              // 2. Basic Broken Link Check (using UrlFetchApp)
+              // 2. Broken Link and Link Integrity Checks (redirects followed hop by hop; a test gclid verifies tracking survives)
               if (typeof UrlFetchApp !== 'undefined') {
                   try {
-                      var options = {
-                          'muteHttpExceptions': true,
-                          'validateHttpsCertificates': false, // Be lenient
-                          'followRedirects': true,
-                          'method' : 'GET' // Explicitly set method
-                      };
-                      var response = UrlFetchApp.fetch(url, options);
-                      var responseCode = response.getResponseCode();
-
-                      if (responseCode >= 400) { // 4xx or 5xx errors
+                      var requestedUrl = url;
+                      if (!source.isTrackingTemplate && CONFIG.LANDING_PAGE_TEST_GCLID && getUrlParts(url).params.indexOf("gclid") === -1) {
+                          requestedUrl = appendFinalUrlSuffix(url, "gclid=" + encodeURIComponent(CONFIG.LANDING_PAGE_TEST_GCLID));
+                      }
+                      var chain = fetchWithRedirectChain(requestedUrl);
+                      var response = chain.response;
+                      var responseCode = response ? response.getResponseCode() : null;
+                      var page = null;
+
+                      if (chain.loop) {
                           potentiallyBrokenUrls++;
-                          addResult(category, "Potential Broken Link", "Fail", "URL '" + url + "' (Context: " + context + ") returned HTTP status code: " + responseCode, "Verify the page loads correctly. Check for typos or server issues.");
+                          addResult(category, "Redirect Loop", "Fail", "URL '" + url + "' (Context: " + context + ") redirects in a loop or more than " + CONFIG.LANDING_PAGE_MAX_FOLLOWED_REDIRECTS + " times: " + formatRedirectChain(chain.hops), "Fix the redirect rules so the URL resolves to a page in at most one or two hops.", null, createEntity("URL", url, url, { redirects: chain.hops.length - 1 }));
+                      } else if (responseCode >= 400) { // 4xx or 5xx errors
+                          potentiallyBrokenUrls++;
+                          addResult(category, "Potential Broken Link", "Fail", "URL '" + url + "' (Context: " + context + ") returned HTTP status code: " + responseCode + (chain.hops.length > 1 ? " (chain: " + formatRedirectChain(chain.hops) + ")" : ""), "Verify the page loads correctly. Check for typos or server issues.", null, createEntity("URL", url, url, { responseCode: responseCode }));
+                      } else if (responseCode < 300 && /html/i.test(String(response.getHeaders()["Content-Type"] || response.getHeaders()["content-type"] || "text/html"))) {
+                          page = parseLandingPageHtml(response.getContentText());
+                      }
+
+                      if (!chain.loop) {
+                          var integrity = analyzeRedirectChain(requestedUrl, chain, page);
+                          var chainText = formatRedirectChain(chain.hops);
+                          if (integrity.httpsDowngrade) {
+                              integrityIssues++;
+                              addResult(category, "HTTPS Downgrade", "Fail", "URL '" + url + "' (Context: " + context + ") is redirected from HTTPS to HTTP: " + chainText, "Serve every hop over HTTPS; a downgrade exposes users and can drop referrer/click data.", null, createEntity("URL", url, url));
+                          }
+                          if (integrity.soft404) {
+                              integrityIssues++;
+                              potentiallyBrokenUrls++;
+                              addResult(category, "Soft 404", "Fail", "URL '" + url + "' (Context: " + context + ") returns 200 but looks like an error page (title: '" + page.title + "')" + (chain.hops.length > 1 ? ": " + chainText : "."), "Point the ad/keyword to a live page; soft 404s waste spend and can be disapproved as 'Destination not working'.", null, createEntity("URL", url, url));
+                          }
+                          if (integrity.homepageRedirect) {
+                              integrityIssues++;
+                              addResult(category, "Redirect to Homepage", "Warn", "URL '" + url + "' (Context: " + context + ") redirects to the homepage: " + chainText, "The original page was likely removed. Update the final URL to the most relevant live page.", null, createEntity("URL", url, url));
+                          }
+                          if (integrity.strippedParameters.length > 0) {
+                              integrityIssues++;
+                              addResult(category, "Tracking Parameters Stripped", "Fail", "URL '" + url + "' (Context: " + context + ") loses " + integrity.strippedParameters.join(", ") + " during redirects: " + chainText, "Make redirects preserve query strings (or use the final URL directly); without gclid/UTM parameters conversions and analytics attribution are lost.", null, createEntity("URL", url, url));
+                          }
+                          if (integrity.tooManyHops) {
+                              integrityIssues++;
+                              addResult(category, "Redirect Chain", "Warn", "URL '" + url + "' (Context: " + context + ") goes through " + (chain.hops.length - 1) + " redirects: " + chainText, "Update the final URL to the destination page; each redirect adds latency and a point of failure.", null, createEntity("URL", url, url, { redirects: chain.hops.length - 1 }));
+                          }
+                      }
+
+                      // 3. Content analysis (keyword/headline term coverage, headings, CTAs)
+                      if (page && CONFIG.LANDING_PAGE_CONTENT_ANALYSIS && !source.isTrackingUrl) {
+                          auditLandingPageContent(category, url, page, adGroupsByUrl[url] || [], keywordsByAdGroup, headlinesByAdGroup, contentStats);
+                      }
+
+                      // 4. Mobile-friendliness and page weight heuristics (from the fetched HTML and timing)
+                      if (page && !source.isTrackingUrl) {
+                          var weight = getPageWeightMetrics(response, chain, imageCache);
+                          pagesWeighed++;
+                          var measurements = "fetch " + weight.fetchMs + " ms over " + chain.hops.length + " request(s), HTML " + weight.htmlKb.toFixed(0) + " KB (" + (weight.compressed ? "compressed" : "uncompressed") + "), " + weight.blockingScripts + " blocking scripts, " + weight.stylesheets + " stylesheets, " + weight.images + " images" +
+                              (weight.imagesSampled > 0 ? " (" + weight.imagesSampled + " sampled: " + weight.heavyImages.length + " over " + CONFIG.LANDING_PAGE_MAX_IMAGE_KB + " KB not in WebP/AVIF, " + weight.uncompressedImages.length + " uncompressed)" : "");
+                          var describeImages = function(images) {
+                              return images.map(function(image) { return image.url + " (" + image.kb.toFixed(0) + " KB, " + image.type + ")"; }).join(", ");
+                          };
+                          if (!weight.viewportDeviceWidth) {
+                              nonMobileFriendlyUrls++;
+                              addResult(category, "Mobile-Friendly Check", weight.hasViewport ? "Warn" : "Fail", "URL '" + url + "' (Context: " + context + ") " + (weight.hasViewport ? "has a viewport meta tag without width=device-width." : "has no viewport meta tag, so mobile browsers render it at desktop width."), "Add <meta name=\"viewport\" content=\"width=device-width, initial-scale=1\"> and use a responsive layout.", null, createEntity("URL", url, url));
+                          }
+                          var slowReasons = [];
+                          if (weight.fetchMs > CONFIG.LANDING_PAGE_MAX_FETCH_MS) slowReasons.push("fetch time over " + CONFIG.LANDING_PAGE_MAX_FETCH_MS + " ms");
+                          if (weight.htmlKb > CONFIG.LANDING_PAGE_MAX_HTML_KB) slowReasons.push("HTML over " + CONFIG.LANDING_PAGE_MAX_HTML_KB + " KB");
+                          if (weight.blockingScripts + weight.stylesheets > CONFIG.LANDING_PAGE_MAX_BLOCKING_RESOURCES) slowReasons.push("more than " + CONFIG.LANDING_PAGE_MAX_BLOCKING_RESOURCES + " render-blocking resources");
+                          if (!weight.compressed && weight.htmlKb > 50) slowReasons.push("HTML served without gzip/brotli");
+                          if (weight.heavyImages.length > 0) slowReasons.push("images over " + CONFIG.LANDING_PAGE_MAX_IMAGE_KB + " KB not served as WebP/AVIF: " + describeImages(weight.heavyImages));
+                          if (weight.uncompressedImages.length > 0) slowReasons.push("uncompressed images (BMP/TIFF, or SVG without gzip/brotli): " + describeImages(weight.uncompressedImages));
+                          if (slowReasons.length > 0) {
+                              slowPages++;
+                              addResult(category, "Page Load Speed", "Warn", "URL '" + url + "' (Context: " + context + "): " + slowReasons.join("; ") + ". Measured: " + measurements + ".", "Reduce redirects and server response time, defer non-critical scripts, enable compression and serve images as WebP/AVIF. Confirm with PageSpeed Insights.", null, createEntity("URL", url, url, { fetchMs: weight.fetchMs, htmlKb: weight.htmlKb, blockingResources: weight.blockingScripts + weight.stylesheets, heavyImages: weight.heavyImages.length, uncompressedImages: weight.uncompressedImages.length }));
+                          }
                       }
                   } catch (fetchError) {
                       potentiallyBrokenUrls++; // Count fetch errors as potential issues
@@ -1460,15 +5876,6 @@ function auditLandingPages() {
                   }
               }
 
-              // 3. Mobile Friendliness (API check is often unreliable/deprecated)
-              // Rely on manual check or external tools.
-              // try {
-              //     // Find an ad associated with this URL to check mobile friendly status (complex mapping)
-              //     // var mobileFriendly = ad.isMobileFriendly(); // Needs the specific ad object
-              //     // if (mobileFriendly === false) { ... }
-              // } catch (mfError) { ... }
-
-
               // Prevent script timeout by sleeping occasionally
               if (urlsCheckedCount % 20 === 0) {
                   Utilities.sleep(1000);
@@ -1478,20 +5885,31 @@ function auditLandingPages() {
 
 
     // Summary Results
+    ["Secure URLs (HTTPS)", "Potential Broken Link", "Redirect Loop", "HTTPS Downgrade", "Soft 404", "Redirect to Homepage", "Tracking Parameters Stripped", "Redirect Chain"].forEach(function(item) {
+        recordItemCoverage(category, item, urlsCheckedCount);
+    });
+    recordItemCoverage(category, "Mobile-Friendly Check", pagesWeighed);
     if (urlsCheckedCount > 0) {
         if (httpUrls === 0) addResult(category, "Secure URLs (HTTPS)", "Pass", "All " + urlsCheckedCount + " checked unique URLs use HTTPS.", "Maintain HTTPS for all landing pages.");
         if (potentiallyBrokenUrls === 0) addResult(category, "Broken Links Check", "Pass", "No potentially broken links found among " + urlsCheckedCount + " checked unique URLs (based on HTTP status).", "Continue monitoring links.");
-        // Mobile friendly summary removed due to API unreliability
+        if (integrityIssues === 0) addResult(category, "Link Integrity", "Pass", "No long redirect chains, HTTPS downgrades, homepage redirects, soft 404s or stripped tracking parameters found among " + urlsCheckedCount + " checked unique URLs.", "Good.");
+        if (pagesWeighed > 0 && nonMobileFriendlyUrls === 0) addResult(category, "Mobile-Friendly Check", "Pass", "All " + pagesWeighed + " fetched HTML pages declare a device-width viewport (heuristic).", "Confirm layout on real devices or with Lighthouse for full mobile usability.");
+        if (pagesWeighed > 0 && slowPages === 0) addResult(category, "Page Load Speed", "Pass", "None of the " + pagesWeighed + " fetched pages exceed the fetch time (" + CONFIG.LANDING_PAGE_MAX_FETCH_MS + " ms), HTML size (" + CONFIG.LANDING_PAGE_MAX_HTML_KB + " KB) or blocking resource (" + CONFIG.LANDING_PAGE_MAX_BLOCKING_RESOURCES + ") limits" + (CONFIG.LANDING_PAGE_IMAGE_SAMPLE_SIZE > 0 ? ", and no sampled image is uncompressed or over " + CONFIG.LANDING_PAGE_MAX_IMAGE_KB + " KB outside WebP/AVIF." : "."), "Fetch time excludes rendering; use PageSpeed Insights for Core Web Vitals.");
+        if (contentStats.pagesAnalyzed > 0) {
+            if (contentStats.lowRelevancePages === 0) addResult(category, "Landing Page Alignment", "Pass", "All " + contentStats.pagesAnalyzed + " analyzed pages cover their ad groups' keywords and headline terms.", "Keep landing page copy aligned with ads when changing either.");
+            if (contentStats.pagesWithoutKeywordInHeading === 0) addResult(category, "Keyword Incorporation", "Pass", "All analyzed pages include a referring keyword in the title or H1.", "Good.");
+            if (contentStats.pagesMissingElements === 0) addResult(category, "Headlines & CTAs on Page", "Pass", "All " + contentStats.pagesAnalyzed + " analyzed pages have a title, H1, meta description and a CTA element.", "Good.");
+        }
     } else {
       addResult(category, "General Check", "Info", "No unique Final URLs found in checked ads/keywords or checking was disabled/limited.", "Ensure ads/keywords have valid final URLs.");
     }
 
     // Manual Checks
-    addResult(category, "Mobile-Friendly Check", "Info", "Manual Check Required", "Use Google's Mobile-Friendly Test tool for reliable checks. Ensure pages are responsive.");
-    addResult(category, "Landing Page Alignment", "Info", "Manual Review Required", "Ensure landing page content is highly relevant to the ad copy and keywords that trigger the ad.");
-    addResult(category, "Headlines & CTAs on Page", "Info", "Manual Review Required", "Verify landing pages have clear headlines, compelling value propositions, and strong calls-to-action.");
-    addResult(category, "Page Load Speed", "Info", "Manual Check Required", "Use Google PageSpeed Insights or similar tools to test landing page load times on desktop and mobile. Optimize images, code, and server response time.");
-    addResult(category, "Keyword Incorporation", "Info", "Manual Review Required", "Check if relevant keywords are naturally incorporated into landing page headlines and copy.");
+    if (!CONFIG.LANDING_PAGE_CONTENT_ANALYSIS) {
+        addResult(category, "Landing Page Alignment", "Info", "Manual Review Required", "Ensure landing page content is highly relevant to the ad copy and keywords that trigger the ad.");
+        addResult(category, "Headlines & CTAs on Page", "Info", "Manual Review Required", "Verify landing pages have clear headlines, compelling value propositions, and strong calls-to-action.");
+        addResult(category, "Keyword Incorporation", "Info", "Manual Review Required", "Check if relevant keywords are naturally incorporated into landing page headlines and copy.");
+    }
 
 
   } catch (e) {
@@ -1500,6 +5918,61 @@ function auditLandingPages() {
 }
 
 
+/**
+ * Reports content problems for one fetched landing page (used by auditLandingPages): low coverage
+ * of a referring ad group's keywords or RSA headline terms, no keyword in the title/H1, and
+ * missing title, H1, meta description or CTA element (form, button, tel: link or CTA link).
+ * @param {string} category - The category to report under.
+ * @param {string} url - The page URL.
+ * @param {Object} page - Result of parseLandingPageHtml().
+ * @param {Array<string>} adGroupIds - Ad groups whose ads or keywords point to the page.
+ * @param {Object|null} keywordsByAdGroup - Result of getKeywordTextsByAdGroup(), or null if unavailable.
+ * @param {Object} headlinesByAdGroup - Map of adGroupId to RSA headline texts.
+ * @param {Object} contentStats - Counters updated in place (pagesAnalyzed, lowRelevancePages, ...).
+ */
+function auditLandingPageContent(category, url, page, adGroupIds, keywordsByAdGroup, headlinesByAdGroup, contentStats) {
+    contentStats.pagesAnalyzed++;
+    var lowRelevance = false;
+    var noKeywordInHeading = false;
+
+    adGroupIds.slice(0, CONFIG.LANDING_PAGE_MAX_AD_GROUPS_PER_URL).forEach(function(adGroupId) {
+        var adGroup = keywordsByAdGroup ? keywordsByAdGroup[adGroupId] : null;
+        var keywords = adGroup ? adGroup.keywords : [];
+        var headlines = headlinesByAdGroup[adGroupId] || [];
+        if (keywords.length === 0 && headlines.length === 0) return;
+        var adGroupLabel = adGroup ? "Ad Group '" + adGroup.name + "' (" + adGroup.campaignName + ")" : "Ad Group ID " + adGroupId;
+        var relevance = scoreLandingPageRelevance(page, keywords, headlines);
+
+        var keywordsLow = relevance.keywordCoverage !== null && relevance.keywordCoverage < CONFIG.LANDING_PAGE_MIN_KEYWORD_COVERAGE;
+        var headlinesLow = relevance.headlineTermCoverage !== null && relevance.headlineTermCoverage < CONFIG.LANDING_PAGE_MIN_HEADLINE_TERM_COVERAGE;
+        if (keywordsLow || headlinesLow) {
+            lowRelevance = true;
+            var details = [];
+            if (relevance.keywordCoverage !== null) details.push((relevance.keywordCoverage * 100).toFixed(0) + "% of keywords" + (keywordsLow ? " (missing: '" + relevance.missingKeywords.slice(0, 10).join("', '") + "')" : ""));
+            if (relevance.headlineTermCoverage !== null) details.push((relevance.headlineTermCoverage * 100).toFixed(0) + "% of headline terms" + (headlinesLow ? " (missing: " + relevance.missingHeadlineTerms.slice(0, 10).join(", ") + ")" : ""));
+            addResult(category, "Landing Page Alignment", "Warn", "Page '" + url + "' covers " + details.join(" and ") + " of " + adGroupLabel + ".", "Add the missing terms to the page copy and headings, or point the ad group to a more specific page.", null, createEntity("URL", url, adGroupLabel, { keywordCoverage: relevance.keywordCoverage, headlineTermCoverage: relevance.headlineTermCoverage }));
+        }
+        if (keywords.length > 0 && !relevance.keywordInTitleOrH1) {
+            noKeywordInHeading = true;
+            addResult(category, "Keyword Incorporation", "Warn", "Page '" + url + "' has none of the keywords of " + adGroupLabel + " in its title or H1 (title: '" + page.title + "', H1: '" + (page.h1[0] || "") + "').", "Use the ad group's main keyword in the page title and H1 to reinforce relevance.", null, createEntity("URL", url, adGroupLabel));
+        }
+    });
+
+    var missingElements = [];
+    if (!page.title) missingElements.push("title");
+    if (page.h1.length === 0) missingElements.push("H1 heading");
+    if (!page.metaDescription) missingElements.push("meta description");
+    var hasCta = page.formCount > 0 || page.buttonCount > 0 || page.telLinkCount > 0 || page.ctaLinks.length > 0;
+    if (!hasCta) missingElements.push("CTA element (form, button, tel: link or CTA link)");
+    if (missingElements.length > 0) {
+        contentStats.pagesMissingElements++;
+        addResult(category, "Headlines & CTAs on Page", hasCta ? "Warn" : "Fail", "Page '" + url + "' is missing: " + missingElements.join(", ") + ".", "Give every landing page a descriptive title, one clear H1, a meta description and a visible call-to-action above the fold.", null, createEntity("URL", url, url));
+    }
+    if (lowRelevance) contentStats.lowRelevancePages++;
+    if (noKeywordInHeading) contentStats.pagesWithoutKeywordInHeading++;
+}
+
+
 /**
  * Audits audience targeting usage and exclusions. Performance analysis is manual/metric-based.
  * Checklist Items: Segment definition (usage check), Demographic targeting, Exclusions,
@@ -1609,10 +6082,10 @@ function auditAudienceTargeting() {
 
        // Campaign level summary warnings
        if (!campaignHasAudienceTarget && !campaignHasDemoTarget) {
-            addResult(category, "Audience Targeting Usage", "Warn", "Campaign '" + campaignName + "' does not appear to use audience or demographic targeting at campaign or ad group level.", "Consider adding relevant audiences or demographic refinements (especially for Display/Video or Observation for Search).");
+            addResult(category, "Audience Targeting Usage", "Warn", "Campaign '" + campaignName + "' does not appear to use audience or demographic targeting at campaign or ad group level.", "Consider adding relevant audiences or demographic refinements (especially for Display/Video or Observation for Search).", null, createEntity("CAMPAIGN", campaignId, campaignName));
        }
        if (!campaignHasAudienceExclusion && !campaignHasDemoExclusion) {
-            addResult(category, "Audience Exclusions", "Warn", "Campaign '" + campaignName + "' does not appear to use audience or demographic exclusions at campaign or ad group level.", "Consider excluding irrelevant audiences or demographics.");
+            addResult(category, "Audience Exclusions", "Warn", "Campaign '" + campaignName + "' does not appear to use audience or demographic exclusions at campaign or ad group level.", "Consider excluding irrelevant audiences or demographics.", null, createEntity("CAMPAIGN", campaignId, campaignName));
        }
 
 
@@ -1674,6 +6147,17 @@ function auditPerformanceMetrics() {
   if (conversions > 0 && cost !== null) { // Check cost is not null before division
       cpa = cost / conversions;
   }
+
+  // Record key metrics for history tracking
+  if (metricErrors.indexOf("CTR") === -1) recordMetric("Account CTR", ctr);
+  if (metricErrors.indexOf("AvgCPC") === -1) recordMetric("Account Avg. CPC", avgCpc);
+  if (metricErrors.indexOf("ConvRate") === -1) recordMetric("Account Conv. Rate", convRate);
+  if (metricErrors.indexOf("Conversions") === -1) recordMetric("Account Conversions", conversions);
+  if (metricErrors.indexOf("Cost") === -1) recordMetric("Account Cost", cost);
+  if (conversions > 0) recordMetric("Account CPA", cpa);
+  if (metricErrors.indexOf("ImprShare") === -1) recordMetric("Account Search IS", imprShare);
+  if (metricErrors.indexOf("ISLostRank") === -1) recordMetric("Account Search IS Lost (Rank)", isLostRank);
+  if (metricErrors.indexOf("ISLostBudget") === -1) recordMetric("Account Search IS Lost (Budget)", isLostBudget);
   // ROAS calculation removed as getConversionValue() is unavailable
 
   // Perform checks based on available metrics
@@ -1777,6 +6261,8 @@ function auditPerformanceMetrics() {
 
 /**
  * Audits campaign optimization status based on performance data.
+ * Builds a campaign performance table from a campaign-level GAQL query and scores each
+ * campaign's CPA, Conv. Rate, ROAS and IS Lost (Budget) against CONFIG and the account average.
  * Checklist Items: Underperforming campaigns, High-performing campaigns budget,
  *                  Ad schedule optimization, Geo-targeting optimization, Device adjustments.
  */
@@ -1784,41 +6270,108 @@ function auditCampaignOptimization() {
   var category = "Campaign Optimization";
   Logger.log("--- Auditing " + category + " ---");
   var campaignsChecked = 0;
-  var statsErrorCount = 0; // Count campaigns where stats failed
+  var campaignsScored = 0; // Campaigns with enough clicks to score
+  var underperformingCampaigns = 0;
+  var budgetLimitedPerformers = 0;
 
   try {
-    var campaignIterator = AdsApp.campaigns()
-      .withCondition("Status = ENABLED")
-      // .forDateRange("LAST_30_DAYS") // Date range not needed if not getting stats
-      .get();
+    var currencyCode = AdsApp.currentAccount().getCurrencyCode();
+    var campaignRows = [];
+    try {
+        campaignRows = getCampaignPerformanceRows();
+    } catch (reportError) {
+        addResult(category, "Campaign Performance Data", "Error", "Could not query campaign metrics for " + CONFIG.PERFORMANCE_DATE_RANGE + ": " + reportError, "Check the PERFORMANCE_DATE_RANGE setting and script permissions. Review campaign performance manually.");
+    }
 
-    while (campaignIterator.hasNext()) {
-      var campaign = campaignIterator.next();
+    // Account averages (weighted by traffic, i.e. totals across campaigns)
+    var totals = { clicks: 0, cost: 0, conversions: 0, conversionValue: 0 };
+    campaignRows.forEach(function(c) {
+        totals.clicks += c.clicks;
+        totals.cost += c.cost;
+        totals.conversions += c.conversions;
+        totals.conversionValue += c.conversionValue;
+    });
+    var avgCpa = totals.conversions > 0 ? totals.cost / totals.conversions : null;
+    var avgConvRate = totals.clicks > 0 ? totals.conversions / totals.clicks : null;
+    var avgRoas = (totals.cost > 0 && totals.conversionValue > 0) ? totals.conversionValue / totals.cost : null;
+    var factor = CONFIG.CAMPAIGN_UNDERPERFORMANCE_FACTOR;
+
+    addResult(category, "Account Performance Baseline", "Info", "Avg. CPA: " + (avgCpa !== null ? avgCpa.toFixed(2) : "N/A") + ", Avg. Conv. Rate: " + (avgConvRate !== null ? (avgConvRate * 100).toFixed(2) + "%" : "N/A") + ", Avg. ROAS: " + (avgRoas !== null ? avgRoas.toFixed(2) : "N/A") + " across " + campaignRows.length + " campaigns with impressions (" + CONFIG.PERFORMANCE_DATE_RANGE + ").", "Campaigns below are compared against these averages and the CONFIG thresholds.");
+
+    campaignRows.forEach(function(c) {
       campaignsChecked++;
-      var campaignName = campaign.getName();
-
-      // Log that detailed performance checks are skipped as campaign.getStats() is unavailable
-      addResult(category, "Campaign Performance Check", "Info", "Detailed performance checks (CPA, Conv Rate, IS Lost) skipped for campaign '" + campaignName + "' due to API limitations (getStats unavailable).", "Review campaign performance manually using Google Ads reports.");
-      statsErrorCount++; // Increment count as we are skipping stats-based checks
+      var cpa = c.conversions > 0 ? c.cost / c.conversions : null;
+      var convRate = c.clicks > 0 ? c.conversions / c.clicks : null;
+      var roas = (c.cost > 0 && c.conversionValue > 0) ? c.conversionValue / c.cost : null;
+      var metricsText = "Cost: " + c.cost.toFixed(2) + " " + currencyCode +
+          ", Clicks: " + c.clicks +
+          ", Conv.: " + c.conversions.toFixed(1) +
+          ", CPA: " + (cpa !== null ? cpa.toFixed(2) : "N/A") +
+          ", Conv. Rate: " + (convRate !== null ? (convRate * 100).toFixed(2) + "%" : "N/A") +
+          ", ROAS: " + (roas !== null ? roas.toFixed(2) : "N/A") +
+          ", IS Lost (Budget): " + (c.isLostBudget !== null ? (c.isLostBudget * 100).toFixed(1) + "%" : "N/A");
+
+      var campaignEntity = createEntity("CAMPAIGN", c.id, c.name, { cost: c.cost, clicks: c.clicks, conversions: c.conversions, cpa: cpa, conversionRate: convRate, roas: roas, searchBudgetLostImpressionShare: c.isLostBudget });
+
+      // Campaign Performance Table row
+      addResult(category, "Campaign Performance", "Info", "Campaign '" + c.name + "' (" + c.channelType + ") - " + metricsText, "Reference data for the scoring below.", null, campaignEntity);
 
       // Ad Schedule, Geo, Device Optimization (Still relevant as manual checks)
-       addResult(category, "Ad Schedule Optimization", "Info", "Manual Review Required for Campaign '" + campaignName + "'", "Analyze performance by day/hour in the UI (Reports > Predefined > Time). Apply bid adjustments or ad schedules based on data.");
-       addResult(category, "Geo-targeting Optimization", "Info", "Manual Review Required for Campaign '" + campaignName + "'", "Analyze performance by location in the UI (Locations tab). Refine targeting or apply bid adjustments based on data.");
-       addResult(category, "Device Optimization", "Info", "Manual Review Required for Campaign '" + campaignName + "'", "Analyze performance by device in the UI (Settings > Devices). Apply bid adjustments based on data.");
+       addResult(category, "Ad Schedule Optimization", "Info", "Manual Review Required for Campaign '" + c.name + "'", "Analyze performance by day/hour in the UI (Reports > Predefined > Time). Apply bid adjustments or ad schedules based on data.");
+       addResult(category, "Geo-targeting Optimization", "Info", "Manual Review Required for Campaign '" + c.name + "'", "Analyze performance by location in the UI (Locations tab). Refine targeting or apply bid adjustments based on data.");
+       addResult(category, "Device Optimization", "Info", "Manual Review Required for Campaign '" + c.name + "'", "Analyze performance by device in the UI (Settings > Devices). Apply bid adjustments based on data.");
+
+      if (c.clicks < CONFIG.CAMPAIGN_MIN_CLICKS_FOR_SCORING) return; // Not enough data to judge
+      campaignsScored++;
+
+      var campaignSettings = getCampaignSettings(c.id); // Label overrides from the Config tab
+      // Underperforming Campaigns
+      var failReasons = [];
+      var warnReasons = [];
+      if (c.conversions === 0) {
+          if (totals.conversions > 0) failReasons.push("0 conversions while the account converts");
+      } else {
+          if (cpa > campaignSettings.MAX_CPA && avgCpa !== null && cpa > avgCpa * factor) failReasons.push("CPA " + cpa.toFixed(2) + " > goal " + campaignSettings.MAX_CPA.toFixed(2) + " and > " + factor + "x account avg " + avgCpa.toFixed(2));
+          else if (cpa > campaignSettings.MAX_CPA) warnReasons.push("CPA " + cpa.toFixed(2) + " > goal " + campaignSettings.MAX_CPA.toFixed(2));
+      }
+      if (convRate !== null && convRate < campaignSettings.MIN_CONVERSION_RATE) {
+          if (avgConvRate !== null && convRate * factor < avgConvRate) failReasons.push("Conv. Rate " + (convRate * 100).toFixed(2) + "% < " + (campaignSettings.MIN_CONVERSION_RATE * 100) + "% and < 1/" + factor + " of account avg " + (avgConvRate * 100).toFixed(2) + "%");
+          else warnReasons.push("Conv. Rate " + (convRate * 100).toFixed(2) + "% < " + (campaignSettings.MIN_CONVERSION_RATE * 100) + "%");
+      }
+      if (roas !== null && roas < campaignSettings.MIN_ROAS) {
+          if (avgRoas !== null && roas * factor < avgRoas) failReasons.push("ROAS " + roas.toFixed(2) + " < " + campaignSettings.MIN_ROAS.toFixed(2) + " and < 1/" + factor + " of account avg " + avgRoas.toFixed(2));
+          else warnReasons.push("ROAS " + roas.toFixed(2) + " < " + campaignSettings.MIN_ROAS.toFixed(2));
+      }
 
-    }
+      if (failReasons.length > 0) {
+          underperformingCampaigns++;
+          addResult(category, "Underperforming Campaign", "Fail", "Campaign '" + c.name + "': " + failReasons.concat(warnReasons).join("; ") + ". " + metricsText, "Pause or restructure the campaign, tighten targeting and keywords, or lower bids/targets. Shift budget to better-performing campaigns.", null, campaignEntity);
+      } else if (warnReasons.length > 0) {
+          underperformingCampaigns++;
+          addResult(category, "Underperforming Campaign", "Warn", "Campaign '" + c.name + "': " + warnReasons.join("; ") + ". " + metricsText, "Review bids, targeting and landing pages to bring the campaign in line with goals.", null, campaignEntity);
+      }
+
+      // High Performing Campaign Budget (converting well but losing IS to budget)
+      var isHighPerformer = c.conversions > 0 && cpa <= campaignSettings.MAX_CPA &&
+          (avgCpa === null || cpa <= avgCpa) &&
+          (roas === null || roas >= campaignSettings.MIN_ROAS);
+      if (isHighPerformer && c.isLostBudget !== null && c.isLostBudget > campaignSettings.MAX_IMPRESSION_SHARE_LOST_BUDGET) {
+          budgetLimitedPerformers++;
+          addResult(category, "High Performing Campaign Budget", c.isLostBudget > campaignSettings.MAX_IMPRESSION_SHARE_LOST_BUDGET * 2 ? "Fail" : "Warn", "Campaign '" + c.name + "' converts at or better than goal but lost " + (c.isLostBudget * 100).toFixed(1) + "% IS to budget (> " + (campaignSettings.MAX_IMPRESSION_SHARE_LOST_BUDGET * 100) + "%). " + metricsText, "Increase this campaign's budget, funded from underperforming campaigns where possible.", null, campaignEntity);
+      }
+    });
 
     // Summary Results
-    if (campaignsChecked > 0) {
-        addResult(category, "Underperforming Campaigns", "Info", "Automated check skipped due to API limitations.", "Review campaign performance manually to identify underperformers.");
-        addResult(category, "High Performing Campaign Budget", "Info", "Automated check skipped due to API limitations.", "Review performance and budget limitations manually for high-performing campaigns.");
+    recordItemCoverage(category, "Underperforming Campaign", campaignsScored);
+    recordItemCoverage(category, "High Performing Campaign Budget", campaignsScored);
+    if (campaignsScored > 0) {
+        if (underperformingCampaigns === 0) addResult(category, "Underperforming Campaigns", "Pass", "No underperforming campaigns among " + campaignsScored + " scored campaigns.", "Keep monitoring CPA, Conv. Rate and ROAS per campaign.");
+        if (budgetLimitedPerformers === 0) addResult(category, "High Performing Campaign Budget", "Pass", "No well-converting campaigns found losing significant IS to budget.", "Monitor budget utilization as performance changes.");
+    } else if (campaignsChecked > 0) {
+        addResult(category, "Underperforming Campaigns", "Info", "No campaign reached " + CONFIG.CAMPAIGN_MIN_CLICKS_FOR_SCORING + " clicks in " + CONFIG.PERFORMANCE_DATE_RANGE + "; scoring skipped.", "Widen PERFORMANCE_DATE_RANGE or lower CAMPAIGN_MIN_CLICKS_FOR_SCORING.");
     } else {
-      addResult(category, "General Check", "Info", "No enabled campaigns found to check optimization status.", "N/A");
+      addResult(category, "General Check", "Info", "No enabled campaigns with impressions found to check optimization status.", "N/A");
     }
-     if (statsErrorCount > 0) {
-         // This message is now logged per campaign, so a summary might be redundant.
-         // Logger.log("Info: Detailed performance checks were skipped for " + statsErrorCount + " campaigns due to unavailable stats.");
-     }
 
   } catch (e) {
     addResult(category, "General Check", "Error", "An error occurred: " + e, "Investigate the error.");
@@ -1891,8 +6444,11 @@ function auditReportingInsights() {
 
     try {
         addResult(category, "Custom Dashboards", "Info", "Manual Check Recommended", "Consider creating custom dashboards in Google Ads or Google Data Studio (Looker Studio) to visualize key metrics and trends relevant to your goals.");
-        addResult(category, "Key Metric Tracking", "Info", "Script Provides Data", "This audit script provides a snapshot of key metrics. Track these metrics over time using reports or dashboards to monitor progress.");
-        addResult(category, "Trend & Anomaly Identification", "Info", "Manual Analysis Required", "Regularly analyze performance data (using reports/dashboards) to identify positive/negative trends or unexpected anomalies that require investigation.");
+        // Key Metric Tracking and Trend & Anomaly Identification are reported by updateAuditHistory() when history is enabled
+        if (!CONFIG.TRACK_HISTORY) {
+            addResult(category, "Key Metric Tracking", "Info", "Script Provides Data", "This audit script provides a snapshot of key metrics. Enable CONFIG.TRACK_HISTORY to track them over time, or use reports or dashboards.");
+            addResult(category, "Trend & Anomaly Identification", "Info", "Manual Analysis Required", "Regularly analyze performance data (using reports/dashboards) to identify positive/negative trends or unexpected anomalies that require investigation.");
+        }
         addResult(category, "Report Sharing", "Info", "Manual Process", "Share audit summaries (like the generated spreadsheet) and regular performance reports with relevant stakeholders.");
         addResult(category, "Actionable Insights Documentation", "Info", "Manual Process", "Document insights gained from audits and performance analysis, along with the actions taken or planned, to track optimization efforts.");
 
@@ -1900,3 +6456,99 @@ function auditReportingInsights() {
         addResult(category, "General Check", "Error", "An error occurred: " + e, "Investigate the error.");
     }
 }
+
+
+// --- Bundled Spelling Dictionary ---
+
+// Generated by tools/build-spelling-dictionary.js (word list source and license in readme.md); do not edit by hand.
+// Base forms only, front-coded: each word is the number of leading letters it shares with the previous word (0-9)
+// followed by its remaining letters. Decoded by loadSpellingDictionary().
+var BUNDLED_SPELLING_DICTIONARY = {
+  common: [ // 17784 words
+    "0a1ardvark1back4us3ndon7ment3sh3te2bey3ot3reviate9ion2dicate7ion3omen5inal3uct6ion2erration3t2hor5rence8t2ide3lity2ject2laze3e2normal8ity2oard3de3lish5tion9ist3minable7tion3riginal8e4t5ion6ve3und4t3ve5board2rasive3east3idge3oad3upt6ness2scess7ed7ing4ond3ence5t6ee8ism3olute5ve4rb6ent5ption3tain4ention4inence8t4ract8ion5use3urd6ity2undance7t3se4ive2ysmal4s1cademic8ally6y2cede4lerate9ion9or4nt6uate4pt6ability8le7nce4ss6ed6ibility8le7ng6ory3ident8al3laim4imate8ion3olade4mmodate9tion5paniment9st8y6lice8sh9hment4rd6ance6ion4st4unt7ability9le8ncy9t3redit8ation4ue5ing3umulate9ion4racy6te4sation5e5tom2e3rbic2he3ievable6e7ment3y2id4ic5ty2knowledge2ne2orn3ustic2quaint8ance4iesce9nce5re5sition5t6tal7ed7ing2re4age3id4monious7y3obat7ic4nym4ss3ylic2t3ion4vate7ion5e5ism7t6ty3or3ress3ual6ity5ry2umen3puncture3te1d2age3mant3pt5able6tion5ive2d3ed4ndum3ict6ion7ve4ng4tion8al6ve3ress7ed8e7ing2ept3quacy6te2here6nce7t4sion6ve2jacent3ectival8e3oin4urn7ment3udicate9or4nct4st6able6ment2minister8ration9ative9ator4",
+    "rable6l6tion5e4ssible7on4t5tance3onish6tion2o3be3lescence9t3pt5ion6ve3rable5tion4e4n5ment2renaline3ift3oit2s2ulation4t5erate9ion7y5hood2vance7ment5tage9ous3ent6ure8ous4rb6ial5sary6e6ity5t6ise9ment3ice4sable5e5ory3ocacy6te1erial3obic4dynamic4sol5pace2sthetic9ally1far2fable4ir3ect6ation6ion9ate3idavit4liate8ion4nity4rm6ation9ve4x3lict7ion4uence7t3ord6able3ront2ield2lame3oat2oot3rementioned5said2raid3esh2ter5effect5life7ves5math5noon5shave7ock5thought5wards1gain5st2e3ncy4da4t2gravate8ion4egate5ssion8ve9eness7or4ieve2hast2ile4ity3tate6ion6or2low2nostic8ism2o3ny2ree5able5ment3icultural9re3ound1h2a2ead2oy1id3e2l3ment2m3less2r3borne3craft3fare4ield3less4ine3mail3port3space4trip3tight3waves3y2sle1jar1kin1larm5ist3s2beit3ino3um2cohol7ic8sm4ve2derman6en5woman8en2e3rt2falfa2ga4e3ebra7ic3orithm2ias3bi3en5ate7ion3ght4n5ment3ke3mony3ve2kali6es6ne2l3ay3egation5e5iance5orical7y4rgic6y4viate8ion4y3iance4gator3ocate7ion4t5ment4w5able6nce4y3ude4re4sion3y2manac3ighty3ond4st3s2oft3ha3ne4g5side3of3ud2pha5be",
+    "t8ic9cal5numeric3ine2ready3ight2so2tar3er5able6tion5cation5nate8ion9ve8or3hough3itude3o4gether3ruism7tic2umna6e5i5us2ways1m2algamate9ion3ss5ed5ing3teur7ish3ze5ment2bassador9rial3er3idextrous4ent4guity6ous4tion7us4valence9t3le3ulance4sh2eliorate9ion3n4able4d5ment4ity3thyst2iable3cable3d3ss2mo4nia3unition2nesia7c5ty2oeba3k3ral4ous4phous3unt2p3ere5sand3hetamine4ibian7ous3le4ification6y5tude3utate7ion5ee2ulet3se5ment1n2achronism9stic3gram3l4gesic4ogous6ue6y4yses6is6t5tic8al3rchic7sm8t6y3thema4omical6y2cestor6ral7y3hor6age6man7en6woman9en5vy3ient2d3roid2ecdotal7e3w2gel5ic7ally4r3le3ry3st3uish4lar2imal5te6ion4osity2kle2nals3ex5ation3ihilate9ion4versary3otate7ion4unce8ment4y5ance3ual4ity4l5ment2oint3malous6y3n4ymity6ous3rak4exia7c3ther2swer6able2t3acid4gonism9t9tic9tically3e4ater4bellum4ing4lope4nna7e3hem4ill4ology4rax5opological9ogist9ogy3ibiotic5ody4c5ipate9ion5limactic9x4dote4freeze4histamine4pathy5erspirant4quate6e6ing7ty4septic5ocial4theses8is5rust3ler3onym2us2vil2xiety4ous2y3body3how3mo",
+    "re3one3place3thing4ime3way4here1orta1part5heid5ment3thetic5y2e3ritif4ture3x2horism3rodisiac2iece2lomb2ocalypse8tic4ryphal3litical4ogetic9cally6y3plectic6xy3stle5olic5rophe2palled6ing4ratus5el6nt5ition3eal5r6ance5se7ment4nd6age6ices8itis7x4tite3laud6se4e5sauce4iance5cability8le7nt7tion8or3oint7ee7ment4rtion4site3raisal7e4eciable8te9ion9ive5hend8sion9ive5ntice9eship4ise4oach8able5bation5priate9tion5val6e5ximate9tion2ricot3on2t3itude1quamarine4rium4tic3educt1rable2biter5rary7te8ion8or2c3ade4ne3h4aeological9gist9gy5ic4bishop4ery5typal4ipelago5tect9ural9ure5ve4way3tic2dent3uous2e3a3na2guable4e4ing4ment8ative2ia3d3se5n4tocracy9t9tic3thmetic2k2m3adillo4ment3band3chair3ful3hole3istice3pit3y2oma5tic3se3und4sal5e2raign7ment4nge7ment4y3ears4st3ival5e3ogance7t4w2senal5ic3on5ist2t3erial5y3ful3hritic8s3ichoke5le5ulate9ion4fice7ial4llery4san5t6ic8ally6ry3sy3work1s2bestos2cend6ancy5sion5t4rtain4tic3ribe2exual2h3amed3can3en3ore3tray2ide2k3ance3ew2leep2paragus3ect4n4rsion3halt4yxiate9ion3irant6tion5e5in",
+    "2s3ail6ant4ssin8ate9tion4ult3emble7yman9en8woman9omen4nt4rt6ion7ve9ness4ss6ment6or4t3ign6ment4milate9ion4st6ance8t3ociate8ion9ve4rt6ment3ume5ption4rance5e2terisk5oid3hma6tic3onish8ment4und3ray4ide5ngent4ologer8ical8y5naut6omer8ical8y3ute2ylum3mmetry3nchronous1t2e2heism6t7ic3lete6ic2las2mosphere9ic2om4ic3ne5ment2rocious6ty2tach6ment5k4in6able6ment3empt4nd6ance8t5tion7ve4st3ic4re4tude3orney3ract7ion8ve9eness4ibutable8e8ion3une1uburn2ction7eer2dacious6ty3ible4ence4o5visual4t5ion5or7ium7y2gment3ust2nt2ra4l2spice6ious3tere6ity2thentic9ally9ate9ity4or6itarian9tive8y6ship3istic3o4biographical9aphy4cracy7t8ic4graph4mate7ic9ally8on5obile6tive4nomous7y4psy4worker3umn6al2xiliary1vail5ability7le3lanche3rice6ious2enge4ue3rage4se5ion4t2iation5or3d2ocado3id5able6nce3w4al1wait3ke5n3rd4e5ness3sh3y2e3some2ful2hile2kward7ness2ning2oke5n2ry1xed3s2ing3om5atic3s2le1ye1zalea2ure0b1aa2bble3e3oon3y4ish4sat5it2chelor3k4bone5reaking4drop4fire4gammon5round4hand4lash5og4pack4side5lash5pace5tage6roke4track4up4ward5",
+    "oods4yard3on3teria8l7um2d3e3ge3lands3minton4outh3ness2ffle2g3el3gage4y3pipe2il4iff3t2ke4ry2lance3cony3d4ness3e4ful3l4ad5st4ed5rina5t4ing5stic4oon5t4park4room3m4y3oney2mboo6zle2n3al5ity4na3d4age4it4stand4wagon5idth4y3e3g4le3i4sh5ter3jo3k4note4rupt8cy3quet3ter2ptism7al2r3b4arian7c7sm6ous4ecue7ing5ll4iturate3d3e4back4foot3f3gain4e3itone3k3ley3man3n4acle4yard3ometer7ric4n4que3rack5ge4el5n5tte4icade5er5o5ster4oom3tender5r2se4ball4line4ment3h4ful3ic5ally4l4n4s3k4et6ball3s4ist4oon3tard4e2t3ch3e3h4e4robe6om4tub3on3sman3talion4ery4le6field6ground6ship2ud2wdy3l2y3onet4u2zaar1e2ach4on3d4y3gle3k3m3n3r4able4d3st3t4en3utician6ful7y5y3ver2bop2came4use3kon3ome2d3bug3clothes3lam3pan3raggle4idden4ock5om3side4pread3time2e3ch3f4y3hive3line3n3p3swax3t4le3ves2fall6en6ing3ell3it3ore6hand3riend2g3an3gar3in3rudge3uile4n2half5ves4ve3ead4ld3ind3old2ige3ng2lated3ch3fry3ie5f5vable6e4ttle3l4boy4ed4hop4igerence9nt5ng4ow4y5button3ong4ved4w3t4way3ying2moan3use2nch5mark3d3eath4diction4factor5icial9ry6t4volence9t3ighted",
+    "5n3t2queath5st2rate3eave7ment4ft4t3ry3serk3th2seech4t3ide4ege3ought3t4ial7ity4ow4seller2t3a3cha3ray6al4othal3terment4or3ween2vel4rage2ware3ilder8ment4tch2yond1ias2b3le4ical5ographic9phy2centennial4p3ker3ycle2d3den3e2ennial2focals2g3amist5ous5y3gie3mouth3ot5ry3wig2ke3ini2lateral3e3ingual3l4board4ed4fold4iards5ng5on7aire7th4ow2mbo3onthly2n3ary3d3ge4o3ocular4mial2ochemical8stry3degradable3grapher8ical8y3logical7st6y3psy2partisan3ed3lane2rch3d4brained4cage4seed3th5day5mark5place5rate2scuit3ect6ion4xual3hop3on2t3ch5y3e3map3ten5rness6sweet2weekly2zarre1lab4bermouth3ck5berry6ird6oard5en5head5jack5list5mail5ness5out5smith5top3dder4e3h3me5less3nch5mange4d4k5et5ness3re3spheme8ous8y4t5off3tant3ze2each4k5ness4ry4t3d3ed3mish3nd3ss5ed5ing3w2ight3mp3nd5fold5ness4k3p3ss5ful4ter3the4z3zzard2oat3b3c4k5ade6ge5buster5head3g3nd5e3od5bath5hound5less5shed7ot6tain7ream5thirsty5y4m4per3ssom3t4ch6y3use3w4n4out4torch4up2ubber3dgeon3e4bell6rry5ird4grass4print3ff5ed6r6st5ing3ing4sh3nder4t5ness3r4b4ry4t3sh4ter1oa3r",
+    "4d5inghouse5room5walk3st5ful3t2b3bin3cat3sled2de3ice3y4building4guard4work2g3eyman6en3gle3us2hemian2il3sterous2ld4ness3ogna3ster3t2mb4ard7ment4shell2nanza3d4age3e3fire3go3kers3net3us3y2o3b4y3gie6ing3k4case4end4ie4keeper8ing4let4maker6rk4shelf6op5tore4worm3m4erang3n4docks3r4ish3st3t4ee4h4leg4strap4y3ze2p2rder6line3e4dom3n4e3ough3row2som3s4ed4iness6g4y2tanical6st5y3ch3h4ersome3tle6neck4om6less2ugh5t3lder4evard3nce5y4d5ary5less4tiful5y3quet3rbon4geois9ie3t4ique2vine2w3el3l4egged2x3car2y3cott7ed7ing3friend3hood3ish2zo1ra3ce5let4ket5ish3g4gart3id4n5child9dren5less5storm5wash5y4se3ke3n4ch4d5ish5y3sh4s5iere5y3t3vado4e5ry4o3wl4n5y3y3zen4ier2each4d5basket5th5winner4k5able5down5fast5neck5points5through5up5water4st6stroke4th6e6less6taking3d3ed4ze5y3thren3vity3w4ery2ibe5ry3ck5layer8ing3dal4e5groom5smaid4ge4le3ef5case3gade4ht6en6ness3lliance8t3m4stone3ne4g4k4y3sk4tle3tches4tle2oach4d5cast5en5side3cade4coli4hure3gue3il3ke5n6hearted5rage3nchitis5o4ze3och4d4k4m5stick3th5el6rhood3ught3w4beat8en4n5ie6sh",
+    "5stone4se2uise3nch4ette4t3sh4que3tal6ity4e4ish1ubble2ck4et4le4toothed2d3dy3ge5t2ff4alo4ed5r5t4ing4oon2g3gy3le2ild5up4t2lb4ous3ge3k4y3l4dog6ze4ed5t6in6proof4fight5rog4ing5on5sh4shit4y2m3ble6bee3p4y2n3ch3dle3g4alow4le3ion3k3ny2oy4ancy6t2rble3den6some3eau6cracy9t9tic3ger4lar7y5e3ial3lap4y3n4ish4t3p3r4ed4ing4o5w3sar4t3y2s3boy3h4el4y3iness8like8man9en8woman9omen3s3t4le3y4body4work2t3cher7y3ler3t4e5rcup6fingers7ly6milk6scotch6y4ock5n6hole4ress8ed8ing2xom2y3out2zz4ard4ed5r4ing4word1y2e2gone2law2pass6ed6ing2stander2te2way0c1ab3aret3bage4y3in5et3le3oose2cao3he5t3kle3ti4us2d3aver3die4ying3ence4t3re2feteria3feine2ge4y3ier5st2hoot2jole2ke2lamity3cium4ulate8ion8or6i6us3endar3f3ibrate8ion4co3l4able4ed5r4igraphy5ng4ous7ness5w4us3m4ness3orie3ve2m3araderie3corder3e4l5lia4o4ra6man7en6woman9en3ouflage3p4aign4ground4site4us2n3al4ry3cel6lation5r3did6acy7te4le6light6stick4y3e3ine4ster3ker3nabis4ery4ibal8ism4on6ball5t4y3oe4n5ical4py3t4aloupe5nkerous4een3vas6s3yon2p3ability5le4citance7or7y3e3illary4tal7ism9t5",
+    "ol5ulate9ion3puccino3rice6ious3size4ule3tain4ion5vate6e6ity4or4ure2r3amel4t4van3bohydrate5n6ate3cass4inogenic3d4board4iac5gan5nal5ology3e4en5r4free5ul7ness4less8ness4ss4taker3go3ibou4cature3jack3nage5l5tion4ival6ore8ous3ol4use7l3p4enter7ry5t3riage8way5on4ot4y5out3t4el4ilage4ographer9hy5n5on7ist4ridge4wheel3ve2scade3e4work3h4ew4ier4mere3ino3k4et3serole5tte3t4away4e4igate8ion4le4off4rate7ion3ual6ness6ty2t3aclysm9ic4lyst4maran4pult4ract4strophe9hic3call7ed7ing4h5ment5y3echism4gorical7y4r5pillar3fish3hedral4olic3nap4ip3tle4y3walk2ucus3ght3liflower4k3sal6ity4e5way4tic3tion7ary6us2valier5ry3e4at4man5en4rn3iar4ty3ort2w1ease5fire5less2dar3e2iling2lebrate8ion6ity4ry4stial3ibacy6te3l4ar4ist4o5phane4ular6oid7se2ment4tery2nsor6ship4ure5s3t4enary6nial4igrade5pede4ral5ifuge4ury2ramic3eal4bral4monial8ous7y3tain7ty4ifiable7cate9tion6y3vical6es5x2sarean3sation4pool1hafe4f5ed5ing3grin3in5saw4r5man8ship6en5person5woman8en3let4ice4k5board5y4lenge3mber4eleon4p5agne5ion8ship3nce6llor4delier4ge6able6over4nel",
+    "4t3os4tic3p4el5roned8ing4lain4ter3r4acter9istic9istically5de4coal4ge6able4iot5sma8tic5table6y4latan4m4t3se4m4sis4te6n5ise8ment6ty3t4eaus4terbox5y3uffeur4vinism9t9tic2eap5en5ness5skate4t3ck5list5mate5out5point5up3ddar3ek5bone4p4r5ful8ness5leader5y4se6burger6cake7loth4tah3f3mical5st7ry4otherapy3rish4ry4ub6im3ss5board4t5nut3w4y2i3c4er5st4k5adee5en3de3ef5tain3ffon3ld5bearing6irth5care5hood5ish5less6ike5proof5ren4l5ed6r6st5ing5y3me4ney4p5anzee3n4a4k4o4tz3p4munk3ropractor4p3sel3t4chat3valrous7y4e2lorinate7e5oform6phyll2ocolate3ice4r3ke3lera5sterol3ose5y3p4piness5y4stick3ral4d4e5ograph9phy4tle4us3se5n3w4der2risten3ome5ium5osome4nic7ally7le5ological9y3ysanthemum2ubby3ck5le3g3m4my4p3nk5y3rch6goer4lish4n3te4zpah1ider2gar5ette2nch3der3ema6tographer3namon2pher2rca4le4uit7ous7ry5lar7te8ion8ory5mcise9ion6ference7lex6stance9ntial6vent9tion5s3rhosis2stern2tation3e3izen7ship3ric4us3y2vic4l5ian6ty1lack3d3im4rvoyance9nt3m4ber4my4p5down3n4destine4g4k3p4board4trap3ret4ification6y5net5ty3sh4p4s5ed5ic7al6fic",
+    "ation7y6ng5mate5room5y3tter3use5trophobia9hobic3w3y2ean5liness5se5up4r5ance5ness4t4vage5e3f4t3mency3nch3rgy6man7en6woman9en4ic6al4k3ver6ness2ick3ent3ff5hanger3mactic5te6ic5x4b4e3nch4g4ic6al6ian4k3p4board3que3toris2oak5room3bber3ck5wise6ork3d3g3ister3ne3se5ness5out5t4ure3t4h5e6sline7pin3ud5burst5less5y4t3ve5n3wn2ub4house3ck3e4less3ing3mp4siness5y3ng4k3ster3tch4ter1oach3gulate8ion3l4esce4ition3rse6n7ess3st5al5line3t3x2b3alt3ble6stone3ra3web2caine3k4eyed4iness4pit4roach4tail4y3oa4nut4on2d3e2ed4ucational3fficient3rce5ion6ve3xist7ence2ffee6house5r4in2g3ency5t3nac4itive2habit7ation3erence7t4sion2il3n4age4cide8nce9tal2ke2la4nder3d4ness3eslaw3ic3laborate9tion9tive9tor5ge5pse7ible5r6bone5te7ral6ion4eague5ct7ion8ve7or5ge6iate4ide5e5sion4oquial9lism4usion3ogne4n5el6s5ial8ism6st5y4ssal3t3umn6ist2ma4tose3b4at6ant6ive4ination6e4ustible8on3e4back4dian5own5y4stible4t4uppance3fort7able4y3ic5al3ma5nd7ant7eer7ment7o4emorate9tion9tive5nce8ment6d7able8tion6t7ary8te9or5rce7ial9lism4iserate9tion6sion5t6ment6",
+    "tee4odity6ore5n6place6wealth5tion4unal6e6icable9te9tion9tive9tor7on7que7sm8t7ty5tative6e3pact7ion5nion9able9ship6y5rable7tive6e6ison6tment5ss7ed7ing8on9nate5tibility8le6riot4el5nsate9ion9ory5te7nce8t6ition9ve9veness8or4ilation6e4lacency9t6in8t5ement9tary6te8ness7ion6x7ion8ty5iance8t6cate9ion7ity6ment9tary5y4onent5se6ite8ion6t6ure5und4rehend9sible9sion9sive6ss8ed8ing9on5ise5omise4ulsion8ve7ory5nction5tation9onal6e3rade7ship2n3catenate9tion5ve4eal7ment5de5it6vable7e5ntrate9tion8ic5pt7ion7ual5rn6t7o5ssion4ierge5liate9ion9ory5se7ness4lude6sion8ve4oct7ion5rd7ance5urse4rete4ur6rence9cy9t5ssion3demn7ation5nsation7e5scend9sion4iment5tion9al4o5lence5m6inium5ne5r4ucive6t7or3e3fection5deracy9te9tion5r6ence5ss7ed7ing8on5tti4idant6e7nce8t9ial9iality5gurable9tion8e5ne7ment5rm7ation5scate9ion4lict4orm7ist8ty5und4ront8ation4use6ion3geal5nial7tal5st7ion4lomerate4ratulate9ations9atory5egate9ion6ss8ional8man9en8woman9omen5uent3ical4fer7ous3jecture4ugal7te8ion5nction5re3nect7ion8ve9ity7or4ivance6e4oisseur",
+    "5tation6e3quer7or6st3science8tious6ous9ness4ecrate9ion6utive5nsus6t5quence9t9tial5rvation9ionist9ism9ive9or9ory7e4ider8able9te9tion5gn7ment5st7ency9t4olation6e6idate9tion5nant5rt7ia8um4picuous6racy8tor9orial7e4tancy7t5ellation6rnation5ipate9ion6tuency9nt8te9ion9ional5rain9t6ict9ion6uct9ion9ive7e7ing4ul6ar7te6t7ancy9t8tion5mable6e7rism6mate9ion6ption3tact5gion8us5in5minate9tion4emplate9tion9tive7orary7t8ible8uous5nd6t7ion9us7ment5st7ant5xt7ual4iguous5nent9al6gency9t6ual8tion7e7ing8ty7ous7um4ort7ion5ur4raband6ception9tive7t8ion8or8ual6dict9tion9tory6ption6ry6st6vene9tion5ibute9ion9or9ory6te7ion6ve5ol7lable6versial9sy3valesce9ence9ent4ection5ne6ience9t6t7ion9nal5rge8nce6sant8tion9ional7e7ion6t7ible5x5y6ance4ict7ion5nce5vial4oluted5y4ulse7ion8ve2o3k4book4ie4out3l4ness3p4erate8ion9ve3rdinate9ion9or2p3e3ilot4ous3perhead3ter3ulate7ion3y4right2ral3d4ial7ity4less4on4uroy3e3k4screw3n4bread4ea5rstone5t4flakes4meal4starch4y3ollary4nary6tion5er3poral7te8ion4s5e4ulent5s6cle3ral4ect7ion8ve7ness7or5la",
+    "te8ion5spond9dence9dent4idor4oborate9tion5de5sion7ve4ugate5pt7ible8on3sage4et3tex2smetic4ic4ology5naut5politan5s3t4ar4ume2t3tage4on6tail6wood2uch3gar4h3ld3ncil4sel4t5able5down5enance6ract8ttack7balance7clockwise7example7feit7part8roductive7sign6ss5less5ry7man8en7side7woman9men5y3p4le4on3rage7ous4ier4se4t5eous6sy5house5room5ship5yard3sin2ve4nant4rage6ll5t4t5ous2w3ard6ice3boy3girl3hide3orker2x2y3ote1rab4by3ck5down5le5pot3dle3ft5sman9ship7en5y3g4gy3m4p3nberry4e4ium4k5y4ny3p4py3sh4s5er6st3te3vat4e3wl3yfish4on6ed6ing3ze4iness4y2eak5y4m5y4se4te5ion6ve7ity5or5ure3dence6tial4ibility6le5t6able6or4o4ulous3ed4k4p5y3mate6ion6oria9um3ole3pe4t3scendo7t4t5fallen3tin6ous3vasse4ice3w2ib3ck5et3me4inal4p4son3nge4kle3pple3ses4is4p5y4scross9sed9sing3teria7on4ic6al6ism5que7ing4ter2oak3chet4k5ery4odile4us3fts3issant3ny3ok4n3p3quet3ss5bow5check5ed6r6st5fire5ing5over5road5town5walk6ord3tch3uch3w4bar4d4n2ucial5fix8ion6y3d4dy4e4ity3el5ty3ise3mb5le4my4ple3nch6y3sade4h4t5acean5y3tch3x2y3baby3pt5ic7ally3stal1s1ub3e",
+    "3ic5le2ckoo3umber2ddle2e2ff4ed4ing2ing3sine2linary3l4ed4ing3minate8ion3pability6le4rit3t4ivate8ion4ural6e2mbersome3ming3s3ulative2nning2p3board3cake3ful2r3able4tor3b3d4le3e3few3io5sity5us3l3rant4ency6t4icula8um4y3se4or6y3t4ail6n4sy3vature4e4y2shion3s4ed4ing3tard4odial8n6y5m6ary2t3back3e4ness3icle3lery5t3off3throat1yanide2bernetics5space2cle4ic6al5st4one2linder6rical2mbal2nic5al5ism2press2st0d1ab3ble2chshund2d3dy2emon2ffodil3t2gger2ily3nty3ry3s4y2lly2m3age3e3n4ation3p4en4ness3sel2nce3delion4ruff4y3ger6ous4le3k2pper2re4devil3k4en4ness4room3ling3n3t2sh4board3tardly2ta4base3e3um2ub3ghter3nt5less2wdle3n2y3break3dream3light3time2ze3zle1eacon6ess3d4en4line5ock4pan3f4en4ness3l4ership4t3n3r4th3th5bed5trap3ves2base6ment4table5e4uchery3ilitate7y4t3onair3rief5s3t4or3ug4nk4t2cade6nce7t4f5feinate4l4nter4pitate4thlon4y3ease4it6ful9ness5ve4ncy5t4ption7ve3ibel4de5uous4mal6te4pher4sion6ve3k3laration6e4ension4ine3ode4mpose8ition4r5ate7ion8ve7or5ous5um4y3rease5e5pit4y2dicate7ion3uce5t6ible7on7ve2ed3m3p4en",
+    "3r2face4mation7ory5e4ult3eat6ist4cate5t6ion7ve6or4nd6ant5sible7ve4r5ence7tial3iance6t4ciency8t6t4le4nable5e5ite7ion8ve3late6ion4ect7ion3orestation5m6ation6ity3raud4ost3t3unct4se3y2generate9ion3radation6e4ee2hydrate8ion2ify3gn3ty2ject6ion2lay3ectable4gate7ion4te6rious5ion3i4berate9ion4cacy6te8ssen5ious4ght7ful4mit4neate5quency9t4rious6um4ver7ance7y3ta3ude4ge4sion4xe3ve2magogic7ue4nd3ean4nted6ia4rit3ise3o4cracy7t8ic9cally4graphic4lish6tion4n5ic5strably9te9tion9tive9tor4te5ion4unt3ure2n3ial4grate4m3omination9or4te4unce3se4ity3t4al4ist7ry4ure3unciation3y2odorant2part6ment9tal6ure3end6able6ence9y8t3ict6ion3lete6ion4orable6e5y6ment3ort6ation6ment4se5it4t3rave6ity4ecate6iate9ion5ss7ed7ing8on4ivation6e3th3uty2rail6ment4nge3by3elict3ide4sion4vation8ve5e3ogatory3rick2scend7ant6t4ribable7e6ption9ve8or3ecrate8ion4gregate9tion4rt5ve3ign6ate8ion4rability7le5e5ous4st3k4top3olate7ion3pair4erate8ion4icable5se5te4ondent5t6ic3sert3tination6e6y5tute8ion4roy5uction9ve2tach6able6ment4il5n3ect6able6ion7ve6or",
+    "4ntes6ion4r5gent5iorate9tion5minable9tion8e8ism9stic5rence8t4st3hrone3onate7ion7or4ur4x3ract4iment9al2valuation6e6ing4state8ion3elop7ment3iant5te6ion4ce4l5ish4ous4se3oid4lution5ve4te6e5ion4ur5t2w2xterity6ous1iabetes6ic4olical3gnose7is7tic4onal4ram3l4ect4ogue3meter6rically4ond3per4hragm3ry3tribe2ce4y3hotomy3ier5st3k3tate6ion6or8ial8ship4ion7ary2d2e3sel3t4ary2ffer6ence8t9ial9iate9iation4icult9y4use6ion2g3est6ible7on7ve3it5al3nify5tary6y3ress7ed7ing8on2ked3ing2lapidated9ion4te5ion3emma3igence7t3l3ute5ion2m3e4nsion9al3inish5utive3ple2n3e3ghy4y3osaur2ocese3xide2p3htheria6ong3loma7cy7t8a8ic9cally3stick2re4ct6ion7ve6ness6or8y3ge3t4y2s3ability5le4dvantage9ageous4ffect4gree8able8ment4llow4mbiguate4ppear9ance6oint9tment6roval9e4rm6ament5ray4ster6rous4vow7al3band4elief8ve4urse8ment3c4ard4ern7ible4harge4iple7inarian9ary9e4laim5ose7ure4o5loration5mfort5ncert6nect9tion6solate6tent7inuation9ue9uing9uity5rd7ant5unt6rage9ement7se7teous9sy5ver8y4redit6et6pancy6te7ion9nary5iminate9ation9atory4us6s7ion3da",
+    "in7ful3ease4mbark9ation4nchant9tment5franchise5gage5tangle3figure9ment3grace8ful5untle4uise5st3h4earten5vel4onest9y4towel4washer3illusion9onment4ncentive5fect9ant5genuous5herit5tegrate9ation7rest3joint3k4ette3like4ocate8ion5dge5yal8ty3mal5ntle5y4ember4iss7al7ed7ing8ve4ount3obedience9nt6y4rder5ient9ation4wn3parage7te6ity5ssionate5tch4el5nsable8ry8tion7e5rsal7e7ion4irit4lace8ment6y5ease8ure4osable7l6e6ition6sess9sed9sing4roportionate6ve4ute3qualification9y5iet3regard5pair6utable8e5spect9tful4upt7ion8ve3satisfaction9y4ect7ion5minate9tion5nsion6t5rtation6vice4idence8t5milar9rity5pate8ion4ociate9ion5lute8ion6ve5nance4uade3tance6t5ste8ful4end6tion4illation7ed8r9y7ing5nct8ion9ve6guish9shable4ort7ion4ract8ion6ught5ess8ed8ing5ibute9ion9or6ct5ust8ful4urb7ance3use2tch3her3to4y2ve4rge7nce8t5se6ification8y7on7ty5t3ide6nd4ne5ity4sible6on6ve5or3orce3ulge2zziness4y1o2cile3k4et3tor6ate4rine3ument8ary9tion2dge3o2e2g3gerel4one3house3ma5tic3wood2ily3ng2ldrums3e4ful3l4ar4ed4house4ing4op4y3phin2main3e4stic8",
+    "ate8ity3icile4nance7t6te7ion5eer5ion5o2n3ate5ion3e3key3or2odad4le3hickey3m4sday3r4bell4knob4man6t5en4step4way2pe4y3ier5st2rk4y3m4ant4itory3sal2s3age3e3sier2t3e2uble4t5ful5less3gh5nut3r3se2ve2wdy3n4cast4fall4grade4hearted5ill4load4play5our4right4size5tairs7te6ream4time5own5rodden5urn4ward5ind4y3ry2ze4n1rab3conian3ft3g4on6fly3in5age3ke3ma5tic8ally7st3nk3pe5ry3stic7ally3w4back5ridge4l4n2ead5ful5locks4m5y4ry3dge3gs3nch3ss5ed6r5ing5maker5y3w2ibble3ft5wood3ll5ed5ing3nk5able3p3ve5l5n5way3zzle2oll5er6st3ne3ol4p3p4out3ss3ught3ve3wn4se5iness5y2udge6ry3g4gist4store3m4stick3nk5ard5en7ness2y3er3ness3s1ual4ism2b3ious2chess3k4ling3t2d3e2e3l3t2ff2g3out2ke2ll4ed5r5st4ing4ness4y3y2mb4bell4found3my3p4ling4ster4y2nce3e3g4eon3k3no2o2pe3lex4icate8ion6ity2rability5le4tion3ess3ing2sk4y3t4bin4men4pan4y2tiful3y2vet1warf2ell5er5ing4t2indle1ye2ing2ke2namic7al6sm6te5o4sty2sentery3function9onal3lexia7c0e1ach2ger5ness3le2r3ache3drum3l4obe3mark4uff3n4estness3phone4lug3ring3shot4plitting3th5iness5quake5shaking5worm5y3",
+    "wax2se4l3t4bound4ern4ward3y4going2t3en4ry2ve4sdrop1bb3ed3ing2ony2ullience8t1ccentric9ity3lesiastical2ho2lectic3ipse2ological7st6y3nomic8al7st6y3system2stasy5tic2umenical2zema1ddy2ge4wise3y2ible3ct3fication6e4y3t4ion4or6ial6ship2ucate6ion9al6or1el2rie4ly1ffect6ive9ness6ual4minate4rvescence9ent3iciency8t4gy3ort6less3usive1galitarian9anism2g3ed3head3ing3plant3shell2o3centric3ism3tism6t7ical2regious1h1igenvalue3ht5een8th5h5ieth5y2ther1jaculate8ion2ect5ion1ke1laborate8ion3pse3stic7ity3te4ion2bow5room2der4st2ect5ion6ve5or7al8te5ric8al8ian9ty7fy6ocute9tion7de7lysis7magnetic7n8ic9cally7static3gance6t4y3ment7al8ry3phant3vate6ion6or4en6th2f3in2icit3gibility6le3minate8ion3te4ism6t2k2lipse6is5tic8al2m2ongate3pe5ment3quence7t2se4where2ucidate3de3sive2ves1m2aciate3il3nate4cipate9ion2balm4nkment4rgo5k5rass9ed9ing9ment4ssy4ttled3ed4llish9ment4r4zzle8ment3itter3lazon4em3odiment5y4ss6ed6ing3race4oider9y6l4yo6nic2cee2erald4ge6nce8y7t4itus2igrant6te7ion3nence6t3r4ate3ssary5ion3t2otion7al5ve2pathy3eror3has",
+    "es6is5tic8ally4ysema3ire5ical3loy6ee6ment3orium4wer7ment3ress3tiness4y2ulate6ion6or4sion1nable3ct5ment3mel2capsulate4se3hant7ment4ilada3ircle3lave4ose6ure3ode4mpass9ed9ing4re4unter5rage9ment3roach4ypted7ion3umber6rance3yclopedia2d3anger3ear6ment4mic3ive3less3orse7ment4w5ment3urance5e3ways2ema4y3rgetic9ally5y2force7able7ment3ranchise2gage6ment3ender3ine6er3rave4oss7ed7ing3ulf2hance7ment2igma6tic2joy5able5ment2large7ment3ighten9ment4st6ment4ven2mity2ormity5ous3ugh2rage3ich6ment3olled6ing2sconce3emble3hrine3ign3lave3ue4ing4re2tail4ngle8ment3er5prise5tain9ment3hralled8ing4use6iasm9t9tic9tically3ice6ment4re6ty4tle7ment5y3omologist9y4urage3rails5nce6t5p6ment4eat7y5nch5preneur9eurial4opy4ust4y5way3wine2umerate8ion3nciate8ion2velop7e3iable4ous4ronment9ntal9ntalist7s4sage5ion3oy3y2zyme1phemeral2ic3demic5rmis3gram3lepsy6tic4ogue3sode6ic4tle3taph4het4ome2och2silon1qual5ity4nimity4te5ion5or7ial3estrian3ilateral5ibrium4ne5ox4p5ment5ped6ing4table5y4valence9t5ocal1ra3dicate8ion3se4ure2ect5ion2go4nomi",
+    "c2ode3sion3tic6ally6ism2r3and5t4tic7ally3ed3ing3oneous4r2stwhile2udite6ion3pt5ion1s2calate7ion7or4pade5e5ism7t3hew3ort2oteric2pecial3ionage3ouse3resso2say3ence5tial2tablish9ment4te3eem3imable6te7ion3range8ment3uary1tch2ernal5ity2her5eal3ic5al3nic3os2iquette2ymological8y1ulogy2nuch2phemism8tic9ically4oria7c2reka2thanasia1vacuate7ion5ee3de3luate7ion3ngelical8sm9t9tic3porate8ion3sion5ve2e3n4handed4ness4t5ful5ual8ity3rgreen4lasting4more4y5body5day5one5place5thing5where2ict5ion3dence6t3l2ocative3ke3lution9ary4ve1we1x2acerbate4t3ggerate9ion3lt5ation3m4ination6e4ple3sperate9ion2cavate7ion3eed4l5lence8t4pt6ion9al4rpt4ss6ive3hange3ise5ion4table5e6ment3laim5mation4ude5sion7ve3ommunicate9cation3rement5te4uciating3ursion4sable5e2ec4utable6e6ion7ve6or3mplary6ify5t6ion3rcise4t5ion3s2hale4ust7ion8ve3ibit7ion9nism9nist7or4larate9ion3ort6ation3umation5e2ile3st5ence7t8ial3t2odus3nerate8ion3rbitant4cism7t3tic2pand6able5se6ion9ist7ve4triate3ect6ancy8t7tion4diency8t6te7ion4l4nd6able6iture5se6ive4rience6men",
+    "t9tal9tation5t6ise3iration5e5y3lain5nation8ory4etive4icable6it4ode5it7ation5ration8ory6e5sion7ve3o4nent8ial4rt6ation4se5ition5ure4und3ress7ed7ing8on8ve7way4opriate9tion3ulsion2quisite2tant3emporaneous4nd5sion7ve5t4rior5minate9tion9tor5nal3inct7ion5guish3ol4rt6ion9ate3ra5ct7ion6urricular5dite8ion5neous5ordinary5polate9tion5terrestrial5vagance9nt4eme6ism8t7ty4icate4overt2uberance8t3de3lt5ant6tion1ye3ball7ed7ing4row3glass3lash4id5ner3sight4ore3witness0f1able3ric6ate8ion3ulous2cade3e4less4t5ious3ial4le5itate7y3simile9ing3t4ion4or6ial6y4ual3ulty2d3e2g3got2il4ure3nt3r4ground4ness4y3th5ful8ness5less2ke2lcon3l4acious6y4en4ible5ng4out3se5hood5tto4ification6y5ty3ter2me3iliar8ity5y4ne4sh3ous2n3atic7al7ism3ciful4y3fare3g3ny3tastic9ally6y2r3away3ce4ical3e4well3m4house4land4yard3sighted3t4her6st2scinate8ion5sm6t3hion7able3t4en4idious2t3al5ism7tic6ty3e4ful3her6hood6land4om3igue6ing3ten4y3uous2ucet3lt5less5y3na2wn2x2ze1ear4ful4less8ness4some3sibility6le4t3t4her7y4ure2d3eral7ism9t6te7ion2e3ble3dback6g3",
+    "l3t2ign3nt3sty2line3l4ed5r5st4ing4ow6ship3on5y3t2male3inine7ity6sm7t2n3ce3d2r3ment7ation3n3ocious6ty3ret4y3tile6ity3vent2st4ival6e6ity4oon2tal3ch3ed3id4ng4sh3ter3us2ud4al6ism2ver5ish2w2z3zes1iasco3t2b3rous2che3kle3tion7al5tious2ddle3elity3get6y2eld5work3nd5ish3rce6ness4y3sta2fteen7th4h4ieth4y2g3ht3ment3urative5e6head2lament3ch3e4t3ibuster4gree3l4ed5r5t4ing4y3m4maker4y3ter4h5y2n3agle4l5e5ist6ty4nce6ial7er3ch3d3e4sse3ger6nail6print6tip3icky4sh4te2r3e4arm4brand4cracker4fighter5ly4man5en4place5roof4side4wall5ood6rk3m4ness4ware3st5hand2scal3h4bowl4erman7en6y4net4tail4y3sion4ure3t2t3ful3ness2ve2x3able4tion3ture2zz4ed4ing4le4y1jord1lab4bergast5y3ccid3g4pole4rant4ship5tone3il4r3k4e4y3mboyance9t4e5nco4ingo4mable3nk4nel3p4jack3re3sh5back5light5y4k3t4ness4ten6ry4ulence3unt3w4less2ea3ck3d4ged5ling3e4ce5y4t3sh5y3w3x4ibility6le4time2ick3ght6less6y3msiness5y3nch4g4t3p4pant3rt5ation9us3t2oat3ck3g3od5gate5light7t4r4zy3p4house4py3ra5l4id5st3ss5ed5ing3tilla3unce5der4r5ish4t3w4erbed6pot6y4n2u3b3ctuate8ion",
+    "3e4ncy5t3ff5ed5ing5y3id5ity3ke3ng4k5y3orescent5ide3rry3sh4ter3te4ter3x2y3over3swatter1oal3m4y2cal3us2dder2e2g3bound3gy3horn2ible3l3st2ld3iage3k4lore4sy3licle4ow4y2ment2nd4le4ness3t2od4stuff3l4hardy4ish7ness4proof3t4age4ball5ridge4hill5old4lights5ocker6ose4note4path5rint4sie5tep6ool4wear5ork2r3age4y3bade4ear7ance4id6den4ore6ne3ce5ful5ps4ible3d3e4arm4bode4cast5lose8ure4father5inger5ront4go6ne5round4hand5ead4ign4leg4man5en5ost4nsic4play4runner4saw5ee7able7n5hadow5ight5kin5tall9ed9ing6ry4taste5ell8ing5hought5old4ver4warn5ent5ord3feit3gave4e5ry5t6ful9ness4ivable6e7n8ess4o5ne5t6ten3k4lift3lorn3m4al6dehyde6ity5t6ion7ve4idable4less4ula7te8ion3nicate8ion3sake7n4ook4wear5ore7n3t4e4h5coming5right5with4ieth5fication6y5tude4night4ress4uitous5nate6e4y3um3ward4ent2ssil3ter2ught3l3nd5ation5ling5ry4t5ain3r4teen8th5h2wl2x3hole3trot3y2yer1racas4tal5ion8al7us5ure3gile6ity4ment8ary9tion4rance7t3il5ty3me5work3nc5hise4k5furter5ness4tic7ally3t4ernal7ity3ud5ulent4ght3y2eak3ckle3e4bie4dom4hand4lance5oad4thinker",
+    "9ing4way5heel4ze3ight3nch4etic4zy3quency7t3sh5en5man6en5ness5water3t4ful2iar3ction3dge3end6less7iness6ship4ze3gate4ht6en6ful4id6ity3ll5y3nge3sk5y3tter3volity6ous3zz5ed5ing5y2o3ck3g3lic6ked7ing3m3nd4t5age6l5ier3st5bit8e8ten5y3th5y3wn3ze5n2ugal6ity3it5cake5ful5ion5less5y3mpy3strate8ion2y1uck2dge2el2gitive2lcrum3filled7ing3l4ed5r5st4ing4ness4y2mble3e3igate7ion2n3ction8al9lity3d4amental9alism9alist3eral3gal4i5cide4us3k4y3nel4y2r3ious3l4ong5ugh3nace4ish5ture3row4y3ther7more6st4ive7ness3y2se4lage3ion3s4ed4ing4y2tile5ity3ure5istic2zz4ed4ing4y0g1ab3by3le2dget2ffe2g3gle2iety3ly3n4ful3t2l3a4ctic4xy3e3l4ant7ry4bladder4ery5y4ivant4on5p5ws3ore4sh2mbit4le3e3ma3ut2nder3g4land5ing4plank4rene4ster4way2p3e2rage3b4age4le3den6ia3gantuan4le4oyle3ish3land4ic3ment3net4ish3ret4ison4ulous3ter2s3eous3h3ket3oline3p3sy3tric5onomic3works2te4crasher4way3her2uche3dy3ge3nt5let3ze2ve4l2wk4y2y2ze4bo4lle4tte1ear4shift2e3k4y3se3zer2isha2l3atin3d2m2nder3e4alogical9st8y4ra6l7ity6te7ion7or5ic7ally5osity6us4sis4tic7ally7ist3",
+    "ial4e4i4tal7ia4us3ocide3re3t4eel4ile6ity4le6man7en6ness4rification5y3uflect4ine7ness4s2ographer8ic9cal8y3logic8al7st6y3metric9ally7y2ranium3bil3iatric3m4icide5nate8ion3rymander3und2station4iculate4ure2t3away3up2yser1hastly2etto2ost5writer3ul5ish1iant2bber6ish3let2ddiness4y2ft2g3abyte4ntic3gle2ld3l3t2mme4ick7y2n3ger6bread4ham2raffe3der4le3l4friend4hood4ish3th2st2ve4away4n2zmo3zard1lacial5er3d4den4e4iator3morous5ur3nce4d5ular3re3ss5ed5ing5ware5y3ze2eam4n3e4ful3n2ib3de3mmer4pse3nt3sten3tch4ter4z5y2oat3b4al4e5trotter4ular6e3om5iness5y3rification6y5ous4y3ss5ary5ed5ing5y3ve3w4worm2ucose3e3ing3m3t4ton7y1narl5y3sh3t3w2ome2u1o2ad3l4ie4keeper4post3t4ee2b3ble3let4in2d3child8ren3damn4ess3father4orsaken3less4ike3mother3parent3send2es2fer2ggle2ing2ld4en4fish4smith3f3ly2ndola3e3g3na2o3d4bye4ness5ight4will4y3ey3f4y3ier5st3n3se2pher2re3ge5ous3illa3y2sh3ling3pel3samer4ip2t3ta4en2uge3lash3rd4met3t2vern6ess6ment9tal6or8ship2wn1rab3ce5ful8ness5less4ious8ness3d4ation4e4ient4ual6te7ion3ffiti7o4t3in5y3m4mar6t",
+    "ical4ophone3nd5child9dren5dad7ughter5eur5father5iose5ma6other5pa7rent5son6tand4ite4ny4ola4t4ular7te6e3pe5fruit5vine4h5ic7al6te4ple3sp4s5ed5hopper5ing5land5y3te5ful4ification6y5s5tude4uitous7y3ve5l5n5stone5yard4itate8ion9onal6y4y3ze2ease5y4t5ness3ed5iness5y4n5back5ery5horn7use5ish4t3garious3mlin3nade3w3yhound2id4dle4iron4lock3ef4vance5e5ous3ll5e3m4ace4e4y3n4d5stone4go3p4e3sly4tle3t4ty3zzled6y2oan3cer6y3ggy3in3om4ve5y3pe3ss5ed6r6st5ing3tesque4to3uch6y4nd6hog6less6swell6work4p5ie4se3ve5l3w4l4n4th2ub4by3dge3el4some3ff5er6st3mble4py3nge5y4t1s1uacamole3rantee7or7y4d5ian5rail2bernatorial2ess5able5timate5work4t2ff4aw2idance4e5book5line3ld4e5less4lotine4t5less5y3nea3se3tar6ist2lch3f3l4ed5t4ibility6le5ng4y3p2m3bo3drop3my3ption2n3boat3fire3k3man4en3nysack3point5wder3runner7ing3shot2ppy2rgle3u2sh4y3t4o4y2t3sy3tural2y2zzle1ym3nasium6t7ics2p3ped4ing3sy2rate5ion3oscope0h1a2berdashery3it5able6t7ion5ual2ck4ney4saw2d3dock2g3gard4le2il4stone3r4brush4cut4do5resser4line4net4piece4splitting5tyle8ist4y2le3f4",
+    "hearted4time4way3ibut3l4elujah4mark4ow4ucinate9tion8ogenic4way3o4n3t3ve2m3burger3let3mock3per3ster5ring6ung2nd4bag5ook4cuff8ed8ing4edness4ful4gun4icap6raft5work4kerchief4le6bar4made4out4pick4rail4shake5ome5tand4writing8ten4y5man6en3g4ar4out5ver3ker4ies2phazard3less3pen4iness4y2rangue7ing4ss6ed6ing6ment3d4back6ll4cover4en4headed7rted4liner4ship4ware5ood4y3e4brained4lip4m3k3lot3m4ful4less4onic8a7ous6y3ness7ed7ing3p4ist4oon4sichord3row4y3sh5ness3t3vest2s3h4ish3sle3te5n4y2t3ch5back5et3e4ful3red2ughtiness6y3l3nch4t2ve4n3oc2wk2y3stack3wire2zard6ous3e4l5nut3y1e2ad4ache4band4first4gear4hunter4land5ight6ne5ong4master5istress4phone4quarter4rest5oom4stone6rong4way5ind4y3l4th6care6ful6y3p3r4d4say5e4t5ache5beat6reak7oken6urn5en5felt5h5land6ess5throb5warming5y3t4h5en3ve5n4iness4y5weight2ck4le3tic2dge5hog3onism7t8ic2ed4less3l2fty2ifer3ght6en3nous3r4ess4loom3st2ld3icopter4port4um3l4ish4o3m4et3p4ful7ness4less8ness2m3isphere3line4ock3p2n3ce5forth4hman6en2patitis2r3ald3b4al4ivore8ous3d3e4abouts5fter4by4d",
+    "itary7y4in4sy4tic7al4with3itage3maphrodite4etic4it3nia3o4ic6ally5n6e5sm4n3pes3self3tz2s3itancy7t6te7ion2terogeneous6sexual9uality2uristic2w2xadecimal4gon7al2y3day1i2atus2bernate8ion2ccup3k4ey4ory2d3den3e4away4ous6t2erarchical8y4oglyphic2gh4brow4land5ight4way2jack2ke2larious6ty3l4billy4side4top4y3t2m3self2nd4quarter4rance4sight3ge3t4erland2p3po5potamus4y2re2s3s3togram5rian7c8al6y4rionic2t3ch5hike3her6to2ve1o2ard4se6ness3x2bbit4le4y5horse3goblin3nob3o2ck4ey2dgepodge2e2g2ist2key3ier5st2ld4over4up3e3iday4ness4stic3ler4ow4y3ocaust4gram3ster3y2mage3e4coming4land5ess8ness4made6ker4opathic9y5wner4room4sick8ness5pun5tead4town4ward5ork4y3icidal7e4er5st3ogeneity8ous4nym4phobic4sexual9lity2ncho3e4sty4y5comb5moon5suckle3k3orary2od4lum4wink3f3k3ligan3p3ray3t3ves2p3e4ful7ness4less8ness3scotch2rde3izon7tal3mone3n4et4y3oscope3rendous4ible5d5fic6y4or3se5back5man5play6ower5radish5shoe3ticultural9ure2se3iery3pice5table7l8ity3t4age4el5ss7ed7ing4ile6ity2t3bed3cake3el3head3shot2und3r4glass3se5boat7und6reak7o",
+    "ke9en5hold6usband5keeper9ing5wares8ming6ife7ves6ork2ve4l2w3dy3ever3l1ub3bub3cap2ddle2e2ff4ed4ing4y2g3e2h2lk3l4abaloo4ed4ing2m3an5e5ism7t6tarian9ianism7y5kind3ble4ug3drum3id5ify6ty4liate8ion6ty3mingbird3orist5ous3p2nch5back3dred7th3g4ry3k3t2rdle3l3rah4icane4y3t4ful4le2sband3h3k4iness4y3tle2t3ch1yacinth2brid2drant5ulic4oelectric5gen5plane2ena2giene6ic8ally2mn4al2pe4ractive9vity5bole5sensitive5tension5ventilate3hen6ate8ion3nosis5tic7sm8t3ochondria9riac5risy7te8ical4dermic4tenuse5hermia7ses8is7tical2sterectomy6ia7c8al0i1ce3berg4ox4reaker2icle2ky2on2y1d2ea4l5ism7t8ic3ntical6fiable8cation7y6ty3ological7y2iocy4m5atic4syncrasy9atic4t5ic7ally2le4ness2ol4atrous7y2yllic1f2fy2s1gloo2nite5ion3orance7t5e2uana1lk2l3egal5ible6timacy9ate3icit4teracy8te3ness3ogical3uminate9ion4sion5ory5trate9ion9ive9or7ious1mage5ry4inable7ry7tion9ve6e2balance3ecile3ibe3ue4ing2itate6ion7ve6or2maculate4terial5ure7ity3easurable4diacy7te4nse6ity4rse6ion3igrant7te8ion4nent3obile7ity4ral7ity5tal8ity4vable3une5ity4table2p3act4",
+    "ir6ment4le4rt6ial9ity4ssable6e6ioned7ve4tience8t3each7ment4ccable4dance5e5iment4l4nd5etrable4rative5ceptible5fect9ion5ial8ism9st6l5sonal9te9tion9tor5tinence9nt5vious4tuous6s3inge4sh3lacable5nt5usible4ement9able9ation4icate8ion6it4ode5re3olite4rt6ance8t7tion4se5ition5sibility8le4tence7t4und4verish3ractical4ecise5gnable8te5ss7ed7ing8on9nable9nistic8ve4int5son8ment4obability8le5mptu5per6riety5ve7ment6isation8e3udence7t4lse6ive9ness4nity4re5ity1n2ability3ccessibility9ble5uracy8te4tion6ve7ity3dequacy8te4missible4vertent5isable3lienable3ne4imate3pplicable5ropriate3rticulate3smuch3ttention9ve3udible4gural8te9ion4spicious2born3red5ed3uilt2calculable4ndescence9ent5tation4pable6citate9y4rcerate9tion5nate8ion3endiary5se5tive4ption4ssant5t6uous3h3idence7t8al4nerate9ion9or4sion6ve5or4te6ment3lination6e4ude5sion7ve3ognito4herence9t4me5parable7tibility9ble6etence9nt6lete6rehensible4nceivable6lusive5gruity8ous5sequential6iderable9rate7stency9ent6olable6picuous5tinence9nt5venience9ent4rporate9tion5rect",
+    "6igible3rease5dible6ulity8ous5ment9al4iminate9tion3ubate7ion7or4mbent4r5able2debted8ness4cency7t5ision8ve4ed4fensible5inable7ite4lible6cate4mnify7ty4nt6ation4pendence9nt4scribable5tructible4terminate4x3icate7ion8ve7or5es5t6ment4fference9nt4genous7t6stible9on5nant7tion6ity5o4rect8ion8ness4screet8tion7iminate5pensable6osed6utable5tinct8guishable4vidual9lism9list9listic9lity6sible3octrinate9ation4lence7t4mitable4or3uce6ment5t6ion4lge7nce8t4strial9list8ous7y2ebriate8ion3dible3ffective9veness8ual5iciency9nt3legant4igibility8le3pt5itude3quality5ity3rt5ia7l3scapable4sential3vitability8le3xact4cusable4haustible4orable4pensive6rience5licable4tricably2fallibility8le4mous5y4ncy5t6ile6ry4tuate8ion3easible4ct6ion8us4licity4r5ence5ior8ity5no5tile8ity4st6ation3idel7ity4eld4ltrate9ion9or4nite8simal7ive7y4rm6ary6ity4x3lame6mable8tion9ory5table6e6ion9ary4exibility8le4ict7ion4uence7tial7za5x3o4mercial4rm6al8ity7nt7tion9onal9ve3raction5red5structure4equent4inge8ment3uriate4se5ion2genious5uity4st3rain5tiat",
+    "e7tude4edient2habit7ant4lation5e3erent5it7ance3ibit7ion3ospitable3uman7e7ity2itial6te7ion8ve7or2ject6ion3unction4re5ious5y4stice2k3ling3y2laid4nd4y3et2mate2n3ards4te3er5most3ing3keeper3ocence7t5uous4vate7ion8ve7or3uendo4merable2oculate8ion3ffensive3perative4portune3rdinate4ganic2patient3ut2quest4isition9ve2road2s3ane5ity4tiable3cribe6ption5utable3ect6icide5ure7ity4mination4nsitive9vity4parable4rt6ion3ide5ious4ght5nia7ficance9cant4ncere8ity5uate8ion4pid4st6ence8t3ofar4lence7t5uble5vency8t4mnia8c3pect7ion7or4iration9onal6e3tability5ll7ation7ed7ing5nce6t7aneous4ead5p4igate8ion5lled7ing5nct8ive5tute8ion9onal4ruct8ion9ve8or6ment9tal3ubordinate9nation5stantial4fferable6iciency9ent4lar7ity6te7ion7or5in5t4rance5e5gency8t5mountable5rection2tact4ke4ngible3eger5ral7te8ion6ity4llect9ual6igence9nt8ible4nd5se6ify7ty7ve5t6ion9al4r5act8ion9ve5cede7pt9ion6hange9geable6om7nnect8tinental7urse5dependence9ndent5face6ere9nce5im6or5ject9ion5lock7per6ude5marriage9y6ediary9ate7nt6inable8gle7ssion7ttent5n6al7ti",
+    "onal6et6ist6ment6ship5personal6lanetary8y6olation7se6ret9ation5racial6elate6ogate9tion9tor6upt9ion5sect9ion6perse6tate7ellar5twine5val6ene8tion6iew5weave6ove9n4state6inal8e3imacy6te7ion5idate9ion3o4lerable8nce9t4nation4xicate9ion3ractable5mural5nsitive5venous4epid4icacy7te5gue7ing5nsic9ally4oduce8tion9ory5spective5vert4ude5sion7ve3uition7ve2undate7ion2vade4lid7ate5uable4riable7nt4sion6ve3ective4nt6ion7ve6or8y4rse6ion5t6ebrate4st6igate9tion9tive9tor6ment6or4terate3igorate4ncible4sibility7le4tation5e3ocation4ice4ke4luntary5ve7ment3ulnerable2ward1odine2n2ta1rascible3te2e2idescence9t3s2k2on4ic6ally4y2radiate4tional9lity3econcilable4futable4gular9ity4levance9t4parable5laceable5ressible6oachable4sistible5pective6onsibility9ible4trievable4verence9t7sible5ocable3igate7ion4tability7le6nt6te7ion1s2land3e2olate6ion2sue4ing2thmus1t2alic2ch4iness4y2em3rate6ion7ve2inerant7ry2s3elf1vory2y0j1ab2ck4al5ss4daw4et4hammer4knife7ves4pot2de2gged3uar2il2lopy2m3b4oree2ngle3itor2r3gon2undice4t5y2velin2w3bone2y3",
+    "walk2zz4ed4ing4y1ealous7y3ns2er3z2ll4ed4ing4y5fish2opardy2rk4y3sey2st2t3tison4y2wel5ries1ibe2ffy2g3gle3saw2lt2ngle3x2tters6y2ve1ob3less7ness2ck4ey4strap3ular7ity2g2hn2in4t2ke2lly3t2stle2t2urnal7ism9t5ey2vial2wl2y3ful6ness3ous3ridden6e4ode3stick1ubilant6tion5ee2dge3icial7ry6ous3o2g3gernaut4le3ular2ice4y2kebox2mble4o3p4suit4y2nction5ure3gle3ior4per3k4et4ie4yard3ta2risdiction3or3y2st4ice5fiable7cation6y2t3e2venile2xtapose8ition0k1aleidoscope2ngaroo2put2rat5e3ma2yak5ed5ing1eel3n4ness3p4sake2g2lp2n3nel2pt2rchief3nel3osene2tchup3tle2y3board3hole3note3stone5roke3word1haki1ick4back4off2d3die4o3nap4ey2ll4ed5r4ing3n3o4byte4gram4watt3t2mono2n3d4a4ergarten4hearted4le4ness4red3folk3g4dom4fisher4pin3k4y3ship2osk2pper2ss4ed4ing2t3chen7ette3e3ten4y2wi1leptomaniac2utz5y1nack3psack2ead3e4cap4l3lt3w2ickers5knack3fe3ght6hood3t3ves2ob4by3ck5out3ll3t4ty3w4ledge9able4n2uckle1oala2sher2wtow1s1udos0l1ab3el3oratory5ious3yrinth2ce4rate7ion3k3quer3rosse3y2d3e4n3le3y4bug4like2g3er3gard3oon2id3n3r2ke2mb4da3e4nt6abl",
+    "e7tion3inate3p4oon4shade2nce3d4fill4lady5ocked6rd4mark4owner4scape5lid8e3e3guage5id6sh5or7ous3ky3tern2p3el3se3top2rceny3d3ge3k3va5e3ynges6itis5x2scivious3er3h3s4o3t2tch3e4nt4ral4x3h4e3itude3rine3ter4ice2ud4able3gh5able5ingstock5ter3nch4der5ry3reate5l2va4tory3ender3ish2w3ful3less7ness3maker3n3suit3yer2x3ative3ity2y3away3ered5ing3man4en3off4ut4ver2ziness3y1each3d4en5rship3f4let4y3gue5ing3k4age4y3n3p4frog3rn3se4h4t3ther7y3ve2cherous3tern4ure2d3ge2e3ch3k3ry3way2ft4most4over2g3acy4l5istic6ty3end6ary3gy3ibility5le4on4slate8ion9ve8or8ure4t5imacy8te3ume2isure2mme3on5ade2nd3gth6en6wise6y3iency6t3s3t4il2opard3tard2per3rosy5us2sbian7ism3ion3s4en5r4on3t2t3down3hal5rgic7y3terhead4uce3up2vee4l5headed4r5age3itate7ion5y3y2wd2xical5on1iability4le3ise5on3r2b3el4ral7ism6te7ion5tarian6y3ido3rarian6y4etto2ce4nse3hen3k3orices2d2e3n3u4tenant2fe4boat4forms4guard4less5ike6ne5ong4saver5pan5tyle4time3t4off2gament4ture3ht5en5hearted6ouse5ness6ing5weight2ke4lihood4n5ess4wise2lac3t3y2mb4o3e4light4rick4stone3it5atio",
+    "n5less3o4usine3p2nchpin3e4age5r4feed4n4up3ger6ie4o4uist8ic3iment3k4age3oleum3t2on4ess2p3stick2quefy5ur4id6ate8ion4or2sp3t4en4less2t3any3e4racy6l6ry6te7ure3he4ium3igate7ion3terbug4le3urgical6y2ve4lihood6ness4n4stock3id2zard1lama1oad4able3f3m3n3th5e5some3ves2b3by5ist3e3otomy3ster2cal5e5ity4te5ion3k4et4smith3omotion8ve3ust2dge2ft4iness4y2g3arithm9ic3book3ic5al5ian4stical8s3jam3o2in4cloth3ter2ll4ed4ing5pop2ne4liness4some3g4evity4hand4ish5tude8inal4shoreman9men4time2ok4alike4out3m3n4ie4y3p4hole3se5n3t2p3e3sided2rd3e3ry2se3s3t2t3ion3tery3us2ud4mouth4ness4speaker3nge3se4y2vable3e4liness4sick2w3brow3down3ercase2yal5er6st5ty2zenge1s1ubricant7te8ion2cid5ity3k4y3rative2dicrous2g3gage3ubrious2kewarm2ll4aby4ed4ing2mber6jack6yard3inary5ous3p4y2nacy4r4tic3ch5box5eon5time3g4e2pine2rch3e3id3k2scious3h3t4rous4y2te2xuriant7te6ous5y1ye2ing2mph5atic2nch2re3ic5al5ist0m1a2cabre4roni3e3hete4ine7ry6ist4o3kerel3ro5cosm5scopic2d3am5e3cap3den3e3house3man4en3ness2elstrom2gazine3enta3got3ic5al5ian4strate3nanimity8o",
+    "us5te4esium5t6ic7sm4ification8ence9nt6y5tude4olia4um3pie2hogany2id4en3l4box4man5en3m3n4frame4land5ine4stay6ream4tain8ability9ble5enance3ze2jestic8ally6y3or5ity2ke4shift4up2ladjusted5y4ise4ria3e4volence9t3formed4unction3ice5ious4gn6ancy8t3l4ard4eable5t3nourished4utrition3practice3t4reat2ma3ma5l6ian4oth2n3acle4ge6able6ment6rial3darin5te6ory4ible4olin3e3ge4le4o4rove4y3handle4ole5od4unt3ia5c6al4c5ure7ist4fest8ation8o5old4pulate9ion9ive3kind3liness3nequin5rism4ish3or3power3sion4laughter3tel6piece4le4ra3ual4facture4re4script3y2p3le2r3athon3ble3ch3e3garine4in6al3ia4gold4juana4na6de6te5e4onette4tal5ime3k4down4et6ability8le6place4sman6en4up3malade3oon3quee3riage4ow4y3sh5al5mallow5y4upial3t4ial5n4yr6dom3vel2s3cara4ot4uline8ity3h3k3ochism8t9ic4n5ry3querade3s4acre5ge4eur6se4ive3t4erful6mind6piece6y4icate4urbate9ion2t3ador3ch5book7x5less5maker8ing5stick3e4rial8ism9st9stic5nal6ity3hematical9cian9cs3riarch9al9y5ces6ulate9tion5monial8y5x4on3te4ress3ure5ity2udlin3l3soleum3ve2verick2wkish2xed4s3im5a6l5u",
+    "m4ng2y3be3day3hem3o4nnaise4r2ze1e2adow3l4time4y3n4der4ingful7less4t5ime4while3sles5y4urable6e7ment3t4ball4loaf7ves4y2cca3hanic8al7sm2dal5lion3dle6some3ia5n5te6ion6or4cal6te7ion5inal7e4eval4ocre7ity4tate7ion4um3ley2ek4ness3t4inghouse2g3abyte4lomania9iac4phone4ton2lancholy3d3low3odic6ous5rama9tic5y4n3t4down2mber6ship4rane3ento3o4ir4rabilia7le6ndum5ial5y2n3ace4gerie3d3ial4ngitis3opause4rah3strual8te9ion3tal6ity4hol4ion4or3u2rcantile4enary4handise7t4iful5less4ury4y3e3ge3idian4ngue4t3maid3riment4y2s3dames3h3s4age4enger4y2t3abolic8sm4l5lic6urgist9y4morphose9osis4phor8ical6ysical9cs3e4or6ic7te6ological9gist9gy3hadone5ne4od6ical6ological9gy3iculous3ric4o5polis9tan3tle2w2zzanine1i2ce3robe6iology5chip6ode7mputer7sm5fiche7lm5meter5organism5phone6rocessor5scope9ic6econd5wave2dair3day4le6man7en3get3night3riff3st5ream4ummer3term3way4eek4ife5nter5ves2en2ff4ed4ing2ght5y3raine5nt5te6ion6ory2ke2ld4ew4ness3e4age4stone3ieu4tancy7t6rism7y6te5ia3k4man5en4y3l4ed5nnia8um5r4igram5ner8y6g5on7aire7th5second2me3i",
+    "c5ked6ing5ry2nce5meat3d4bogglingly4edness4ful4less3e4field4ral3gle3i4ature4bus4computer4mal7ism9t5um4on4series5kirt5ter8ial6ry4van3k3now3or5ity3strel3t4y3uet4s5cule4te2racle5ulous4ge3e3ror3th2sadventure4pprehension7opriate9riation3behave3calculate9ation5rriage7y4ellaneous9y4hief7vous4onception6duct6strue9uing3deed4irect9ion3er5able5y3fit4ortune3giving4uide3hap3inform9ation5terpret9retation3judge3laid5y4ead5d3manage9ment5tch3nomer3ogynist7y3place4rint5onounce7unciation3quote3read5present9entation3s4ed4hapen4ile5ng5on7ary5ve4pell8ed8ing6nd7t4tep3t4ake7n4letoe4ook4reat8ment6ss5ial5ust4y5pe3understand9tood4se2te3igate7ion3t4en2x3ture1nemonic1oan3t2b3ile5ity2ccasin3k4ery4ingbird2d3al3e4l4m4rate7ion7or5n6ity4sty3icum4fication5y3ular6te7ion5e2hair2ist5en5ure2lar4sses3e4cular7e4station3lify3ten2ment6ary6ous6um3my2narch7y4stery6ic3etarism7y4y3goose4rel3ies4ker4tor3k4ey3o4chrome4gamous7y5ram4lingual6th8ic5ogue4nucleosis4poly4rail4syllable4tone7ically7ous7y3soon4ter5rosity7us3tage4h3ument8al2o3ch",
+    "3d4iness4y3n4beam4light6t3r3se3t2p3e2ral5e5ist8ic6ty4ss4torium3bid3e4over3gue3n3on5ic4se3phine5ology3sel3tal6ity5r6board4gage4ician5fication6y4uary2saic3que5ito3s4y3t2tel3h4ball8ed8ing4erboard6fucker6hood3if4on6less4vate7ion5e3ley4ier6st3or5bike6oat5cade6ycle9ist5ist5mouth5way3tle4o2und4t5ain8eer8ous8side3rn5ful3se4se4y3th5ful5piece5wash2vable3e4ment3ie2w1s1u2ch3k3ous3us2d3dle4y3slide6nging2ff4ed4in6g4le2g3giness4y2latto3ch3e3l4ed4ing3ti5cultural5lateral5media6illionaire5national5ple8x7ication9ative9ity6rocessing5tasking6ude2m3ble3mify4y3ps2nch5ies3dane3icipal9ity4tion2ral3der6ous3ky3mur2scle4ular3e4um3h4room4y3ic5al5ian3k4et3s4ed5l4ing3t4ang5rd4y2tability5le4nt4te5ion3e3ilate7ion4nous5y3t4er4on3ual2zzle1y2opic2riad2s3elf3terious6y4ic6al6ism5fy5que2th4ical4ological8y0n1ab2g2il4brush3ve5ty2ked5ness2me4less4sake2nny2p3alm3e3kin3py2rc4issism9t9tic4otic3k3rate6ion7ve6or4ow6ness2sal3tiness4y2tion6al8ism9st9stic9ty6wide4ve5ity3ty3ural7ist7ness5e2ughtiness6y3sea6te5ous3tical2val3el3igable6te7",
+    "ion9nal7or3y2y1ear4by4sighted9edness3t4ness2bula6e5ous2cessary6itate8y3k4erchief4lace5ine4tie3rophilia3tar6ine2ed4le6ss6work4y2gate5ion6ve3lect7ful4igee7nce8t6ible3otiable7te8ion8or2igh3ther2on3phyte2phew3otism2rd4y3ve4ous7ness2st4le2t3her3tle3work2ural4ological9st8y5n5ses6is5tic3ter4ral7ity5on2ver5theless2w3bie4orn3comer3fangled3lywed3ness3sagents4cast4letter4paper5rint4stand4worthy4y3t4on2xt1ibble2ce4ty3he3k4el4name3otine2ece2fty2gger4le3h4t5club5fall5gown5ie6ngale5life5mare8ish5time2l2mble2ncompoop3e4teen8th5ieth5y3ny3th2p3ple4y2t3rate4ogen3wit1o2bility3le5man6en5woman8en3ody2cturnal2d3e2es2ise5less4iness4y2mad5ic3enclature3inal6te7ion8ve5ee2n3chalance9t4ommittal5nformist3dairy4enominational5script3e4ntity4theless4vent4xistent3fat4iction4lammable3intervention3partisan4lus4rofit6liferation3refundable5newable5sident3sense7ical4moker7ing4tandard5ick5op3trivial3verbal4iolence9t2odle3k3n3se2pe2r3m4al6cy6ity3th5bound5east9ern9ward6rn8most5ward6est9ern9ward2se4bleed4dive3talgia8c9ally4ril3",
+    "y2t3able4tion3ch3e4book4worthy3hing7ness3ice6able6board4fication5y4on6al3oriety6ous3withstanding2ugat3n3rish7ment2va3el5ist5ty3ice2w3adays3here2xious2zzle1uance2clear5i5us2de3ge3ist4ty2gget2isance2ke2ll4ify2mb4ness3eral6te7or5ic7al5ous2n2ptial2rse5maid5ry3ture2t3cracker3meg3rient5ment5tion9al8us3shell3ty2zzle1ylon2mph5omania9iac0o1af2k2r2ses3is2t3h3meal1bedience7t3lisk3se4ity3y2fuscation2ituary2ject6ion9able7ve8ity6or2ligate7ion7ory5e4que4terate9ion4vion7us3ong2noxious2oe2scene6ity4ure6ity3ervable7nce8t7tion8ory6e4ss6ed6ing7on7ve3olescence9nt6te3tacle4etrician9s4inacy7te4ruct8ion9ve2tain6able3rusive3use2vious1ccasion8al3ult4pancy7t6tion9nal5y4r5rence2ean5ic5ography2tagon7al4l4ve3opus2ular1dd3er4st3ity3ness2e2ious2ometer2yssey1f2f3beat3ed4nd5sive9ness4r3hand3ice5ial7te6ous4ng3load3set4hoot6re4pring4tage2ten1gle2re1h2m2s1il3field3y2nk3tment1kra1ld3en3ie2factory2ive1mbudsman7en2ega3n2inous3ssion3t2nibus4potence9t5resent4science9t1n2ce3oming2e3rous3self3time2going2ion2looker3y2omatopoeia2r",
+    "ush2set3laught2to2us2ward1odles2ps2ze1pal3que5ing2en4ness3ra5ble5nd5te6ic7on9al7ve6or2hthalmologist9logy2inion7ated3um2ossum2ponent4rtune8ism9st9stic9ty4se5ite7ion3ress7ed7ing8on8ve7or2t3ic5al5ian4ma6l5ism7t8ic9cally5um4on6al3ometrist8y2ulence6t3s1r2acle3l3nge5utan3tion4or6y2bit5al2chard4estra9l9te9tion4id2dain3eal4r3inal6nce6ry6tion2e2gan5ic7ally6sm7t4sm3y2ient6al7te8ion3fice3gin6al8ity7te8or3ole2nament8al4te3ithologist9gy2phan6age2thodontics9ist7x8y5gonal9lity6raphy1scillate8ion6oscope2mosis2tensible5tation9ous3racism4ich1ther5wise2ter1uch2ght2nce2r3selves2st2t3age3back4id4ound4reak4urst3cast4lass8ed8ing4ome4rop5y3dated4id5stance4o5ne5or3ermost3field5t3going4rew5ow7n7th3house3laid5ndish5st5w5y4et4ine5ve4ook3moded3number3patient4erform4lacement4ost5uring4ut3rage7ous5n4each4ight4un3set4hine5one4ide4kirt4mart4ource4poken9ness4tanding6tion5retch6ip3ward4eigh4it1va3l3rian4y3tion2en3r4all5te4bear5lown5oard6re7ne5urden4came6st5harge5oat6me7pensate9nsation5rowd4did5o6ne6se5raft7w8n6ew5ue4eat",
+    "7en5stimate5xtend4flow4grew6ow8n4hand7g6ul5ead7r8d7t5ung4joy4kill4laid7n6nd6p6y5ie5oad6ng6ok4night4pass5opulate9ation6wer5rice7nt4ran6te5eact5idden7e5ode5ule6n4sampling6w5eas6e7n5hadow6oot7t5ight6mplification9ify5leep7pt5tate6ep4t5ake8n5hrew7ow9n5ime5one6ok5ure7n4use4view4weight5helm5ork5rite8ten6ought2um1w2e2l2n3ership1x2en2idation4e2ygen1yster1zone0p1a2ce4maker4setter3ific6sm7t5y3k4age4et3t2d3dle4ock4y3lock3re2gan3e4ant7ry3ination3oda2id3l3n4ful4killer4less4staking4t5brush3r2l3ace4table5e5ial3e4tte3l4bearer4id4or3m3omino3pable3try2mper4hlet2n3acea5he3cake4reas7tic3da4emonium5r3e4l3g3handle3ic5ked6ing6y3orama7ic3sy3t4heism6r4ie4omime4ry4yhose2p3a4cy4l4ya3er5back6oy5girl5weight6ork3rika3yri5us2r3able4chute4de5igm6se5ox7ical4ffin4gon5raph4keet4legal5lel5yses7is6tic4medic6ter5ilitary5ount4noia7d4phernalia6rase5legic4site7ic5ol4trooper3cel4h5ment3don6able3e4nt6age7l6heses9is8tical7ood3ish6ioner4ty3k4a4way3liament9tary3ochial4dy4le3quet3rot3se5c4ley4nip4on6age3t4ake7n4ial7ity5cipant9te9tio",
+    "n8le6le6ular5san5tion4ner7ship4ook4ridge4way4y2s3s4able5ge7way4book4enger5rby6sby4ion7ate5ve4port4word3t4a4e5l4iche5me4or6al4ry4ure4y2t3ch5work5y3e4nt4rnal8ism9stic6ity3h4etic8ally4ological9st8y5s4way3ience6t4o3riarch9al9y5cide5mony5ot7ic9ally8sm4ol6man7en6woman9en5n6age3tern4y2ucity3nch6y3per3se2ve4ment3ilion2w3n4broker2y3able3check3day3ee3load3ment3off3roll1ea3ce5able5ful8ness5keeping5maker5time4h4ock3k3l3nut3r4l3sant3t2bble2can3k3uliar8ity2dagogical7y4l4nt6ic8ally6ry3dle3estal6rian3igree2e3k4aboo3l3p4hole3rless3ve4ish2g2jorative2lican3let3t3vic5s2n3al5ty4nce3ce4hant4il3dant4ed4ing4s4ulum3etrate8ion3guin3icillin4nsula4s4tence7t8iary3knife6ves3manship3nant4iless4y3sion5ve3tagon8al4house3ultimate2on4y3ple2p3permint6oni4y2r3ceive5nt7age7ile5ptible8on8ve4h5ance4olate8ion8or4ussion3emptory4nnial3fect7ion9nist4orate8ion6m7ance4ume5nctory3haps3il5ous4meter4od6ic8al4pheral8y4scope5h6able3jure6y3k4y3m4anence8t4eate4issible8on8ve5t4utation3nicious3oxide3pendicular5trate9or6ual8te4lex7ity3quisi",
+    "te3secute8ion8or5verance8e4ist7ence9t4on6a7ble7e7l8ity6ification8y6nel4pective5iration7e4uade6sion8ve9eness3t4ain4inent4urb3usal5e3vade5sive4erse7ion8ty6t2sky3simism8t9ic9ically3t4icide5lence2t3al3er3ite5ion3rify4ol6eum3ticoat5ness4y3ulant4nia2w3ter1halli6c5us3ntom3rmaceutical7ist7ologist9ogy7y3se2easant3nomena9l8on2ilanthropic9opist9opy4istine4osopher9ical9y2legm6atic2obia5c3enix3ne5tic8ally4ics5ed6r6st4ograph4ying3oey3sphate6or8escence9scent8us3to5copy5genic6raph9hic9hy5n5synthesis5typesetter2rase6ology2ysic6al6ian7st5ological9y6therapy5que1i2anist4o2ccolo3k4ax4et4le4pocket4up4y3nic6ked7ing3torial4ure7sque2ddle3gin2e3ce5meal5work3rce3ty2g3eon6hole3gish4y5back3headed3let3ment7ation3pen3sty3tail2ke2le4up3fer3grim7age3l4age5r4ed4ing4ow6case3ot2mp4le2n3cer4h4ushion3e4apple3g3ion3k4ie3nacle3point4rick3stripe3t3up2oneer3us2pe4line3squeak2quancy6t4e4ing2racy4nha4te3ouette2s3s3tachio4ol5n2t3ch5fork3eous3fall3hy3iful4less3tance3y2vot5al2xel3ie2zza5zz1lacard5te4e5bo5ment5nta4id3giarism9t4ue5in",
+    "g3ice4d4n5clothes5tiff7ve3n4ar4e5t6arium8y4k5ton4t5ain6tion3que3sma4ter5ic3te5au5ful4form4inum5tude4onic5on4ter3usibility7le3y4able4back5oy4ful7ness4ground4house4mate4off4pen4room4thing4wright3za2ea4d4sant8ry5e5urable7e4t3dge3nary4tiful5y3thora2iable4nt3ght2od3p3t3y2uck5y3g3m4age4b4e4met4p3nder4ge4k3ral6ity3s4h3tocracy5nium2y3wood1neumatic5onia1oach2cket6book6ful6knife9ves4mark2d3iatrist7y4um2em3t4ic6al4ry2grom2ignancy7t3nsettia4t5less9ness5y3se4on6ous2ke4y3y2lar5ity3e4mic7al3ice6man7en6woman9en5y4o4sh4te6ness5ical7ian7s3ka3l4ed5n4inate8ion6g4ster4utant6e6ion3o3yester4gamist7ous7y5on5raph4mer4nomial4p4technic2megranate3p4om5sity5us2ncho3d4erous3tiff6ical4oon3y4tail2och3dle3l3p3r2p3corn3e3lar3py3ulace6r7ity6te7ion5ous2rcelain4h4upine3e3k3n4ographer9hic9hy3ous3poise3ridge3t4ability6le5l4end6t4folio4hole4ico5on4rait6y7al2se3h3ition8al6ve7ism3se5ss7ion8ve7or4ibility6le4um3t4age5l4box4card5ode4date5oc7toral4erior7ty4graduate4humous4man6rk6ster5en5ortem4pone8ment4script4ulate5re4war3y2t3assi",
+    "um4to3belly3ency5t6ial3hole3ion3luck3pourri3tery4y2uch3ltry3nce4d3r3t2verty2wder6y3er5boat5ful5house5less9ness3wow1racticable8l9ity7e6tioner3gmatic8sm9t3irie4se6worthy3m3nce4k5ster3ttle3wn3y2each4mble3carious5ution9nary4ede7nce8t5pt4inct5ous5pice7tate9tion8ous5se6ion4lude4ocious5nceive8ption6dition4ursor3date6or8y4ecessor5fined5stination9e5termine4icament7te6t7able7ion7or5lection5spose9ition4ominance9nt9te3eminence9t5pt7ive4n4xist3fab6ricate5ce4ect5r6able6ence8tial4ix3gnancy7t3historic9y3judge6ice8ial3liminary4ude3marital5ture4editate9tion4ier7e5se5um4onition3natal3occupation8y3p4aid5ration8ory6e7dness5y4onderance5sition9onal6terous4py3register9ration5quisite4ogative3sage4chool5ribe7ption9ive4ence6t7able8tion5rvation9ive7e4ide7ncy8t9ial4s5ed5ing5ure4tige7ious5o4umably6e6ption8uous5ppose9ition3tend6sion6tious9usness5xt4ty4zel3vail5lence8t4ent7able7ion8ve4iew5ous3war3y2ice5less5y4ier6st4k5le3de3estess6hood3m4acy5l5ry5te4e5val4itive4ordial4p4rose3nce6ss5ipal9ity7le4t5able5out3or5ity3sm4on",
+    "4sy4tine3vacy5te6ion4ilege4y3ze2o3babilistic9ty6le5tion4e4lem7atic3cedural8e5ed5ss7ed7ing8on9nal7or4laim6mation4rastinate9nation5eate4ure7ment3d4igal6ious6y4uce6t7ion8ve9ity3f4ane6ity4ess7ed7ing8on9nal9nalism7or4iciency9t5le5t6ability8le6eer4ound4undity5se6ion3geny4noses7is4ram7mable5ess8ed8ing9on9ve3hibit8ion9ve3ject7ile8on7or3letarian9at4iferate9tion6ic4ogue5ng3m4enade4inence8t5scuity8ous6e4o5ntory5te6ion9al4pt6ness4ulgate3ne4g4oun7ce9ment4to4unciation3of5read3p4aganda7te8ion4el5nsity5r6ty4hecy6sy6t7ic4itious4onent5rtion9nal9nality9nate5sal6e6ition9onal4rietary8or8y4ulsion3saic4cribe7ption4e5cute8ion8or4pect8ive8or8us6r7ity7ous4theses8is5itute9ion5rate3tagonist4ect7ion8ve7or5in5st7ant4ocol5n5type4ract8ion8or5ude6sion3ud3vable4e5n6ance5rb7ial4ide7nce8t5nce7ial5sion9al6o4ocation9ve5ke5st3w4ess4l3ximity4y2ude5nce6t4ish3ne3rience7t2y1salm2eudo6nym2ych5e6delic5iatric9ist9y6c5o6analysis9lyst6logical9ist9y6path9hic6sis7omatic6therapist9rapy7ic1ub3erty4scence3ic3lic6ation6ist7ty5sh2ck2dding4",
+    "le3gy2eblo3rile2ff4ed5r4ing4y2gnacious2ke2ll4ed5y4ing4out5ver3monary3p4it3sate6ion4e2ma3ice3mel3p4ernickel4kin2n3ch5line4tual8ity7te8ion6re3dit3gent3ish6able6ment4tive3k3t3y2p3il3pet6eer4y2rchase3e4e3gatory4e3ification5y4st4tan7ical5y3ple4ort5se7ful3r4ed4ing3se4ue5ing6t3vey6or2s3h4over4y3s4y5cat5foot2t3ative3rid3t4y2zzle1ygmy2lon2ramid3e2thon0q1ua3ck3d4rangle7t6tic5ilateral5uped7le9t3gmire3il4nt3ke3lification6y5tative6y4m3ndary4tify6tative7y5um3rantine4k4rel7some5y4t5erback7final6t5z3sh3ver3y2easiness5y3en4r3ll3nch3ry3st5ion8able8naire3ue4ing2ibble3che4k5en5ie5sand3et5ness3ll4t3nine4tessence9ntial6t5uplet3p4ped5ing3rk5y3t4e4ter5ing3ver3xotic3z4zed6s5ical6ng2orum3ta5ble5tion4e4ient0r1abbi5t4le3id4es2ccoon3e4track3ial4sm5t3k4et6eer3y2dar3ial5nce6t5te6ion6or4cal4i4o5active9vity5logist8y5therapy4sh4um5s3on2ffle3t2g3amuffin3e3tag4ime2id3l4road4way3n4bow4coat4drop4fall4storm4water4y3se4in2ke2lly2m3ble4unctious3ification3p4age5nt3rod3shackle2n3ch4id4orous3dom6ness3g4e3k4le3sack4om3t2p3e3id5it",
+    "y4st3port4rochement3t4ure6ous2re3ity2scal3h3p4berry4y3ter2t3e3her3ification5y4o5n6al8e8ity3tle6snake4y2ucous3nchy2vage3e4l4n5ous3ine4sh2w2y3on2ze3or3z4ed4ing1e2ach4t5ion8ary6ve5or3d4ability6le4ership4iness4just8ment4y3l4ism6t7ic9ally5ty4locate4m4ty3m3p4pear8ance3r4range9ment3son6able9eness4surance7e2bate3el5lion8us3ind4rth3orn4und3uff6ed6ing4ild6t4ke4t5tal2calcitrance9ant5l6ed6ing4nt4p5ture3ede4ipt5ve7rship4nt4ptacle6ion9ist7ve4ss6ed6ing7on3harge8able3ipe5ient5rocal9te4tal6tion5e3kless8ness4on3laim5mation4ine4use3ognition4il4llect9ion4mmend9ation5pense6ile4ncile8iation5dition5figure5naissance6ect5sider6titute7ruct9ction4rd4unt5p5rse4ver7able7y3reate7ion9nal4uit7ment3tal5ngle7ular4ify4or4um3uperate9ion4r5rence8t5sion7ve3yclable6e2d3den4ish3eem6able4fine7ition4mption4sign4velop9ment3head3id4rect8ion4scover5tribute9ution3neck5ss3o4ne4uble3raft5w4ess7ed7ing3skin3uce5tion4ndancy8t3wood2ed4ucate8ion3f3k3l4ect7ion3nact7ment4try2f3er5ee6nce7dum3ill6ed6ing4nance5e6ment6ry5ish3lect7ion8ve7or5x6i",
+    "ve3orm6at8ion3raction5in4esh7ment4igerate9tion9tor3uel4ge6e4nd6able4rbish9ment4sal5e4tation5e2gain4l5e5ia4rd6less4tta3enerate9ion5t3gae3ime6n7t8al4on6al4ster6rar8tion7y3ress7ed7ing8on5t6ful6table4oup3ular7ity6te7ion4rgitate9tion2hab5ilitate9ation4sh3earsal7e2ign3mburse9ment3n4carnate9tion4deer4force9ment4state9ment4vent3ssue6ing3terate8ion2ject6ion3oice5n6der3uvenate9ion2kindle2laid4pse4te5ion8al8ship6ve7istic8ty4x5ation4y3easable6e4gate4nt6less4vance7t3iability6le5nce6t4c4ef5ve4gion7us4nquish4sh4ve3oad4catable7e7ion3uctance8t3y2made4in6der4ke4rk6able5riage6y3edial5y4mber6rance3ind5isce9nce9nt4ss6ion4t5tance3nant3odel4rse7ful7less4te6ness4vable6l5e3unerate9ion2naissance4me3d4ezvous4ition3egade5e4w5able6l3ounce4vate7ion4wn3t4al3unciation2open2p3aid5r4ration4triate9ion4y5ment3eal5t6able4l5lent4nt6ance8t4rcussion5toire4tition9us8ve3hrase3lace7able7ment5y4enish9ment5te4ica7te8ion3ort4se5itory5sess9ed9ing3rehensible5sent9ation9ative6s7ed7ing8on8ve4ieve5mand5nt5sal6e4oach5duce8tion9ive5gram5",
+    "ve3tile6ian3ublic8an4diate8ion4gnance8t4lse6ion7ve4table6tion5e2quest4iem5re7ment5site8ion2ran3ead3oute3un2sale3chedule4ind4ue5ing3earch4mblance7e4nt6ful6ment4rvation6e6oir4t3huffle3ide6nce8y7t8ial5ual6e4gn6ation4lience8t4n4st6ance8t6or3olute7ion5ve4nance7t6te4rt4und5rce8ful9ulness3pect7ability9le7ful7ive4iration8or9ry5te4lendent4ond6se7ibility9le8ve9eness3t4art5te7ment5urant4ful4itution5ve4less8ness4oration6e4rain8t5ict8ion9ve5ucture3ubmit4lt6ant4me5ption4rface5gence8t5rect9ion4scitate9tion2tail5n4ke6n4liate8ion4rd6ation3ch3ention3hink4ought3icence7t4na5ue4re6e6ment3ook4rt3race6t7able7ion4ead6t4ial5bution5eval7e4oactive5d6den5grade5spect9tive4y3urn6able3ype2union5te3se2v3aluation6e6ing4mp3eal4l5ation5ry4nge7ful5ue4rberate9tion5e6nce7t5ie5sal6e6ible7on5t3iew4le4se5ion6t4val5e3oke4lt5ution9nary5ve3ue4lsion2ward3ind3ork4und3rite6ten4ote1hapsody2etoric8al3umatism2inestone4o5ceros2ododendron2ubarb2yme3thm6ic8ally1ib3ald3bon2ce3h4ness3kety4shaw3ochet2d3dance4en4le3e3ge3icule7ous2fe3le3t2g3h",
+    "t5eous9ness5ful5most5ness3id5ity3marole3orous2le2m2nd3g4leader6t4side4worm3k3se2ot4ous2p3e4n5ess3oste3ple2se4n3k4y2te3ual3zy2val5ry3er5bed5front5side4t1oach3d4block4house4kill4runner4side4way5orthy3m3r3st2b3bery3e3in3ot5ics3ust6ness2ck4et4y2d3e4nt4o2e2gue4ish2le3l4ed5r6skating4ick5ng2man5ce5tic8ally3p2of4top3k4ie3m4ful4mate4y3st3t4less2pe2sary3e4mary3ter4rum3y2t3ary4te5ion3e3isserie3or3ten3und6a2uge4h5age5en5house5ness5shod3lette3nd5about5ness5up3se3t4e5ing4ine2ve2w3boat3diness4y2yal5ty1s1ub3berneck6y4ish4le3down3ella3ric3y2cksack4us2dder4y3e4ness3iment8ary2e3ful2ff4ed4ian5ng4le2g3by2in4g4ous2le2m3ble3inate3mage4y3p4le2n3around4way3down3e3g3ny3t3way2pture2ral2se3h3t4ic4le4proof4y2t3hless8ness1ye0s1abbatical3otage5eur2c3charin3k3rament4ed4ifice8ial5lege8ious4osanct2d3den4le3es3ism5t6ic8ally3ness2fari3e4guard4keeping4ty3fron2g3a3e4brush2id3l4board7t4or3nt2ke2lad4mi4ry3e4sclerk5man6en5people7rson5woman8en3ient4va6te3low4y3mon6ella9ae3on4on3sa3t4water4y3utation5e3vage5tion4e2me4ness3ple2na",
+    "torium3ctify6monious6on6ty5uary3d4al4bag5last4castle4man5en4paper4stone7rm4wich4y3e3g3itarium7y6tion5y3k3serif2p3ling3phire2rcasm6tic9ally3dine4onic3i2sh3s4ed4ing4y2t3anic6sm3chel3ellite3in5y4re5ical6st4sfaction9ory6y3urate7ion2uce5pan4y3erkraut3na4ter3sage2vage6ry3e3vy2w3dust2x3ophone2y1cab3d3ffold3lar4d4e4lop4p5el4y3m4per3n4dal7ous4t5y3pegoat3r4ce5ity4e5crow4f4let4ves4y3thing4ter7brain3venge2enario4e5ry4ic4t2hedule4me3ism4zophrenia9enic3lep4ock3maltz8y4ooze4uck3olar7ship6stic4ol6boy6child9ldren6girl6teacher5ner2ience5tific9cally7st3ntillate3ssor2off5ed5ing3ld3op4t3pe3rch4e5board5card4n5ful4pion3tch3undrel4r5ge4t3wl2rabble4ggly4m5ble4p5book5e5py4tch7y4wl5ny3eam4ech5n6play4w5ball5driver5y3ibble5e4mp4pt6ure6writer3oll6ed6ing4oge4unge3ub4ff6y4ple5ulous4tiny2uff5ed5ing5le3lptor6ure3m3rrilous5y3ttle2ythe1ea3faring4ood3l3m4an4en4less4stress3port3r4ch6light3shell5ore4ick7ness5de4on6able7l3t3weed2cede4ssion3lude5sion3ond6ary6hand3recy5t6arial8y6e6ion7ve3s3t4ion4or3ular4re5ity2dan4te5ion6ve3en",
+    "tary3iment8ary3uce5tion7ve2e3dless5ing4y3k3m3n3p4age3saw3the2gment7ation3regate8ion2ize4ure2ldom3ect6ion7ve6or3f4ish7ness4less3l4er4ing4out3ves2mantic8ally3blance3en4ster3icircle5olon6nductor4final9ist4nal6r7y4precious2nate5or7ial3d3ile5ity4or6ity3sation9al9alism4e5less4ibility6le5tive8ity4or6y4ual7ity5ous3t4ence4ience7t5ment9al9ality4ry2parable6te7ion7or2quel5nce6tial4in4oia2renade5e5ity3geant3ial4es4ous7ness3mon3pent3rated3um3vant4e4ice7able7man8en7woman9men5ette5le5tude2ssion2t3back3table4le6ment3up2ven5teen9th6h6ieth6y4r5al6nce5e5ity2w3age3n2x3ism5t3ual6ity3y1h2abby3ck5le3de4ow6y4y3ft3ggy3ke5down5n5up4y3ll5ow7ness3m4ble4e5ful5less4poo4rock3nty6town3pe3re5holder4k4p5en5ness3tter3ve5n3wl2e3af4r4th6e4ve3en4p5ish4r4t3lf4l5ed6r5fish5ing4ter4ve3nanigan3pherd3rbet4iff4ry2ield3ft5less5y3mmer3n4e4gle4ny4y3p4load4ment4shape4wreck4yard3re4k4t5sleeve3t4ty3ver2oal3ck3d4dy3e4lace4string3ne3o4k4t3p4keeper4lift3re4t5age5change6oming6ut5en5fall5hand5list5ness5sighted5wave3t4gun3uld4t3ve5l3w4biz4cas",
+    "e4down4man7ship5en4n4piece4room4y2rank4pnel3ed4w5d6ness3iek4ll6ed7r7st6ing4mp4ne5k6age4vel3oud3ub5bery4g4nk6en2uck3dder3ffle3n4t3sh3t4down4eye4tle2y3er4st3ness3ster1ibling2c3k4en4le4ness2de4burns4kick4line5ong4show5tep4track4walk6ys3le2ege3rra3sta3ve2ft2gh4t5less5read5seeing8r3ma3n4al5tory6ure4ificance9nt6y4post2lence5t3houette3icon3k4en4y3l4iness4y3o3t3ver6smith6ware6y2milar7ity5e3mer3per4le6x5icity6fication7y6stic3ulate7ion7or5taneous2n3ce5re6ity3e4w5y3ful3g4e5ing4le4song4ular8ity3ister3k3us2p3hon2r3e4n3loin2ssy3ter6hood2t3com3e3uate6ion2x3pence3teen7th4h4ieth4y2ze3zle1kate5board2ein3leton3tch6y3w2i3d3ll5ed6t3m4p5y3n4flint4head4ny4tight3p3rmish4t3t4tish2ulk4l5cap3nk2y3dive3light5ne3rocket3scraper1lab3ck5en3g3in3ke3lom3m3nder4g4t3p4dash4stick3sh3t4e4her3ughter9house3ve5ry4ish3y2eazy3d4gehammer3ek4p5less9ness5walk5y6head4t4ve6less3igh3nder3pt3uth3w2ice4k3d4e3ght3m4e4y3ng5shot4k3p4pery4shod3t4her3ver2ob3g4an3p4e4py3sh3t4h5ful3uch3venly3w4down4ness4poke2udge3g4gish3ice3m4ber4p3ng4k3r4p3s",
+    "h5y3t2y3ness1mack3ll5er6st5ish5pox3rt3sh3ttering2ear3ll5ed5ing5y4t2idgen3le3rk3te4h5ereens4ten2ock3g4gy3ke5stack4y3och4th6ness3te4her2udge3g4gle4ness3t4ty1nack3fu3g3il3ke3p4py4shot3re4l3tch3zzy2eak5y3er4ze2icker3de3ff5ed5ing5le3p4e4pet3t4ch2ob4bery5ish5y3oker4p4ty4ze3re4kel4t3t4ty3ut3w4ball8ed8ing5oard6und4drift4fall5lake4man5en5obile4plowed8ing4storm4y2ub3ff5ed6r5ing3g4gle1o2ak3p4y3r2b3er3riety2ccer3iable5l6ism8t7te4ety4oeconomic5logical9st8y5path3k4et2d3a3den3ium3omy2fa3t4ball4en4hearted4ness4ware4y2ggy2il2journ2lace4r3d4ier3e4mn6ity3icit7or8us4d5arity5ify6ty4loquies8y4taire6ry5ude3o4ist3uble4tion3vable4e5nt2me4body4day4how4one4place4rsault4thing5ime4way5hat6ere2n3ata3g4writer3ic3net3orous2on3t4he4y2p3histicate9ation7ry4omore8ic3orific3rano2rbet3cerer7ss6y3did3e4ness3ority3row6ful4y3t4a2ught3l4ful3nd5ness5proof5track3p3r4ce4dough4ness3th5bound5east9ern9ward6rn5paw5ward6est9ern9ward3venir2vereign9ty2w3n2ybean1pa3ce5craft5ship5y4ial5er6st5ous8ness3de3ghetti3n4gle4iel4k3r4e4k5le4row4se6",
+    "ness3sm5odic4tic3t4e4ial4ula3wn3y2eak4r5head5mint3cial7ist5es5fic8ally9tion6y5men5ous4k5le4tacle7ular6tor5ra6um4ulate8ion9ve8or3d3ech6less4d5boat5ometer5way5y3ll5bind6ound5er5ing3nd5thrift4t3rm3w2here5ical3inx2ice4y3der3el3ffy3got3ke3ll5ing3n4ach5l4dly4e5less4ster3ral4e4it6ual3t4e5ful4tle2lash6y4t4y3een4ndid3ice4nt4t3urge2oil5sport3ke5n5sman7en6people8rson6woman9en3nge5y4sor7ship4taneity8ous3of4k5y4l4n5ful3radic8ally4e4ran4t5scast6man9ship7en6wear5y3t4less5ight4ty3use4t2rain4ng4wl4y3ead6sheet4e3ig4ng6board6time6y5kle5t3out3uce4ng3y2ud3n4k5y3r4ious4n4t3tter2y1quabble4d5ron4lid5l5or4nder4re4sh4t5ted7r7st6ing4wk3eak6y5l5mish4eze4lch3id4nt4re5m5rel5t1tab4ility4le3ck3dium3ff5ed6r5ing3g4e5coach4nant6te7ion3id4n4r5case5way3ke5out3le5mate4k4l5ed5ing6on4wart3mina4mer4p5ede3nce5h4d5ard5by7s5off6ut5point5still4k4za3ple3r4board4ch6y4dom4e4fish4k4light4ry4t5le4vation5e3sh3te5ment5sman9like9ship7en5wide4ic5on7ary7ery5stic9al9ian4s4ue5re5s5te6ory3unch3ve3y2eadfast5y4k4l5th7y4m5boat5roll9ed9er9ing5y3e",
+    "l4p5le5ness4r3llar3m3nch5il4ographer9hy3p4brother4child9ren4daughter4father4ladder4mother4sister5on3reo6type9ical4ile6ity4ling4n5ness4oid3thoscope3w4ard7ess2ick5ler5y3ff5ed6n6r6st5ing5ness4le3gma6ta3ll5birth6orn5ed6r6st5ing5ness4t3mulant7te8ion6i6us3ng5iness5y4k4t3pend4ulate8ion3r4rup3tch2ock5ade5broker5holder5pile5y6ard3dgy3ic5al5ism3ke3le5n4id3mach7ache4p3ne5wall9ed9ing4y3od4l4p3p4gap4light4over4page4watch3rage4e5house5keeper5room4k4m5y4y5teller3ut3ve3w4away2raddle4ggle4ight8en8forward5n5t6jacket4nd5ge7ness6le8hold6ulation4p5less4ta6gem5egic9ally7y5ify5osphere5um4w5berry4y3eak6y5m6line4et6car6light4ngth8en5uous4ss6ed6ful6ing4tch4w5n3icken5t6ness4dden5e6nt4fe4ke4ng6ent6y4p5e5tease4ve6n3ode4ke4ll6ed7r6ing4ng6hold4ve3uck5tural9list8e4ggle4m4ng4t2ub4ble5orn8ness5y3ck3d4ent7ship4io6us4y3ff5ed5ing5y3mble4p3n4g4k4t3pefy5ndous4id6ity4or3rdiness5y3tter2yle4ish6tic4us3mie6ing1uave2b3committee5nscious4ulture3divide7sion4ue5ing3group3ject7ive4ugate5nctive3let4ime6inal3marine4erge6sion4ission8ve5",
+    "t3normal3ordinate9tion3poena4rogram3routine3scribe7pt9ion4ection5quent5rvience9nt5t4ide6iary6y5st7ence4tance7dard7tial9ate5itute9ion4ystem3terfuge6ranean4itle4le6ty4ract8ion3urb6an6ia3versive6t3way2cceed5ss7ful7ion8ve7or4inct4ulent5mb3h3k4le3tion2dden6ness3s2e3de2ffer4ice6iency9t5x4ocate8ion4rage2gar5y3gest7ible8on8ve2icidal6e3ng3t4ability6le4case4e4or2lk4y3len3tan4ry2m3mary4ertime6y4it4on3ptuous2n3bathe4lock4urn3dae4ial4own4ry3flower3g4lasses3k4en3light5t3ny3rise3screen4et4hine3tan3up2p3er5b5computer5ficial6luous5highway6uman5impose6ntendent6or8ity5lative5market5natural5power5script6ede6onic6tar7ition9ious7ructure5vise8ion8or9ry3plant5e6ment9tal9tary4ort7ive5se6ition4ress8ed8ing9on3remacy6e2rcharge3e4fire3f4ace4board3ge5on5ry4ical3ly3mise4ount3name3pass7ed7ing4lus4rise3real7istic5nder5ptitious4ogate5und3veillance5y6or4ival6e6or2sceptible3pect5nd6se7ion4icion8us3tain7able4enance1wab3gger3llow3m4p5y3n4k3p3rm4thy3t4ch4he3y2ear4t5pants5shirt7op5y3ep4t5en5heart5ie5ness3ll5ed6r6st5ing4ter3p",
+    "t3rve2ift3g3ll5ed5ing3m4suit3ndle4e4g3pe3rl3sh3tch6able6board3vel2ollen3on4p3rd5fish4e4n2um3ng1ycamore3ophant2llable6us2mbol6ic8ally7sm3metric9al7y3pathetic9ically7y4honic7y4tom7atic2nagogue4pse3c4hronous3dicate8ion4rome3od4nym7ous4pses6is3tactic9ally5x4heses7is8zer6tic9ally2philis2ringe3up2stem6atic9cally0t1ab3by3ernacle3le5cloth5spoon9nful5t4oid3oo3ulate7ion2cit5urn3k4iness4le4y3o3t4ful4ic6al4less2d3pole2ffy2g2il4gate4light4or4pipe4spin3nt2ke4n4off5ut5ver2lc3e4nt3isman3k4ative3l4er5st4ow4y3on2mbourine3e4ness3per4on2n3dem3g4ent7ial5rine4ible4le4o4y3k4ard3tamount4rum2p3e4stry4worm2r3antula3diness4y3get3iff3mac6ked7ing3nish3ot3p4aulin3ry3t4an5r2sk3sel3te5ful5less4y2tter4le6tale4oo4y2ught3nt3t4ology2vern2wdry3ny2x3able4tion3i4cab4dermy3payer1ea3ch4up3k4ettle3m4mate4ster4work3pot3r4drop4ful4gas3se4poon8ful3t2chnical9ity7ian6que5ological9ist9y2dious4um2e3m3n4age3ter4h5e4otal2lecommunications9te4gram7ph4pathic8y5hone4scope8ic4thon5ype4vise7ion3l4er4ing4tale2mp4erament9ntal7nce7te8ure5stuous",
+    "4late5e4o5ral7ry4t5ation2n3able4cious6ty4ncy5t3d4ency5rhearted6ness4on4ril3ement4t3nis3or3se4ion4ors3t4acle5tive4h3uous4re2pee3id2quila2rm4inal7te8ion8or6i6ology6us5te3race5in4estrial4ible5er5fic6y5torial8y4or6ism8t3se5ness2st4able5ment4es4icle5fy5monial8y5s4y2tanus3her2xt4book4ile4ual5re1han4k5ful5less3t4ch3w2e3atrical3e3ft3ir4st3m4atic4e4selves3n4ce3ologian8cal7y4rem6tic9al9ian5ist5y3rapeutic6ist6y4e5about6fter5by5fore5in5of6n5upon4mal5odynamics6meter6nuclear6stat3sauri7us4e4is3ta3y2ick5en6t5ness3ef4ve3gh3mble3n4gamajig4k3rd4st6y4teen8th5ieth5y3s4tle2ong3rn5y4ough8bred8fare8ness3se3u4gh6t7ful9lness7less9ssness4sand8th2rash3ead6bare5t6en4e4sh6old4w3ice4ft6y4ll6ed7r6ing4ve3oat6y4b4ne5g4ttle4ugh7out7put4w5away5back5n3ust2ud3g3mb5nail5tack4p3nder7bolt7ous7storm9ruck3s2wart2y3me3roid1iara2c3k4et4le5ish2dal3e3y2e3breaker2ff4ed4ing2ger3ht5en5fisted5ness5rope5wad2lde3e3l4ed4ing3t2mber3e4keeper4less4scale4table4zone3id5ity2n3der6box3foil3g4e5ing4le3ker4le3ny3sel3t3y2p3sy3toe2rade3e4dness4less",
+    "4some2ssue2t3illate3le2zzy1o2ad4stool3st5y2bacco7nist3oggan2day3dle2e3hold3nail2ffee3u2g3a3ether8ness3gle2il4et6ry2ken5ism2ld3erable6nce7t6te3l4booth4ed4gate4ing2mahawk4to3b4oy4stone3cat3e3foolery3orrow2n3al3e3g4ue5ing3ic4ght3nage4e3sil6litis2o3k3l4bar4kit3t4h5ache5brush5paste6ick2p3az3ic5al3less3ographer9y4logy3ple2rch3e3ment7or3n4ado3pedo3que3rent7ial4id3so3t4illa4oise4uous5re2ss4ed4ing2t3al5itarian9ianism7y3e4m2ucan4h5down5stone5y3gh5en5ness3pee3r4ism6t4nament5iquet3sle3t2w3ard3el3n4house4ship5people2xic5ity5ology4n2y1race4k4t5ion5or3de5mark4ition9al9alist3ffic7ked8ing3gedy4ic6ally3il5blazer4n5ee4t5or7ous3jectory3mp5le5oline3nce4quil4sact8ion6tlantic5cend9ence9ental6ontinental6ribe8pt9tion5fer8able6orm9ation6usion5gress9sed9sing9sion5ient6stor6t7ion9nal8ve7ory5late8ion8or6iteration6ucence9nt5mission7t5parency9nt6ire6lant6ort9able9ation7se5sexual5verse7stite3p4door4eze6oid3sh5can5y3uma6tic3vel5rse5sty3wl3y2eacherous8y5le4d5mill4son5ure7y4t5able5ise5ment5y3ble3e4top3k3llis3mble4endous",
+    "4or3nch6ant4d5y3pidation3spass8ed9r8ing4tle2ial4ngle6ular3bal4e4ulation5nal5tary6e3ceps4k5ery5le5ster5y4ycle3dent3fle3gger4onometry3ke3ll5ed5ing6on4ogy3m4ester3nity4ket3o3p4e4le6t5icate4od5s3te3umph7ant3via6l7ity2od4den3ll5ed6y5ing3mbone4p3op3phy4ic6al3t3ubadour5le7maker7shoot9ot8ome4gh4nce4pe4ser4t3wel2uancy5t3ce4k5load4ulent3dge3e3ffle3ing4sm3ly3mp5et3ncate7ion4dle4k3st5ee5ful5worthy5y3th5ful8ness2y3out1s1ub3a3by3e4rculosis3ular2ck2ft2g3boat2ition2lip2mble3my3ult6uous2na3dra3e4ful3ic3nel2rban4ine4ulence8t3d3een3f3gid3key3moil3n4around4coat4ip4out5ver4pike4stile4table3pentine3quoise3ret3tle6neck2sh3k3sle2tor5ial2x3edo1wang2eak3e4t4zers3lfth4ve3ntieth5y3rp2ice3ddle3g3light3n4e4ge4kle3rl3st3t4ch2o1ycoon2ing2ke2pe4cast4face4script5et4write8ten6ote3hoid5on4us3ical4fy4st3o4graphic9ical2rannical6y5t0u1biquitous7y1dder1gh2liness3y1h1lcer2terior3imate7um3ra5sonic7und5violet1m2brella2pire3teen7th1nabashed5ted4le4ridged3cceptable8ed5ompanied6untable3dulterated3ffected3ided3ltered3mbiguous3nimit",
+    "y6ous4swerable8ed3rmed3ssigned5uming3ttached6inable5ended5ractive3vailable4oidable3ware2balanced3earable5table6en4coming4lievable8er3iased3lock3orn4unded3reakable4idled4oken3urden4tton2canny3easing4rtain9ty3hallenged5nged5racteristic9eristically6itable6ted4ecked4ristian3le5an6r3omfortable5mon5promising4ncerned5ditional5firmed5nected5scionable9us9usness6titutional5trollable9led8versial5ventional6inced9ing4untable5th4ver3ultured4t2damaged4unted3ecidable7ed4fined4mocratic4niable4r5age5brush5class9sman9smen6over6urrent7t5dog5estimate5flow6oot5garment6o7ne6rad9uate7ound8wth5handed5lain7y6ie7ne5mine5neath6ourished5paid7nts7ss7y6rivileged5rate5score6hirt6ide6taffed8nd9dable8te9ement7ood7udy5take9n6one7ok7w5water6ear7ight7nt6orld6rite9ten7ote4served5irable4tected6rmined4veloped3id4sclosed5turbed3o4cumented4ne4ubted3ress7ed7ing3ue4ly3ying2earth4se5iness5y3conomic9cal3ducated3mployable8ed8ment3nding4lightened3qual5ivocal3rring3thical3ven6tful3xpected5lained2failing5r6ness5thful4miliar4shionable5",
+    "ten3easible4eling3illed4nished4t3old4reseen5gettable6ivable5tunate4unded3riendly3unny4rl2gainly3odly3rammatical5teful2happiness6y3ealthy5rd4lpful3oly4ok2icorn4ycle3dentified3fication4orm7ity4y3lateral3maginative4portant5ressed3nformative8ed4habitable5ibited4itiated4spired8ing5ured4telligent9gible6nded7tional6rested9ting3on3que6ness3sex4on3t4e4y3versal7e7ity2just6ifiable9ed2kempt3ind6ness3nowingly6n2lawful3eaded5sh4ss3ike4mited4sted3oad4ck3ucky2man4rked5ried4sk3istakable4tigated3odified4ved2named4tural3ecessary4rve3oticed2obtainable5rusive3ccupied3fficial3riginal4thodox2pack4id4ralleled3ick3leasant9tness4ug3opular9ity3recedented5dictable5pared4incipled6table5vileged4oductive5fessional6itable5tected5ven6oked3ublished2qualified4estionable9ned2ravel3ead6able5l6istic5sonable4lated5enting5iability8le4markable4peatable5resentative4served5olved5ponsive5t6rained7icted3oll6ed6ing3uffled4liness5y2safe4id4nitary4tisfactory8ied4y3cathed4heduled4ientific4rew5upulous3easonable5t4emly5n4t5tle3ightly5n",
+    "ed3killed3olicited5ved4phisticated4und3peakable5cified4oken5rtsmanlike3table4eady4oppable4ructured4uck3ubstantiated4ccessful4itable6ed4ng4pportable9ed4re4specting2tangle3enable3hinkable7ing3idy4e4l4mely4ring3o4ld4uchable7ed4ward3rained4ied4ue5stworthy5thful3ying2usable4ed4ual2veil2wanted4rranted5y4shed3elcome5l3ieldy4lling9ness4nd4se4tting3orkable5thy4und3rap4itten2yielding2zip1p2beat3ringing2chuck3oming2date2end2front2grade2heaval4ld3ill3old5ster9y2keep2lift3oad2on2ped4r5case6lassman9smen5most3ing4ty2right4sing3oar4ot2s3cale3et3hot3ide3tage5irs5nding5rt5te4ream3urge3wing2take3ight3own3urn2ward1ranium2ban5e2chin2ge4ncy5t2inate4e2n1s2able3ge2e3ful6ness3less7ness2her2ual3rp1tensil3ri4us2ilitarian9anism6y2most2opia2ter5ance0v1acancy5t4te5ion3cinate8ion6e3illate3uous4um2gabond4ry3ina6e6l3rant3ue5ness2in2ledictorian4ntine4t3iant4d5ate7ion5ity4se3ley3uable4e5less4ing3ve2mpire2n3dal6ism3e3guard3illa4sh4ty3quish2riability6le5nce6t5tion4ety4ous3nish3sity3y2se4ctomy3t4ness2t2ult1eal2ctor2er2gan3",
+    "etable6rian9nism6tion3gie2hement3icle5ular2il3n2locity4ur3vet6y2nd4etta4or3eer4rable6te7ion3geance5ful3ison3om5ous3t4ilate8ion8or4ricle6loquism9uist4ure3ue2racity3b4al5tim4iage4ose6ity3dict3ge3ification5y4table3min3nacular3satile8ity4e4ion4us3tebra8e8te4ical6es5go3ve3y2ssel3t4ibule5ge4ment2t3eran5inarian9y3o2x3ation1ia3bility4le3duct3l2be3rant5te6ion2car5ious3e3inity4ous3tim4or6ious6y2deo5cassette5tape2e3w4point2gil5ance7t8e3orous2le3ify3la5ge5in7ous7y2ndicate8ion6tive3e4gar4yard3tage3yl2ola5te6ion4ence6t5t4in6ist2per2ral3gin6ity3ile5ity3tual5e5oso6us3ulent4s2sa4ge3cosity5us3e3ibility5le4on6ary4t5ation5or3or3ta3ual2tal5ity4min3riolic2vacious6ty3id4section1ocabulary4l5ist4tion8al3iferous2dka2gue2ice3d2latile7ity3canic6o3ition3ley6ball3t4age3ume5inous4ntary6eer4ptuous2mit2odoo2racious6ty3tex2te2uch2w3el2yage3eur6ism1ulgar6ity3nerability8le3ture1ying0w1acky2d3dle3e2fer3fle3t2g3e3on2if3l3st5band5line3t4ress3ve2ke4n2lk4out3l4ed5t4ing4op5w4paper3nut3rus3tz2n3d3e3na5be3t4on2r3ble3d4en4robe3e4",
+    "house3fare3head3like4ock5rd3m4onger4th3n3p4ath3rant7y4en4ior3ship3t4ime3y2s3h4able4basin4cloth4out4room3p3tage4e5basket5ful5land2tch5dog5ful5maker7n6en5word3er5bed5fall6ront5logged5mark6elon5proof5shed5tight5way6orks5y3t2ve4form4length3y2x3iness3y2y3laid5y3side3ward1e2ak4en4ling4ness3lth6y3n3pon6ry3r4iness5some4y3sel3ther3ve2b3site2d3ge3lock2e3dy3k4day4end4night3p2igh5t6less9sness7ifter9ting6y3rd5ness5o2lcome3d3fare3l4ed4ing7ton3sh3t2nt2pt2re4wolf7ves2st4bound4ern4ward2t3back1hack3le3m3rf4ves3t4chamacallit4ever4soever2eat3edle4l5barrow5chair4ze3n4ce4ever3re5abouts6s5by5in5upon5ver5withal3t4her3w2ich5ever3ff5ed5ing3le4st3m4per4sical3ne4ny3p4lash3rl5pool5wind4red5ing3sk5ys4per4tle3te5n6ess5wash4tle3zzed6s5ing2o3a3dunit3ever3le5hearted5sale6ome4ly3m3op4sh3pper3re3se2y3s1ick4edness5t2de4n4spread3ow3th2eld3ner2fe2g3gle3wam2ld4cat4erness4fire4life4ness3e3l4ed4ing7ness4ow6y4power3t3y2mp4y2n3ce4h3d4breaker4fall4mill8ed8ing4ow6pane6sill4pipe4screen5hield5urf5wept4y3e4glass3g4span4tip3k3o3some3t",
+    "er6time4ry2pe2re4tap3y2sdom3e4crack3h4bone4ful3p4y3t4ful2t3ch5craft3h4draw8al8n6ew4held5old4in4out4stand6ood3less3ness7ed7ing3ticism4y2ve2z3ard3ened1obble2e3begone2k3e4n2lf3ves2man5hood5kind3b4at3en2n3der6ful6land4rous3t2o3d4chuck4en4land4pecker4sman6en4wind5ork4y3f3l3zy2rd4y3e3k4able5holic4bench5ook4fare5orce4load4man7like7ship5en4out4place4sheet6op5tation3ld5wide3m4hole3n3risome4y3se5n4hip4t3th5less5while5y2t2uld3nd2ve4n2w1rangle3p3th2eak4th6e3ck5age3n4ch3st5le3tch2iggle4ht3ng4kle3st5watch3t4able4e4he4ten2ong5doer7ing5ful3te3ught2ung2y3er4st0x1enophobia9c1ylophone0y1acht2k2m2nk2p2rd4stick3mulke3n2wn1eah3r4book4ling4n3st2ll4ed4ing4ow6ish3p2n2p2s3t4erday2t3i2w1ield2ppee1o2del2ga2ke4l2lk2nder2u3ng5ster3r4self7ves3th5ful2wl1uck4y2m3my2ppie0z1any2p1eal4ous2bra2nith2ro2st2ta1igzag2llion2nc4ked5ing2p2t1odiac2mbie2ne2o3logical7st6y3m1ucchini"
+  ].join(""),
+  en_US: [ // 412 words
+    "0abridgment1cclimatize2knowledgment2tualization1fterward1gonize1irplane1luminum1mbiance2oebae3ng2phitheater1nalog4yze2emia5c3sthesia9ologist7tic9st9ze2tagonize1pologize2pall3etizer7ing1rbor2dor2mor5y2tifact1sshole1uthorization8e1x0balk2ndanna2ptize1ehavior8al2labor1rutalize1urglarize2sed3ing0caliber3k2ndor2pitalization9e2rburetor2talog3egorize1enterpiece4imeter4ralize1haperon3racterization9ize2eckbook5erboard2ili5es1ivilization7e1lamor1ollectible3onization7e4r5blind5ful5less2mmercialize3partmentalize4uterize2uncilor4selor2ziness3y1riticize2ystallization9ze1ustomization8e1zar0decentralization9ize3riminalize2fense7less2meanor3oralize2odorize2stabilize1ialog3rrhea2gitize2ke2scolor3favor3honor8able3organization9ze3till1raftsman7en5y3matization8e0economize1mpathize3hasize1namor2deavor2ergize2roll6ment2thrall1on1paulet2icenter3tomize1qualize1sophagi7us2trogen1ulogize0factorization2got2miliarize2ntasize2vor5able5ite7ism1ecal3es2rtilization8e3vor1iber5glass2nalize1lavor2utist1ogy2rmalize4ulae2",
+    "ssilize1raternize1ulfill7ment2ror0galvanize1eneralization9e1ibe1lamorize2ycerin1obbledygook2norrhea1ray4ish1uerrilla1ynecological9ist9y0hankie2rbor3monization8e1emoglobin4philia9ac4rrhage7oid1ippie1omogenize2nor5able2spitalization9ze1umanize3or1ypnotize3othesize0idealize2olize1mmobilize4rtalize3unization7e2postor1ndustrialization9lize2flection2itialization9e2quire6y2stallment4ill5tutionalize1talicize2emize0jeopardize2welry1udgment8al0kilometer0labor2ckluster1egalize2ukemia1ibelous4ralization9e2corice2kable2vable1ocalize0magnetize2neuver2rvelous2terialize3h2ximize1eager2chanization8e2dalist2morize2ow2smerize1illiliter5meter2nimize2sbehavior3demeanor3judgment1obilization7e2dernization8e2isturizer2ld4y3lusk3t2m2nopolization9e2torize1ustache0nationalization9ze3uralization9e2ught1eighbor8hood8liness2utralization9e1ormalization8e0odor1ffense1kay1melet1ptimization7e1rganization9ional7e2thopedics1stracize1utmaneuver1versize1xidize0pajamas2leontologist9ogy2nelist2ralyze3lor2steurization9e2troni",
+    "ze1ediatrician9s2nalize2rsonalize1hilosophize2ony1lagiarize2ow1olarization7e3iticize2pularize1ressurize3tense2ioritize3vatization8e2opagandize3selytize1sychoanalyze1ublicize2lverization8e0rancor2tionalization9ze1ealization6e2cognizable8e2organization9e2prized2vitalization9e3olutionize1igor1omanticize1umor0saber2lable2nitize2tirize2vior3or5y1candalize2epter2rutinize1epulcher1heikh1izable1keptic7al7ism2illful1molder1nowplow1ocialize2mber1pecialization9e7ty4ter3lled2illed2lendor1tabilize3ndardization9ze2erilization8e2igmatize1ubsidize2ccor2lfur2mmarize1weepstakes1ymbolize3pathize2nchronization9ze3thesize0tantalize1enderize2rrorize1heater3orize1idbit1ranquility9ze3umatize2ivialize1umor1yrannize0unauthorized2favorable2ionize2labeled2recognized3ivaled2savory1tilization6e0valor2ndalize2por5ize1eranda1ictimization8e2gor2sualize0watercolor1esternize1hir3skey3z1illful1oolen0yogurt"
+  ].join(""),
+  en_GB: [ // 459 words
+    "0abridgement1cclimatise2knowledgement2tualisation1daptor1eon2roplane1geing2onise1luminium1mbience2idst2ong5st2phitheatre1naemia6c4sthesia9iologist8tic9ise9ist3lyse2tagonise1pologise2pal3etiser7ing1rbour2dour2mour6y2se4hole2tefact1uthorisation8e1xe0bandanna2ptise2ulk1ehaviour9al2labour1rutalise1urglarise0calibre2ndour2pitalisation9e2rburettor2talogue8ing3egorise1entimetre4ralise5e6piece1haperone3racterisation9ise2eque6book6rboard5ing2illi1ivilisation7e1lamour1ollectable3onisation7e4ur6blind6ful6less2mmercialise3partmentalise4uterise2siness3y2uncillor4sellor1riticise2ueller7st2ystallisation9se1ustomisation8e0decentralisation9ise3riminalise2fence7less2meanour3oralise2odorise2pendant2scendent3tabilise1ialled5ing4og3rrhoea2gitise2scolour9ation3favour3honour9able3organisation9se3til1ramatisation8e3ught7sman9en7y2eamt1uelled5ing0economise1mpathise3hasise1namour2cyclopaedia2deavour2ergise2quire6y2rol5ment2thral1paulette2icentre3tomise1qualise5led6ing1ulogise0factorisation2ecal4es2miliarise2nta",
+    "sise2vour6able6ite8ism1ertilisation8e3vour1ibre5glass2nalise1lautist3vour2yer1ogey2rmalise4ulae2ssilise1raternise1uelled5ing2lfil6ment2rore0galvanise1eneralisation9e1lamorise2ycerine1obbledegook2norrhoea1rey4ish2oyne2uelling1uerrilla1ybe2naecological9gist9gy0haemoglobin5philia9iac5rrhage8oid2nky2rbour3monisation8e1omogenise2nour6able2spitalisation9se1umanise3our1ypnotise3othesise0idealise2olise1mmobilise4rtalise3unisation7e2postor1ndustrialisation9lise2flection5xion2itialisation9e7led8ing2quire6y2stalment4il5tutionalise1talicise2emise0jeopardise2wellery1udgement9al0kerb1ilometre0labour2cklustre1eapt3rnt2galise2ukaemia1ibellous4ralisation9e2cence2keable2quorice2tre2veable1ocalise1upin2stre0magnetise2noeuvre2rvellous2terialise3t2ximise1eagre2chanisation8e2dallist2morise2smerise2tre1iaow2crometre2llilitre5metre2nimise2sbehaviour3demeanour3judgement1obilisation7e2dernisation8e2isturiser2llusc2nopolisation9e2torise2uld5y4t3stache0nationalisation9se3uralisation9e1eighbour9hood9liness2utralis",
+    "ation9e1ormalisation8e2ught0odour1esophagi8us3trogen1ffence1kay1melette1ptimisation7e1rganisation9ional7e2thopaedics1stracise1utmanoeuvre1versized1xidise0paediatrician9cs2laeontologist9logy2nellist2ralyse3lour2steurisation9e2tronise1edlar2nalise2rsonalise1hilosophise2oney1lagiarise2ough1olarisation7e3iticise2pularise1ractise2essurise3tence2ioritise3se3vatisation8e2ogramme3pagandise3selytise1sychoanalyse1ublicise2lverisation8e1yjamas0rancour2tionalisation9se1ealisation6e2cognisable8e2fuelled7ing2organisation9e2vitalisation9e3olutionise1igour1omanticise1umour0sabre2ki2leable2nitise2tirise2viour3our6y1candalise2eptic7al7ism5re2rutinise1epulchre1heikh1izeable1kilful1lyer4st1moulder1nowplough1ocialise2mbre1pecialisation9e8ty4tre3lled4t2illed4t2lendour2oilt1tabilise3ndardisation9se2erilisation8e2igmatise2orey1ubsidise2ccour2lphur2mmarise1weepstake1ymbolise3pathise2nchronisation9se3thesise0tantalise1enderise2rrorise1heatre3orise1itbit1ranquillise9ity3umatise2ialled6ing3vialise1sar1umour1yrann",
+    "ise3e0unauthorised2equalled2favourable2ionise2labelled2recognised3ivalled2savoury1tilisation6e0valour2ndalise2porise4ur1eranda1ictimisation8e2gour2sualise0watercolour1esternise1hirr3sky3zz1ilful1oollen0yogurt"
+  ].join("")
+};
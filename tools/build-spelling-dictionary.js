@@ -0,0 +1,114 @@
+/**
+ * Regenerates the BUNDLED_SPELLING_DICTIONARY block at the end of audit.js from SCOWL word lists.
+ *
+ * Input: the JSON lists of the wordlist-english npm package (SCOWL by Kevin Atkinson, http://wordlist.aspell.net/),
+ * e.g. fetched with `npm pack wordlist-english && tar xzf wordlist-english-*.tgz`.
+ *
+ * Usage: node tools/build-spelling-dictionary.js <path to the extracted package directory>
+ *
+ * Words of SCOWL sizes 10-40 (the common ones) are kept, lowercased and letters only: "english" lists go into
+ * `common`, "american" and "british" lists into the en_US and en_GB variants. Words that are a regular inflection
+ * of another kept word (by isSpellingDictionaryWord() in audit.js) are dropped, since the script accepts them anyway.
+ * See readme.md for the SCOWL copyright notice.
+ */
+var fs = require("fs");
+var path = require("path");
+var vm = require("vm");
+
+var SIZES = [10, 20, 35, 40];
+var LISTS = { common: "english", en_US: "american", en_GB: "british" };
+var CHUNK_LENGTH = 1000;
+var AUDIT_FILE = path.join(__dirname, "..", "audit.js");
+var SECTION_HEADER = "// --- Bundled Spelling Dictionary ---";
+
+var sourceDir = process.argv[2];
+if (!sourceDir) {
+    console.error("Usage: node tools/build-spelling-dictionary.js <wordlist-english package directory>");
+    process.exit(1);
+}
+
+var script = fs.readFileSync(AUDIT_FILE, "utf8");
+var sandbox = {};
+vm.runInNewContext(script, sandbox); // Top-level code only declares config and functions
+var isSpellingDictionaryWord = sandbox.isSpellingDictionaryWord;
+
+/**
+ * Reads the words of one SCOWL list across SIZES.
+ * @param {string} list - List name ("english", "american", "british").
+ * @return {Array<string>} Lowercase letter-only words, shortest first.
+ */
+function readWords(list) {
+    var words = {};
+    SIZES.forEach(function(size) {
+        JSON.parse(fs.readFileSync(path.join(sourceDir, list + "-words-" + size + ".json"), "utf8")).forEach(function(word) {
+            if (/^[a-z]+$/.test(word)) words[word] = true;
+        });
+    });
+    return Object.keys(words).sort(function(a, b) { return a.length - b.length || (a < b ? -1 : 1); });
+}
+
+/**
+ * Keeps the words that are not regular inflections of a word already kept (here or in `known`).
+ * @param {Array<string>} words - Candidate words, shortest first.
+ * @param {Object} known - Words kept in other lists {word: true}.
+ * @return {Array<string>} The kept words, sorted.
+ */
+function keepBaseForms(words, known) {
+    var kept = {};
+    var keptWords = [];
+    Object.keys(known).forEach(function(word) { kept[word] = true; });
+    words.forEach(function(word) {
+        if (isSpellingDictionaryWord(word, kept)) return;
+        kept[word] = true;
+        keptWords.push(word);
+    });
+    return keptWords.sort();
+}
+
+/**
+ * Front-codes sorted words: each is the number of leading letters shared with the previous word (0-9)
+ * followed by its remaining letters.
+ * @param {Array<string>} words - Sorted words.
+ * @return {string} The encoded list.
+ */
+function frontCode(words) {
+    var previous = "";
+    return words.map(function(word) {
+        var shared = 0;
+        while (shared < 9 && shared < previous.length && previous.charAt(shared) === word.charAt(shared)) shared++;
+        previous = word;
+        return shared + word.substring(shared);
+    }).join("");
+}
+
+var common = keepBaseForms(readWords(LISTS.common), {});
+var commonSet = {};
+common.forEach(function(word) { commonSet[word] = true; });
+
+var lines = [
+    SECTION_HEADER,
+    "",
+    "// Generated by tools/build-spelling-dictionary.js (word list source and license in readme.md); do not edit by hand.",
+    "// Base forms only, front-coded: each word is the number of leading letters it shares with the previous word (0-9)",
+    "// followed by its remaining letters. Decoded by loadSpellingDictionary().",
+    "var BUNDLED_SPELLING_DICTIONARY = {"
+];
+Object.keys(LISTS).forEach(function(key, index, keys) {
+    var words = key === "common" ? common : keepBaseForms(readWords(LISTS[key]), commonSet);
+    var encoded = frontCode(words);
+    var chunks = [];
+    for (var i = 0; i < encoded.length; i += CHUNK_LENGTH) chunks.push("    \"" + encoded.substring(i, i + CHUNK_LENGTH) + "\"");
+    lines.push("  " + key + ": [ // " + words.length + " words");
+    lines.push(chunks.join(",\n"));
+    lines.push("  ].join(\"\")" + (index < keys.length - 1 ? "," : ""));
+    console.log(key + ": " + words.length + " words, " + encoded.length + " characters");
+});
+lines.push("};");
+
+var sectionStart = script.indexOf(SECTION_HEADER);
+if (sectionStart === -1) {
+    console.error("Could not find '" + SECTION_HEADER + "' in audit.js.");
+    process.exit(1);
+}
+fs.writeFileSync(AUDIT_FILE, script.substring(0, sectionStart) + lines.join("\n") + "\n");
+console.log("Updated " + AUDIT_FILE);